@@ -702,6 +702,846 @@ CREATE TABLE project_files (
   CONSTRAINT fk_project_files_uploaded_by FOREIGN KEY (uploaded_by) REFERENCES users(id) ON DELETE SET NULL
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
 
+-- file_type stores the full MIME type (office formats exceed 50 chars)
+ALTER TABLE project_files
+  MODIFY COLUMN file_type VARCHAR(150),
+  ADD INDEX idx_project_files_task (task_id);
+
+-- ============================================
+-- 20. ROLES TABLE
+-- ============================================
+
+DROP TABLE IF EXISTS role_permissions;
+DROP TABLE IF EXISTS roles;
+
+CREATE TABLE roles (
+  name VARCHAR(50) PRIMARY KEY,
+  description VARCHAR(255),
+  -- Built-in roles are seeded on server start and cannot be deleted
+  is_system BOOLEAN DEFAULT FALSE,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- ============================================
+-- 21. ROLE PERMISSIONS TABLE
+-- ============================================
+
+CREATE TABLE role_permissions (
+  id INT UNSIGNED PRIMARY KEY AUTO_INCREMENT,
+  role VARCHAR(50) NOT NULL,
+  -- "resource:action:scope", e.g. 'leads:read:own', 'invoices:write:any'
+  permission VARCHAR(100) NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uniq_role_permission (role, permission),
+  CONSTRAINT fk_role_permissions_role FOREIGN KEY (role) REFERENCES roles(name) ON DELETE CASCADE ON UPDATE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Roles are configurable, so users.role is no longer a fixed enum
+ALTER TABLE users
+  MODIFY COLUMN role VARCHAR(50) NOT NULL DEFAULT 'user';
+
+-- ============================================
+-- 22. INVOICE SHARE LINKS TABLE
+-- ============================================
+
+DROP TABLE IF EXISTS invoice_share_links;
+
+CREATE TABLE invoice_share_links (
+  id VARCHAR(36) PRIMARY KEY,
+  invoice_id VARCHAR(36) NOT NULL,
+  expires_at DATETIME NOT NULL,
+  revoked_at DATETIME,
+  view_count INT DEFAULT 0,
+  last_viewed_at DATETIME,
+  created_by VARCHAR(36),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_invoice_share_links_invoice (invoice_id),
+  CONSTRAINT fk_invoice_share_links_invoice FOREIGN KEY (invoice_id) REFERENCES invoices(id) ON DELETE CASCADE,
+  CONSTRAINT fk_invoice_share_links_created_by FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Customer views of shared invoice PDFs
+ALTER TABLE invoices
+  ADD COLUMN view_count INT DEFAULT 0,
+  ADD COLUMN first_viewed_at DATETIME NULL,
+  ADD COLUMN last_viewed_at DATETIME NULL;
+
+-- ============================================
+-- 23. APP SETTINGS TABLE
+-- ============================================
+
+DROP TABLE IF EXISTS app_settings;
+
+CREATE TABLE app_settings (
+  setting_key VARCHAR(100) PRIMARY KEY,
+  setting_value JSON NOT NULL,
+  updated_by VARCHAR(36),
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  CONSTRAINT fk_app_settings_updated_by FOREIGN KEY (updated_by) REFERENCES users(id) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- ============================================
+-- 24. INVOICE SEQUENCES TABLE
+-- ============================================
+
+DROP TABLE IF EXISTS invoice_sequences;
+
+CREATE TABLE invoice_sequences (
+  -- 'invoice' today, other document types get their own scope
+  scope VARCHAR(50) NOT NULL,
+  -- financial year label ('2026-27') or 'all' when numbering never resets
+  period VARCHAR(20) NOT NULL,
+  next_value INT UNSIGNED NOT NULL DEFAULT 1,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (scope, period)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- ============================================
+-- 25. INVOICE PAYMENTS TABLE
+-- ============================================
+
+-- Partial payments and balances
+ALTER TABLE invoices
+  MODIFY COLUMN status ENUM('draft', 'sent', 'partially-paid', 'paid', 'overdue', 'cancelled') DEFAULT 'draft',
+  ADD COLUMN amount_paid DECIMAL(10,2) NOT NULL DEFAULT 0,
+  ADD COLUMN balance_due DECIMAL(10,2) AS (total - amount_paid) STORED;
+
+DROP TABLE IF EXISTS invoice_payments;
+
+CREATE TABLE invoice_payments (
+  id VARCHAR(36) PRIMARY KEY,
+  invoice_id VARCHAR(36) NOT NULL,
+  amount DECIMAL(10,2) NOT NULL,
+  payment_date DATE NOT NULL,
+  mode ENUM('upi', 'bank_transfer', 'cash', 'cheque', 'card', 'other') NOT NULL DEFAULT 'other',
+  reference VARCHAR(100),
+  notes TEXT,
+  recorded_by VARCHAR(36),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_invoice_payments_invoice (invoice_id),
+  INDEX idx_invoice_payments_date (payment_date),
+  CONSTRAINT fk_invoice_payments_invoice FOREIGN KEY (invoice_id) REFERENCES invoices(id) ON DELETE CASCADE,
+  CONSTRAINT fk_invoice_payments_recorded_by FOREIGN KEY (recorded_by) REFERENCES users(id) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Invoices marked paid before the ledger existed get one payment for the full total
+INSERT INTO invoice_payments (id, invoice_id, amount, payment_date, mode, notes)
+SELECT UUID(), id, total, COALESCE(paid_date, DATE(updated_at)), 'other', 'Migrated from paid status'
+FROM invoices
+WHERE status = 'paid';
+
+UPDATE invoices SET amount_paid = total WHERE status = 'paid';
+
+-- ============================================
+-- 26. GST DETAILS
+-- ============================================
+
+ALTER TABLE customers
+  ADD COLUMN gstin VARCHAR(15) NULL AFTER country;
+
+-- Place of supply and GSTINs are snapshots taken when the invoice is taxed
+ALTER TABLE invoices
+  ADD COLUMN place_of_supply CHAR(2) NULL,
+  ADD COLUMN supply_type ENUM('intra_state', 'inter_state') NOT NULL DEFAULT 'intra_state',
+  ADD COLUMN company_gstin VARCHAR(15) NULL,
+  ADD COLUMN customer_gstin VARCHAR(15) NULL,
+  ADD COLUMN cgst_amount DECIMAL(10,2) NOT NULL DEFAULT 0,
+  ADD COLUMN sgst_amount DECIMAL(10,2) NOT NULL DEFAULT 0,
+  ADD COLUMN igst_amount DECIMAL(10,2) NOT NULL DEFAULT 0;
+
+ALTER TABLE invoice_items
+  ADD COLUMN breakdown JSON NULL AFTER amount,
+  ADD COLUMN hsn_sac VARCHAR(8) NULL,
+  -- NULL on lines created before GST details were stored
+  ADD COLUMN gst_rate DECIMAL(5,2) NULL,
+  ADD COLUMN taxable_value DECIMAL(10,2) NULL,
+  ADD COLUMN cgst_rate DECIMAL(5,2) NOT NULL DEFAULT 0,
+  ADD COLUMN cgst_amount DECIMAL(10,2) NOT NULL DEFAULT 0,
+  ADD COLUMN sgst_rate DECIMAL(5,2) NOT NULL DEFAULT 0,
+  ADD COLUMN sgst_amount DECIMAL(10,2) NOT NULL DEFAULT 0,
+  ADD COLUMN igst_rate DECIMAL(5,2) NOT NULL DEFAULT 0,
+  ADD COLUMN igst_amount DECIMAL(10,2) NOT NULL DEFAULT 0;
+
+-- Seller details printed on invoices (editable via PUT /api/invoices/settings/company)
+INSERT INTO app_settings (setting_key, setting_value) VALUES (
+  'company',
+  JSON_OBJECT(
+    'name', 'VASIFY TECHNOLOGIES PVT.LTD',
+    'address', 'Dani Sanjay Apartment, 102, near Datta Mandir Road, beside Dutta mandir, Kandivali, Veena Sitar, Dahanukar Wadi, Kandivali West, Mumbai, Maharashtra 400067',
+    'phone', '+91-9769754446',
+    'email', '',
+    'gstin', '',
+    'pan', '',
+    'stateCode', '27',
+    'defaultHsnSac', '',
+    'bankAccountName', 'VASIFY TECHNOLOGIES PVT.LTD',
+    'bankName', 'Axis Bank, M.G.ROAD KANDIVALI WEST BRANCH',
+    'bankAccountNumber', '924020018276663',
+    'bankIfsc', 'UTIB0001578'
+  )
+);
+
+-- ============================================
+-- 27. RECURRING INVOICES
+-- ============================================
+
+-- Invoices generated from customer recurring settings carry their billing
+-- period. The unique key makes each period billable only once
+ALTER TABLE invoices
+  ADD COLUMN billing_period_start DATE NULL,
+  ADD COLUMN billing_period_end DATE NULL,
+  ADD UNIQUE KEY uq_invoices_customer_period (customer_id, billing_period_start);
+
+-- ============================================
+-- 28. CREDIT NOTES, REFUNDS AND VOIDED INVOICES
+-- ============================================
+
+-- Issued invoices are voided (and reversed by a credit note), never deleted.
+-- balance_due also nets out credit notes and amount_paid is net of refunds.
+ALTER TABLE invoices
+  MODIFY COLUMN status ENUM('draft', 'sent', 'partially-paid', 'paid', 'overdue', 'cancelled', 'void') DEFAULT 'draft',
+  ADD COLUMN credited_amount DECIMAL(10,2) NOT NULL DEFAULT 0 AFTER amount_paid,
+  ADD COLUMN voided_at DATETIME NULL,
+  ADD COLUMN voided_by VARCHAR(36) NULL,
+  ADD COLUMN void_reason TEXT NULL,
+  ADD CONSTRAINT fk_invoices_voided_by FOREIGN KEY (voided_by) REFERENCES users(id) ON DELETE SET NULL;
+
+ALTER TABLE invoices
+  MODIFY COLUMN balance_due DECIMAL(10,2) AS (total - credited_amount - amount_paid) STORED;
+
+DROP TABLE IF EXISTS credit_notes;
+
+CREATE TABLE credit_notes (
+  id VARCHAR(36) PRIMARY KEY,
+  credit_note_number VARCHAR(50) UNIQUE NOT NULL,
+  invoice_id VARCHAR(36) NOT NULL,
+  customer_id VARCHAR(36),
+  issue_date DATE NOT NULL,
+  reason TEXT,
+  -- taxable value, total includes the reversed GST
+  amount DECIMAL(10,2) NOT NULL,
+  cgst_amount DECIMAL(10,2) NOT NULL DEFAULT 0,
+  sgst_amount DECIMAL(10,2) NOT NULL DEFAULT 0,
+  igst_amount DECIMAL(10,2) NOT NULL DEFAULT 0,
+  total DECIMAL(10,2) NOT NULL,
+  place_of_supply CHAR(2) NULL,
+  supply_type ENUM('intra_state', 'inter_state') NOT NULL DEFAULT 'intra_state',
+  company_gstin VARCHAR(15) NULL,
+  customer_gstin VARCHAR(15) NULL,
+  created_by VARCHAR(36),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_credit_notes_invoice (invoice_id),
+  INDEX idx_credit_notes_customer (customer_id),
+  CONSTRAINT fk_credit_notes_invoice FOREIGN KEY (invoice_id) REFERENCES invoices(id),
+  CONSTRAINT fk_credit_notes_customer FOREIGN KEY (customer_id) REFERENCES customers(id) ON DELETE SET NULL,
+  CONSTRAINT fk_credit_notes_created_by FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+DROP TABLE IF EXISTS credit_note_items;
+
+CREATE TABLE credit_note_items (
+  id VARCHAR(36) PRIMARY KEY,
+  credit_note_id VARCHAR(36) NOT NULL,
+  -- invoice line being reversed (NULL for invoices without stored lines)
+  invoice_item_id VARCHAR(36) NULL,
+  description VARCHAR(500) NOT NULL,
+  quantity INT NOT NULL DEFAULT 1,
+  rate DECIMAL(10,2) NOT NULL,
+  amount DECIMAL(10,2) NOT NULL,
+  hsn_sac VARCHAR(8) NULL,
+  gst_rate DECIMAL(5,2) NOT NULL DEFAULT 0,
+  taxable_value DECIMAL(10,2) NOT NULL,
+  cgst_rate DECIMAL(5,2) NOT NULL DEFAULT 0,
+  cgst_amount DECIMAL(10,2) NOT NULL DEFAULT 0,
+  sgst_rate DECIMAL(5,2) NOT NULL DEFAULT 0,
+  sgst_amount DECIMAL(10,2) NOT NULL DEFAULT 0,
+  igst_rate DECIMAL(5,2) NOT NULL DEFAULT 0,
+  igst_amount DECIMAL(10,2) NOT NULL DEFAULT 0,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_credit_note_items_note (credit_note_id),
+  INDEX idx_credit_note_items_invoice_item (invoice_item_id),
+  CONSTRAINT fk_credit_note_items_note FOREIGN KEY (credit_note_id) REFERENCES credit_notes(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+DROP TABLE IF EXISTS invoice_refunds;
+
+CREATE TABLE invoice_refunds (
+  id VARCHAR(36) PRIMARY KEY,
+  invoice_id VARCHAR(36) NOT NULL,
+  credit_note_id VARCHAR(36) NULL,
+  amount DECIMAL(10,2) NOT NULL,
+  refund_date DATE NOT NULL,
+  mode ENUM('upi', 'bank_transfer', 'cash', 'cheque', 'card', 'other') NOT NULL DEFAULT 'other',
+  reference VARCHAR(100),
+  notes TEXT,
+  recorded_by VARCHAR(36),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_invoice_refunds_invoice (invoice_id),
+  CONSTRAINT fk_invoice_refunds_invoice FOREIGN KEY (invoice_id) REFERENCES invoices(id),
+  CONSTRAINT fk_invoice_refunds_credit_note FOREIGN KEY (credit_note_id) REFERENCES credit_notes(id) ON DELETE SET NULL,
+  CONSTRAINT fk_invoice_refunds_recorded_by FOREIGN KEY (recorded_by) REFERENCES users(id) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- ============================================
+-- 29. EMAIL OUTBOX AND PASSWORD RESETS
+-- ============================================
+
+-- Every outgoing email is queued here and sent by the scheduler, with
+-- retries. attachments holds descriptors rendered at send time, e.g.
+-- [{"type": "invoice_pdf", "invoiceId": "..."}]
+CREATE TABLE email_outbox (
+  id VARCHAR(36) PRIMARY KEY,
+  to_address VARCHAR(500) NOT NULL,
+  cc VARCHAR(500),
+  subject VARCHAR(255) NOT NULL,
+  template VARCHAR(50) NOT NULL,
+  body_text MEDIUMTEXT NOT NULL,
+  body_html MEDIUMTEXT,
+  attachments JSON,
+  status ENUM('pending', 'sending', 'sent', 'failed') NOT NULL DEFAULT 'pending',
+  attempts INT NOT NULL DEFAULT 0,
+  max_attempts INT NOT NULL DEFAULT 5,
+  next_attempt_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  locked_at TIMESTAMP NULL,
+  last_error TEXT,
+  provider_message_id VARCHAR(255),
+  related_type VARCHAR(50),
+  related_id VARCHAR(36),
+  created_by VARCHAR(36),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  sent_at TIMESTAMP NULL,
+  INDEX idx_email_outbox_due (status, next_attempt_at),
+  INDEX idx_email_outbox_related (related_type, related_id),
+  CONSTRAINT fk_email_outbox_created_by FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Only a SHA-256 hash of the emailed token is stored
+CREATE TABLE password_resets (
+  id VARCHAR(36) PRIMARY KEY,
+  user_id VARCHAR(36) NOT NULL,
+  token_hash CHAR(64) NOT NULL UNIQUE,
+  expires_at TIMESTAMP NOT NULL,
+  used_at TIMESTAMP NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_password_resets_user (user_id),
+  CONSTRAINT fk_password_resets_user FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- ============================================
+-- 30. WHATSAPP DELIVERY TRACKING
+-- ============================================
+
+-- Messages are queued as 'pending' and sent through the provider. Webhook
+-- receipts are matched on provider_message_id
+ALTER TABLE whatsapp_messages
+  ADD COLUMN provider VARCHAR(20) NULL AFTER status,
+  ADD COLUMN provider_message_id VARCHAR(100) NULL AFTER provider,
+  ADD UNIQUE KEY uniq_messages_provider_message (provider_message_id);
+
+-- ============================================
+-- 31. WHATSAPP CAMPAIGN RUNNER
+-- ============================================
+
+-- Campaign recipients are pending whatsapp_messages rows (customers or
+-- leads). The counters are recomputed from them as messages progress
+ALTER TABLE whatsapp_campaigns
+  ADD COLUMN variables JSON NULL AFTER target_audience,
+  ADD COLUMN rate_per_minute INT NULL AFTER scheduled_at,
+  ADD COLUMN total_recipients INT NOT NULL DEFAULT 0 AFTER rate_per_minute,
+  ADD COLUMN failed_count INT NOT NULL DEFAULT 0 AFTER read_count,
+  ADD COLUMN started_at DATETIME NULL AFTER failed_count,
+  ADD COLUMN completed_at DATETIME NULL AFTER started_at,
+  ADD COLUMN created_by VARCHAR(36) NULL AFTER completed_at,
+  ADD CONSTRAINT fk_campaigns_created_by FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL;
+
+ALTER TABLE whatsapp_messages
+  ADD COLUMN lead_id VARCHAR(36) NULL AFTER customer_id,
+  ADD INDEX idx_messages_lead (lead_id),
+  ADD INDEX idx_messages_campaign_status (campaign_id, status),
+  ADD CONSTRAINT fk_messages_lead FOREIGN KEY (lead_id) REFERENCES leads(id) ON DELETE SET NULL;
+
+-- ============================================
+-- 32. WHATSAPP CONVERSATIONS
+-- ============================================
+
+-- One thread per number (phone_key = last 10 digits) holding inbound and
+-- outbound messages, linked to the matching customer or lead.
+-- Number matching uses REGEXP_REPLACE (MySQL 8.0+).
+CREATE TABLE whatsapp_conversations (
+  id VARCHAR(36) PRIMARY KEY,
+  phone_key VARCHAR(20) NOT NULL UNIQUE,
+  phone_number VARCHAR(50) NOT NULL,
+  display_name VARCHAR(255),
+  customer_id VARCHAR(36),
+  lead_id VARCHAR(36),
+  assigned_to VARCHAR(36),
+  status ENUM('open', 'closed') NOT NULL DEFAULT 'open',
+  unread_count INT NOT NULL DEFAULT 0,
+  last_message_at DATETIME,
+  last_message_preview VARCHAR(255),
+  last_direction ENUM('inbound', 'outbound'),
+  last_inbound_at DATETIME,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  INDEX idx_conversations_last_message (last_message_at),
+  INDEX idx_conversations_assigned (assigned_to, status),
+  INDEX idx_conversations_customer (customer_id),
+  INDEX idx_conversations_lead (lead_id),
+  CONSTRAINT fk_conversations_customer FOREIGN KEY (customer_id) REFERENCES customers(id) ON DELETE SET NULL,
+  CONSTRAINT fk_conversations_lead FOREIGN KEY (lead_id) REFERENCES leads(id) ON DELETE SET NULL,
+  CONSTRAINT fk_conversations_assigned FOREIGN KEY (assigned_to) REFERENCES users(id) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Inbound messages are stored with status 'received' and read_at marks when an
+-- agent read them
+ALTER TABLE whatsapp_messages
+  MODIFY status ENUM('pending', 'sent', 'delivered', 'read', 'failed', 'received') DEFAULT 'pending',
+  ADD COLUMN conversation_id VARCHAR(36) NULL AFTER id,
+  ADD COLUMN direction ENUM('inbound', 'outbound') NOT NULL DEFAULT 'outbound' AFTER message,
+  ADD COLUMN sent_by VARCHAR(36) NULL AFTER provider_message_id,
+  ADD INDEX idx_messages_conversation (conversation_id, created_at),
+  ADD CONSTRAINT fk_messages_conversation FOREIGN KEY (conversation_id) REFERENCES whatsapp_conversations(id) ON DELETE SET NULL,
+  ADD CONSTRAINT fk_messages_sent_by FOREIGN KEY (sent_by) REFERENCES users(id) ON DELETE SET NULL;
+
+-- WhatsApp leads are created with source 'whatsapp'
+ALTER TABLE leads
+  MODIFY source ENUM('website', 'referral', 'social', 'advertisement', 'cold-call', 'whatsapp', 'other') DEFAULT 'website';
+
+-- ============================================
+-- 33. WHATSAPP WEBHOOK EVENTS
+-- ============================================
+
+-- Every authenticated webhook delivery, keyed by provider message id (or
+-- receipt id + status) so retried deliveries are processed once. Failed
+-- events keep their payload for replay.
+CREATE TABLE whatsapp_webhook_events (
+  id VARCHAR(36) PRIMARY KEY,
+  event_key VARCHAR(255) NOT NULL UNIQUE,
+  event_type ENUM('message', 'status', 'other') NOT NULL DEFAULT 'other',
+  payload JSON,
+  auth_method ENUM('signature', 'shared_secret', 'none') NOT NULL DEFAULT 'none',
+  status ENUM('received', 'processing', 'processed', 'ignored', 'failed') NOT NULL DEFAULT 'received',
+  attempts INT NOT NULL DEFAULT 0,
+  duplicate_count INT NOT NULL DEFAULT 0,
+  note VARCHAR(255),
+  last_error TEXT,
+  received_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  processed_at DATETIME,
+  INDEX idx_webhook_events_status (status, received_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- ============================================
+-- 34. WHATSAPP MESSAGE TYPES AND MEDIA
+-- ============================================
+
+-- Non-text messages keep their parsed content (location, reply id, contact
+-- cards...) in `content`. `message` holds the caption or a readable summary.
+-- Media is downloaded into file storage under media_key.
+ALTER TABLE whatsapp_messages
+  ADD COLUMN message_type ENUM('text', 'image', 'video', 'audio', 'voice', 'document', 'sticker', 'location', 'contacts', 'interactive', 'button', 'reaction') NOT NULL DEFAULT 'text' AFTER message,
+  ADD COLUMN content JSON NULL AFTER message_type,
+  ADD COLUMN media_provider_id VARCHAR(255) NULL AFTER content,
+  ADD COLUMN media_status ENUM('pending', 'stored', 'failed') NULL AFTER media_provider_id,
+  ADD COLUMN media_key VARCHAR(500) NULL AFTER media_status,
+  ADD COLUMN media_mime_type VARCHAR(150) NULL AFTER media_key,
+  ADD COLUMN media_file_name VARCHAR(255) NULL AFTER media_mime_type,
+  ADD COLUMN media_size BIGINT NULL AFTER media_file_name,
+  ADD COLUMN media_error VARCHAR(1000) NULL AFTER media_size;
+
+-- ============================================
+-- 35. WHATSAPP CHATBOT FLOWS
+-- ============================================
+
+-- Auto-reply flows: `steps` maps step ids to message/menu/input/handoff/end
+-- steps (see services/chatbot.js). A flow starts when a message matches one
+-- of its trigger_keywords, the default flow on a new conversation.
+CREATE TABLE chatbot_flows (
+  id VARCHAR(36) PRIMARY KEY,
+  name VARCHAR(255) NOT NULL,
+  description TEXT,
+  trigger_keywords JSON,
+  is_default BOOLEAN NOT NULL DEFAULT FALSE,
+  is_active BOOLEAN NOT NULL DEFAULT TRUE,
+  priority INT NOT NULL DEFAULT 0,
+  start_step VARCHAR(100) NOT NULL,
+  steps JSON NOT NULL,
+  created_by VARCHAR(36),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  INDEX idx_chatbot_flows_active (is_active, priority),
+  CONSTRAINT fk_chatbot_flows_created_by FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Where each conversation is in its flow and the answers collected so far
+CREATE TABLE chatbot_sessions (
+  conversation_id VARCHAR(36) PRIMARY KEY,
+  flow_id VARCHAR(36) NOT NULL,
+  current_step VARCHAR(100),
+  data JSON,
+  status ENUM('active', 'completed', 'handed_off') NOT NULL DEFAULT 'active',
+  invalid_attempts INT NOT NULL DEFAULT 0,
+  started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  INDEX idx_chatbot_sessions_flow (flow_id, status),
+  CONSTRAINT fk_chatbot_sessions_conversation FOREIGN KEY (conversation_id) REFERENCES whatsapp_conversations(id) ON DELETE CASCADE,
+  CONSTRAINT fk_chatbot_sessions_flow FOREIGN KEY (flow_id) REFERENCES chatbot_flows(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Switched off when a flow hands the conversation to a person
+ALTER TABLE whatsapp_conversations
+  ADD COLUMN bot_enabled BOOLEAN NOT NULL DEFAULT TRUE AFTER status;
+
+-- Greeting, service menu, name and email, then handoff
+INSERT INTO chatbot_flows (id, name, description, trigger_keywords, is_default, start_step, steps) VALUES (
+  UUID(),
+  'Welcome',
+  'Greets new WhatsApp contacts, asks for the service, name and email, then hands off to the team',
+  JSON_ARRAY('hi', 'hello', 'hey', 'menu', 'start'),
+  TRUE,
+  'welcome',
+  '{
+  "welcome": {
+    "type": "menu",
+    "text": "Hi {firstName}! Welcome to VasifyTech. Which service are you interested in?",
+    "field": "service_choice",
+    "options": [
+      {
+        "key": "1",
+        "label": "WhatsApp Business API",
+        "keywords": [
+          "whatsapp",
+          "api"
+        ],
+        "set": {
+          "service": "whatsapp-business-api"
+        },
+        "next": "ask_name"
+      },
+      {
+        "key": "2",
+        "label": "Website Development",
+        "keywords": [
+          "website",
+          "web",
+          "site"
+        ],
+        "set": {
+          "service": "website-development"
+        },
+        "next": "ask_name"
+      },
+      {
+        "key": "3",
+        "label": "AI Agent",
+        "keywords": [
+          "ai",
+          "bot",
+          "chatbot"
+        ],
+        "set": {
+          "service": "ai-agent"
+        },
+        "next": "ask_name"
+      },
+      {
+        "key": "4",
+        "label": "Talk to our team",
+        "keywords": [
+          "human",
+          "person",
+          "sales",
+          "call"
+        ],
+        "next": "handoff"
+      }
+    ],
+    "invalidText": "Please reply with 1, 2, 3 or 4."
+  },
+  "ask_name": {
+    "type": "input",
+    "field": "name",
+    "text": "Great choice! What is your full name?",
+    "next": "ask_email"
+  },
+  "ask_email": {
+    "type": "input",
+    "field": "email",
+    "validate": "email",
+    "text": "Thanks {firstName}. What is your email address?",
+    "invalidText": "That does not look like an email address. Please try again.",
+    "next": "handoff"
+  },
+  "handoff": {
+    "type": "handoff",
+    "text": "Thank you! One of our team members will contact you shortly."
+  }
+}'
+);
+
+-- ============================================
+-- 36. LEAD DEDUPLICATION
+-- ============================================
+
+-- Leads created while a matching lead (email / phone / WhatsApp number)
+-- existed point at it: 'linked' for information, 'flagged' for review
+ALTER TABLE leads
+  ADD COLUMN duplicate_of VARCHAR(36) NULL AFTER converted_customer_id,
+  ADD COLUMN duplicate_status ENUM('linked', 'flagged', 'dismissed') NULL AFTER duplicate_of,
+  ADD INDEX idx_leads_duplicate (duplicate_status, duplicate_of),
+  ADD INDEX idx_leads_phone (phone),
+  ADD CONSTRAINT fk_leads_duplicate_of FOREIGN KEY (duplicate_of) REFERENCES leads(id) ON DELETE SET NULL;
+
+-- Leads merged into another one, with a snapshot of the removed record
+CREATE TABLE lead_merges (
+  id VARCHAR(36) PRIMARY KEY,
+  surviving_lead_id VARCHAR(36) NOT NULL,
+  merged_lead_id VARCHAR(36) NOT NULL,
+  merged_lead JSON NOT NULL,
+  reason ENUM('manual', 'automatic') NOT NULL DEFAULT 'manual',
+  merged_by VARCHAR(36),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_lead_merges_surviving (surviving_lead_id),
+  INDEX idx_lead_merges_merged (merged_lead_id),
+  CONSTRAINT fk_lead_merges_user FOREIGN KEY (merged_by) REFERENCES users(id) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- ============================================
+-- 37. LEAD ASSIGNMENT RULES
+-- ============================================
+
+-- Rules pick an owner for unassigned new leads (see services/leadAssignment.js).
+-- Empty services / sources match any lead, empty user_ids means every active
+-- user. max_open_leads caps the open leads a user may hold under the rule.
+CREATE TABLE lead_assignment_rules (
+  id VARCHAR(36) PRIMARY KEY,
+  name VARCHAR(255) NOT NULL,
+  is_active BOOLEAN NOT NULL DEFAULT TRUE,
+  priority INT NOT NULL DEFAULT 0,
+  services JSON,
+  sources JSON,
+  strategy ENUM('round_robin', 'least_loaded') NOT NULL DEFAULT 'round_robin',
+  user_ids JSON,
+  max_open_leads INT NULL,
+  last_assigned_to VARCHAR(36) NULL,
+  created_by VARCHAR(36),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  INDEX idx_lead_assignment_rules_active (is_active, priority),
+  CONSTRAINT fk_lead_assignment_rules_created_by FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Every change of a lead's owner, by a rule or by a user
+CREATE TABLE lead_assignments (
+  id VARCHAR(36) PRIMARY KEY,
+  lead_id VARCHAR(36) NOT NULL,
+  assigned_to VARCHAR(36) NULL,
+  previous_assigned_to VARCHAR(36) NULL,
+  method ENUM('rule', 'manual') NOT NULL,
+  rule_id VARCHAR(36) NULL,
+  assigned_by VARCHAR(36) NULL,
+  note VARCHAR(255),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_lead_assignments_lead (lead_id, created_at),
+  INDEX idx_lead_assignments_user (assigned_to, created_at),
+  CONSTRAINT fk_lead_assignments_lead FOREIGN KEY (lead_id) REFERENCES leads(id) ON DELETE CASCADE,
+  CONSTRAINT fk_lead_assignments_assigned_to FOREIGN KEY (assigned_to) REFERENCES users(id) ON DELETE SET NULL,
+  CONSTRAINT fk_lead_assignments_previous FOREIGN KEY (previous_assigned_to) REFERENCES users(id) ON DELETE SET NULL,
+  CONSTRAINT fk_lead_assignments_rule FOREIGN KEY (rule_id) REFERENCES lead_assignment_rules(id) ON DELETE SET NULL,
+  CONSTRAINT fk_lead_assignments_by FOREIGN KEY (assigned_by) REFERENCES users(id) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- ============================================
+-- 38. LEAD SCORING
+-- ============================================
+
+-- 0-100 score from the scoring model in app_settings (services/leadScoring.js)
+-- with the points per factor in score_details
+ALTER TABLE leads
+  ADD COLUMN score INT NOT NULL DEFAULT 0 AFTER priority,
+  ADD COLUMN score_details JSON NULL AFTER score,
+  ADD COLUMN score_updated_at TIMESTAMP NULL AFTER score_details,
+  ADD INDEX idx_leads_score (score);
+
+-- ============================================
+-- 39. PUBLIC LEAD QUARANTINE
+-- ============================================
+
+-- Website form submissions rejected by the spam checks (services/publicLeadGuard.js),
+-- kept for review: released ones became a lead, discarded ones are spam
+CREATE TABLE lead_quarantine (
+  id VARCHAR(36) PRIMARY KEY,
+  name VARCHAR(255),
+  email VARCHAR(255),
+  phone VARCHAR(50),
+  payload JSON NOT NULL,
+  reason ENUM('invalid_site_key', 'rate_limit_ip', 'rate_limit_email', 'honeypot', 'too_fast', 'stale_form', 'disposable_email') NOT NULL,
+  detail VARCHAR(255),
+  ip_address VARCHAR(64),
+  user_agent VARCHAR(500),
+  status ENUM('quarantined', 'released', 'discarded') NOT NULL DEFAULT 'quarantined',
+  lead_id VARCHAR(36) NULL,
+  reviewed_by VARCHAR(36) NULL,
+  reviewed_at TIMESTAMP NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_lead_quarantine_status (status, created_at),
+  INDEX idx_lead_quarantine_ip (ip_address),
+  CONSTRAINT fk_lead_quarantine_lead FOREIGN KEY (lead_id) REFERENCES leads(id) ON DELETE SET NULL,
+  CONSTRAINT fk_lead_quarantine_reviewed_by FOREIGN KEY (reviewed_by) REFERENCES users(id) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- ============================================
+-- 40. ACTIVITY TIMELINE
+-- ============================================
+
+-- What happened to each lead, customer and deal (services/activities.js).
+-- Copies of an event for related records point at the main row through
+-- source_activity_id.
+CREATE TABLE activities (
+  id VARCHAR(36) PRIMARY KEY,
+  entity_type ENUM('lead', 'customer', 'deal') NOT NULL,
+  entity_id VARCHAR(36) NOT NULL,
+  type VARCHAR(50) NOT NULL,
+  title VARCHAR(255) NOT NULL,
+  details JSON,
+  actor_id VARCHAR(36),
+  source_activity_id VARCHAR(36) NULL,
+  created_at TIMESTAMP(3) DEFAULT CURRENT_TIMESTAMP(3),
+  INDEX idx_activities_entity (entity_type, entity_id, created_at),
+  INDEX idx_activities_recent (source_activity_id, created_at),
+  INDEX idx_activities_type (type),
+  CONSTRAINT fk_activities_actor FOREIGN KEY (actor_id) REFERENCES users(id) ON DELETE SET NULL,
+  CONSTRAINT fk_activities_source FOREIGN KEY (source_activity_id) REFERENCES activities(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Existing records start their timeline with when they were created
+INSERT INTO activities (id, entity_type, entity_id, type, title, actor_id, created_at)
+SELECT UUID(), 'lead', id, 'created', CONCAT('Lead created: ', name), created_by, created_at FROM leads;
+
+INSERT INTO activities (id, entity_type, entity_id, type, title, created_at)
+SELECT UUID(), 'customer', id, 'created', CONCAT('Customer created: ', name), created_at FROM customers;
+
+INSERT INTO activities (id, entity_type, entity_id, type, title, created_at)
+SELECT UUID(), 'deal', id, 'deal_created', CONCAT('Deal created: ', title), created_at FROM deals;
+
+-- ============================================
+-- 41. AUDIT LOG
+-- ============================================
+
+-- Who created, changed or deleted customers, leads, deals and invoices, with
+-- the before/after value of each field (services/auditLog.js). Purged after
+-- AUDIT_LOG_RETENTION_DAYS.
+CREATE TABLE audit_log (
+  id VARCHAR(36) PRIMARY KEY,
+  entity_type VARCHAR(30) NOT NULL,
+  entity_id VARCHAR(36) NOT NULL,
+  action ENUM('create', 'update', 'delete') NOT NULL,
+  changes JSON NOT NULL,
+  actor_id VARCHAR(36),
+  ip_address VARCHAR(45),
+  user_agent VARCHAR(500),
+  created_at TIMESTAMP(3) DEFAULT CURRENT_TIMESTAMP(3),
+  INDEX idx_audit_log_entity (entity_type, entity_id, created_at),
+  INDEX idx_audit_log_actor (actor_id, created_at),
+  INDEX idx_audit_log_created (created_at),
+  CONSTRAINT fk_audit_log_actor FOREIGN KEY (actor_id) REFERENCES users(id) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- ============================================
+-- 42. RECYCLE BIN (SOFT DELETE)
+-- ============================================
+
+-- Deleted records keep their row with deleted_at set until they are restored
+-- or purged (services/trash.js). deleted_by has no foreign key so the record
+-- survives its deleter's account.
+
+ALTER TABLE customers
+  ADD COLUMN deleted_at DATETIME NULL,
+  ADD COLUMN deleted_by VARCHAR(36) NULL,
+  ADD INDEX idx_customers_deleted (deleted_at);
+
+ALTER TABLE leads
+  ADD COLUMN deleted_at DATETIME NULL,
+  ADD COLUMN deleted_by VARCHAR(36) NULL,
+  ADD INDEX idx_leads_deleted (deleted_at);
+
+ALTER TABLE deals
+  ADD COLUMN deleted_at DATETIME NULL,
+  ADD COLUMN deleted_by VARCHAR(36) NULL,
+  ADD INDEX idx_deals_deleted (deleted_at);
+
+ALTER TABLE tasks
+  ADD COLUMN deleted_at DATETIME NULL,
+  ADD COLUMN deleted_by VARCHAR(36) NULL,
+  ADD INDEX idx_tasks_deleted (deleted_at);
+
+ALTER TABLE invoices
+  ADD COLUMN deleted_at DATETIME NULL,
+  ADD COLUMN deleted_by VARCHAR(36) NULL,
+  ADD INDEX idx_invoices_deleted (deleted_at);
+
+ALTER TABLE renewals
+  ADD COLUMN deleted_at DATETIME NULL,
+  ADD COLUMN deleted_by VARCHAR(36) NULL,
+  ADD INDEX idx_renewals_deleted (deleted_at);
+
+-- ============================================
+-- 43. BULK IMPORTS
+-- ============================================
+
+-- CSV/XLSX uploads of leads and customers (services/imports.js). The parsed
+-- rows are kept until the import is committed. results holds the outcome of
+-- each row for the validation and import reports.
+CREATE TABLE import_jobs (
+  id VARCHAR(36) PRIMARY KEY,
+  entity_type ENUM('lead', 'customer') NOT NULL,
+  file_name VARCHAR(255) NOT NULL,
+  file_format ENUM('csv', 'xlsx') NOT NULL,
+  status ENUM('uploaded', 'validated', 'importing', 'completed', 'failed') NOT NULL DEFAULT 'uploaded',
+  headers JSON NOT NULL,
+  rows_data LONGTEXT NOT NULL,
+  mapping JSON,
+  on_duplicate VARCHAR(20),
+  total_rows INT NOT NULL DEFAULT 0,
+  processed_rows INT NOT NULL DEFAULT 0,
+  valid_rows INT NOT NULL DEFAULT 0,
+  invalid_rows INT NOT NULL DEFAULT 0,
+  duplicate_rows INT NOT NULL DEFAULT 0,
+  imported_rows INT NOT NULL DEFAULT 0,
+  skipped_rows INT NOT NULL DEFAULT 0,
+  failed_rows INT NOT NULL DEFAULT 0,
+  results LONGTEXT,
+  error TEXT,
+  created_by VARCHAR(36),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  validated_at TIMESTAMP NULL,
+  started_at TIMESTAMP NULL,
+  completed_at TIMESTAMP NULL,
+  INDEX idx_import_jobs_created_by (created_by, created_at),
+  INDEX idx_import_jobs_entity (entity_type, created_at),
+  CONSTRAINT fk_import_jobs_created_by FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- ============================================
+-- 44. WEBHOOK EVENT CLAIMS
+-- ============================================
+
+-- When an event was claimed for processing. Events left in "processing"
+-- (crash or restart mid-way) are claimed again after 15 minutes
+ALTER TABLE whatsapp_webhook_events
+  ADD COLUMN locked_at DATETIME NULL AFTER attempts;
+
+-- ============================================
+-- 45. RECURRING BILLING ANCHOR
+-- ============================================
+
+-- Day of the month recurring periods start on, so a period clamped to a
+-- short month (31 Jan -> 28 Feb) goes back to the 31st afterwards. NULL
+-- until the first period is billed, and again when next_renewal_date is
+-- set by hand.
+ALTER TABLE customers
+  ADD COLUMN recurring_anchor_day TINYINT NULL AFTER next_renewal_date;
+
 INSERT INTO users (
   id,
   name,
@@ -1,6 +1,7 @@
 
 const jwt = require("jsonwebtoken");
 const { pool } = require("../config/database");
+const { getRolePermissions, resolveScope, canAccessRecord } = require("../services/permissions");
 
 const authenticateToken = async (req, res, next) => {
   try {
@@ -49,6 +50,7 @@ const authenticateToken = async (req, res, next) => {
       email: user.email,
       role: user.role,
       is_active: user.is_active,
+      permissions: await getRolePermissions(user.role),
     };
 
     return next();
@@ -74,4 +76,51 @@ const requireRole = (roles) => {
   };
 };
 
-module.exports = { authenticateToken, requireRole };
+/**
+ * requirePermission("leads:read") checks the caller's role grants the action
+ * on the resource and exposes the granted scope as req.permissionScope.
+ * With the "own" scope, a record id in req.params[param] is also checked for
+ * ownership (404 when missing, 403 when owned by someone else). List routes
+ * use req.permissionScope to narrow their queries instead.
+ */
+const requirePermission = (permission, { param = "id" } = {}) => {
+  const [resource, action] = permission.split(":");
+  // "leads" -> "lead", used in error messages
+  const recordName = resource.replace(/s$/, "");
+
+  return async (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ error: "Not authenticated" });
+    }
+
+    try {
+      const scope = resolveScope(req.user.permissions, resource, action);
+      if (!scope) {
+        return res.status(403).json({ error: "Insufficient permissions" });
+      }
+
+      req.permissionScope = scope;
+
+      const recordId = req.params[param];
+      if (scope === "own" && recordId) {
+        const access = await canAccessRecord(req.user, resource, action, recordId);
+        if (!access.found) {
+          const label = recordName.charAt(0).toUpperCase() + recordName.slice(1);
+          return res.status(404).json({ error: `${label} not found` });
+        }
+        if (!access.allowed) {
+          return res
+            .status(403)
+            .json({ error: `You do not have permission to access this ${recordName}` });
+        }
+      }
+
+      return next();
+    } catch (error) {
+      console.error("Permission middleware error:", error);
+      return res.status(500).json({ error: "Authorization failed" });
+    }
+  };
+};
+
+module.exports = { authenticateToken, requireRole, requirePermission };
@@ -0,0 +1,94 @@
+// routes/audit.js
+const express = require("express");
+const { query, validationResult } = require("express-validator");
+const { authenticateToken, requirePermission } = require("../middleware/auth");
+const {
+  ENTITY_TYPES,
+  ACTIONS,
+  RETENTION_DAYS,
+  listAuditLog,
+  getAuditEntry,
+} = require("../services/auditLog");
+
+const router = express.Router();
+
+const handleValidation = (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({ error: "Validation failed", details: errors.array() });
+    return true;
+  }
+  return false;
+};
+
+// A bare date ("2024-05-31") as `to` includes that whole day
+const endOf = (value) => {
+  const date = new Date(value);
+  return /^\d{4}-\d{2}-\d{2}$/.test(value) ? new Date(date.getTime() + 24 * 60 * 60 * 1000 - 1) : date;
+};
+
+// The audit log is read-only and limited to admins ("audit:read:any")
+router.use(authenticateToken, requirePermission("audit:read", { param: null }));
+
+// Who created, changed or deleted what; filter by user, record and date range
+router.get(
+  "/",
+  [
+    query("page").optional().isInt({ min: 1 }).withMessage("Page must be a positive integer"),
+    query("limit").optional().isInt({ min: 1, max: 100 }).withMessage("Limit must be between 1 and 100"),
+    query("userId").optional().isString(),
+    query("entityType")
+      .optional()
+      .isIn(ENTITY_TYPES)
+      .withMessage(`Entity type must be one of ${ENTITY_TYPES.join(", ")}`),
+    query("entityId").optional().isString(),
+    query("action").optional().isIn(ACTIONS).withMessage(`Action must be one of ${ACTIONS.join(", ")}`),
+    query("from").optional().isISO8601().withMessage("From must be a valid date"),
+    query("to").optional().isISO8601().withMessage("To must be a valid date"),
+  ],
+  async (req, res) => {
+    try {
+      if (handleValidation(req, res)) return;
+
+      const page = Number(req.query.page || 1);
+      const limit = Number(req.query.limit || 50);
+      const { userId, entityType, entityId, action, from, to } = req.query;
+
+      const { entries, total } = await listAuditLog({
+        actorId: userId,
+        entityType,
+        entityId,
+        action,
+        from: from ? new Date(from) : undefined,
+        to: to ? endOf(to) : undefined,
+        limit,
+        offset: (page - 1) * limit,
+      });
+      const totalPages = Math.ceil(total / limit);
+
+      res.json({
+        entries,
+        retentionDays: RETENTION_DAYS,
+        pagination: { page, limit, total, totalPages, hasNext: page < totalPages, hasPrev: page > 1 },
+      });
+    } catch (error) {
+      console.error("Audit log fetch error:", error);
+      res.status(500).json({ error: "Failed to fetch audit log" });
+    }
+  }
+);
+
+router.get("/:entryId", async (req, res) => {
+  try {
+    const entry = await getAuditEntry(req.params.entryId);
+    if (!entry) {
+      return res.status(404).json({ error: "Audit entry not found" });
+    }
+    res.json({ entry });
+  } catch (error) {
+    console.error("Audit entry fetch error:", error);
+    res.status(500).json({ error: "Failed to fetch audit entry" });
+  }
+});
+
+module.exports = router;
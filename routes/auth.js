@@ -1,11 +1,13 @@
 
+const crypto = require("crypto");
 const express = require("express");
 const bcrypt = require("bcryptjs");
 const jwt = require("jsonwebtoken");
 const { body, validationResult } = require("express-validator");
 const { pool } = require("../config/database");
-const { authenticateToken, requireRole } = require("../middleware/auth");
+const { authenticateToken, requirePermission } = require("../middleware/auth");
 const { v4: uuidv4 } = require("uuid");
+const { queueEmail } = require("../services/emailOutbox");
 
 const router = express.Router();
 
@@ -39,6 +41,22 @@ const handleValidation = (req, res) => {
   return false;
 };
 
+const RESET_TOKEN_TTL_MINUTES = 60;
+
+const hashResetToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+const frontendUrl = () =>
+  (process.env.FRONTEND_URL || "https://crm-new.vasifytech.com").replace(/\/$/, "");
+
+// Validator: role must be one of the roles configured in the database
+const roleExists = async (role) => {
+  const [roles] = await pool.execute("SELECT name FROM roles WHERE name = ?", [role]);
+  if (roles.length === 0) {
+    throw new Error("Invalid role");
+  }
+  return true;
+};
+
 
 router.post(
   "/register",
@@ -308,13 +326,147 @@ router.put(
   }
 );
 
+/**
+ * Request a password reset email
+ * Always answers 200 so the endpoint cannot be used to discover accounts.
+ */
+router.post(
+  "/forgot-password",
+  [body("email").isEmail().withMessage("Please provide a valid email")],
+  async (req, res) => {
+    try {
+      if (handleValidation(req, res)) return;
+
+      const response = {
+        message: "If an account exists for this email, a password reset link has been sent",
+      };
+
+      const [users] = await pool.execute(
+        "SELECT id, name, email, is_active FROM users WHERE email = ?",
+        [req.body.email]
+      );
+      if (users.length === 0 || !users[0].is_active) {
+        return res.json(response);
+      }
+
+      const user = users[0];
+
+      // One email per couple of minutes is enough for a genuine user
+      const [recent] = await pool.execute(
+        `SELECT id FROM password_resets
+         WHERE user_id = ? AND used_at IS NULL AND created_at > NOW() - INTERVAL 2 MINUTE`,
+        [user.id]
+      );
+      if (recent.length > 0) {
+        return res.json(response);
+      }
+
+      const token = crypto.randomBytes(32).toString("hex");
+
+      await pool.execute(
+        `INSERT INTO password_resets (id, user_id, token_hash, expires_at)
+         VALUES (?, ?, ?, NOW() + INTERVAL ${RESET_TOKEN_TTL_MINUTES} MINUTE)`,
+        [uuidv4(), user.id, hashResetToken(token)]
+      );
+
+      await queueEmail({
+        to: user.email,
+        template: "password_reset",
+        data: {
+          name: user.name,
+          resetUrl: `${frontendUrl()}/reset-password?token=${token}`,
+          expiresInMinutes: RESET_TOKEN_TTL_MINUTES,
+        },
+        relatedType: "user",
+        relatedId: user.id,
+      });
+
+      return res.json(response);
+    } catch (error) {
+      console.error("Forgot password error:", error);
+      return res.status(500).json({ error: "Failed to request password reset" });
+    }
+  }
+);
+
+/**
+ * Reset password with an emailed token
+ */
+router.post(
+  "/reset-password",
+  [
+    body("token").isString().notEmpty().withMessage("Reset token is required"),
+    body("password").isLength({ min: 6 }).withMessage("Password must be at least 6 characters"),
+  ],
+  async (req, res) => {
+    try {
+      if (handleValidation(req, res)) return;
+
+      const [resets] = await pool.execute(
+        `SELECT pr.id, pr.user_id
+         FROM password_resets pr
+         INNER JOIN users u ON pr.user_id = u.id
+         WHERE pr.token_hash = ? AND pr.used_at IS NULL
+           AND pr.expires_at > NOW() AND u.is_active = 1`,
+        [hashResetToken(req.body.token)]
+      );
+
+      if (resets.length === 0) {
+        return res.status(400).json({ error: "Reset link is invalid or has expired" });
+      }
+
+      const reset = resets[0];
+      const saltRounds = 10;
+      const hashedPassword = await bcrypt.hash(req.body.password, saltRounds);
+
+      const connection = await pool.getConnection();
+      await connection.beginTransaction();
+
+      try {
+        // Single use: losing this race means another request already used it
+        const [claimed] = await connection.execute(
+          "UPDATE password_resets SET used_at = NOW() WHERE id = ? AND used_at IS NULL",
+          [reset.id]
+        );
+        if (claimed.affectedRows === 0) {
+          await connection.rollback();
+          return res.status(400).json({ error: "Reset link is invalid or has expired" });
+        }
+
+        await connection.execute(
+          "UPDATE users SET password = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?",
+          [hashedPassword, reset.user_id]
+        );
+
+        // Any other outstanding links for this user stop working
+        await connection.execute(
+          "UPDATE password_resets SET used_at = NOW() WHERE user_id = ? AND used_at IS NULL",
+          [reset.user_id]
+        );
+
+        await connection.commit();
+      } catch (err) {
+        await connection.rollback();
+        throw err;
+      } finally {
+        connection.release();
+      }
+
+      return res.json({ message: "Password reset successfully" });
+    } catch (error) {
+      console.error("Password reset error:", error);
+      return res.status(500).json({ error: "Failed to reset password" });
+    }
+  }
+);
+
 /**
  * Get all users (admin only)
  */
 router.get(
   "/users",
   authenticateToken,
-  requireRole(["admin"]),
+  requirePermission("users:manage"),
   async (req, res) => {
     try {
       const [users] = await pool.execute(
@@ -335,15 +487,12 @@ router.get(
 router.post(
   "/users",
   authenticateToken,
-  requireRole(["admin"]),
+  requirePermission("users:manage"),
   [
     body("name").trim().isLength({ min: 2 }).withMessage("Name must be at least 2 characters"),
     body("email").isEmail().withMessage("Please provide a valid email"),
     body("password").isLength({ min: 6 }).withMessage("Password must be at least 6 characters"),
-    body("role")
-      .optional()
-      .isIn(["admin", "user"])
-      .withMessage("Invalid role"),
+    body("role").optional().custom(roleExists),
   ],
   async (req, res) => {
     try {
@@ -391,7 +540,7 @@ router.post(
 router.put(
   "/users/:id/status",
   authenticateToken,
-  requireRole(["admin"]),
+  requirePermission("users:manage"),
   [body("isActive").isBoolean().withMessage("isActive must be a boolean")],
   async (req, res) => {
     try {
@@ -418,6 +567,43 @@ router.put(
   }
 );
 
+/**
+ * Change a user's role (admin only)
+ */
+router.put(
+  "/users/:id/role",
+  authenticateToken,
+  requirePermission("users:manage"),
+  [body("role").isString().bail().custom(roleExists)],
+  async (req, res) => {
+    try {
+      if (handleValidation(req, res)) return;
+
+      const { id } = req.params;
+      const { role } = req.body;
+
+      // Prevent admin from locking themselves out of user management
+      if (id === req.user.id && role !== req.user.role) {
+        return res.status(400).json({ error: "Cannot change your own role" });
+      }
+
+      const [result] = await pool.execute(
+        "UPDATE users SET role = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?",
+        [role, id]
+      );
+
+      if (result.affectedRows === 0) {
+        return res.status(404).json({ error: "User not found" });
+      }
+
+      return res.json({ message: "User role updated successfully" });
+    } catch (error) {
+      console.error("User role update error:", error);
+      return res.status(500).json({ error: "Failed to update user role" });
+    }
+  }
+);
+
 /**
  * Verify token
  * Good for frontend to check if stored token is still valid.
@@ -431,6 +617,7 @@ router.get("/verify", authenticateToken, (req, res) => {
       email: req.user.email,
       role: req.user.role,
       isActive: req.user.is_active ?? true,
+      permissions: req.user.permissions || [],
     },
   });
 });
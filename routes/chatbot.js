@@ -0,0 +1,160 @@
+// routes/chatbot.js
+const express = require("express");
+const { body, query, validationResult } = require("express-validator");
+const { authenticateToken, requirePermission } = require("../middleware/auth");
+const { listFlows, getFlow, saveFlow, deleteFlow, listSessions } = require("../services/chatbot");
+
+const router = express.Router();
+
+const handleValidation = (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({ error: "Validation failed", details: errors.array() });
+    return true;
+  }
+  return false;
+};
+
+// WhatsApp auto-reply flows; anyone signed in can read them, admins edit
+router.use(authenticateToken);
+
+const flowValidators = (isUpdate) => [
+  isUpdate
+    ? body("name").optional().trim().notEmpty().withMessage("Name cannot be empty")
+    : body("name").trim().notEmpty().withMessage("Name is required"),
+  body("description").optional({ values: "null" }).isString(),
+  body("triggerKeywords").optional().isArray().withMessage("Trigger keywords must be a list"),
+  body("triggerKeywords.*").optional().isString().trim().notEmpty(),
+  body("isDefault").optional().isBoolean().toBoolean(),
+  body("isActive").optional().isBoolean().toBoolean(),
+  body("priority").optional().isInt().toInt(),
+  isUpdate
+    ? body("startStep").optional().isString().notEmpty()
+    : body("startStep").isString().notEmpty().withMessage("Start step is required"),
+  isUpdate
+    ? body("steps").optional().isObject().withMessage("Steps must be an object keyed by step id")
+    : body("steps").isObject().withMessage("Steps must be an object keyed by step id"),
+];
+
+// ================== FLOWS ==================
+router.get(
+  "/flows",
+  [query("active").optional().isBoolean().withMessage("active must be true or false")],
+  async (req, res) => {
+    try {
+      if (handleValidation(req, res)) return;
+
+      const active = req.query.active === undefined ? undefined : req.query.active === "true";
+      res.json({ flows: await listFlows({ active }) });
+    } catch (error) {
+      console.error("Chatbot flows fetch error:", error);
+      res.status(500).json({ error: "Failed to fetch chatbot flows" });
+    }
+  }
+);
+
+router.get("/flows/:id", async (req, res) => {
+  try {
+    const flow = await getFlow(req.params.id);
+    if (!flow) {
+      return res.status(404).json({ error: "Chatbot flow not found" });
+    }
+
+    res.json({ flow });
+  } catch (error) {
+    console.error("Chatbot flow fetch error:", error);
+    res.status(500).json({ error: "Failed to fetch chatbot flow" });
+  }
+});
+
+router.post("/flows", requirePermission("settings:manage"), flowValidators(false), async (req, res) => {
+  try {
+    if (handleValidation(req, res)) return;
+
+    const flow = await saveFlow(null, req.body, req.user.id);
+    res.status(201).json({ message: "Chatbot flow created successfully", flow });
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error("Chatbot flow create error:", error);
+    res.status(500).json({ error: "Failed to create chatbot flow" });
+  }
+});
+
+router.put("/flows/:id", requirePermission("settings:manage"), flowValidators(true), async (req, res) => {
+  try {
+    if (handleValidation(req, res)) return;
+
+    const flow = await saveFlow(req.params.id, req.body, req.user.id);
+    if (!flow) {
+      return res.status(404).json({ error: "Chatbot flow not found" });
+    }
+
+    res.json({ message: "Chatbot flow updated successfully", flow });
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error("Chatbot flow update error:", error);
+    res.status(500).json({ error: "Failed to update chatbot flow" });
+  }
+});
+
+// Deleting a flow also ends the conversations currently in it
+router.delete("/flows/:id", requirePermission("settings:manage"), async (req, res) => {
+  try {
+    if (!(await deleteFlow(req.params.id))) {
+      return res.status(404).json({ error: "Chatbot flow not found" });
+    }
+
+    res.json({ message: "Chatbot flow deleted successfully" });
+  } catch (error) {
+    console.error("Chatbot flow delete error:", error);
+    res.status(500).json({ error: "Failed to delete chatbot flow" });
+  }
+});
+
+// ================== SESSIONS ==================
+router.get(
+  "/sessions",
+  [
+    query("status").optional().isIn(["active", "completed", "handed_off"]),
+    query("page").optional().isInt({ min: 1 }),
+    query("limit").optional().isInt({ min: 1, max: 100 }),
+  ],
+  async (req, res) => {
+    try {
+      if (handleValidation(req, res)) return;
+
+      const page = Math.max(1, Number.parseInt(req.query.page, 10) || 1);
+      const limit = Math.min(100, Math.max(1, Number.parseInt(req.query.limit, 10) || 20));
+
+      const { sessions, total } = await listSessions({
+        flowId: req.query.flowId,
+        status: req.query.status,
+        limit,
+        offset: (page - 1) * limit,
+      });
+
+      const totalPages = total > 0 ? Math.ceil(total / limit) : 1;
+
+      res.json({
+        sessions,
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages,
+          hasNext: page < totalPages,
+          hasPrev: page > 1,
+        },
+      });
+    } catch (error) {
+      console.error("Chatbot sessions fetch error:", error);
+      res.status(500).json({ error: "Failed to fetch chatbot sessions" });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,177 @@
+// routes/creditNotes.js
+const express = require("express");
+const { body, query, validationResult } = require("express-validator");
+const { pool } = require("../config/database");
+const { authenticateToken, requirePermission } = require("../middleware/auth");
+const {
+  getCreditNote,
+  listCreditNotes,
+  writeCreditNotePdf,
+} = require("../services/creditNotes");
+const { describeNumbering, updateNumbering } = require("../services/invoiceSequence");
+
+const router = express.Router();
+
+const handleValidation = (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({ error: "Validation failed", details: errors.array() });
+    return true;
+  }
+  return false;
+};
+
+// Credit notes are issued from /api/invoices/:id/credit-notes; this router
+// lists them, serves their PDFs and holds their numbering settings.
+router.use(authenticateToken);
+
+// Own-scope users only see credit notes of customers assigned to them.
+// :id is a credit note, so requirePermission gets { param: null } and the
+// ownership check happens here instead.
+const canSeeCreditNote = async (req, creditNote) => {
+  if (req.permissionScope !== "own") return true;
+  const [customers] = await pool.execute(
+    "SELECT assigned_to FROM customers WHERE id = ?",
+    [creditNote.customer_id]
+  );
+  return customers.length > 0 && customers[0].assigned_to === req.user.id;
+};
+
+// ================== NUMBERING SETTINGS ==================
+router.get("/settings/numbering", requirePermission("invoices:read"), async (req, res) => {
+  try {
+    res.json(await describeNumbering("credit_note"));
+  } catch (error) {
+    console.error("Credit note numbering fetch error:", error);
+    res.status(500).json({ error: "Failed to fetch credit note numbering settings" });
+  }
+});
+
+router.put(
+  "/settings/numbering",
+  requirePermission("settings:manage"),
+  [
+    body("format").optional().isString().withMessage("Format must be a string"),
+    body("padding").optional().isInt({ min: 1, max: 10 }).toInt(),
+    body("fyStartMonth").optional().isInt({ min: 1, max: 12 }).toInt(),
+    body("resetEvery").optional().isIn(["financial_year", "never"]),
+    body("nextValue").optional().isInt({ min: 1 }).toInt(),
+  ],
+  async (req, res) => {
+    try {
+      if (handleValidation(req, res)) return;
+
+      const { format, padding, fyStartMonth, resetEvery, nextValue } = req.body;
+      const changes = Object.fromEntries(
+        Object.entries({ format, padding, fyStartMonth, resetEvery, nextValue }).filter(
+          ([, value]) => value !== undefined
+        )
+      );
+
+      const connection = await pool.getConnection();
+      await connection.beginTransaction();
+
+      try {
+        await updateNumbering(connection, "credit_note", changes, req.user.id);
+        await connection.commit();
+      } catch (err) {
+        await connection.rollback();
+        throw err;
+      } finally {
+        connection.release();
+      }
+
+      res.json({
+        message: "Credit note numbering updated successfully",
+        ...(await describeNumbering("credit_note")),
+      });
+    } catch (error) {
+      if (error.status === 400) {
+        return res.status(400).json({ error: error.message });
+      }
+      console.error("Credit note numbering update error:", error);
+      res.status(500).json({ error: "Failed to update credit note numbering settings" });
+    }
+  }
+);
+
+// ================== LIST / GET ==================
+router.get(
+  "/",
+  requirePermission("invoices:read"),
+  [
+    query("page").optional().isInt({ min: 1 }),
+    query("limit").optional().isInt({ min: 1, max: 100 }),
+  ],
+  async (req, res) => {
+    try {
+      if (handleValidation(req, res)) return;
+
+      const page = Math.max(1, Number.parseInt(req.query.page, 10) || 1);
+      const limit = Math.min(100, Math.max(1, Number.parseInt(req.query.limit, 10) || 10));
+
+      const { creditNotes, total } = await listCreditNotes({
+        invoiceId: req.query.invoiceId,
+        customerId: req.query.customerId,
+        assignedTo: req.permissionScope === "own" ? req.user.id : undefined,
+        limit,
+        offset: (page - 1) * limit,
+      });
+
+      const totalPages = total > 0 ? Math.ceil(total / limit) : 1;
+
+      res.json({
+        creditNotes,
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages,
+          hasNext: page < totalPages,
+          hasPrev: page > 1,
+        },
+      });
+    } catch (error) {
+      console.error("Credit notes fetch error:", error);
+      res.status(500).json({ error: "Failed to fetch credit notes" });
+    }
+  }
+);
+
+router.get("/:id", requirePermission("invoices:read", { param: null }), async (req, res) => {
+  try {
+    const creditNote = await getCreditNote(req.params.id);
+    if (!creditNote || !(await canSeeCreditNote(req, creditNote))) {
+      return res.status(404).json({ error: "Credit note not found" });
+    }
+
+    res.json({ creditNote });
+  } catch (error) {
+    console.error("Credit note fetch error:", error);
+    res.status(500).json({ error: "Failed to fetch credit note" });
+  }
+});
+
+router.post("/:id/download", requirePermission("invoices:read", { param: null }), async (req, res) => {
+  try {
+    const creditNote = await getCreditNote(req.params.id);
+    if (!creditNote || !(await canSeeCreditNote(req, creditNote))) {
+      return res.status(404).json({ error: "Credit note not found" });
+    }
+
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename=credit-note-${creditNote.credit_note_number.replace(/\//g, "-")}.pdf`
+    );
+
+    await writeCreditNotePdf(res, creditNote, { logoBase64: req.body?.logoBase64 });
+  } catch (error) {
+    console.error("Credit note PDF generation error:", error);
+    if (!res.headersSent) {
+      res.status(500).json({ error: "Failed to generate credit note PDF" });
+    }
+  }
+});
+
+module.exports = router;
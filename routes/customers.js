@@ -2,7 +2,25 @@ const { v4: uuidv4 } = require("uuid");
 const express = require("express");
 const { body, validationResult, query } = require("express-validator");
 const { pool } = require("../config/database");
-const { authenticateToken } = require("../middleware/auth");
+const { authenticateToken, requirePermission } = require("../middleware/auth");
+const { allocateInvoiceNumber } = require("../services/invoiceSequence");
+const { getCompanyProfile } = require("../services/companyProfile");
+const {
+  buildGstInvoice,
+  insertInvoiceItems,
+  isValidGstin,
+  normaliseGstin,
+} = require("../services/gst");
+const {
+  ACTIVITY_TYPES,
+  recordActivity,
+  recordChanges,
+  getTimeline,
+} = require("../services/activities");
+const { recordAudit } = require("../services/auditLog");
+const { softDelete } = require("../services/trash");
+const { createImportRouter } = require("./imports");
+const { EXPORT_FORMATS, streamExport } = require("../services/exports");
 
 const router = express.Router();
 
@@ -42,6 +60,7 @@ const customerFieldMap = {
   state: "state",
   zipCode: "zip_code",
   country: "country",
+  gstin: "gstin",
   status: "status",
   source: "source",
   tags: "tags",
@@ -74,33 +93,17 @@ const customerFieldMap = {
   defaultRenewalNotes: "default_renewal_notes",
 };
 
+// Bulk CSV/XLSX import (/api/customers/imports); before "/:id" so it is not taken for a customer id
+router.use(
+  "/imports",
+  createImportRouter({ entityType: "customer", fieldMap: customerFieldMap, resource: "customers" })
+);
+
 // ✅ AUTO-INVOICE HELPER
 const createAutoInvoice = async (customerId, customer, userId) => {
-  try {
-    // Get next invoice number (INV-001, INV-002...)
-    const [lastInvoice] = await pool.execute(
-      "SELECT invoice_number FROM invoices ORDER BY created_at DESC LIMIT 1"
-    );
-
-    const nextNumber =
-      lastInvoice.length > 0
-        ? parseInt(lastInvoice[0].invoice_number.replace("INV-", ""), 10) + 1
-        : 1;
-
-    const invoiceNumber = `INV-${nextNumber.toString().padStart(3, "0")}`;
-
-    // Avoid duplicate invoice_number (race-safety basic check)
-    const [existingInvoice] = await pool.execute(
-      "SELECT id FROM invoices WHERE invoice_number = ?",
-      sanitizeParams(invoiceNumber)
-    );
-    if (existingInvoice.length > 0) {
-      console.warn(
-        `Duplicate invoice number ${invoiceNumber}, skipping auto invoice`
-      );
-      return null;
-    }
+  const connection = await pool.getConnection();
 
+  try {
     const invoiceAmount =
       customer.one_time_price ||
       customer.monthly_price ||
@@ -111,57 +114,79 @@ const createAutoInvoice = async (customerId, customer, userId) => {
     const dueDays = customer.default_due_days || 30;
     const serviceName = customer.service || "Service Charges";
 
-   const invoiceId = uuidv4()
-
-// Insert invoice
-await pool.execute(
-  `INSERT INTO invoices (
-    id,
-    customer_id,
-    invoice_number,
-    amount,
-    tax,
-    total,
-    status,
-    due_date,
-    notes
-  )
-  VALUES (
-    ?, ?, ?, ?, ?, ?, 'draft', DATE_ADD(NOW(), INTERVAL ? DAY), ?
-  )`,
-  sanitizeParams(
-    invoiceId, // id
-    customerId, // customer_id
-    invoiceNumber, // invoice_number
-    invoiceAmount, // amount
-    taxRate, // tax
-    invoiceAmount + (invoiceAmount * taxRate) / 100, // total
-    dueDays, // INTERVAL ? DAY -> due_date
-    `Auto-generated invoice for ${serviceName}. Total Value: ₹${invoiceAmount}` // notes
-  )
-)
-
-
-    // Insert single invoice item
-    await pool.execute(
-      `INSERT INTO invoice_items (
+    const invoiceId = uuidv4();
+
+    // Single line; CGST+SGST or IGST follows the customer's state / GSTIN
+    const gst = buildGstInvoice({
+      company: await getCompanyProfile(),
+      customer,
+      items: [
+        { description: serviceName, quantity: 1, rate: invoiceAmount, amount: invoiceAmount },
+      ],
+      defaultRate: taxRate,
+    });
+
+    await connection.beginTransaction();
+
+    // Number comes from the shared sequence and is only consumed on commit
+    const invoiceNumber = await allocateInvoiceNumber(connection);
+
+    await connection.execute(
+      `INSERT INTO invoices (
         id,
-        invoice_id,
-        description,
-        quantity,
-        rate,
-        amount
+        customer_id,
+        invoice_number,
+        amount,
+        tax,
+        total,
+        status,
+        due_date,
+        notes,
+        place_of_supply,
+        supply_type,
+        company_gstin,
+        customer_gstin,
+        cgst_amount,
+        sgst_amount,
+        igst_amount
       )
-      VALUES (?, ?, ?, 1, ?, ?)`,
+      VALUES (
+        ?, ?, ?, ?, ?, ?, 'draft', DATE_ADD(NOW(), INTERVAL ? DAY), ?, ?, ?, ?, ?, ?, ?, ?
+      )`,
       sanitizeParams(
-        uuidv4(),
-        invoiceId,
-        serviceName,
-        invoiceAmount,
-        invoiceAmount
+        invoiceId, // id
+        customerId, // customer_id
+        invoiceNumber, // invoice_number
+        gst.totals.taxable, // amount
+        taxRate, // tax
+        gst.totals.total, // total
+        dueDays, // INTERVAL ? DAY -> due_date
+        `Auto-generated invoice for ${serviceName}. Total Value: ₹${invoiceAmount}`, // notes
+        gst.placeOfSupply,
+        gst.supplyType,
+        gst.companyGstin,
+        gst.customerGstin,
+        gst.totals.cgst,
+        gst.totals.sgst,
+        gst.totals.igst
       )
     );
 
+    await insertInvoiceItems(connection, invoiceId, gst.lines);
+    await recordActivity(
+      {
+        entityType: "customer",
+        entityId: customerId,
+        type: "invoice_created",
+        title: `Invoice ${invoiceNumber} created automatically (₹${gst.totals.total})`,
+        details: { invoiceId, invoiceNumber, total: gst.totals.total },
+        actorId: userId,
+      },
+      connection
+    );
+
+    await connection.commit();
+
     console.log(
       `✅ Auto-created invoice ${invoiceNumber} for customer ${customerId}`
     );
@@ -169,26 +194,92 @@ await pool.execute(
     return {
       id: invoiceId,
       invoiceNumber,
-      amount: invoiceAmount,
-      total: invoiceAmount + (invoiceAmount * taxRate) / 100,
+      amount: gst.totals.taxable,
+      total: gst.totals.total,
       status: "draft",
     };
   } catch (error) {
+    await connection.rollback();
     console.error("Auto-invoice creation failed:", error);
     return null; // Do not block customer creation
+  } finally {
+    connection.release();
   }
 };
 
+// Filters of GET /api/customers, shared with GET /api/customers/export
+const customerListFilters = [
+  query("search").optional().isString(),
+  query("status").optional().isIn(["active", "inactive", "prospect"]),
+  query("assignedTo").optional().isString(),
+];
+
+// WHERE of the customer list for the caller's filters and scope
+const buildCustomerListQuery = (req) => {
+  const { search, status, assignedTo } = req.query;
+
+  let whereClause = "WHERE c.deleted_at IS NULL";
+  const queryParams = [];
+
+  if (req.permissionScope === "own") {
+    whereClause += " AND c.assigned_to = ?";
+    queryParams.push(req.user.id);
+  } else if (assignedTo) {
+    whereClause += " AND c.assigned_to = ?";
+    queryParams.push(assignedTo);
+  }
+
+  if (search) {
+    whereClause +=
+      " AND (c.name LIKE ? OR c.email LIKE ? OR c.company LIKE ? OR c.phone LIKE ?)";
+    const searchTerm = `%${search}%`;
+    queryParams.push(searchTerm, searchTerm, searchTerm, searchTerm);
+  }
+
+  if (status) {
+    whereClause += " AND c.status = ?";
+    queryParams.push(status);
+  }
+
+  return { whereClause, queryParams };
+};
+
+// Columns of GET /api/customers/export (?columns=name,email,...)
+const customerExportColumns = {
+  id: { header: "ID", sql: "c.id" },
+  name: { header: "Name", sql: "c.name" },
+  email: { header: "Email", sql: "c.email" },
+  phone: { header: "Phone", sql: "c.phone" },
+  whatsappNumber: { header: "WhatsApp number", sql: "c.whatsapp_number" },
+  company: { header: "Company", sql: "c.company" },
+  gstin: { header: "GSTIN", sql: "c.gstin" },
+  address: { header: "Address", sql: "c.address" },
+  city: { header: "City", sql: "c.city" },
+  state: { header: "State", sql: "c.state" },
+  zipCode: { header: "ZIP code", sql: "c.zip_code" },
+  country: { header: "Country", sql: "c.country" },
+  status: { header: "Status", sql: "c.status" },
+  source: { header: "Source", sql: "c.source" },
+  service: { header: "Service", sql: "c.service" },
+  tags: { header: "Tags", sql: "c.tags", type: "json" },
+  totalValue: { header: "Total value", sql: "c.total_value", type: "number" },
+  lastContactDate: { header: "Last contact date", sql: "c.last_contact_date", type: "date" },
+  nextRenewalDate: { header: "Next renewal date", sql: "c.next_renewal_date", type: "date" },
+  assignedTo: { header: "Assigned to", sql: "u.name" },
+  notes: { header: "Notes", sql: "c.notes" },
+  createdAt: { header: "Created at", sql: "c.created_at", type: "datetime" },
+  updatedAt: { header: "Updated at", sql: "c.updated_at", type: "datetime" },
+};
+
 // GET all customers with filtering and pagination
 router.get(
   "/",
   authenticateToken,
+  requirePermission("customers:read"),
   [
     query("page").optional().isInt({ min: 1 }),
     query("limit").optional().isInt({ min: 1, max: 100 }),
-    query("search").optional().isString(),
-    query("status").optional().isIn(["active", "inactive", "prospect"]),
-    query("assignedTo").optional().isString(),
+    ...customerListFilters,
   ],
   async (req, res) => {
     try {
@@ -207,30 +298,7 @@ router.get(
 
       const offset = (page - 1) * limit;
 
-      const { search, status, assignedTo } = req.query;
-
-      let whereClause = "WHERE 1=1";
-      const queryParams = [];
-
-      if (req.user.role !== "admin") {
-        whereClause += " AND c.assigned_to = ?";
-        queryParams.push(req.user.userId);
-      } else if (assignedTo) {
-        whereClause += " AND c.assigned_to = ?";
-        queryParams.push(assignedTo);
-      }
-
-      if (search) {
-        whereClause +=
-          " AND (c.name LIKE ? OR c.email LIKE ? OR c.company LIKE ? OR c.phone LIKE ?)";
-        const searchTerm = `%${search}%`;
-        queryParams.push(searchTerm, searchTerm, searchTerm, searchTerm);
-      }
-
-      if (status) {
-        whereClause += " AND c.status = ?";
-        queryParams.push(status);
-      }
+      const { whereClause, queryParams } = buildCustomerListQuery(req);
 
       const customersSql = `
         SELECT 
@@ -278,46 +346,51 @@ router.get(
   }
 );
 
-// Helper: ensure current user can access a specific customer
-// const ensureCanAccessCustomer = async (req, res, customerId) => {
-//   if (req.user.role === "admin" ) return { ok: true };
-
-//   const [rows] = await pool.execute(
-//     "SELECT id FROM customers WHERE id = ? AND assigned_to = ?",
-//     sanitizeParams(customerId, req.user.userId)
-//   );
-
-//   if (rows.length === 0) {
-//     return {
-//       ok: false,
-//       response: res
-//         .status(403)
-//         .json({ error: "You do not have permission to access this customer" }),
-//     };
-//   }
-
-//   return { ok: true };
-// };
-
-
-// Helper: ensure current user can access a specific customer
-const ensureCanAccessCustomer = async (req, res, customerId) => {
-  // If you still want admins to always pass:
-  if (req.user.role === "admin") return { ok: true }
-
-  // ✅ For now, allow all authenticated users to access any customer
-  return { ok: true }
-}
+// Download the filtered customer list (same filters as GET /) as CSV, XLSX or JSON
+router.get(
+  "/export",
+  authenticateToken,
+  requirePermission("customers:read"),
+  [
+    ...customerListFilters,
+    query("format")
+      .optional()
+      .isIn(EXPORT_FORMATS)
+      .withMessage(`Format must be one of ${EXPORT_FORMATS.join(", ")}`),
+    query("columns").optional().isString().withMessage("Columns must be a comma separated list"),
+  ],
+  async (req, res) => {
+    try {
+      if (handleValidation(req, res)) return;
 
+      const { whereClause, queryParams } = buildCustomerListQuery(req);
+      await streamExport(res, {
+        format: req.query.format,
+        columns: customerExportColumns,
+        requested: req.query.columns,
+        from: "customers c LEFT JOIN users u ON c.assigned_to = u.id",
+        where: whereClause,
+        params: sanitizeParams(...queryParams),
+        orderBy: "c.created_at DESC",
+        fileName: "customers",
+      });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      console.error("Customers export error:", error);
+      if (!res.headersSent) {
+        res.status(500).json({ error: "Failed to export customers" });
+      }
+    }
+  }
+);
 
 // GET customer by ID (with related)
-router.get("/:id", authenticateToken, async (req, res) => {
+router.get("/:id", authenticateToken, requirePermission("customers:read"), async (req, res) => {
   try {
     const { id } = req.params;
 
-    const access = await ensureCanAccessCustomer(req, res, id);
-    if (!access.ok) return;
-
     const [customers] = await pool.execute(
       `
       SELECT 
@@ -325,7 +398,7 @@ router.get("/:id", authenticateToken, async (req, res) => {
         u.name AS assigned_user_name
       FROM customers c
       LEFT JOIN users u ON c.assigned_to = u.id
-      WHERE c.id = ?
+      WHERE c.id = ? AND c.deleted_at IS NULL
     `,
       sanitizeParams(id)
     );
@@ -338,17 +411,19 @@ router.get("/:id", authenticateToken, async (req, res) => {
     customer.tags = parseTags(customer.tags);
 
     const [deals] = await pool.execute(
-      "SELECT id, title, value, stage, probability FROM deals WHERE customer_id = ?",
+      "SELECT id, title, value, stage, probability FROM deals WHERE customer_id = ? AND deleted_at IS NULL",
       sanitizeParams(id)
     );
 
     const [tasks] = await pool.execute(
-      'SELECT id, title, type, status, due_date FROM tasks WHERE related_type = "customer" AND related_id = ?',
+      `SELECT id, title, type, status, due_date FROM tasks
+       WHERE related_type = "customer" AND related_id = ? AND deleted_at IS NULL`,
       sanitizeParams(id)
     );
 
     const [invoices] = await pool.execute(
-      "SELECT id, invoice_number, total, status, due_date FROM invoices WHERE customer_id = ?",
+      `SELECT id, invoice_number, total, status, due_date FROM invoices
+       WHERE customer_id = ? AND deleted_at IS NULL`,
       sanitizeParams(id)
     );
 
@@ -366,10 +441,58 @@ router.get("/:id", authenticateToken, async (req, res) => {
   }
 });
 
+// Activity timeline of a customer, newest first (?type=a,b filters by activity type)
+router.get(
+  "/:id/timeline",
+  authenticateToken,
+  requirePermission("customers:read"),
+  [
+    query("page").optional().isInt({ min: 1 }).withMessage("Page must be a positive integer"),
+    query("limit").optional().isInt({ min: 1, max: 100 }).withMessage("Limit must be between 1 and 100"),
+    query("type")
+      .optional()
+      .custom((value) => String(value).split(",").every((type) => ACTIVITY_TYPES.includes(type.trim())))
+      .withMessage(`Type must be a comma separated list of ${ACTIVITY_TYPES.join(", ")}`),
+  ],
+  async (req, res) => {
+    try {
+      if (handleValidation(req, res)) return;
+
+      const [customers] = await pool.execute(
+        "SELECT id FROM customers WHERE id = ? AND deleted_at IS NULL",
+        sanitizeParams(req.params.id)
+      );
+      if (customers.length === 0) {
+        return res.status(404).json({ error: "Customer not found" });
+      }
+
+      const page = Number(req.query.page || 1);
+      const limit = Number(req.query.limit || 20);
+      const types = req.query.type ? String(req.query.type).split(",").map((type) => type.trim()) : [];
+
+      const { activities, total } = await getTimeline("customer", req.params.id, {
+        types,
+        limit,
+        offset: (page - 1) * limit,
+      });
+      const totalPages = Math.ceil(total / limit);
+
+      res.json({
+        activities,
+        pagination: { page, limit, total, totalPages, hasNext: page < totalPages, hasPrev: page > 1 },
+      });
+    } catch (error) {
+      console.error("Customer timeline error:", error);
+      res.status(500).json({ error: "Failed to fetch customer timeline" });
+    }
+  }
+);
+
 // CREATE customer + auto-invoice
 router.post(
   "/",
   authenticateToken,
+  requirePermission("customers:write"),
   [
     body("name").trim().notEmpty().withMessage("Name is required"),
     body("email").isEmail().withMessage("Valid email is required"),
@@ -395,6 +518,11 @@ router.post(
     body("monthlyPrice").optional().isNumeric(),
     body("manualPrice").optional().isNumeric(),
 
+    body("gstin")
+      .optional({ values: "falsy" })
+      .custom(isValidGstin)
+      .withMessage("GSTIN is not valid")
+      .customSanitizer(normaliseGstin),
     body("defaultTaxRate").optional().isNumeric(),
     body("defaultDueDays").optional().isInt(),
     body("defaultInvoiceNotes").optional().isString(),
@@ -429,6 +557,7 @@ router.post(
         state,
         zipCode,
         country,
+        gstin,
         status = "prospect",
         source,
         tags = [],
@@ -454,13 +583,13 @@ router.post(
         defaultRenewalNotes,
       } = req.body;
 
-      const assignedTo = req.user.userId;
+      const assignedTo = req.user.id;
       const id = uuidv4();
 
       // Auto-populate service from lead if missing
       if (leadId && (!service || !serviceType)) {
         const [lead] = await pool.execute(
-          "SELECT service FROM leads WHERE id = ?",
+          "SELECT service FROM leads WHERE id = ? AND deleted_at IS NULL",
           sanitizeParams(leadId)
         );
 
@@ -486,15 +615,18 @@ router.post(
           ? Number(totalValue)
           : 0;
 
+      // Trashed customers still hold their email (customers.email is unique)
       const [existingCustomers] = await pool.execute(
-        "SELECT id FROM customers WHERE email = ?",
+        "SELECT id, deleted_at FROM customers WHERE email = ?",
         sanitizeParams(email)
       );
 
       if (existingCustomers.length > 0) {
-        return res
-          .status(400)
-          .json({ error: "Customer with this email already exists" });
+        return res.status(400).json({
+          error: existingCustomers[0].deleted_at
+            ? "A customer with this email is in the trash; restore it instead"
+            : "Customer with this email already exists",
+        });
       }
 
       await pool.execute(
@@ -510,6 +642,7 @@ router.post(
           state,
           zip_code,
           country,
+          gstin,
           status,
           source,
           assigned_to,
@@ -535,7 +668,7 @@ router.post(
           default_renewal_reminder_days,
           default_renewal_notes
         )
-        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
         `,
         sanitizeParams(
           id,
@@ -548,6 +681,7 @@ router.post(
           state,
           zipCode,
           country || "India",
+          gstin || null,
           status || "prospect",
           source,
           assignedTo,
@@ -574,6 +708,16 @@ router.post(
           defaultRenewalNotes
         )
       );
+      await recordActivity({
+        entityType: "customer",
+        entityId: id,
+        type: "created",
+        title: leadId ? "Customer created from a lead" : "Customer created",
+        details: { status, source: source || null },
+        actorId: req.user.id,
+        related: leadId ? [{ type: "lead", id: leadId }] : [],
+      });
+      await recordAudit({ entityType: "customer", entityId: id, action: "create", req });
 
       const [customers] = await pool.execute(
         `
@@ -591,7 +735,10 @@ router.post(
       customer.tags = parseTags(customer.tags);
 
       // ✅ AUTO-INVOICE CALL
-      const autoInvoice = await createAutoInvoice(id, customer, req.user.userId);
+      const autoInvoice = await createAutoInvoice(id, customer, req.user.id);
+      if (autoInvoice) {
+        await recordAudit({ entityType: "invoice", entityId: autoInvoice.id, action: "create", req });
+      }
 
       res.status(201).json({
         message: `Customer created successfully${
@@ -611,6 +758,7 @@ router.post(
 router.put(
   "/:id",
   authenticateToken,
+  requirePermission("customers:write"),
   [
     body("name").optional().trim().notEmpty(),
     body("email").optional().isEmail(),
@@ -636,6 +784,11 @@ router.put(
     body("monthlyPrice").optional().isNumeric(),
     body("manualPrice").optional().isNumeric(),
 
+    body("gstin")
+      .optional({ values: "falsy" })
+      .custom(isValidGstin)
+      .withMessage("GSTIN is not valid")
+      .customSanitizer(normaliseGstin),
     body("defaultTaxRate").optional().isNumeric(),
     body("defaultDueDays").optional().isInt(),
     body("defaultInvoiceNotes").optional().isString(),
@@ -661,11 +814,8 @@ router.put(
       const { id } = req.params;
       const updateData = { ...req.body };
 
-      const access = await ensureCanAccessCustomer(req, res, id);
-      if (!access.ok) return;
-
       const [existingCustomers] = await pool.execute(
-        "SELECT id FROM customers WHERE id = ?",
+        "SELECT * FROM customers WHERE id = ? AND deleted_at IS NULL",
         sanitizeParams(id)
       );
 
@@ -725,6 +875,11 @@ router.put(
         return res.status(400).json({ error: "No fields to update" });
       }
 
+      // A new renewal date starts a new billing anchor (services/recurringInvoices.js)
+      if (updateData.nextRenewalDate !== undefined) {
+        updateFields.push("recurring_anchor_day = NULL");
+      }
+
       updateValues.push(id);
 
       await pool.execute(
@@ -733,6 +888,20 @@ router.put(
         )}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
         sanitizeParams(...updateValues)
       );
+      await recordChanges({
+        entityType: "customer",
+        entityId: id,
+        before: existingCustomers[0],
+        after: { status: updateData.status, notes: updateData.notes },
+        actorId: req.user.id,
+      });
+      await recordAudit({
+        entityType: "customer",
+        entityId: id,
+        action: "update",
+        before: existingCustomers[0],
+        req,
+      });
 
       const [customers] = await pool.execute(
         `
@@ -761,15 +930,12 @@ router.put(
 );
 
 // DELETE customer
-router.delete("/:id", authenticateToken, async (req, res) => {
+router.delete("/:id", authenticateToken, requirePermission("customers:delete"), async (req, res) => {
   try {
     const { id } = req.params;
 
-    const access = await ensureCanAccessCustomer(req, res, id);
-    if (!access.ok) return;
-
     const [existingCustomers] = await pool.execute(
-      "SELECT id FROM customers WHERE id = ?",
+      "SELECT * FROM customers WHERE id = ? AND deleted_at IS NULL",
       sanitizeParams(id)
     );
 
@@ -778,12 +944,12 @@ router.delete("/:id", authenticateToken, async (req, res) => {
     }
 
     const [deals] = await pool.execute(
-      "SELECT COUNT(*) as count FROM deals WHERE customer_id = ?",
+      "SELECT COUNT(*) as count FROM deals WHERE customer_id = ? AND deleted_at IS NULL",
       sanitizeParams(id)
     );
 
     const [invoices] = await pool.execute(
-      "SELECT COUNT(*) as count FROM invoices WHERE customer_id = ?",
+      "SELECT COUNT(*) as count FROM invoices WHERE customer_id = ? AND deleted_at IS NULL",
       sanitizeParams(id)
     );
 
@@ -797,10 +963,18 @@ router.delete("/:id", authenticateToken, async (req, res) => {
       });
     }
 
-    await pool.execute("DELETE FROM customers WHERE id = ?", sanitizeParams(id));
+    // Into the trash, together with its renewals (see services/trash.js)
+    await softDelete("customer", id, req.user.id);
+    await recordAudit({
+      entityType: "customer",
+      entityId: id,
+      action: "delete",
+      before: existingCustomers[0],
+      req,
+    });
 
     res.json({
-      message: "Customer deleted successfully",
+      message: "Customer moved to trash",
       id,
     });
   } catch (error) {
@@ -810,15 +984,12 @@ router.delete("/:id", authenticateToken, async (req, res) => {
 });
 
 // Move customer back to lead (unchanged from your original)
-router.post("/:id/move-to-lead", authenticateToken, async (req, res) => {
+router.post("/:id/move-to-lead", authenticateToken, requirePermission("customers:write"), async (req, res) => {
   try {
     const { id } = req.params;
 
-    const access = await ensureCanAccessCustomer(req, res, id);
-    if (!access.ok) return;
-
     const [customers] = await pool.execute(
-      "SELECT * FROM customers WHERE id = ?",
+      "SELECT * FROM customers WHERE id = ? AND deleted_at IS NULL",
       sanitizeParams(id)
     );
 
@@ -868,6 +1039,17 @@ router.post("/:id/move-to-lead", authenticateToken, async (req, res) => {
       'UPDATE tasks SET related_type = "lead", related_id = ? WHERE related_type = "customer" AND related_id = ?',
       sanitizeParams(leadId, id)
     );
+    await recordActivity({
+      entityType: "customer",
+      entityId: id,
+      type: "converted",
+      title: "Moved back to a lead",
+      details: { leadId, status: { from: customer.status, to: "inactive" } },
+      actorId: req.user.id,
+      related: [{ type: "lead", id: leadId }],
+    });
+    await recordAudit({ entityType: "lead", entityId: leadId, action: "create", req });
+    await recordAudit({ entityType: "customer", entityId: id, action: "update", before: customer, req });
 
     return res.json({
       message: "Customer moved back to lead successfully",
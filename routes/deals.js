@@ -2,7 +2,17 @@
 const express = require("express")
 const { body, validationResult, query } = require("express-validator")
 const { pool } = require("../config/database")
-const { authenticateToken } = require("../middleware/auth")
+const { authenticateToken, requirePermission } = require("../middleware/auth")
+const { v4: uuidv4 } = require("uuid")
+const {
+  ACTIVITY_TYPES,
+  recordActivity,
+  recordChanges,
+  getTimeline,
+} = require("../services/activities")
+const { recordAudit } = require("../services/auditLog")
+const { softDelete } = require("../services/trash")
+const { EXPORT_FORMATS, streamExport } = require("../services/exports")
 
 const router = express.Router()
 
@@ -45,29 +55,88 @@ const dealFieldMap = {
   notes: "notes",
 }
 
+// Filters of GET /api/deals, shared with GET /api/deals/export
+const dealListFilters = [
+  query("search").optional().isString().withMessage("Search must be a string"),
+  query("stage")
+    .optional()
+    .isIn([
+      "prospecting",
+      "qualification",
+      "proposal",
+      "negotiation",
+      "closed-won",
+      "closed-lost",
+    ])
+    .withMessage("Invalid stage"),
+  query("customerId").optional().isString().withMessage("Customer ID must be a string"),
+  query("assignedTo").optional().isString().withMessage("AssignedTo must be a string"),
+  query("minValue").optional().isNumeric().withMessage("Min value must be numeric"),
+  query("maxValue").optional().isNumeric().withMessage("Max value must be numeric"),
+]
+
+// WHERE of the deal list for the caller's filters and scope
+const buildDealListQuery = (req) => {
+  const { search, status, stage, assignedTo } = req.query
+
+  let whereClause = "WHERE d.deleted_at IS NULL"
+  const queryParams = []
+
+  if (search) {
+    whereClause +=
+      " AND (d.title LIKE ? OR c.name LIKE ? OR c.company LIKE ?)"
+    const searchTerm = `%${search}%`
+    queryParams.push(searchTerm, searchTerm, searchTerm)
+  }
+
+  if (status) {
+    whereClause += " AND d.status = ?"
+    queryParams.push(status)
+  }
+
+  if (stage) {
+    whereClause += " AND d.stage = ?"
+    queryParams.push(stage)
+  }
+
+  if (req.permissionScope === "own") {
+    whereClause += " AND d.assigned_to = ?"
+    queryParams.push(req.user.id)
+  } else if (assignedTo) {
+    whereClause += " AND d.assigned_to = ?"
+    queryParams.push(assignedTo)
+  }
+
+  return { whereClause, queryParams }
+}
+
+// Columns of GET /api/deals/export (?columns=title,value,...)
+const dealExportColumns = {
+  id: { header: "ID", sql: "d.id" },
+  title: { header: "Title", sql: "d.title" },
+  customer: { header: "Customer", sql: "c.name" },
+  company: { header: "Company", sql: "c.company" },
+  value: { header: "Value", sql: "d.value", type: "number" },
+  stage: { header: "Stage", sql: "d.stage" },
+  probability: { header: "Probability", sql: "d.probability", type: "number" },
+  expectedCloseDate: { header: "Expected close date", sql: "d.expected_close_date", type: "date" },
+  actualCloseDate: { header: "Actual close date", sql: "d.actual_close_date", type: "date" },
+  assignedTo: { header: "Assigned to", sql: "u.name" },
+  products: { header: "Products", sql: "d.products", type: "json" },
+  notes: { header: "Notes", sql: "d.notes" },
+  createdAt: { header: "Created at", sql: "d.created_at", type: "datetime" },
+  updatedAt: { header: "Updated at", sql: "d.updated_at", type: "datetime" },
+}
+
 // Get all deals with filtering and pagination - FIXED VALIDATION
 router.get(
   "/",
   authenticateToken,
+  requirePermission("deals:read"),
   [
     query("page").optional().isInt({ min: 1 }).withMessage("Page must be a positive integer"),
     query("limit").optional().isInt({ min: 1, max: 100 }).withMessage("Limit must be between 1 and 100"),
-    query("search").optional().isString().withMessage("Search must be a string"),
-    query("stage")      // ✅ FIXED: Added .isIn() before .withMessage()
-      .optional()
-      .isIn([
-        "prospecting",
-        "qualification",
-        "proposal",
-        "negotiation",
-        "closed-won",
-        "closed-lost",
-      ])
-      .withMessage("Invalid stage"),
-    query("customerId").optional().isString().withMessage("Customer ID must be a string"),
-    query("assignedTo").optional().isString().withMessage("AssignedTo must be a string"),
-    query("minValue").optional().isNumeric().withMessage("Min value must be numeric"),
-    query("maxValue").optional().isNumeric().withMessage("Max value must be numeric"),
+    ...dealListFilters,
   ],
   async (req, res) => {
     try {
@@ -80,32 +149,7 @@ const page = Math.max(1, parseInt(req.query.page, 10) || 1)
 const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 10))
 const offset = (page - 1) * limit
 
-const { search, status, stage, assignedTo } = req.query
-
-let whereClause = "WHERE 1=1"
-const queryParams = []
-
-if (search) {
-  whereClause +=
-    " AND (d.title LIKE ? OR c.name LIKE ? OR c.company LIKE ?)"
-  const searchTerm = `%${search}%`
-  queryParams.push(searchTerm, searchTerm, searchTerm)
-}
-
-if (status) {
-  whereClause += " AND d.status = ?"
-  queryParams.push(status)
-}
-
-if (stage) {
-  whereClause += " AND d.stage = ?"
-  queryParams.push(stage)
-}
-
-if (assignedTo) {
-  whereClause += " AND d.assigned_to = ?"
-  queryParams.push(assignedTo)
-}
+const { whereClause, queryParams } = buildDealListQuery(req)
 
 const dealsSql = `
   SELECT 
@@ -155,8 +199,51 @@ res.json({
   },
 )
 
+// Download the filtered deal list (same filters as GET /) as CSV, XLSX or JSON
+router.get(
+  "/export",
+  authenticateToken,
+  requirePermission("deals:read"),
+  [
+    ...dealListFilters,
+    query("format")
+      .optional()
+      .isIn(EXPORT_FORMATS)
+      .withMessage(`Format must be one of ${EXPORT_FORMATS.join(", ")}`),
+    query("columns").optional().isString().withMessage("Columns must be a comma separated list"),
+  ],
+  async (req, res) => {
+    try {
+      const validationError = handleValidation(req, res)
+      if (validationError) return
+
+      const { whereClause, queryParams } = buildDealListQuery(req)
+      await streamExport(res, {
+        format: req.query.format,
+        columns: dealExportColumns,
+        requested: req.query.columns,
+        from: `deals d
+               LEFT JOIN customers c ON d.customer_id = c.id
+               LEFT JOIN users u ON d.assigned_to = u.id`,
+        where: whereClause,
+        params: queryParams,
+        orderBy: "d.created_at DESC",
+        fileName: "deals",
+      })
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message })
+      }
+      console.error("Deals export error:", error)
+      if (!res.headersSent) {
+        res.status(500).json({ error: "Failed to export deals" })
+      }
+    }
+  },
+)
+
 // Get deal by ID
-router.get("/:id", authenticateToken, async (req, res) => {
+router.get("/:id", authenticateToken, requirePermission("deals:read"), async (req, res) => {
   try {
     const { id } = req.params
 
@@ -172,7 +259,7 @@ router.get("/:id", authenticateToken, async (req, res) => {
       FROM deals d
       LEFT JOIN customers c ON d.customer_id = c.id
       LEFT JOIN users u ON d.assigned_to = u.id
-      WHERE d.id = ?
+      WHERE d.id = ? AND d.deleted_at IS NULL
     `,
       [id],
     )
@@ -185,7 +272,8 @@ router.get("/:id", authenticateToken, async (req, res) => {
     deal.products = parseProducts(deal.products)
 
     const [tasks] = await pool.execute(
-      'SELECT id, title, type, status, priority, due_date FROM tasks WHERE related_type = "deal" AND related_id = ?',
+      `SELECT id, title, type, status, priority, due_date FROM tasks
+       WHERE related_type = "deal" AND related_id = ? AND deleted_at IS NULL`,
       [id],
     )
 
@@ -201,10 +289,59 @@ router.get("/:id", authenticateToken, async (req, res) => {
   }
 })
 
+// Activity timeline of a deal, newest first (?type=a,b filters by activity type)
+router.get(
+  "/:id/timeline",
+  authenticateToken,
+  requirePermission("deals:read"),
+  [
+    query("page").optional().isInt({ min: 1 }).withMessage("Page must be a positive integer"),
+    query("limit").optional().isInt({ min: 1, max: 100 }).withMessage("Limit must be between 1 and 100"),
+    query("type")
+      .optional()
+      .custom((value) => String(value).split(",").every((type) => ACTIVITY_TYPES.includes(type.trim())))
+      .withMessage(`Type must be a comma separated list of ${ACTIVITY_TYPES.join(", ")}`),
+  ],
+  async (req, res) => {
+    try {
+      const validationError = handleValidation(req, res)
+      if (validationError) return
+
+      const [deals] = await pool.execute(
+        "SELECT id FROM deals WHERE id = ? AND deleted_at IS NULL",
+        [req.params.id],
+      )
+      if (deals.length === 0) {
+        return res.status(404).json({ error: "Deal not found" })
+      }
+
+      const page = Number(req.query.page || 1)
+      const limit = Number(req.query.limit || 20)
+      const types = req.query.type ? String(req.query.type).split(",").map((type) => type.trim()) : []
+
+      const { activities, total } = await getTimeline("deal", req.params.id, {
+        types,
+        limit,
+        offset: (page - 1) * limit,
+      })
+      const totalPages = Math.ceil(total / limit)
+
+      res.json({
+        activities,
+        pagination: { page, limit, total, totalPages, hasNext: page < totalPages, hasPrev: page > 1 },
+      })
+    } catch (error) {
+      console.error("Deal timeline error:", error)
+      res.status(500).json({ error: "Failed to fetch deal timeline" })
+    }
+  },
+)
+
 // Create new deal
 router.post(
   "/",
   authenticateToken,
+  requirePermission("deals:write"),
   [
     body("title").trim().notEmpty().withMessage("Title is required"),
     body("customerId").notEmpty().withMessage("Customer ID is required"),
@@ -257,7 +394,7 @@ router.post(
       } = req.body
 
       const [customers] = await pool.execute(
-        "SELECT id FROM customers WHERE id = ?",
+        "SELECT id, name FROM customers WHERE id = ? AND deleted_at IS NULL",
         [customerId],
       )
 
@@ -266,7 +403,9 @@ router.post(
       }
 
       let assignedTo = rawAssignedTo || null
-      if (assignedTo === "" || assignedTo === "0" || assignedTo === 0) {
+      if (req.permissionScope === "own") {
+        assignedTo = req.user.id
+      } else if (assignedTo === "" || assignedTo === "0" || assignedTo === 0) {
         assignedTo = null
       }
       
@@ -319,14 +458,17 @@ router.post(
         }
       }
 
-      const [result] = await pool.execute(
+      const dealId = uuidv4()
+
+      await pool.execute(
         `
         INSERT INTO deals (
-          title, customer_id, value, stage, probability, expected_close_date,
+          id, title, customer_id, value, stage, probability, expected_close_date,
           actual_close_date, assigned_to, products, notes
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
       `,
         [
+          dealId,
           title,
           customerId,
           value,
@@ -339,6 +481,16 @@ router.post(
           notes,
         ],
       )
+      await recordActivity({
+        entityType: "deal",
+        entityId: dealId,
+        type: "deal_created",
+        title: `Deal "${title}" created for ${customers[0].name}`,
+        details: { value: Number(value), stage },
+        actorId: req.user.id,
+        related: [{ type: "customer", id: customerId }],
+      })
+      await recordAudit({ entityType: "deal", entityId: dealId, action: "create", req })
 
       const [deals] = await pool.execute(
         `
@@ -352,7 +504,7 @@ router.post(
         LEFT JOIN users u ON d.assigned_to = u.id
         WHERE d.id = ?
       `,
-        [result.insertId],
+        [dealId],
       )
 
       const deal = deals[0]
@@ -378,6 +530,7 @@ router.post(
 router.put(
   "/:id",
   authenticateToken,
+  requirePermission("deals:write"),
   [
     body("title").optional().trim().notEmpty().withMessage("Title cannot be empty"),
     body("customerId").optional().notEmpty().withMessage("Customer ID cannot be empty"),
@@ -422,7 +575,7 @@ router.put(
       const updateData = { ...req.body }
 
       const [existingDeals] = await pool.execute(
-        "SELECT id FROM deals WHERE id = ?",
+        "SELECT * FROM deals WHERE id = ? AND deleted_at IS NULL",
         [id],
       )
 
@@ -432,7 +585,7 @@ router.put(
 
       if (updateData.customerId) {
         const [customers] = await pool.execute(
-          "SELECT id FROM customers WHERE id = ?",
+          "SELECT id FROM customers WHERE id = ? AND deleted_at IS NULL",
           [updateData.customerId],
         )
 
@@ -441,6 +594,11 @@ router.put(
         }
       }
 
+      // Users limited to their own deals cannot hand them over
+      if (req.permissionScope === "own") {
+        delete updateData.assignedTo
+      }
+
       if (Object.prototype.hasOwnProperty.call(updateData, "assignedTo")) {
         let assignedTo = updateData.assignedTo || null
         if (assignedTo === "" || assignedTo === "0" || assignedTo === 0) {
@@ -524,6 +682,16 @@ router.put(
       console.log("Update values:", updateValues)
 
       await pool.execute(updateSql, updateValues)
+      await recordChanges({
+        entityType: "deal",
+        entityId: id,
+        before: existingDeals[0],
+        after: { stage: updateData.stage, assigned_to: updateData.assignedTo, notes: updateData.notes },
+        actorId: req.user.id,
+        statusField: "stage",
+        related: [{ type: "customer", id: updateData.customerId || existingDeals[0].customer_id }],
+      })
+      await recordAudit({ entityType: "deal", entityId: id, action: "update", before: existingDeals[0], req })
 
       const [deals] = await pool.execute(
         `
@@ -560,12 +728,12 @@ router.put(
 )
 
 // Delete deal
-router.delete("/:id", authenticateToken, async (req, res) => {
+router.delete("/:id", authenticateToken, requirePermission("deals:delete"), async (req, res) => {
   try {
     const { id } = req.params
 
     const [existingDeals] = await pool.execute(
-      "SELECT id FROM deals WHERE id = ?",
+      "SELECT * FROM deals WHERE id = ? AND deleted_at IS NULL",
       [id],
     )
 
@@ -573,9 +741,10 @@ router.delete("/:id", authenticateToken, async (req, res) => {
       return res.status(404).json({ error: "Deal not found" })
     }
 
-    await pool.execute("DELETE FROM deals WHERE id = ?", [id])
+    await softDelete("deal", id, req.user.id)
+    await recordAudit({ entityType: "deal", entityId: id, action: "delete", before: existingDeals[0], req })
 
-    res.json({ message: "Deal deleted successfully" })
+    res.json({ message: "Deal moved to trash" })
   } catch (error) {
     console.error("Deal deletion error:", error)
     res.status(500).json({ error: "Failed to delete deal" })
@@ -583,8 +752,12 @@ router.delete("/:id", authenticateToken, async (req, res) => {
 })
 
 // Get deals pipeline summary
-router.get("/pipeline/summary", authenticateToken, async (req, res) => {
+router.get("/pipeline/summary", authenticateToken, requirePermission("deals:read"), async (req, res) => {
   try {
+    const ownOnly = req.permissionScope === "own"
+    const ownerClause = ownOnly ? " AND assigned_to = ?" : ""
+    const ownerParams = ownOnly ? [req.user.id] : []
+
     const [pipelineData] = await pool.execute(`
       SELECT 
         stage,
@@ -592,7 +765,7 @@ router.get("/pipeline/summary", authenticateToken, async (req, res) => {
         SUM(value) AS total_value,
         AVG(probability) AS avg_probability
       FROM deals 
-      WHERE stage NOT IN ('closed-won', 'closed-lost')
+      WHERE deleted_at IS NULL AND stage NOT IN ('closed-won', 'closed-lost')${ownerClause}
       GROUP BY stage
       ORDER BY 
         CASE stage
@@ -601,7 +774,7 @@ router.get("/pipeline/summary", authenticateToken, async (req, res) => {
           WHEN 'proposal' THEN 3
           WHEN 'negotiation' THEN 4
         END
-    `)
+    `, ownerParams)
 
     const [closedDeals] = await pool.execute(`
       SELECT 
@@ -609,9 +782,9 @@ router.get("/pipeline/summary", authenticateToken, async (req, res) => {
         COUNT(*) AS count,
         SUM(value) AS total_value
       FROM deals 
-      WHERE stage IN ('closed-won', 'closed-lost')
+      WHERE deleted_at IS NULL AND stage IN ('closed-won', 'closed-lost')${ownerClause}
       GROUP BY stage
-    `)
+    `, ownerParams)
 
     res.json({
       pipeline: pipelineData,
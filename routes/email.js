@@ -0,0 +1,126 @@
+// routes/email.js
+const express = require("express");
+const { body, query, validationResult } = require("express-validator");
+const { authenticateToken, requirePermission } = require("../middleware/auth");
+const { queueEmail, processOutbox, retryEmail, listOutbox } = require("../services/emailOutbox");
+const { transportName } = require("../services/mailer");
+
+const router = express.Router();
+
+const handleValidation = (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({ error: "Validation failed", details: errors.array() });
+    return true;
+  }
+  return false;
+};
+
+// Outbox administration; messages themselves are queued by the features
+// that send them (invoices, renewal reminders, password resets).
+router.use(authenticateToken, requirePermission("settings:manage"));
+
+// ================== OUTBOX ==================
+router.get(
+  "/outbox",
+  [
+    query("status").optional().isIn(["pending", "sending", "sent", "failed"]),
+    query("page").optional().isInt({ min: 1 }),
+    query("limit").optional().isInt({ min: 1, max: 100 }),
+  ],
+  async (req, res) => {
+    try {
+      if (handleValidation(req, res)) return;
+
+      const page = Math.max(1, Number.parseInt(req.query.page, 10) || 1);
+      const limit = Math.min(100, Math.max(1, Number.parseInt(req.query.limit, 10) || 20));
+
+      const { emails, total } = await listOutbox({
+        status: req.query.status,
+        relatedType: req.query.relatedType,
+        relatedId: req.query.relatedId,
+        limit,
+        offset: (page - 1) * limit,
+      });
+
+      const totalPages = total > 0 ? Math.ceil(total / limit) : 1;
+
+      res.json({
+        transport: transportName(),
+        emails,
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages,
+          hasNext: page < totalPages,
+          hasPrev: page > 1,
+        },
+      });
+    } catch (error) {
+      console.error("Email outbox fetch error:", error);
+      res.status(500).json({ error: "Failed to fetch email outbox" });
+    }
+  }
+);
+
+router.post("/outbox/:id/retry", async (req, res) => {
+  try {
+    if (!(await retryEmail(req.params.id))) {
+      return res.status(404).json({ error: "No failed or pending email with this id" });
+    }
+
+    res.json({ message: "Email queued for retry", ...(await processOutbox()) });
+  } catch (error) {
+    console.error("Email retry error:", error);
+    res.status(500).json({ error: "Failed to retry email" });
+  }
+});
+
+// Sends the outbox now instead of waiting for the scheduler
+router.post("/outbox/process", async (req, res) => {
+  try {
+    res.json(await processOutbox());
+  } catch (error) {
+    console.error("Email outbox process error:", error);
+    res.status(500).json({ error: "Failed to process email outbox" });
+  }
+});
+
+// ================== TEST EMAIL ==================
+router.post(
+  "/test",
+  [
+    body("to").isEmail().withMessage("Valid email is required"),
+    body("subject").optional().isString().isLength({ max: 200 }),
+    body("message").optional().isString().isLength({ max: 5000 }),
+  ],
+  async (req, res) => {
+    try {
+      if (handleValidation(req, res)) return;
+
+      const emailId = await queueEmail({
+        to: req.body.to,
+        template: "notification",
+        data: {
+          subject: req.body.subject || "Test email",
+          message: req.body.message || "Email delivery is configured correctly.",
+        },
+        relatedType: "test",
+        createdBy: req.user.id,
+      });
+
+      res.status(202).json({
+        message: "Test email queued",
+        emailId,
+        transport: transportName(),
+        ...(await processOutbox()),
+      });
+    } catch (error) {
+      console.error("Test email error:", error);
+      res.status(500).json({ error: "Failed to send test email" });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,279 @@
+// routes/imports.js
+const express = require("express");
+const multer = require("multer");
+const { body, query, validationResult } = require("express-validator");
+const { authenticateToken, requirePermission } = require("../middleware/auth");
+const { toCsv } = require("../services/spreadsheet");
+const {
+  ROW_STATUSES,
+  DUPLICATE_ACTIONS,
+  IMPORT_FIELDS,
+  MAX_ROWS,
+  MAX_FILE_MB,
+  formatJob,
+  createImportJob,
+  getImportJob,
+  listImportJobs,
+  validateImportJob,
+  startImport,
+  getImportReport,
+} = require("../services/imports");
+
+const handleValidation = (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({ error: "Validation failed", details: errors.array() });
+    return true;
+  }
+  return false;
+};
+
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_FILE_MB * 1024 * 1024, files: 1 },
+  fileFilter: (req, file, cb) => {
+    if (!/\.(csv|xlsx)$/i.test(file.originalname)) {
+      const error = new Error("Upload a .csv or .xlsx file");
+      error.code = "UNSUPPORTED_FILE_TYPE";
+      return cb(error);
+    }
+    cb(null, true);
+  },
+}).single("file");
+
+// Runs multer and turns its errors into proper 4xx responses
+const handleImportUpload = (req, res, next) => {
+  importUpload(req, res, (err) => {
+    if (!err) return next();
+
+    if (err.code === "LIMIT_FILE_SIZE") {
+      return res.status(413).json({ error: `File exceeds the ${MAX_FILE_MB} MB limit` });
+    }
+    if (err.code === "UNSUPPORTED_FILE_TYPE") {
+      return res.status(415).json({ error: err.message });
+    }
+    if (err instanceof multer.MulterError) {
+      return res.status(400).json({ error: err.message });
+    }
+
+    console.error("Import upload error:", err);
+    return res.status(500).json({ error: "Failed to upload file" });
+  });
+};
+
+// Field list for the mapping screen: { field, required, type, values }
+const describeFields = (entityType) =>
+  Object.entries(IMPORT_FIELDS[entityType]).map(([field, definition]) => ({
+    field,
+    required: Boolean(definition.required),
+    type: definition.type,
+    ...(definition.values ? { values: definition.values } : {}),
+  }));
+
+/**
+ * Bulk import endpoints of leads or customers, mounted under
+ * /api/leads/imports and /api/customers/imports (see services/imports.js):
+ *   GET    /                  import jobs, newest first
+ *   POST   /                  upload a CSV/XLSX file (multipart field "file")
+ *   GET    /:jobId            job with its progress counters
+ *   POST   /:jobId/validate   dry run with { mapping, onDuplicate }
+ *   POST   /:jobId/commit     save the rows in the background (202)
+ *   GET    /:jobId/report     per-row results, ?format=csv|json&status=
+ * Every endpoint takes "<resource>:write"; users with the "own" scope only
+ * see the imports they uploaded.
+ */
+const createImportRouter = ({ entityType, fieldMap, resource }) => {
+  const unmapped = Object.keys(IMPORT_FIELDS[entityType]).filter((field) => !fieldMap[field]);
+  if (unmapped.length > 0) {
+    throw new Error(`Import fields missing from the ${entityType} field map: ${unmapped.join(", ")}`);
+  }
+
+  const router = express.Router();
+  const label = entityType.charAt(0).toUpperCase() + entityType.slice(1);
+
+  // Loads req.params.jobId into req.importJob, or answers 404
+  const loadJob = async (req, res, next) => {
+    try {
+      const job = await getImportJob(entityType, req.params.jobId, {
+        createdBy: req.permissionScope === "own" ? req.user.id : null,
+      });
+      if (!job) {
+        return res.status(404).json({ error: "Import not found" });
+      }
+      req.importJob = job;
+      return next();
+    } catch (error) {
+      console.error(`${label} import fetch error:`, error);
+      return res.status(500).json({ error: "Failed to fetch import" });
+    }
+  };
+
+  router.use(authenticateToken, requirePermission(`${resource}:write`, { param: null }));
+
+  router.get(
+    "/",
+    [
+      query("page").optional().isInt({ min: 1 }).withMessage("Page must be a positive integer"),
+      query("limit").optional().isInt({ min: 1, max: 100 }).withMessage("Limit must be between 1 and 100"),
+    ],
+    async (req, res) => {
+      try {
+        if (handleValidation(req, res)) return;
+
+        const page = Number(req.query.page || 1);
+        const limit = Number(req.query.limit || 20);
+        const { jobs, total } = await listImportJobs({
+          entityType,
+          createdBy: req.permissionScope === "own" ? req.user.id : null,
+          limit,
+          offset: (page - 1) * limit,
+        });
+        const totalPages = Math.ceil(total / limit);
+
+        res.json({
+          imports: jobs,
+          pagination: { page, limit, total, totalPages, hasNext: page < totalPages, hasPrev: page > 1 },
+        });
+      } catch (error) {
+        console.error(`${label} imports fetch error:`, error);
+        res.status(500).json({ error: "Failed to fetch imports" });
+      }
+    }
+  );
+
+  // Upload: parses the file and suggests which column goes to which field
+  router.post("/", handleImportUpload, async (req, res) => {
+    if (!req.file) {
+      return res.status(400).json({ error: 'File is required (field "file")' });
+    }
+
+    try {
+      const { job, sample, suggestedMapping } = await createImportJob({
+        entityType,
+        fileName: req.file.originalname,
+        buffer: req.file.buffer,
+        userId: req.user.id,
+      });
+
+      res.status(201).json({
+        message: "File uploaded; map its columns and validate it",
+        import: job,
+        sample,
+        suggestedMapping,
+        fields: describeFields(entityType),
+        duplicateActions: DUPLICATE_ACTIONS[entityType],
+        maxRows: MAX_ROWS,
+      });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      console.error(`${label} import upload error:`, error);
+      res.status(500).json({ error: "Failed to read file" });
+    }
+  });
+
+  router.get("/:jobId", loadJob, (req, res) => {
+    res.json({
+      import: formatJob(req.importJob),
+      fields: describeFields(entityType),
+      duplicateActions: DUPLICATE_ACTIONS[entityType],
+    });
+  });
+
+  // Dry run: nothing is saved; the per-row results are in the report
+  router.post(
+    "/:jobId/validate",
+    [
+      body("mapping").isObject().withMessage("Mapping must be an object of field -> column header"),
+      body("onDuplicate")
+        .optional()
+        .isIn(DUPLICATE_ACTIONS[entityType])
+        .withMessage(`onDuplicate must be one of ${DUPLICATE_ACTIONS[entityType].join(", ")}`),
+    ],
+    loadJob,
+    async (req, res) => {
+      try {
+        if (handleValidation(req, res)) return;
+
+        const job = await validateImportJob(req.importJob, req.body);
+        res.json({ message: "File validated", import: job });
+      } catch (error) {
+        if (error.status) {
+          return res.status(error.status).json({ error: error.message });
+        }
+        console.error(`${label} import validation error:`, error);
+        res.status(500).json({ error: "Failed to validate import" });
+      }
+    }
+  );
+
+  // Runs in the background; poll GET /:jobId for progress
+  router.post("/:jobId/commit", loadJob, async (req, res) => {
+    try {
+      const job = await startImport(req.importJob, { fieldMap, req });
+      res.status(202).json({ message: "Import started", import: job });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      console.error(`${label} import commit error:`, error);
+      res.status(500).json({ error: "Failed to start import" });
+    }
+  });
+
+  // CSV report: the file's own columns plus the outcome of each row, so the
+  // rejected rows can be corrected and uploaded again
+  router.get(
+    "/:jobId/report",
+    [
+      query("format").optional().isIn(["csv", "json"]).withMessage("Format must be csv or json"),
+      query("status")
+        .optional()
+        .isIn(ROW_STATUSES)
+        .withMessage(`Status must be one of ${ROW_STATUSES.join(", ")}`),
+    ],
+    loadJob,
+    (req, res) => {
+      try {
+        if (handleValidation(req, res)) return;
+
+        const job = req.importJob;
+        if (job.status === "uploaded") {
+          return res.status(409).json({ error: "Validate the file first" });
+        }
+        const { headers, rows } = getImportReport(job, { status: req.query.status });
+
+        if (req.query.format !== "csv") {
+          return res.json({ import: formatJob(job), rows });
+        }
+
+        const describe = (errors) =>
+          errors.map(({ field, message }) => (field ? `${field}: ${message}` : message)).join("; ");
+        const csv = toCsv([
+          ["Row", "Status", "Errors", "Record ID", "Duplicate of", ...headers],
+          ...rows.map((row) => [
+            row.row,
+            row.status,
+            describe(row.errors || []),
+            row.recordId || "",
+            row.duplicate ? row.duplicate.id || `row ${row.duplicate.row}` : "",
+            ...headers.map((header, index) => row.cells[index] ?? ""),
+          ]),
+        ]);
+        const baseName = job.file_name.replace(/\.[^.]+$/, "").replace(/[^\w.-]+/g, "_");
+
+        res.setHeader("Content-Type", "text/csv; charset=utf-8");
+        res.setHeader("Content-Disposition", `attachment; filename="${baseName}-report.csv"`);
+        res.send(`\uFEFF${csv}`);
+      } catch (error) {
+        console.error(`${label} import report error:`, error);
+        res.status(500).json({ error: "Failed to build import report" });
+      }
+    }
+  );
+
+  return router;
+};
+
+module.exports = { createImportRouter };
@@ -1,10 +1,51 @@
 const { v4: uuidv4 } = require("uuid");
-const PDFDocument = require("pdfkit");
 const express = require("express");
-const { body, validationResult } = require("express-validator");
+const { body, query, validationResult } = require("express-validator");
 const { pool } = require("../config/database");
-const { authenticateToken } = require("../middleware/auth");
-const { generateInvoiceNumber } = require("../utils/helpers");
+const { authenticateToken, requirePermission } = require("../middleware/auth");
+const { loadInvoiceForPdf, writeInvoicePdf, formatDate } = require("../services/invoicePdf");
+const { queueEmail } = require("../services/emailOutbox");
+const {
+  allocateInvoiceNumber,
+  describeNumbering,
+  updateNumbering,
+} = require("../services/invoiceSequence");
+const {
+  PAYMENT_MODES,
+  toPaise,
+  recalculateInvoiceBalance,
+  listPayments,
+  listRefunds,
+} = require("../services/invoicePayments");
+const {
+  createCreditNote,
+  voidInvoice,
+  listCreditNotes,
+} = require("../services/creditNotes");
+const {
+  buildGstInvoice,
+  insertInvoiceItems,
+  isValidHsnSac,
+  resolveStateCode,
+} = require("../services/gst");
+const {
+  PROFILE_FIELDS,
+  getCompanyProfile,
+  updateCompanyProfile,
+} = require("../services/companyProfile");
+const {
+  MAX_PREVIEW_MONTHS,
+  generateDueRecurringInvoices,
+  previewRecurringInvoices,
+} = require("../services/recurringInvoices");
+const { recordActivity } = require("../services/activities");
+const { snapshot, recordAudit } = require("../services/auditLog");
+const { softDelete } = require("../services/trash");
+const { EXPORT_FORMATS, streamExport } = require("../services/exports");
+const {
+  createInvoiceShareLink,
+  buildInvoiceShareUrl,
+} = require("../services/invoiceLinks");
 
 const router = express.Router();
 
@@ -31,31 +72,26 @@ const handleValidation = (req, res) => {
   return false;
 };
 
+// Fields PUT /:id writes as given. Amounts come from the line items and the
+// status from payments, refunds, credit notes and voids, never from the body
 const invoiceFieldMap = {
   customerId: "customer_id",
-  amount: "amount",
-  tax: "tax",
-  total: "total",
-  status: "status",
   issueDate: "issue_date",
   dueDate: "due_date",
-  paidDate: "paid_date",
   notes: "notes",
 };
 
-const buildInvoiceFromCustomer = (customer, body) => {
-  const { amount, tax, total, status, issueDate, dueDate, notes, items } = body;
+// Statuses an invoice can be created with. Paid states only ever come from
+// the payments ledger (see recalculateInvoiceBalance)
+const CREATE_STATUSES = ["draft", "sent"];
 
-  let derivedAmount = amount;
-  if (derivedAmount === undefined && Array.isArray(items)) {
-    derivedAmount = items.reduce((sum, item) => sum + Number(item.amount || 0), 0);
-  }
+// Amounts are not taken from the body: they come from the GST calculation
+// over the line items (see buildGstInvoice)
+const buildInvoiceFromCustomer = (customer, body) => {
+  const { tax, status, issueDate, dueDate, notes } = body;
 
   const defaultTaxRate = customer.default_tax_rate ?? 0;
-  const finalAmount = Number(derivedAmount || 0);
   const finalTax = tax !== undefined ? Number(tax) : defaultTaxRate || 0;
-  const finalTotal =
-    total !== undefined ? Number(total) : finalAmount + (finalAmount * finalTax) / 100;
 
   let finalIssueDate = issueDate ? toSqlDate(issueDate) : toSqlDate(new Date());
 
@@ -69,13 +105,11 @@ const buildInvoiceFromCustomer = (customer, body) => {
     finalDueDate = toSqlDate(d);
   }
 
-  const finalStatus = status || "draft";
+  const finalStatus = CREATE_STATUSES.includes(status) ? status : "draft";
   const finalNotes = notes ?? customer.default_invoice_notes ?? null;
 
   return {
-    amount: finalAmount,
     tax: finalTax,
-    total: finalTotal,
     status: finalStatus,
     issueDate: finalIssueDate,
     dueDate: finalDueDate,
@@ -83,73 +117,174 @@ const buildInvoiceFromCustomer = (customer, body) => {
   };
 };
 
-const ensureCanAccessInvoice = async (req, res, invoiceId) => {
-  if (req.user.role === "admin") return { ok: true };
-
-  const [rows] = await pool.execute(
-    `SELECT i.id 
-     FROM invoices i 
-     INNER JOIN customers c ON i.customer_id = c.id 
-     WHERE i.id = ? AND c.assigned_to = ?`,
-    sanitizeParams(invoiceId, req.user.userId)
+// Line-level GST fields shared by create and update
+const gstValidators = () => [
+  body("placeOfSupply")
+    .optional({ values: "null" })
+    .custom((value) => Boolean(resolveStateCode(value)))
+    .withMessage("Place of supply must be a GST state code or state name"),
+  body("items.*.hsnSac")
+    .optional({ values: "falsy" })
+    .custom(isValidHsnSac)
+    .withMessage("HSN/SAC must be 4-8 digits"),
+  body("items.*.gstRate")
+    .optional({ values: "null" })
+    .isFloat({ min: 0, max: 28 })
+    .withMessage("GST rate must be between 0 and 28"),
+];
+
+const gstInvoiceColumns = (gst) => [
+  gst.totals.taxable,
+  gst.totals.total,
+  gst.placeOfSupply,
+  gst.supplyType,
+  gst.companyGstin,
+  gst.customerGstin,
+  gst.totals.cgst,
+  gst.totals.sgst,
+  gst.totals.igst,
+];
+
+/**
+ * Re-taxes an existing invoice and rewrites its lines. Without `items` the
+ * stored lines are kept (e.g. only the place of supply changed). An
+ * undefined `placeOfSupply` keeps the stored one; null derives it from the
+ * customer again (e.g. after the invoice moved to another customer).
+ */
+const applyInvoiceGst = async (connection, invoiceId, { items, placeOfSupply }) => {
+  const [invoices] = await connection.execute(
+    `SELECT i.tax, i.place_of_supply, c.gstin, c.state, c.country
+     FROM invoices i LEFT JOIN customers c ON i.customer_id = c.id
+     WHERE i.id = ?`,
+    sanitizeParams(invoiceId)
   );
+  const invoice = invoices[0];
 
-  if (rows.length === 0) {
-    return {
-      ok: false,
-      response: res
-        .status(403)
-        .json({ error: "You do not have permission to access this invoice" }),
-    };
+  let lines = items;
+  if (!Array.isArray(lines)) {
+    const [storedItems] = await connection.execute(
+      "SELECT * FROM invoice_items WHERE invoice_id = ? ORDER BY created_at",
+      sanitizeParams(invoiceId)
+    );
+    lines = storedItems;
   }
-  return { ok: true };
+
+  const gst = buildGstInvoice({
+    company: await getCompanyProfile(connection),
+    customer: invoice,
+    items: lines,
+    placeOfSupply: placeOfSupply === undefined ? invoice.place_of_supply : placeOfSupply,
+    defaultRate: Number(invoice.tax || 0),
+  });
+
+  await connection.execute(
+    "DELETE FROM invoice_items WHERE invoice_id = ?",
+    sanitizeParams(invoiceId)
+  );
+  await insertInvoiceItems(connection, invoiceId, gst.lines);
+
+  await connection.execute(
+    `UPDATE invoices
+     SET amount = ?, total = ?, place_of_supply = ?, supply_type = ?,
+         company_gstin = ?, customer_gstin = ?,
+         cgst_amount = ?, sgst_amount = ?, igst_amount = ?,
+         updated_at = CURRENT_TIMESTAMP
+     WHERE id = ?`,
+    sanitizeParams(...gstInvoiceColumns(gst), invoiceId)
+  );
+
+  return gst;
 };
 
 // ================== GET ALL INVOICES ==================
-router.get("/", authenticateToken, async (req, res) => {
-  try {
-    if (handleValidation(req, res)) return;
+// Filters of GET /api/invoices, shared with GET /api/invoices/export
+const invoiceListFilters = [
+  query("search").optional().isString().withMessage("Search must be a string"),
+  query("status")
+    .optional()
+    .isIn(["draft", "sent", "partially-paid", "paid", "overdue", "cancelled", "void"])
+    .withMessage("Invalid status"),
+  query("customerId").optional().isString().withMessage("Customer ID must be a string"),
+  query("dueDateFrom").optional().isISO8601().withMessage("Due date from must be a valid date"),
+  query("dueDateTo").optional().isISO8601().withMessage("Due date to must be a valid date"),
+];
+
+// WHERE of the invoice list for the caller's filters and scope
+const buildInvoiceListQuery = (req) => {
+  const { search, status, customerId, dueDateFrom, dueDateTo } = req.query;
+
+  let whereClause = "WHERE i.deleted_at IS NULL";
+  const queryParams = [];
+
+  if (req.permissionScope === "own") {
+    whereClause += " AND c.assigned_to = ?";
+    queryParams.push(req.user.id);
+  }
 
-    const page = Math.max(1, Number.parseInt(req.query.page, 10) || 1);
-    const limit = Math.min(100, Math.max(1, Number.parseInt(req.query.limit, 10) || 10));
-    const offset = (page - 1) * limit;
+  if (search) {
+    whereClause +=
+      " AND (i.invoice_number LIKE ? OR c.name LIKE ? OR c.company LIKE ?)";
+    const searchTerm = `%${search}%`;
+    queryParams.push(searchTerm, searchTerm, searchTerm);
+  }
 
-    const { search, status, customerId, dueDateFrom, dueDateTo } = req.query;
+  if (status) {
+    whereClause += " AND i.status = ?";
+    queryParams.push(status);
+  }
 
-    let whereClause = "WHERE 1=1";
-    const queryParams = [];
+  if (customerId) {
+    whereClause += " AND i.customer_id = ?";
+    queryParams.push(customerId);
+  }
 
-    if (req.user.role !== "admin") {
-      whereClause += " AND c.assigned_to = ?";
-      queryParams.push(req.user.userId);
-    }
+  if (dueDateFrom) {
+    whereClause += " AND i.due_date >= ?";
+    queryParams.push(dueDateFrom);
+  }
 
-    if (search) {
-      whereClause +=
-        " AND (i.invoice_number LIKE ? OR c.name LIKE ? OR c.company LIKE ?)";
-      const searchTerm = `%${search}%`;
-      queryParams.push(searchTerm, searchTerm, searchTerm);
-    }
+  if (dueDateTo) {
+    whereClause += " AND i.due_date <= ?";
+    queryParams.push(dueDateTo);
+  }
 
-    if (status) {
-      whereClause += " AND i.status = ?";
-      queryParams.push(status);
-    }
+  return { whereClause, queryParams };
+};
 
-    if (customerId) {
-      whereClause += " AND i.customer_id = ?";
-      queryParams.push(customerId);
-    }
+// Columns of GET /api/invoices/export (?columns=invoiceNumber,total,...)
+const invoiceExportColumns = {
+  id: { header: "ID", sql: "i.id" },
+  invoiceNumber: { header: "Invoice number", sql: "i.invoice_number" },
+  customer: { header: "Customer", sql: "c.name" },
+  company: { header: "Company", sql: "c.company" },
+  customerEmail: { header: "Customer email", sql: "c.email" },
+  customerGstin: { header: "Customer GSTIN", sql: "i.customer_gstin" },
+  placeOfSupply: { header: "Place of supply", sql: "i.place_of_supply" },
+  amount: { header: "Amount", sql: "i.amount", type: "number" },
+  cgst: { header: "CGST", sql: "i.cgst_amount", type: "number" },
+  sgst: { header: "SGST", sql: "i.sgst_amount", type: "number" },
+  igst: { header: "IGST", sql: "i.igst_amount", type: "number" },
+  tax: { header: "Tax", sql: "i.tax", type: "number" },
+  total: { header: "Total", sql: "i.total", type: "number" },
+  amountPaid: { header: "Amount paid", sql: "i.amount_paid", type: "number" },
+  creditedAmount: { header: "Credited amount", sql: "i.credited_amount", type: "number" },
+  balanceDue: { header: "Balance due", sql: "i.balance_due", type: "number" },
+  status: { header: "Status", sql: "i.status" },
+  dueDate: { header: "Due date", sql: "i.due_date", type: "date" },
+  paidDate: { header: "Paid date", sql: "i.paid_date", type: "date" },
+  notes: { header: "Notes", sql: "i.notes" },
+  createdAt: { header: "Created at", sql: "i.created_at", type: "datetime" },
+};
 
-    if (dueDateFrom) {
-      whereClause += " AND i.due_date >= ?";
-      queryParams.push(dueDateFrom);
-    }
+router.get("/", authenticateToken, requirePermission("invoices:read"), invoiceListFilters, async (req, res) => {
+  try {
+    if (handleValidation(req, res)) return;
 
-    if (dueDateTo) {
-      whereClause += " AND i.due_date <= ?";
-      queryParams.push(dueDateTo);
-    }
+    const page = Math.max(1, Number.parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(100, Math.max(1, Number.parseInt(req.query.limit, 10) || 10));
+    const offset = (page - 1) * limit;
+
+    const { whereClause, queryParams } = buildInvoiceListQuery(req);
 
     const invoicesSql = `
       SELECT i.*, c.name AS customer_name, c.company AS customer_company, c.email AS customer_email
@@ -194,561 +329,465 @@ router.get("/", authenticateToken, async (req, res) => {
   }
 });
 
+// Download the filtered invoice list (same filters as GET /) as CSV, XLSX or JSON
+router.get(
+  "/export",
+  authenticateToken,
+  requirePermission("invoices:read"),
+  [
+    ...invoiceListFilters,
+    query("format")
+      .optional()
+      .isIn(EXPORT_FORMATS)
+      .withMessage(`Format must be one of ${EXPORT_FORMATS.join(", ")}`),
+    query("columns").optional().isString().withMessage("Columns must be a comma separated list"),
+  ],
+  async (req, res) => {
+    try {
+      if (handleValidation(req, res)) return;
 
-router.post("/:id/download", async (req, res) => {
-  try {
-    const id = req.params.id;
-    const logoBase64 = req.body?.logoBase64;
-
-    // Invoice + customer details
-    const [invoices] = await pool.execute(
-      `SELECT i.*,
-              c.name    AS customername,
-              c.email   AS customeremail,
-              c.phone   AS customerphone,
-              c.company AS customercompany,
-              c.address AS customeraddress,
-              c.city    AS customercity,
-              c.state   AS customerstate,
-              c.country AS customercountry
-       FROM invoices i
-       LEFT JOIN customers c ON i.customer_id = c.id
-       WHERE i.id = ?`,
-      sanitizeParams(id)
-    );
-
-    if (!invoices || invoices.length === 0) {
-      return res.status(404).json({ error: "Invoice not found" });
+      const { whereClause, queryParams } = buildInvoiceListQuery(req);
+      await streamExport(res, {
+        format: req.query.format,
+        columns: invoiceExportColumns,
+        requested: req.query.columns,
+        from: "invoices i LEFT JOIN customers c ON i.customer_id = c.id",
+        where: whereClause,
+        params: sanitizeParams(...queryParams),
+        orderBy: "i.created_at DESC",
+        fileName: "invoices",
+      });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      console.error("Invoices export error:", error);
+      if (!res.headersSent) {
+        res.status(500).json({ error: "Failed to export invoices" });
+      }
     }
+  }
+);
 
-    // Line items (+ stored breakdown JSON)
-    const [items] = await pool.execute(
-      "SELECT * FROM invoice_items WHERE invoice_id = ? ORDER BY created_at",
-      sanitizeParams(id)
-    );
 
-    const invoice = invoices[0];
-    const subtotal = Number(invoice.amount || 0);
-    const gstRate = Number(invoice.tax || 18);
-    const gstAmount = (subtotal * gstRate) / 100;
-    const totalWithGst = Number(invoice.total || subtotal + gstAmount);
-
-    const formatDate = (value) => {
-      if (!value) {
-        const now = new Date();
-        return `${String(now.getDate()).padStart(2, "0")}/${String(
-          now.getMonth() + 1
-        ).padStart(2, "0")}/${now.getFullYear()}`;
+router.post(
+  "/:id/download",
+  authenticateToken,
+  requirePermission("invoices:read"),
+  async (req, res) => {
+    try {
+      const data = await loadInvoiceForPdf(req.params.id);
+      if (!data) {
+        return res.status(404).json({ error: "Invoice not found" });
       }
-      const d = new Date(value);
-      if (Number.isNaN(d.getTime())) return formatDate(null);
-      return `${String(d.getDate()).padStart(2, "0")}/${String(
-        d.getMonth() + 1
-      ).padStart(2, "0")}/${d.getFullYear()}`;
-    };
-
-    const formatCurrency = (amount) => `Rs. ${Number(amount).toFixed(2)}`;
 
-    const doc = new PDFDocument({ size: "A4", margin: 40 });
+      res.setHeader("Content-Type", "application/pdf");
+      res.setHeader(
+        "Content-Disposition",
+        `attachment; filename=invoice-${data.invoice.invoice_number || "NA"}.pdf`
+      );
 
-    res.setHeader("Content-Type", "application/pdf");
-    res.setHeader(
-      "Content-Disposition",
-      `attachment; filename=invoice-${invoice.invoice_number || "NA"}.pdf`
-    );
+      writeInvoicePdf(res, data, { logoBase64: req.body?.logoBase64 });
+    } catch (error) {
+      console.error("Invoice PDF generation error:", error);
+      if (!res.headersSent) {
+        res.status(500).json({ error: "Failed to generate invoice PDF" });
+      }
+    }
+  }
+);
 
-    doc.pipe(res);
+// ================== NUMBERING SETTINGS ==================
+router.get(
+  "/settings/numbering",
+  authenticateToken,
+  requirePermission("invoices:read"),
+  async (req, res) => {
+    try {
+      res.json(await describeNumbering("invoice"));
+    } catch (error) {
+      console.error("Invoice numbering fetch error:", error);
+      res.status(500).json({ error: "Failed to fetch invoice numbering settings" });
+    }
+  }
+);
 
-    const brandPrimary = "#1E3A8A";
-    const brandSecondary = "#3B82F6";
-    const accentGold = "#F59E0B";
-    const textDark = "#1F2937";
-    const textGray = "#6B7280";
-    const bgLight = "#F9FAFB";
-    const borderGray = "#E5E7EB";
+router.put(
+  "/settings/numbering",
+  authenticateToken,
+  requirePermission("settings:manage"),
+  [
+    body("format").optional().isString().withMessage("Format must be a string"),
+    body("padding").optional().isInt({ min: 1, max: 10 }).toInt(),
+    body("fyStartMonth").optional().isInt({ min: 1, max: 12 }).toInt(),
+    body("resetEvery").optional().isIn(["financial_year", "never"]),
+    body("nextValue").optional().isInt({ min: 1 }).toInt(),
+  ],
+  async (req, res) => {
+    try {
+      if (handleValidation(req, res)) return;
 
-    const pageWidth = 595.28;
-    const marginLeft = 40;
-    const marginRight = 40;
-    const contentWidth = pageWidth - marginLeft - marginRight;
+      const { format, padding, fyStartMonth, resetEvery, nextValue } = req.body;
+      const changes = Object.fromEntries(
+        Object.entries({ format, padding, fyStartMonth, resetEvery, nextValue }).filter(
+          ([, value]) => value !== undefined
+        )
+      );
 
-    let y = 40;
+      const connection = await pool.getConnection();
+      await connection.beginTransaction();
 
-    // HEADER LOGO
-    if (logoBase64) {
       try {
-        let imageData = logoBase64;
-        if (logoBase64.includes(",")) {
-          imageData = logoBase64.split(",")[1];
-        }
-        const logoBuffer = Buffer.from(imageData, "base64");
-        doc.image(logoBuffer, marginLeft, y, { width: 130, fit: [130, 50] });
+        await updateNumbering(connection, "invoice", changes, req.user.id);
+        await connection.commit();
       } catch (err) {
-        console.error("Logo error:", err);
+        await connection.rollback();
+        throw err;
+      } finally {
+        connection.release();
       }
-    }
-
-    // Invoice No + Date (top-right)
-    const rightX = pageWidth - marginRight - 180;
-
-    doc
-      .fontSize(10)
-      .font("Helvetica-Bold")
-      .fillColor(textDark)
-      .text("Invoice No", rightX, y + 8);
-
-    doc
-      .fontSize(10)
-      .font("Helvetica")
-      .fillColor(brandPrimary)
-      .text(invoice.invoice_number || "NA", rightX + 70, y + 8);
-
-    doc
-      .fontSize(10)
-      .font("Helvetica-Bold")
-      .fillColor(textDark)
-      .text("Date", rightX, y + 25);
-
-    doc
-      .fontSize(10)
-      .font("Helvetica")
-      .fillColor(textGray)
-      .text(
-        formatDate(invoice.issue_date || invoice.created_at),
-        rightX + 70,
-        y + 25
-      );
-
-    y += 60;
-
-    // COMPANY ADDRESS (static sender)
-    const companyAddress =
-      "Dani Sanjay Apartment, 102, near Datta Mandir Road, beside Dutta mandir, Kandivali, Veena Sitar, Dahanukar Wadi, Kandivali West, Mumbai, Maharashtra 400067";
 
-    doc
-      .fontSize(8)
-      .font("Helvetica")
-      .fillColor(textGray)
-      .text(companyAddress, marginLeft, y, {
-        width: 300,
-        lineGap: 1.5,
-      });
-
-    y += doc.heightOfString(companyAddress, { width: 300 }) + 12;
-
-    // INVOICE TITLE
-    doc
-      .fontSize(28)
-      .font("Helvetica-Bold")
-      .fillColor(brandPrimary)
-      .text("INVOICE", marginLeft, y, {
-        align: "center",
-        width: contentWidth,
+      res.json({
+        message: "Invoice numbering updated successfully",
+        ...(await describeNumbering("invoice")),
       });
+    } catch (error) {
+      if (error.status === 400) {
+        return res.status(400).json({ error: error.message });
+      }
+      console.error("Invoice numbering update error:", error);
+      res.status(500).json({ error: "Failed to update invoice numbering settings" });
+    }
+  }
+);
 
-    y += 35;
+// ================== COMPANY PROFILE ==================
+// Seller name, address, GSTIN and bank details printed on invoices
+router.get(
+  "/settings/company",
+  authenticateToken,
+  requirePermission("invoices:read"),
+  async (req, res) => {
+    try {
+      res.json({ company: await getCompanyProfile() });
+    } catch (error) {
+      console.error("Company profile fetch error:", error);
+      res.status(500).json({ error: "Failed to fetch company profile" });
+    }
+  }
+);
 
-    doc
-      .moveTo(marginLeft, y)
-      .lineTo(pageWidth - marginRight, y)
-      .strokeColor(brandSecondary)
-      .lineWidth(2)
-      .stroke();
+router.put(
+  "/settings/company",
+  authenticateToken,
+  requirePermission("settings:manage"),
+  PROFILE_FIELDS.map((field) =>
+    body(field).optional({ values: "null" }).isString().withMessage(`${field} must be a string`)
+  ),
+  async (req, res) => {
+    try {
+      if (handleValidation(req, res)) return;
 
-    y += 15;
+      const company = await updateCompanyProfile(req.body, req.user.id);
+      res.json({ message: "Company profile updated successfully", company });
+    } catch (error) {
+      if (error.status === 400) {
+        return res.status(400).json({ error: error.message });
+      }
+      console.error("Company profile update error:", error);
+      res.status(500).json({ error: "Failed to update company profile" });
+    }
+  }
+);
 
-    // BILL TO / DUE DATE + STATUS
-    const billToX = marginLeft;
-    const detailsX = marginLeft + 280;
+// ================== RECURRING INVOICES ==================
+// Upcoming invoices from customer recurring settings (nothing is written)
+router.get(
+  "/recurring/preview",
+  authenticateToken,
+  requirePermission("invoices:read"),
+  [
+    query("months")
+      .optional()
+      .isInt({ min: 1, max: MAX_PREVIEW_MONTHS })
+      .withMessage(`Months must be between 1 and ${MAX_PREVIEW_MONTHS}`),
+    query("customerId").optional().isString(),
+  ],
+  async (req, res) => {
+    try {
+      if (handleValidation(req, res)) return;
 
-    doc
-      .fontSize(9)
-      .font("Helvetica-Bold")
-      .fillColor(brandPrimary)
-      .text("BILL TO", billToX, y);
+      const preview = await previewRecurringInvoices({
+        months: req.query.months,
+        customerId: req.query.customerId,
+        assignedTo: req.permissionScope === "own" ? req.user.id : undefined,
+      });
 
-    let billY = y + 15;
+      res.json(preview);
+    } catch (error) {
+      console.error("Recurring invoice preview error:", error);
+      res.status(500).json({ error: "Failed to preview recurring invoices" });
+    }
+  }
+);
 
-    doc
-      .fontSize(12)
-      .font("Helvetica-Bold")
-      .fillColor(textDark)
-      .text(invoice.customername || "Customer Name", billToX, billY);
+// Runs the daily job now; already billed periods are skipped
+router.post(
+  "/recurring/run",
+  authenticateToken,
+  requirePermission("settings:manage"),
+  [body("customerId").optional().isString()],
+  async (req, res) => {
+    try {
+      if (handleValidation(req, res)) return;
 
-    billY += 18;
+      const result = await generateDueRecurringInvoices({
+        customerId: req.body.customerId,
+      });
 
-    if (invoice.customercompany) {
-      doc
-        .fontSize(10)
-        .font("Helvetica")
-        .fillColor(textGray)
-        .text(invoice.customercompany, billToX, billY);
-      billY += 14;
+      res.json({
+        message: `Created ${result.created.length} recurring invoice(s)`,
+        ...result,
+      });
+    } catch (error) {
+      console.error("Recurring invoice run error:", error);
+      res.status(500).json({ error: "Failed to generate recurring invoices" });
     }
+  }
+);
 
-    if (invoice.customeremail) {
-      doc
-        .fontSize(9)
-        .font("Helvetica")
-        .fillColor(textGray)
-        .text(`Email: ${invoice.customeremail}`, billToX, billY);
-      billY += 12;
-    }
+// ================== SHARE LINKS ==================
+// Signed public links (/api/public/invoices/:token.pdf) for customers
+router.post(
+  "/:id/share-links",
+  authenticateToken,
+  requirePermission("invoices:write"),
+  [body("expiresInDays").optional().isInt({ min: 1, max: 365 })],
+  async (req, res) => {
+    try {
+      if (handleValidation(req, res)) return;
 
-    if (invoice.customerphone) {
-      doc
-        .fontSize(9)
-        .font("Helvetica")
-        .fillColor(textGray)
-        .text(`Phone: ${invoice.customerphone}`, billToX, billY);
-      billY += 12;
-    }
+      const { id } = req.params;
 
-    const addrParts = [
-      invoice.customeraddress,
-      invoice.customercity,
-      invoice.customerstate,
-      invoice.customercountry,
-    ].filter(Boolean);
-
-    if (addrParts.length > 0) {
-      const addr = addrParts.join(", ");
-      doc
-        .fontSize(9)
-        .font("Helvetica")
-        .fillColor(textGray)
-        .text(addr, billToX, billY, {
-          width: 260,
-          lineGap: 1.5,
-        });
-      billY += doc.heightOfString(addr, { width: 260 }) + 8;
-    }
+      const [invoices] = await pool.execute(
+        "SELECT id FROM invoices WHERE id = ? AND deleted_at IS NULL",
+        sanitizeParams(id)
+      );
+      if (invoices.length === 0) {
+        return res.status(404).json({ error: "Invoice not found" });
+      }
 
-    // Right side: Due Date + Status
-    let detailsY = y + 15;
-
-    doc
-      .fontSize(9)
-      .font("Helvetica-Bold")
-      .fillColor(textDark)
-      .text("Due Date", detailsX, detailsY);
-
-    doc
-      .fontSize(9)
-      .font("Helvetica")
-      .fillColor(textGray)
-      .text(formatDate(invoice.due_date), detailsX + 60, detailsY);
-
-    detailsY += 18;
-
-    const statusColors = {
-      paid: "#10B981",
-      pending: "#F59E0B",
-      overdue: "#EF4444",
-      draft: "#6B7280",
-      sent: "#3B82F6",
-    };
-
-    const statusColor = statusColors[invoice.status] || textGray;
-
-    doc
-      .fontSize(9)
-      .font("Helvetica-Bold")
-      .fillColor(textDark)
-      .text("Status", detailsX, detailsY);
-
-    doc
-      .fontSize(9)
-      .font("Helvetica-Bold")
-      .fillColor(statusColor)
-      .text((invoice.status || "DRAFT").toUpperCase(), detailsX + 60, detailsY);
-
-    y = Math.max(billY, detailsY + 20);
-
-    // ITEMS TABLE
-    const tableTop = y;
-    const colWidths = { sr: 40, desc: contentWidth - 150, amount: 110 };
-    const colX = {
-      sr: marginLeft,
-      desc: marginLeft + colWidths.sr,
-      amount: pageWidth - marginRight - colWidths.amount,
-    };
-
-    // Header row
-    doc
-      .rect(marginLeft, tableTop, contentWidth, 28)
-      .fillAndStroke(bgLight, borderGray);
-
-    doc
-      .fontSize(9)
-      .font("Helvetica-Bold")
-      .fillColor(brandPrimary)
-      .text("Sr.", colX.sr + 5, tableTop + 10, {
-        width: colWidths.sr,
-        align: "center",
+      const link = await createInvoiceShareLink({
+        invoiceId: id,
+        createdBy: req.user.id,
+        expiresInDays: req.body.expiresInDays,
       });
 
-    doc.text("Service Description", colX.desc + 8, tableTop + 10, {
-      width: colWidths.desc - 16,
-    });
+      res.status(201).json({
+        message: "Share link created successfully",
+        link: {
+          id: link.id,
+          url: buildInvoiceShareUrl(req, link.token),
+          expiresAt: link.expiresAt,
+        },
+      });
+    } catch (error) {
+      console.error("Invoice share link error:", error);
+      res.status(500).json({ error: "Failed to create share link" });
+    }
+  }
+);
 
-    doc.text("Amount (Rs.)", colX.amount, tableTop + 10, {
-      width: colWidths.amount,
-      align: "right",
-    });
+router.get(
+  "/:id/share-links",
+  authenticateToken,
+  requirePermission("invoices:read"),
+  async (req, res) => {
+    try {
+      const [links] = await pool.execute(
+        `SELECT l.id, l.expires_at, l.revoked_at, l.view_count, l.last_viewed_at,
+                l.created_at, u.name AS created_by_name
+         FROM invoice_share_links l
+         LEFT JOIN users u ON l.created_by = u.id
+         WHERE l.invoice_id = ?
+         ORDER BY l.created_at DESC`,
+        sanitizeParams(req.params.id)
+      );
 
-    y = tableTop + 28;
+      const [views] = await pool.execute(
+        "SELECT view_count, first_viewed_at, last_viewed_at FROM invoices WHERE id = ?",
+        sanitizeParams(req.params.id)
+      );
 
-    doc.fontSize(9).font("Helvetica").fillColor(textDark);
+      res.json({ links, views: views[0] || null });
+    } catch (error) {
+      console.error("Invoice share links fetch error:", error);
+      res.status(500).json({ error: "Failed to fetch share links" });
+    }
+  }
+);
 
-    const rowHeight = 28;
-    const rows =
-      items.length > 0
-        ? items
-        : [{ description: "Service Charges", amount: subtotal }];
+router.delete(
+  "/:id/share-links/:linkId",
+  authenticateToken,
+  requirePermission("invoices:write"),
+  async (req, res) => {
+    try {
+      const [result] = await pool.execute(
+        `UPDATE invoice_share_links SET revoked_at = NOW()
+         WHERE id = ? AND invoice_id = ? AND revoked_at IS NULL`,
+        sanitizeParams(req.params.linkId, req.params.id)
+      );
 
-    rows.forEach((item, i) => {
-      if (i % 2 === 1) {
-        doc.rect(marginLeft, y, contentWidth, rowHeight).fill("#FAFAFA");
+      if (result.affectedRows === 0) {
+        return res.status(404).json({ error: "Share link not found" });
       }
 
-      // main row
-      doc
-        .fontSize(9)
-        .font("Helvetica")
-        .fillColor(textDark)
-        .text((i + 1).toString(), colX.sr + 5, y + 10, {
-          width: colWidths.sr,
-          align: "center",
-        });
-
-      doc.text(item.description || "Service", colX.desc + 8, y + 10, {
-        width: colWidths.desc - 16,
-      });
-
-      doc
-        .font("Helvetica-Bold")
-        .text(Number(item.amount || 0).toFixed(2), colX.amount, y + 10, {
-          width: colWidths.amount,
-          align: "right",
-        })
-        .font("Helvetica");
+      res.json({ message: "Share link revoked successfully" });
+    } catch (error) {
+      console.error("Invoice share link revoke error:", error);
+      res.status(500).json({ error: "Failed to revoke share link" });
+    }
+  }
+);
 
-      y += rowHeight;
+// ================== EMAIL INVOICE ==================
+// Queues the invoice PDF for the customer (or `to`); drafts become "sent"
+router.post(
+  "/:id/email",
+  authenticateToken,
+  requirePermission("invoices:write"),
+  [
+    body("to").optional().isEmail().withMessage("Valid email is required"),
+    body("cc").optional().isArray({ max: 10 }).withMessage("cc must be a list of emails"),
+    body("cc.*").isEmail().withMessage("Valid cc email is required"),
+    body("message").optional().isString().isLength({ max: 2000 }),
+  ],
+  async (req, res) => {
+    try {
+      if (handleValidation(req, res)) return;
 
-      // breakdown bullets
-      let breakdown = null;
-      if (item.breakdown) {
-        try {
-          breakdown =
-            typeof item.breakdown === "string"
-              ? JSON.parse(item.breakdown)
-              : item.breakdown;
-        } catch {
-          breakdown = null;
-        }
+      const [invoices] = await pool.execute(
+        `SELECT i.*, c.name AS customer_name, c.email AS customer_email
+         FROM invoices i
+         LEFT JOIN customers c ON i.customer_id = c.id
+         WHERE i.id = ? AND i.deleted_at IS NULL`,
+        sanitizeParams(req.params.id)
+      );
+      if (invoices.length === 0) {
+        return res.status(404).json({ error: "Invoice not found" });
       }
 
-      if (Array.isArray(breakdown) && breakdown.length > 0) {
-        breakdown.forEach((b) => {
-          const label = b.label || "";
-          const amt = Number(b.amount || 0);
-
-          doc
-            .fontSize(8)
-            .font("Helvetica")
-            .fillColor(textGray)
-            .text(`• ${label}`, colX.desc + 16, y + 6, {
-              width: colWidths.desc - 24,
-            });
-
-          doc
-            .fontSize(8)
-            .font("Helvetica")
-            .fillColor(textGray)
-            .text(amt.toFixed(2), colX.amount, y + 6, {
-              width: colWidths.amount,
-              align: "right",
-            });
-
-          y += 16;
-        });
+      const invoice = invoices[0];
+      if (["void", "cancelled"].includes(invoice.status)) {
+        return res.status(400).json({ error: `Cannot email a ${invoice.status} invoice` });
       }
 
-      // divider
-      doc
-        .moveTo(marginLeft, y)
-        .lineTo(pageWidth - marginRight, y)
-        .strokeColor(borderGray)
-        .lineWidth(1)
-        .stroke();
-
-      y += 15;
-    });
-
-    // TOTALS
-    const totalsX = pageWidth - marginRight - 220;
-    const labelX = totalsX;
-    const valueX = pageWidth - marginRight - 80;
-
-    doc
-      .fontSize(10)
-      .font("Helvetica")
-      .fillColor(textDark)
-      .text("Subtotal", labelX, y);
-
-    doc
-      .font("Helvetica-Bold")
-      .text(formatCurrency(subtotal), valueX, y, {
-        align: "right",
-        width: 80,
-      });
+      const to = req.body.to || invoice.customer_email;
+      if (!to) {
+        return res.status(400).json({ error: "Customer has no email address; provide one in \"to\"" });
+      }
 
-    y += 15;
+      const company = await getCompanyProfile();
+      const previous = await snapshot("invoice", invoice.id);
 
-    doc
-      .font("Helvetica")
-      .fillColor(accentGold)
-      .text(`GST: ${gstRate}%`, labelX, y);
+      const connection = await pool.getConnection();
+      await connection.beginTransaction();
 
-    doc
-      .font("Helvetica-Bold")
-      .fillColor(accentGold)
-      .text(formatCurrency(gstAmount), valueX, y, {
-        align: "right",
-        width: 80,
-      });
+      let emailId;
+      try {
+        emailId = await queueEmail(
+          {
+            to,
+            cc: req.body.cc,
+            template: "invoice",
+            data: {
+              customerName: invoice.customer_name,
+              invoiceNumber: invoice.invoice_number,
+              issueDate: formatDate(invoice.issue_date),
+              dueDate: formatDate(invoice.due_date),
+              total: Number(invoice.total).toFixed(2),
+              balanceDue: Number(invoice.balance_due).toFixed(2),
+              message: req.body.message,
+              companyName: company.name,
+            },
+            attachments: [{ type: "invoice_pdf", invoiceId: invoice.id }],
+            relatedType: "invoice",
+            relatedId: invoice.id,
+            createdBy: req.user.id,
+          },
+          connection
+        );
 
-    y += 15;
-
-    doc
-      .moveTo(labelX, y)
-      .lineTo(pageWidth - marginRight, y)
-      .strokeColor(borderGray)
-      .lineWidth(1)
-      .stroke();
-
-    y += 10;
-
-    // Total box
-    doc
-      .rect(labelX - 8, y - 5, 228, 32)
-      .fillAndStroke("#EEF2FF", brandSecondary);
-
-    doc
-      .fontSize(11)
-      .font("Helvetica-Bold")
-      .fillColor(brandPrimary)
-      .text("Total Payable", labelX, y + 8);
-
-    doc
-      .fontSize(13)
-      .font("Helvetica-Bold")
-      .fillColor(brandPrimary)
-      .text(formatCurrency(totalWithGst), valueX - 5, y + 7, {
-        align: "right",
-        width: 85,
-      });
+        if (invoice.status === "draft") {
+          await connection.execute(
+            "UPDATE invoices SET status = 'sent', updated_at = CURRENT_TIMESTAMP WHERE id = ?",
+            [invoice.id]
+          );
+        }
+        await recordActivity(
+          {
+            entityType: "customer",
+            entityId: invoice.customer_id,
+            type: "invoice_sent",
+            title: `Invoice ${invoice.invoice_number} emailed to ${to}`,
+            details: { invoiceId: invoice.id, invoiceNumber: invoice.invoice_number, to },
+            actorId: req.user.id,
+          },
+          connection
+        );
 
-    y += 45;
-
-    // BANK DETAILS / CONTACT INFO (put your exact text here)
-    const bankDetails =
-      "Bank Details:\n" +
-      "Account Name: : VASIFY TECHNOLOGIES PVT.LTD\n" +
-      "Bank:  Axis Bank, M.G.ROAD KANDIVALI WEST BRANCH\n" +
-      "Account No: 924020018276663\n" +
-      "IFSC:  UTIB0001578\n\n" +
-      "Contact: +91-9769754446";
-
-    doc
-      .fontSize(9)
-      .font("Helvetica")
-      .fillColor(textDark)
-      .text(bankDetails, marginLeft, y, {
-        width: contentWidth,
-        lineGap: 2,
+        await connection.commit();
+      } catch (err) {
+        await connection.rollback();
+        throw err;
+      } finally {
+        connection.release();
+      }
+      await recordAudit({
+        entityType: "invoice",
+        entityId: invoice.id,
+        action: "update",
+        before: previous,
+        req,
       });
 
-    // NOTES
-    if (invoice.notes && String(invoice.notes).trim()) {
-      y += doc.heightOfString(bankDetails, { width: contentWidth }) + 12;
-
-      doc
-        .fontSize(10)
-        .font("Helvetica-Bold")
-        .fillColor(textDark)
-        .text("Notes", marginLeft, y);
-
-      y += 14;
-
-      doc
-        .fontSize(9)
-        .font("Helvetica")
-        .fillColor(textGray)
-        .text(String(invoice.notes).trim(), marginLeft, y, {
-          width: contentWidth,
-          lineGap: 2,
-        });
-
-      y += doc.heightOfString(String(invoice.notes).trim(), {
-        width: contentWidth,
-      }) + 20;
-    }
-
-    // FOOTER
-    const footerY = 780;
-    doc
-      .fontSize(9)
-      .font("Helvetica")
-      .fillColor(textGray)
-      .text("Thank you for your business!", marginLeft, footerY, {
-        align: "center",
-        width: contentWidth,
+      res.status(202).json({
+        message: "Invoice email queued successfully",
+        emailId,
+        to,
+        status: invoice.status === "draft" ? "sent" : invoice.status,
       });
-
-    doc
-      .fontSize(7.5)
-      .fillColor("#9CA3AF")
-      .text(
-        `Generated on ${new Date().toLocaleDateString("en-IN", {
-          day: "2-digit",
-          month: "2-digit",
-          year: "numeric",
-        })}`,
-        marginLeft,
-        footerY + 12,
-        {
-          align: "center",
-          width: contentWidth,
-        }
-      );
-
-    doc.end();
-  } catch (error) {
-    console.error("Invoice PDF generation error:", error);
-    if (!res.headersSent) {
-      res.status(500).json({ error: "Failed to generate invoice PDF" });
+    } catch (error) {
+      console.error("Invoice email error:", error);
+      res.status(500).json({ error: "Failed to email invoice" });
     }
   }
-});
+);
 
 router.post(
   "/",
   authenticateToken,
+  requirePermission("invoices:write"),
   [
     body("customerId").notEmpty().withMessage("Customer ID is required"),
     body("items").isArray({ min: 1 }).withMessage("Items array required"),
+    body("status")
+      .optional()
+      .isIn(CREATE_STATUSES)
+      .withMessage(`Status must be one of ${CREATE_STATUSES.join(", ")}`),
+    ...gstValidators(),
   ],
   async (req, res) => {
     try {
       if (handleValidation(req, res)) return;
 
-      const { customerId, items } = req.body;
+      const { customerId, items, placeOfSupply } = req.body;
 
       const [customers] = await pool.execute(
-        `SELECT id, assigned_to, default_tax_rate, default_due_days, default_invoice_notes 
-         FROM customers WHERE id = ?`,
+        `SELECT id, assigned_to, default_tax_rate, default_due_days, default_invoice_notes,
+                gstin, state, country
+         FROM customers WHERE id = ? AND deleted_at IS NULL`,
         sanitizeParams(customerId)
       );
 
@@ -758,77 +797,88 @@ router.post(
 
       const customer = customers[0];
 
-      if (req.user.role !== "admin" && customer.assigned_to !== req.user.userId) {
+      if (req.permissionScope === "own" && customer.assigned_to !== req.user.id) {
         return res
           .status(403)
           .json({ error: "You do not have permission to invoice this customer" });
       }
 
       const built = buildInvoiceFromCustomer(customer, req.body);
-      const invoiceNumber = generateInvoiceNumber();
+      const gst = buildGstInvoice({
+        company: await getCompanyProfile(),
+        customer,
+        items,
+        placeOfSupply,
+        defaultRate: built.tax,
+      });
       const invoiceId = uuidv4();
 
       const connection = await pool.getConnection();
       await connection.beginTransaction();
 
       try {
+        const invoiceNumber = await allocateInvoiceNumber(
+          connection,
+          new Date(`${built.issueDate}T00:00:00`)
+        );
+
         try {
           await connection.execute(
             `INSERT INTO invoices (
-              id, customer_id, invoice_number, amount, tax, total, status, issue_date, due_date, notes
+              id, customer_id, invoice_number, tax, status, issue_date, due_date, notes,
+              amount, total, place_of_supply, supply_type, company_gstin, customer_gstin,
+              cgst_amount, sgst_amount, igst_amount
             )
-            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
             sanitizeParams(
               invoiceId,
               customerId,
               invoiceNumber,
-              built.amount,
               built.tax,
-              built.total,
               built.status,
               built.issueDate,
               built.dueDate,
-              built.notes
+              built.notes,
+              ...gstInvoiceColumns(gst)
             )
           );
         } catch (insertError) {
           console.error("Error with issue_date, trying without:", insertError);
           await connection.execute(
             `INSERT INTO invoices (
-              id, customer_id, invoice_number, amount, tax, total, status, due_date, notes
+              id, customer_id, invoice_number, tax, status, due_date, notes,
+              amount, total, place_of_supply, supply_type, company_gstin, customer_gstin,
+              cgst_amount, sgst_amount, igst_amount
             )
-            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
             sanitizeParams(
               invoiceId,
               customerId,
               invoiceNumber,
-              built.amount,
               built.tax,
-              built.total,
               built.status,
               built.dueDate,
-              built.notes
+              built.notes,
+              ...gstInvoiceColumns(gst)
             )
           );
         }
 
-        for (const item of items) {
-          await connection.execute(
-            `INSERT INTO invoice_items (id, invoice_id, description, quantity, rate, amount, breakdown)
-             VALUES (?, ?, ?, ?, ?, ?, ?)`,
-            sanitizeParams(
-              uuidv4(),
-              invoiceId,
-              item.description,
-              item.quantity,
-              item.rate,
-              item.amount,
-              item.breakdown ? JSON.stringify(item.breakdown) : null
-            )
-          );
-        }
+        await insertInvoiceItems(connection, invoiceId, gst.lines);
+        await recordActivity(
+          {
+            entityType: "customer",
+            entityId: customerId,
+            type: "invoice_created",
+            title: `Invoice ${invoiceNumber} created (₹${gst.totals.total})`,
+            details: { invoiceId, invoiceNumber, total: gst.totals.total },
+            actorId: req.user.id,
+          },
+          connection
+        );
 
         await connection.commit();
+        await recordAudit({ entityType: "invoice", entityId: invoiceId, action: "create", req });
 
         const [createdInvoices] = await connection.execute(
           `SELECT i.*, c.name AS customer_name, c.company AS customer_company, c.email AS customer_email
@@ -861,27 +911,66 @@ router.post(
 );
 
 // ================== UPDATE INVOICE (stores breakdown) ==================
-router.put("/:id", authenticateToken, async (req, res) => {
+router.put("/:id", authenticateToken, requirePermission("invoices:write"), gstValidators(), async (req, res) => {
   try {
     if (handleValidation(req, res)) return;
 
     const { id } = req.params;
     const updateData = { ...req.body };
 
-    const access = await ensureCanAccessInvoice(req, res, id);
-    if (!access.ok) return;
-
     const [existingInvoices] = await pool.execute(
-      "SELECT id, status, customer_id FROM invoices WHERE id = ?",
+      "SELECT id, status, customer_id FROM invoices WHERE id = ? AND deleted_at IS NULL",
       sanitizeParams(id)
     );
     if (existingInvoices.length === 0) {
       return res.status(404).json({ error: "Invoice not found" });
     }
+    const existing = existingInvoices[0];
+    if (["void", "cancelled"].includes(existing.status)) {
+      return res.status(409).json({ error: `Cannot edit a ${existing.status} invoice` });
+    }
+
+    // New lines, place of supply or customer: amounts and tax split are
+    // recomputed. Another customer may be in another state, so its place
+    // of supply is derived again unless one is given
+    const customerChanged =
+      updateData.customerId !== undefined && updateData.customerId !== existing.customer_id;
+    const retax =
+      Array.isArray(updateData.items) || updateData.placeOfSupply !== undefined || customerChanged;
+
+    if (customerChanged) {
+      const [customers] = await pool.execute(
+        "SELECT id, assigned_to FROM customers WHERE id = ? AND deleted_at IS NULL",
+        sanitizeParams(updateData.customerId)
+      );
+      if (customers.length === 0) {
+        return res.status(400).json({ error: "Customer not found" });
+      }
+      if (req.permissionScope === "own" && customers[0].assigned_to !== req.user.id) {
+        return res
+          .status(403)
+          .json({ error: "You do not have permission to invoice this customer" });
+      }
+    }
+
+    // Re-taxing rewrites the lines under new ids, which would detach the
+    // credit note lines and payments already booked against them
+    if (retax) {
+      const [[ledger]] = await pool.execute(
+        `SELECT (SELECT COUNT(*) FROM invoice_payments WHERE invoice_id = ?) AS payments,
+                (SELECT COUNT(*) FROM credit_notes WHERE invoice_id = ?) AS credit_notes`,
+        sanitizeParams(id, id)
+      );
+      if (Number(ledger.payments) > 0 || Number(ledger.credit_notes) > 0) {
+        return res.status(409).json({
+          error: "Cannot change the items, customer or place of supply of an invoice with payments or credit notes",
+        });
+      }
+    }
 
     if (updateData.dueDate) updateData.dueDate = toSqlDate(updateData.dueDate);
-    if (updateData.paidDate) updateData.paidDate = toSqlDate(updateData.paidDate);
 
+    const previous = await snapshot("invoice", id);
     const connection = await pool.getConnection();
     await connection.beginTransaction();
 
@@ -907,29 +996,21 @@ router.put("/:id", authenticateToken, async (req, res) => {
         );
       }
 
-      if (Array.isArray(updateData.items)) {
-        await connection.execute(
-          "DELETE FROM invoice_items WHERE invoice_id = ?",
-          sanitizeParams(id)
-        );
-        for (const item of updateData.items) {
-          await connection.execute(
-            `INSERT INTO invoice_items (id, invoice_id, description, quantity, rate, amount, breakdown)
-             VALUES (?, ?, ?, ?, ?, ?, ?)`,
-            sanitizeParams(
-              uuidv4(),
-              id,
-              item.description,
-              item.quantity,
-              item.rate,
-              item.amount,
-              item.breakdown ? JSON.stringify(item.breakdown) : null
-            )
-          );
-        }
+      if (retax) {
+        await applyInvoiceGst(connection, id, {
+          items: updateData.items,
+          placeOfSupply:
+            customerChanged && updateData.placeOfSupply === undefined ? null : updateData.placeOfSupply,
+        });
+      }
+
+      // A changed total can settle or reopen a part-paid invoice
+      if (retax) {
+        await recalculateInvoiceBalance(connection, id);
       }
 
       await connection.commit();
+      await recordAudit({ entityType: "invoice", entityId: id, action: "update", before: previous, req });
 
       const [invoices] = await connection.execute(
         `SELECT i.*, c.name AS customer_name, c.company AS customer_company, c.email AS customer_email
@@ -958,27 +1039,454 @@ router.put("/:id", authenticateToken, async (req, res) => {
   }
 });
 
+// ================== PAYMENTS ==================
+router.get(
+  "/:id/payments",
+  authenticateToken,
+  requirePermission("invoices:read"),
+  async (req, res) => {
+    try {
+      const [invoices] = await pool.execute(
+        `SELECT id, total, amount_paid, credited_amount, balance_due, status, paid_date
+         FROM invoices WHERE id = ? AND deleted_at IS NULL`,
+        sanitizeParams(req.params.id)
+      );
+      if (invoices.length === 0) {
+        return res.status(404).json({ error: "Invoice not found" });
+      }
+
+      res.json({
+        payments: await listPayments(req.params.id),
+        refunds: await listRefunds(req.params.id),
+        summary: invoices[0],
+      });
+    } catch (error) {
+      console.error("Invoice payments fetch error:", error);
+      res.status(500).json({ error: "Failed to fetch payments" });
+    }
+  }
+);
+
+router.post(
+  "/:id/payments",
+  authenticateToken,
+  requirePermission("invoices:write"),
+  [
+    body("amount").isFloat({ gt: 0 }).withMessage("Amount must be greater than 0"),
+    body("mode").isIn(PAYMENT_MODES).withMessage(`Mode must be one of ${PAYMENT_MODES.join(", ")}`),
+    body("paymentDate").optional().isISO8601().withMessage("Payment date must be a valid date"),
+    body("reference").optional().isString().isLength({ max: 100 }),
+    body("notes").optional().isString(),
+  ],
+  async (req, res) => {
+    try {
+      if (handleValidation(req, res)) return;
+
+      const { id } = req.params;
+      const { amount, mode, paymentDate, reference, notes } = req.body;
+
+      const previous = await snapshot("invoice", id);
+      const connection = await pool.getConnection();
+      await connection.beginTransaction();
+
+      try {
+        const [invoices] = await connection.execute(
+          `SELECT id, customer_id, invoice_number, total, amount_paid, credited_amount, status
+           FROM invoices WHERE id = ? AND deleted_at IS NULL FOR UPDATE`,
+          sanitizeParams(id)
+        );
+        if (invoices.length === 0) {
+          await connection.rollback();
+          return res.status(404).json({ error: "Invoice not found" });
+        }
+
+        const invoice = invoices[0];
+        if (["cancelled", "void"].includes(invoice.status)) {
+          await connection.rollback();
+          return res
+            .status(400)
+            .json({ error: `Cannot record a payment on a ${invoice.status} invoice` });
+        }
+
+        const balancePaise =
+          toPaise(invoice.total) - toPaise(invoice.credited_amount) - toPaise(invoice.amount_paid);
+        if (toPaise(amount) > balancePaise) {
+          await connection.rollback();
+          return res.status(400).json({
+            error: "Payment exceeds the outstanding balance",
+            balanceDue: Math.max(0, balancePaise) / 100,
+          });
+        }
+
+        const paymentId = uuidv4();
+        await connection.execute(
+          `INSERT INTO invoice_payments
+            (id, invoice_id, amount, payment_date, mode, reference, notes, recorded_by)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+          sanitizeParams(
+            paymentId,
+            id,
+            Number(amount),
+            toSqlDate(paymentDate || new Date()),
+            mode,
+            reference || null,
+            notes || null,
+            req.user.id
+          )
+        );
+
+        const balance = await recalculateInvoiceBalance(connection, id);
+        await recordActivity(
+          {
+            entityType: "customer",
+            entityId: invoice.customer_id,
+            type: "invoice_paid",
+            title: `Payment of ₹${Number(amount).toFixed(2)} received on invoice ${invoice.invoice_number}${
+              balance.status === "paid" ? " (paid in full)" : ""
+            }`,
+            details: { invoiceId: id, paymentId, amount: Number(amount), mode, balanceDue: balance.balanceDue },
+            actorId: req.user.id,
+          },
+          connection
+        );
+        await connection.commit();
+        await recordAudit({ entityType: "invoice", entityId: id, action: "update", before: previous, req });
+
+        res.status(201).json({
+          message: "Payment recorded successfully",
+          paymentId,
+          invoice: { id, ...balance },
+        });
+      } catch (err) {
+        await connection.rollback();
+        throw err;
+      } finally {
+        connection.release();
+      }
+    } catch (error) {
+      console.error("Invoice payment error:", error);
+      res.status(500).json({ error: "Failed to record payment" });
+    }
+  }
+);
+
+router.delete(
+  "/:id/payments/:paymentId",
+  authenticateToken,
+  requirePermission("invoices:write"),
+  async (req, res) => {
+    try {
+      const { id, paymentId } = req.params;
+
+      const previous = await snapshot("invoice", id);
+      const connection = await pool.getConnection();
+      await connection.beginTransaction();
+
+      try {
+        const [result] = await connection.execute(
+          "DELETE FROM invoice_payments WHERE id = ? AND invoice_id = ?",
+          sanitizeParams(paymentId, id)
+        );
+        if (result.affectedRows === 0) {
+          await connection.rollback();
+          return res.status(404).json({ error: "Payment not found" });
+        }
+
+        const balance = await recalculateInvoiceBalance(connection, id, {
+          paymentRemoved: true,
+        });
+        await connection.commit();
+        await recordAudit({ entityType: "invoice", entityId: id, action: "update", before: previous, req });
+
+        res.json({
+          message: "Payment deleted successfully",
+          invoice: { id, ...balance },
+        });
+      } catch (err) {
+        await connection.rollback();
+        throw err;
+      } finally {
+        connection.release();
+      }
+    } catch (error) {
+      console.error("Invoice payment deletion error:", error);
+      res.status(500).json({ error: "Failed to delete payment" });
+    }
+  }
+);
+
+// ================== REFUNDS ==================
+// Money returned to the customer, e.g. after a credit note on a paid invoice
+router.post(
+  "/:id/refunds",
+  authenticateToken,
+  requirePermission("invoices:write"),
+  [
+    body("amount").isFloat({ gt: 0 }).withMessage("Amount must be greater than 0"),
+    body("mode").isIn(PAYMENT_MODES).withMessage(`Mode must be one of ${PAYMENT_MODES.join(", ")}`),
+    body("refundDate").optional().isISO8601().withMessage("Refund date must be a valid date"),
+    body("creditNoteId").optional().isString(),
+    body("reference").optional().isString().isLength({ max: 100 }),
+    body("notes").optional().isString(),
+  ],
+  async (req, res) => {
+    try {
+      if (handleValidation(req, res)) return;
+
+      const { id } = req.params;
+      const { amount, mode, refundDate, creditNoteId, reference, notes } = req.body;
+
+      const previous = await snapshot("invoice", id);
+      const connection = await pool.getConnection();
+      await connection.beginTransaction();
+
+      try {
+        const [invoices] = await connection.execute(
+          "SELECT id, amount_paid FROM invoices WHERE id = ? AND deleted_at IS NULL FOR UPDATE",
+          sanitizeParams(id)
+        );
+        if (invoices.length === 0) {
+          await connection.rollback();
+          return res.status(404).json({ error: "Invoice not found" });
+        }
+
+        // amount_paid is already net of earlier refunds
+        if (toPaise(amount) > toPaise(invoices[0].amount_paid)) {
+          await connection.rollback();
+          return res.status(400).json({
+            error: "Refund exceeds the amount paid on this invoice",
+            refundable: Number(invoices[0].amount_paid),
+          });
+        }
+
+        if (creditNoteId) {
+          const [creditNotes] = await connection.execute(
+            "SELECT id FROM credit_notes WHERE id = ? AND invoice_id = ?",
+            sanitizeParams(creditNoteId, id)
+          );
+          if (creditNotes.length === 0) {
+            await connection.rollback();
+            return res
+              .status(400)
+              .json({ error: "Credit note does not belong to this invoice" });
+          }
+        }
+
+        const refundId = uuidv4();
+        await connection.execute(
+          `INSERT INTO invoice_refunds
+            (id, invoice_id, credit_note_id, amount, refund_date, mode, reference, notes, recorded_by)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+          sanitizeParams(
+            refundId,
+            id,
+            creditNoteId || null,
+            Number(amount),
+            toSqlDate(refundDate || new Date()),
+            mode,
+            reference || null,
+            notes || null,
+            req.user.id
+          )
+        );
+
+        const balance = await recalculateInvoiceBalance(connection, id);
+        await connection.commit();
+        await recordAudit({ entityType: "invoice", entityId: id, action: "update", before: previous, req });
+
+        res.status(201).json({
+          message: "Refund recorded successfully",
+          refundId,
+          invoice: { id, ...balance },
+        });
+      } catch (err) {
+        await connection.rollback();
+        throw err;
+      } finally {
+        connection.release();
+      }
+    } catch (error) {
+      console.error("Invoice refund error:", error);
+      res.status(500).json({ error: "Failed to record refund" });
+    }
+  }
+);
+
+// ================== CREDIT NOTES ==================
+router.get(
+  "/:id/credit-notes",
+  authenticateToken,
+  requirePermission("invoices:read"),
+  async (req, res) => {
+    try {
+      const { creditNotes } = await listCreditNotes({ invoiceId: req.params.id, limit: 100 });
+      res.json({ creditNotes });
+    } catch (error) {
+      console.error("Invoice credit notes fetch error:", error);
+      res.status(500).json({ error: "Failed to fetch credit notes" });
+    }
+  }
+);
+
+// Full reversal without `items`, else partial per invoice line
+router.post(
+  "/:id/credit-notes",
+  authenticateToken,
+  requirePermission("invoices:write"),
+  [
+    body("reason").trim().notEmpty().withMessage("Reason is required"),
+    body("issueDate").optional().isISO8601().withMessage("Issue date must be a valid date"),
+    body("items").optional().isArray(),
+    body("items.*.invoiceItemId").optional({ values: "null" }).isString(),
+    body("items.*.amount")
+      .isFloat({ gt: 0 })
+      .withMessage("Each credited amount must be greater than 0"),
+    body("items.*.description").optional().isString(),
+  ],
+  async (req, res) => {
+    try {
+      if (handleValidation(req, res)) return;
+
+      const { reason, issueDate, items } = req.body;
+
+      const previous = await snapshot("invoice", req.params.id);
+      const connection = await pool.getConnection();
+      await connection.beginTransaction();
+
+      try {
+        const creditNote = await createCreditNote(connection, {
+          invoiceId: req.params.id,
+          items,
+          reason,
+          date: issueDate ? new Date(`${toSqlDate(issueDate)}T00:00:00`) : new Date(),
+          createdBy: req.user.id,
+        });
+
+        if (!creditNote) {
+          await connection.rollback();
+          return res.status(404).json({ error: "Invoice not found" });
+        }
+
+        await connection.commit();
+        await recordAudit({
+          entityType: "invoice",
+          entityId: req.params.id,
+          action: "update",
+          before: previous,
+          req,
+        });
+        res.status(201).json({ message: "Credit note issued successfully", creditNote });
+      } catch (err) {
+        await connection.rollback();
+        throw err;
+      } finally {
+        connection.release();
+      }
+    } catch (error) {
+      if (error.status === 400) {
+        return res.status(400).json({ error: error.message });
+      }
+      console.error("Credit note creation error:", error);
+      res.status(500).json({ error: "Failed to issue credit note" });
+    }
+  }
+);
+
+// ================== VOID INVOICE ==================
+// Issued invoices are voided (reversed by a credit note), never deleted
+router.post(
+  "/:id/void",
+  authenticateToken,
+  requirePermission("invoices:delete"),
+  [body("reason").trim().notEmpty().withMessage("Reason is required")],
+  async (req, res) => {
+    try {
+      if (handleValidation(req, res)) return;
+
+      const previous = await snapshot("invoice", req.params.id);
+      const connection = await pool.getConnection();
+      await connection.beginTransaction();
+
+      try {
+        const result = await voidInvoice(connection, {
+          invoiceId: req.params.id,
+          reason: req.body.reason,
+          voidedBy: req.user.id,
+        });
+
+        if (!result) {
+          await connection.rollback();
+          return res.status(404).json({ error: "Invoice not found" });
+        }
+
+        const [voided] = await connection.execute(
+          "SELECT customer_id, invoice_number FROM invoices WHERE id = ?",
+          [req.params.id]
+        );
+        await recordActivity(
+          {
+            entityType: "customer",
+            entityId: voided[0].customer_id,
+            type: "invoice_voided",
+            title: `Invoice ${voided[0].invoice_number} voided: ${req.body.reason}`,
+            details: { invoiceId: req.params.id, reason: req.body.reason },
+            actorId: req.user.id,
+          },
+          connection
+        );
+
+        await connection.commit();
+        await recordAudit({
+          entityType: "invoice",
+          entityId: req.params.id,
+          action: "update",
+          before: previous,
+          req,
+        });
+        res.json({ message: "Invoice voided successfully", ...result });
+      } catch (err) {
+        await connection.rollback();
+        throw err;
+      } finally {
+        connection.release();
+      }
+    } catch (error) {
+      if (error.status === 400) {
+        return res.status(400).json({ error: error.message });
+      }
+      console.error("Invoice void error:", error);
+      res.status(500).json({ error: "Failed to void invoice" });
+    }
+  }
+);
+
 // ================== DELETE INVOICE ==================
-router.delete("/:id", authenticateToken, async (req, res) => {
+// Only drafts without payments can be moved to the trash; anything issued must be voided
+router.delete("/:id", authenticateToken, requirePermission("invoices:delete"), async (req, res) => {
   try {
     const { id } = req.params;
-    const access = await ensureCanAccessInvoice(req, res, id);
-    if (!access.ok) return;
 
     const [existing] = await pool.execute(
-      "SELECT id FROM invoices WHERE id = ?",
+      `SELECT i.id, i.status,
+              (SELECT COUNT(*) FROM invoice_payments p WHERE p.invoice_id = i.id) AS payment_count
+       FROM invoices i WHERE i.id = ? AND i.deleted_at IS NULL`,
       sanitizeParams(id)
     );
     if (existing.length === 0) {
       return res.status(404).json({ error: "Invoice not found" });
     }
 
-    await pool.execute(
-      "DELETE FROM invoice_items WHERE invoice_id = ?",
-      sanitizeParams(id)
-    );
-    await pool.execute("DELETE FROM invoices WHERE id = ?", sanitizeParams(id));
-    res.json({ message: "Invoice deleted successfully" });
+    if (existing[0].status !== "draft" || Number(existing[0].payment_count) > 0) {
+      return res.status(409).json({
+        error: "Issued invoices cannot be deleted. Void the invoice instead.",
+      });
+    }
+
+    // Lines stay with the trashed invoice so it can be restored
+    const previous = await snapshot("invoice", id);
+    await softDelete("invoice", id, req.user.id);
+    await recordAudit({ entityType: "invoice", entityId: id, action: "delete", before: previous, req });
+    res.json({ message: "Invoice moved to trash" });
   } catch (error) {
     console.error("Invoice deletion error:", error);
     res.status(500).json({ error: "Failed to delete invoice" });
@@ -986,14 +1494,14 @@ router.delete("/:id", authenticateToken, async (req, res) => {
 });
 
 // ================== STATS ==================
-router.get("/stats/overview", authenticateToken, async (req, res) => {
+router.get("/stats/overview", authenticateToken, requirePermission("invoices:read"), async (req, res) => {
   try {
-    let whereClause = "WHERE 1=1";
+    let whereClause = "WHERE i.deleted_at IS NULL";
     const params = [];
 
-    if (req.user.role !== "admin") {
+    if (req.permissionScope === "own") {
       whereClause += " AND c.assigned_to = ?";
-      params.push(req.user.userId);
+      params.push(req.user.id);
     }
 
     const [stats] = await pool.execute(
@@ -1018,18 +1526,73 @@ router.get("/stats/overview", authenticateToken, async (req, res) => {
     );
 
     const [overdueInvoices] = await pool.execute(
-      `SELECT COUNT(*) AS count, SUM(i.total) AS total_amount 
+      `SELECT COUNT(*) AS count, SUM(i.balance_due) AS total_amount 
        FROM invoices i
        LEFT JOIN customers c ON i.customer_id = c.id
-       ${whereClause} AND i.status IN ('sent', 'overdue') 
+       ${whereClause} AND i.status IN ('sent', 'overdue', 'partially-paid') 
        AND i.due_date < CURDATE()`,
       sanitizeParams(...params)
     );
 
+    // Money actually received, from the payments ledger
+    const [collections] = await pool.execute(
+      `SELECT COALESCE(SUM(p.amount), 0) AS collected
+       FROM invoice_payments p
+       INNER JOIN invoices i ON p.invoice_id = i.id
+       LEFT JOIN customers c ON i.customer_id = c.id
+       ${whereClause}`,
+      sanitizeParams(...params)
+    );
+
+    const [refunds] = await pool.execute(
+      `SELECT COALESCE(SUM(r.amount), 0) AS refunded
+       FROM invoice_refunds r
+       INNER JOIN invoices i ON r.invoice_id = i.id
+       LEFT JOIN customers c ON i.customer_id = c.id
+       ${whereClause}`,
+      sanitizeParams(...params)
+    );
+
+    const [credits] = await pool.execute(
+      `SELECT COALESCE(SUM(cn.total), 0) AS credited
+       FROM credit_notes cn
+       INNER JOIN invoices i ON cn.invoice_id = i.id
+       LEFT JOIN customers c ON i.customer_id = c.id
+       ${whereClause}`,
+      sanitizeParams(...params)
+    );
+
+    const [outstanding] = await pool.execute(
+      `SELECT COALESCE(SUM(i.balance_due), 0) AS outstanding
+       FROM invoices i
+       LEFT JOIN customers c ON i.customer_id = c.id
+       ${whereClause} AND i.status IN ('sent', 'overdue', 'partially-paid')`,
+      sanitizeParams(...params)
+    );
+
+    const [monthlyCollections] = await pool.execute(
+      `SELECT DATE_FORMAT(p.payment_date, '%Y-%m') AS month,
+              COUNT(*) AS count,
+              SUM(p.amount) AS total_amount
+       FROM invoice_payments p
+       INNER JOIN invoices i ON p.invoice_id = i.id
+       LEFT JOIN customers c ON i.customer_id = c.id
+       ${whereClause} AND p.payment_date >= DATE_SUB(CURDATE(), INTERVAL 12 MONTH)
+       GROUP BY DATE_FORMAT(p.payment_date, '%Y-%m')
+       ORDER BY month`,
+      sanitizeParams(...params)
+    );
+
     res.json({
       statusBreakdown: stats,
       monthlyTrend: monthlyStats,
       overdue: overdueInvoices[0],
+      // Net of refunds
+      collected: Number(collections[0].collected) - Number(refunds[0].refunded),
+      refunded: Number(refunds[0].refunded),
+      credited: Number(credits[0].credited),
+      outstanding: Number(outstanding[0].outstanding),
+      monthlyCollections,
     });
   } catch (error) {
     console.error("Invoice stats error:", error);
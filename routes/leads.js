@@ -853,8 +853,53 @@
 const express = require("express");
 const { body, validationResult, query } = require("express-validator");
 const { pool } = require("../config/database");
-const { authenticateToken } = require("../middleware/auth");
+const { authenticateToken, requirePermission } = require("../middleware/auth");
 const { v4: uuidv4 } = require("uuid");
+const { withMediaUrl } = require("../services/whatsappConversations");
+const {
+  checkDuplicate,
+  duplicateColumns,
+  absorbIntoLead,
+  mergeLeads,
+  getDedupSettings,
+  updateDedupSettings,
+  listDuplicateLeads,
+  reviewDuplicate,
+} = require("../services/leadDedup");
+const { canAccessRecord } = require("../services/permissions");
+const {
+  STRATEGIES,
+  listRules,
+  getRule,
+  saveRule,
+  deleteRule,
+  assignLead,
+  recordAssignment,
+  getAssignmentHistory,
+} = require("../services/leadAssignment");
+const {
+  getScoringModel,
+  updateScoringModel,
+  recalculateAllScores,
+  refreshLeadScore,
+} = require("../services/leadScoring");
+const {
+  REASONS: QUARANTINE_REASONS,
+  listQuarantine,
+  getQuarantineEntry,
+  releaseEntry,
+  discardEntry,
+} = require("../services/publicLeadGuard");
+const {
+  ACTIVITY_TYPES,
+  recordActivity,
+  recordChanges,
+  getTimeline,
+} = require("../services/activities");
+const { snapshot, recordAudit } = require("../services/auditLog");
+const { softDelete } = require("../services/trash");
+const { createImportRouter } = require("./imports");
+const { EXPORT_FORMATS, streamExport } = require("../services/exports");
 
 const router = express.Router();
 
@@ -892,40 +937,176 @@ const leadFieldMap = {
   service: "service",
 };
 
-// Helper: check that current user is allowed to access this lead
-const ensureCanAccessLead = async (req, res, leadId) => {
-  if (req.user.role === "admin") return { ok: true };
+// Bulk CSV/XLSX import (/api/leads/imports); before "/:id" so it is not taken for a lead id
+router.use("/imports", createImportRouter({ entityType: "lead", fieldMap: leadFieldMap, resource: "leads" }));
 
-  const [rows] = await pool.execute(
-    "SELECT id, assigned_to FROM leads WHERE id = ?",
-    sanitizeParams(leadId)
-  );
+// Sortable columns of GET /api/leads
+const leadSortMap = {
+  createdAt: "l.created_at",
+  updatedAt: "l.updated_at",
+  score: "l.score",
+  estimatedValue: "l.estimated_value",
+  name: "l.name",
+};
 
-  if (rows.length === 0) {
-    return {
-      ok: false,
-      response: res.status(404).json({ error: "Lead not found" }),
-    };
+// Filters of GET /api/leads, shared with GET /api/leads/export
+const leadListFilters = [
+  query("search").optional().isString().withMessage("Search must be a string"),
+  query("status")
+    .optional()
+    .isIn([
+      "new",
+      "contacted",
+      "qualified",
+      "proposal",
+      "negotiation",
+      "closed-won",
+      "closed-lost",
+    ])
+    .withMessage("Invalid status"),
+  query("priority")
+    .optional()
+    .isIn(["low", "medium", "high"])
+    .withMessage("Invalid priority"),
+  query("source")
+    .optional()
+    .isIn(["website", "referral", "social", "advertisement", "cold-call", "whatsapp", "other"])
+    .withMessage("Invalid source"),
+  query("assignedTo")
+    .optional()
+    .isString()
+    .withMessage("AssignedTo must be a string"),
+  query("service")
+    .optional()
+    .isIn(["whatsapp-business-api", "website-development", "ai-agent", "other"])
+    .withMessage("Invalid service"),
+  query("createdBy")
+    .optional()
+    .isString()
+    .withMessage("createdBy must be a string"),
+  query("minScore")
+    .optional()
+    .isInt({ min: 0, max: 100 })
+    .withMessage("minScore must be between 0 and 100"),
+  query("maxScore")
+    .optional()
+    .isInt({ min: 0, max: 100 })
+    .withMessage("maxScore must be between 0 and 100"),
+  query("sortBy")
+    .optional()
+    .isIn(Object.keys(leadSortMap))
+    .withMessage(`sortBy must be one of ${Object.keys(leadSortMap).join(", ")}`),
+  query("sortOrder")
+    .optional()
+    .isIn(["asc", "desc"])
+    .withMessage("sortOrder must be asc or desc"),
+];
+
+// WHERE and ORDER BY of the lead list for the caller's filters and scope
+const buildLeadListQuery = (req) => {
+  const {
+    search,
+    status,
+    priority,
+    source,
+    assignedTo,
+    service,
+    createdBy,
+    minScore,
+    maxScore,
+    sortBy = "createdAt",
+    sortOrder = "desc",
+  } = req.query;
+
+  let whereClause = "WHERE l.deleted_at IS NULL";
+  const queryParams = [];
+
+  // Per-user data rule
+  if (req.permissionScope === "own") {
+    whereClause += " AND l.assigned_to = ?";
+    queryParams.push(req.user.id);
+  }
+
+  if (search) {
+    whereClause +=
+      " AND (l.name LIKE ? OR l.email LIKE ? OR l.company LIKE ? OR l.phone LIKE ?)";
+    const searchTerm = `%${search}%`;
+    queryParams.push(searchTerm, searchTerm, searchTerm, searchTerm);
+  }
+
+  if (status) {
+    whereClause += " AND l.status = ?";
+    queryParams.push(status);
+  }
+
+  if (priority) {
+    whereClause += " AND l.priority = ?";
+    queryParams.push(priority);
+  }
+
+  if (source) {
+    whereClause += " AND l.source = ?";
+    queryParams.push(source);
+  }
+
+  if (assignedTo && req.permissionScope === "any") {
+    whereClause += " AND l.assigned_to = ?";
+    queryParams.push(assignedTo);
+  }
+
+  if (service) {
+    whereClause += " AND l.service = ?";
+    queryParams.push(service);
+  }
+
+  if (createdBy && req.permissionScope === "any") {
+    whereClause += " AND l.created_by = ?";
+    queryParams.push(createdBy);
   }
 
-  const lead = rows[0];
+  if (minScore !== undefined) {
+    whereClause += " AND l.score >= ?";
+    queryParams.push(Number(minScore));
+  }
 
-  if (lead.assigned_to === req.user.id || lead.assigned_to == null) {
-    return { ok: true };
+  if (maxScore !== undefined) {
+    whereClause += " AND l.score <= ?";
+    queryParams.push(Number(maxScore));
   }
 
-  return {
-    ok: false,
-    response: res
-      .status(403)
-      .json({ error: "You do not have permission to access this lead" }),
-  };
+  // Whitelisted above; newest first breaks ties
+  const orderBy = `${leadSortMap[sortBy]} ${sortOrder === "asc" ? "ASC" : "DESC"}, l.created_at DESC`;
+
+  return { whereClause, queryParams, orderBy };
+};
+
+// Columns of GET /api/leads/export (?columns=name,email,...)
+const leadExportColumns = {
+  id: { header: "ID", sql: "l.id" },
+  name: { header: "Name", sql: "l.name" },
+  email: { header: "Email", sql: "l.email" },
+  phone: { header: "Phone", sql: "l.phone" },
+  whatsappNumber: { header: "WhatsApp number", sql: "l.whatsapp_number" },
+  company: { header: "Company", sql: "l.company" },
+  source: { header: "Source", sql: "l.source" },
+  status: { header: "Status", sql: "l.status" },
+  priority: { header: "Priority", sql: "l.priority" },
+  service: { header: "Service", sql: "l.service" },
+  score: { header: "Score", sql: "l.score", type: "number" },
+  estimatedValue: { header: "Estimated value", sql: "l.estimated_value", type: "number" },
+  expectedCloseDate: { header: "Expected close date", sql: "l.expected_close_date", type: "date" },
+  assignedTo: { header: "Assigned to", sql: "u.name" },
+  createdBy: { header: "Created by", sql: "cu.name" },
+  notes: { header: "Notes", sql: "l.notes" },
+  createdAt: { header: "Created at", sql: "l.created_at", type: "datetime" },
+  updatedAt: { header: "Updated at", sql: "l.updated_at", type: "datetime" },
 };
 
 // Get all leads with filtering and pagination
 router.get(
   "/",
   authenticateToken,
+  requirePermission("leads:read"),
   [
     query("page")
       .optional()
@@ -935,39 +1116,7 @@ router.get(
       .optional()
       .isInt({ min: 1, max: 100 })
       .withMessage("Limit must be between 1 and 100"),
-    query("search").optional().isString().withMessage("Search must be a string"),
-    query("status")
-      .optional()
-      .isIn([
-        "new",
-        "contacted",
-        "qualified",
-        "proposal",
-        "negotiation",
-        "closed-won",
-        "closed-lost",
-      ])
-      .withMessage("Invalid status"),
-    query("priority")
-      .optional()
-      .isIn(["low", "medium", "high"])
-      .withMessage("Invalid priority"),
-    query("source")
-      .optional()
-      .isIn(["website", "referral", "social", "advertisement", "cold-call", "other"])
-      .withMessage("Invalid source"),
-    query("assignedTo")
-      .optional()
-      .isString()
-      .withMessage("AssignedTo must be a string"),
-    query("service")
-      .optional()
-      .isIn(["whatsapp-business-api", "website-development", "ai-agent", "other"])
-      .withMessage("Invalid service"),
-    query("createdBy")
-      .optional()
-      .isString()
-      .withMessage("createdBy must be a string"),
+    ...leadListFilters,
   ],
   async (req, res) => {
     try {
@@ -985,61 +1134,7 @@ router.get(
         return res.status(400).json({ error: "Invalid pagination parameters" });
       }
 
-      const {
-        search,
-        status,
-        priority,
-        source,
-        assignedTo,
-        service,
-        createdBy,
-      } = req.query;
-
-      let whereClause = "WHERE 1=1";
-      const queryParams = [];
-
-      // Per-user data rule
-      if (req.user.role !== "admin") {
-        whereClause += " AND l.assigned_to = ?";
-        queryParams.push(req.user.id);
-      }
-
-      if (search) {
-        whereClause +=
-          " AND (l.name LIKE ? OR l.email LIKE ? OR l.company LIKE ? OR l.phone LIKE ?)";
-        const searchTerm = `%${search}%`;
-        queryParams.push(searchTerm, searchTerm, searchTerm, searchTerm);
-      }
-
-      if (status) {
-        whereClause += " AND l.status = ?";
-        queryParams.push(status);
-      }
-
-      if (priority) {
-        whereClause += " AND l.priority = ?";
-        queryParams.push(priority);
-      }
-
-      if (source) {
-        whereClause += " AND l.source = ?";
-        queryParams.push(source);
-      }
-
-      if (assignedTo && req.user.role === "admin") {
-        whereClause += " AND l.assigned_to = ?";
-        queryParams.push(assignedTo);
-      }
-
-      if (service) {
-        whereClause += " AND l.service = ?";
-        queryParams.push(service);
-      }
-
-      if (createdBy && req.user.role === "admin") {
-        whereClause += " AND l.created_by = ?";
-        queryParams.push(createdBy);
-      }
+      const { whereClause, queryParams, orderBy } = buildLeadListQuery(req);
 
       const leadsSql = `
         SELECT 
@@ -1050,7 +1145,7 @@ router.get(
         LEFT JOIN users u  ON l.assigned_to = u.id
         LEFT JOIN users cu ON l.created_by = cu.id
         ${whereClause}
-        ORDER BY l.created_at DESC
+        ORDER BY ${orderBy}
         LIMIT ${Number(limit)} OFFSET ${Number(offset)}
       `;
 
@@ -1090,13 +1185,55 @@ router.get(
   }
 );
 
+// Download the filtered lead list (same filters as GET /) as CSV, XLSX or JSON
+router.get(
+  "/export",
+  authenticateToken,
+  requirePermission("leads:read"),
+  [
+    ...leadListFilters,
+    query("format")
+      .optional()
+      .isIn(EXPORT_FORMATS)
+      .withMessage(`Format must be one of ${EXPORT_FORMATS.join(", ")}`),
+    query("columns").optional().isString().withMessage("Columns must be a comma separated list"),
+  ],
+  async (req, res) => {
+    try {
+      if (handleValidation(req, res)) return;
+
+      const { whereClause, queryParams, orderBy } = buildLeadListQuery(req);
+      await streamExport(res, {
+        format: req.query.format,
+        columns: leadExportColumns,
+        requested: req.query.columns,
+        from: `leads l
+               LEFT JOIN users u  ON l.assigned_to = u.id
+               LEFT JOIN users cu ON l.created_by = cu.id`,
+        where: whereClause,
+        params: sanitizeParams(...queryParams),
+        orderBy,
+        fileName: "leads",
+      });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      console.error("Leads export error:", error);
+      if (!res.headersSent) {
+        res.status(500).json({ error: "Failed to export leads" });
+      }
+    }
+  }
+);
+
 // Lead stats for dashboard cards
-router.get("/stats", authenticateToken, async (req, res) => {
+router.get("/stats", authenticateToken, requirePermission("leads:read"), async (req, res) => {
   try {
     const params = [];
-    let whereClause = "WHERE 1=1";
+    let whereClause = "WHERE deleted_at IS NULL";
 
-    if (req.user.role !== "admin") {
+    if (req.permissionScope === "own") {
       whereClause += " AND assigned_to = ?";
       params.push(req.user.id);
     }
@@ -1135,14 +1272,559 @@ router.get("/stats", authenticateToken, async (req, res) => {
   }
 });
 
+// ================== DUPLICATES & MERGE ==================
+// Duplicate detection policy (see services/leadDedup.js)
+router.get(
+  "/settings/dedup",
+  authenticateToken,
+  requirePermission("leads:read"),
+  async (req, res) => {
+    try {
+      res.json({ settings: await getDedupSettings() });
+    } catch (error) {
+      console.error("Lead dedup settings fetch error:", error);
+      res.status(500).json({ error: "Failed to fetch duplicate settings" });
+    }
+  }
+);
+
+router.put(
+  "/settings/dedup",
+  authenticateToken,
+  requirePermission("settings:manage"),
+  [
+    body("policy").optional().isString(),
+    body("manualPolicy").optional().isString(),
+    body("matchOn").optional().isArray().withMessage("matchOn must be a list"),
+  ],
+  async (req, res) => {
+    try {
+      if (handleValidation(req, res)) return;
+
+      const settings = await updateDedupSettings(req.body, req.user.id);
+      res.json({ message: "Duplicate settings updated", settings });
+    } catch (error) {
+      if (error.status === 400) {
+        return res.status(400).json({ error: error.message });
+      }
+      console.error("Lead dedup settings update error:", error);
+      res.status(500).json({ error: "Failed to update duplicate settings" });
+    }
+  }
+);
+
+// ================== SCORING ==================
+// Scoring model (see services/leadScoring.js)
+router.get(
+  "/settings/scoring",
+  authenticateToken,
+  requirePermission("leads:read"),
+  async (req, res) => {
+    try {
+      res.json({ model: await getScoringModel() });
+    } catch (error) {
+      console.error("Lead scoring model fetch error:", error);
+      res.status(500).json({ error: "Failed to fetch scoring model" });
+    }
+  }
+);
+
+// Saving the model rescores every lead
+router.put(
+  "/settings/scoring",
+  authenticateToken,
+  requirePermission("settings:manage"),
+  async (req, res) => {
+    try {
+      const { model, updated } = await updateScoringModel(req.body, req.user.id);
+      res.json({ message: `Scoring model updated, ${updated} lead(s) rescored`, model, updated });
+    } catch (error) {
+      if (error.status === 400) {
+        return res.status(400).json({ error: error.message });
+      }
+      console.error("Lead scoring model update error:", error);
+      res.status(500).json({ error: "Failed to update scoring model" });
+    }
+  }
+);
+
+router.post(
+  "/scores/recalculate",
+  authenticateToken,
+  requirePermission("settings:manage"),
+  async (req, res) => {
+    try {
+      const { updated } = await recalculateAllScores();
+      res.json({ message: `${updated} lead(s) rescored`, updated });
+    } catch (error) {
+      console.error("Lead score recalculation error:", error);
+      res.status(500).json({ error: "Failed to recalculate lead scores" });
+    }
+  }
+);
+
+// Leads created as duplicates of an existing lead, for review
+router.get(
+  "/duplicates",
+  authenticateToken,
+  requirePermission("leads:read"),
+  [
+    query("status").optional().isIn(["flagged", "linked", "dismissed"]).withMessage("Invalid status"),
+    query("page").optional().isInt({ min: 1 }),
+    query("limit").optional().isInt({ min: 1, max: 100 }),
+  ],
+  async (req, res) => {
+    try {
+      if (handleValidation(req, res)) return;
+
+      const page = Math.max(1, Number.parseInt(req.query.page, 10) || 1);
+      const limit = Math.min(100, Math.max(1, Number.parseInt(req.query.limit, 10) || 20));
+
+      const { leads, total } = await listDuplicateLeads({
+        status: req.query.status || "flagged",
+        limit,
+        offset: (page - 1) * limit,
+      });
+
+      const totalPages = total > 0 ? Math.ceil(total / limit) : 1;
+
+      res.json({
+        leads,
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages,
+          hasNext: page < totalPages,
+          hasPrev: page > 1,
+        },
+      });
+    } catch (error) {
+      console.error("Duplicate leads fetch error:", error);
+      res.status(500).json({ error: "Failed to fetch duplicate leads" });
+    }
+  }
+);
+
+// Merge leads into a surviving lead: notes are combined, tasks, deals and
+// WhatsApp history move over and the merged leads are removed
+router.post(
+  "/merge",
+  authenticateToken,
+  requirePermission("leads:delete"),
+  [
+    body("targetId").isString().notEmpty().withMessage("targetId is required"),
+    body("sourceIds").isArray({ min: 1 }).withMessage("sourceIds must list the leads to merge"),
+    body("sourceIds.*").isString().notEmpty(),
+  ],
+  async (req, res) => {
+    try {
+      if (handleValidation(req, res)) return;
+
+      const { targetId, sourceIds } = req.body;
+
+      if (req.permissionScope === "own") {
+        for (const leadId of [targetId, ...sourceIds]) {
+          const access = await canAccessRecord(
+            req.user,
+            "leads",
+            leadId === targetId ? "write" : "delete",
+            leadId
+          );
+          if (!access.found) {
+            return res.status(404).json({ error: `Lead ${leadId} not found` });
+          }
+          if (!access.allowed) {
+            return res
+              .status(403)
+              .json({ error: `You do not have permission to merge lead ${leadId}` });
+          }
+        }
+      }
+
+      const ids = [targetId, ...sourceIds];
+      const [previous] = await pool.execute(
+        `SELECT * FROM leads WHERE id IN (${ids.map(() => "?").join(", ")})`,
+        sanitizeParams(...ids)
+      );
+
+      const result = await mergeLeads({ targetId, sourceIds, mergedBy: req.user.id });
+
+      for (const lead of previous) {
+        await recordAudit({
+          entityType: "lead",
+          entityId: lead.id,
+          action: lead.id === targetId ? "update" : "delete",
+          before: lead,
+          req,
+        });
+      }
+
+      const [leads] = await pool.execute(
+        `
+        SELECT 
+          l.*,
+          u.name  AS assigned_user_name,
+          cu.name AS created_user_name
+        FROM leads l
+        LEFT JOIN users u  ON l.assigned_to = u.id
+        LEFT JOIN users cu ON l.created_by = cu.id
+        WHERE l.id = ?
+      `,
+        sanitizeParams(targetId)
+      );
+
+      res.json({
+        message: `Merged ${result.mergedLeadIds.length} lead(s) into ${leads[0].name}`,
+        lead: leads[0],
+        ...result,
+      });
+    } catch (error) {
+      if (error.status === 400 || error.status === 404) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      console.error("Lead merge error:", error);
+      res.status(500).json({ error: "Failed to merge leads" });
+    }
+  }
+);
+
+// Review a flagged duplicate: "dismissed" (not a duplicate) or "linked" (keep both)
+router.put(
+  "/:id/duplicate",
+  authenticateToken,
+  requirePermission("leads:write"),
+  [body("status").isIn(["dismissed", "linked"]).withMessage("Status must be dismissed or linked")],
+  async (req, res) => {
+    try {
+      if (handleValidation(req, res)) return;
+
+      if (!(await reviewDuplicate(req.params.id, req.body.status))) {
+        return res.status(404).json({ error: "Lead is not marked as a duplicate" });
+      }
+
+      res.json({ message: "Duplicate review saved", status: req.body.status });
+    } catch (error) {
+      console.error("Duplicate review error:", error);
+      res.status(500).json({ error: "Failed to review duplicate" });
+    }
+  }
+);
+
+// ================== QUARANTINE ==================
+// Website form submissions rejected by the spam checks (see services/publicLeadGuard.js)
+router.get(
+  "/quarantine",
+  authenticateToken,
+  requirePermission("settings:manage"),
+  [
+    query("status").optional().isIn(["quarantined", "released", "discarded"]).withMessage("Invalid status"),
+    query("reason").optional().isIn(QUARANTINE_REASONS).withMessage("Invalid reason"),
+    query("page").optional().isInt({ min: 1 }),
+    query("limit").optional().isInt({ min: 1, max: 100 }),
+  ],
+  async (req, res) => {
+    try {
+      if (handleValidation(req, res)) return;
+
+      const page = Math.max(1, Number.parseInt(req.query.page, 10) || 1);
+      const limit = Math.min(100, Math.max(1, Number.parseInt(req.query.limit, 10) || 20));
+
+      const { entries, total } = await listQuarantine({
+        status: req.query.status || "quarantined",
+        reason: req.query.reason,
+        limit,
+        offset: (page - 1) * limit,
+      });
+
+      const totalPages = total > 0 ? Math.ceil(total / limit) : 1;
+
+      res.json({
+        entries,
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages,
+          hasNext: page < totalPages,
+          hasPrev: page > 1,
+        },
+      });
+    } catch (error) {
+      console.error("Lead quarantine fetch error:", error);
+      res.status(500).json({ error: "Failed to fetch quarantined submissions" });
+    }
+  }
+);
+
+router.get(
+  "/quarantine/:entryId",
+  authenticateToken,
+  requirePermission("settings:manage"),
+  async (req, res) => {
+    try {
+      const entry = await getQuarantineEntry(req.params.entryId);
+      if (!entry) {
+        return res.status(404).json({ error: "Quarantined submission not found" });
+      }
+
+      res.json({ entry });
+    } catch (error) {
+      console.error("Lead quarantine entry fetch error:", error);
+      res.status(500).json({ error: "Failed to fetch quarantined submission" });
+    }
+  }
+);
+
+// Not spam after all: create the lead the submission would have created
+router.post(
+  "/quarantine/:entryId/release",
+  authenticateToken,
+  requirePermission("settings:manage"),
+  async (req, res) => {
+    try {
+      const released = await releaseEntry(req.params.entryId, req.user.id);
+      if (!released) {
+        return res.status(404).json({ error: "Quarantined submission not found" });
+      }
+
+      const { entry, result } = released;
+      res.json({
+        message: result.duplicate
+          ? "Submission released and added to the existing lead"
+          : "Submission released as a new lead",
+        entry,
+        duplicate: result.duplicate,
+        leadId: entry.lead_id,
+        lead: result.lead || null,
+      });
+    } catch (error) {
+      if (error.status === 409) {
+        return res.status(409).json({ error: error.message });
+      }
+      console.error("Lead quarantine release error:", error);
+      res.status(500).json({ error: "Failed to release submission" });
+    }
+  }
+);
+
+router.post(
+  "/quarantine/:entryId/discard",
+  authenticateToken,
+  requirePermission("settings:manage"),
+  async (req, res) => {
+    try {
+      if (!(await discardEntry(req.params.entryId, req.user.id))) {
+        return res.status(404).json({ error: "Quarantined submission not found" });
+      }
+
+      res.json({ message: "Submission discarded" });
+    } catch (error) {
+      if (error.status === 409) {
+        return res.status(409).json({ error: error.message });
+      }
+      console.error("Lead quarantine discard error:", error);
+      res.status(500).json({ error: "Failed to discard submission" });
+    }
+  }
+);
+
+// ================== ASSIGNMENT RULES ==================
+// Rules that pick an owner for new unassigned leads (see services/leadAssignment.js)
+const ruleValidators = (isUpdate) => [
+  isUpdate
+    ? body("name").optional().trim().notEmpty().withMessage("Name cannot be empty")
+    : body("name").trim().notEmpty().withMessage("Name is required"),
+  body("isActive").optional().isBoolean().toBoolean(),
+  body("priority").optional().isInt().toInt(),
+  body("services").optional().isArray().withMessage("Services must be a list"),
+  body("sources").optional().isArray().withMessage("Sources must be a list"),
+  body("strategy").optional().isIn(STRATEGIES).withMessage(`Strategy must be one of ${STRATEGIES.join(", ")}`),
+  body("userIds").optional().isArray().withMessage("userIds must be a list"),
+  body("userIds.*").optional().isString().notEmpty(),
+  body("maxOpenLeads")
+    .optional({ values: "null" })
+    .isInt({ min: 1 })
+    .withMessage("maxOpenLeads must be a positive number")
+    .toInt(),
+];
+
+router.get(
+  "/assignment-rules",
+  authenticateToken,
+  requirePermission("leads:read"),
+  [query("active").optional().isBoolean().withMessage("active must be true or false")],
+  async (req, res) => {
+    try {
+      if (handleValidation(req, res)) return;
+
+      const active = req.query.active === undefined ? undefined : req.query.active === "true";
+      res.json({ rules: await listRules({ active }) });
+    } catch (error) {
+      console.error("Assignment rules fetch error:", error);
+      res.status(500).json({ error: "Failed to fetch assignment rules" });
+    }
+  }
+);
+
+router.get(
+  "/assignment-rules/:ruleId",
+  authenticateToken,
+  requirePermission("leads:read"),
+  async (req, res) => {
+    try {
+      const rule = await getRule(req.params.ruleId);
+      if (!rule) {
+        return res.status(404).json({ error: "Assignment rule not found" });
+      }
+
+      res.json({ rule });
+    } catch (error) {
+      console.error("Assignment rule fetch error:", error);
+      res.status(500).json({ error: "Failed to fetch assignment rule" });
+    }
+  }
+);
+
+router.post(
+  "/assignment-rules",
+  authenticateToken,
+  requirePermission("settings:manage"),
+  ruleValidators(false),
+  async (req, res) => {
+    try {
+      if (handleValidation(req, res)) return;
+
+      const rule = await saveRule(null, req.body, req.user.id);
+      res.status(201).json({ message: "Assignment rule created successfully", rule });
+    } catch (error) {
+      if (error.status === 400) {
+        return res.status(400).json({ error: error.message });
+      }
+      console.error("Assignment rule create error:", error);
+      res.status(500).json({ error: "Failed to create assignment rule" });
+    }
+  }
+);
+
+router.put(
+  "/assignment-rules/:ruleId",
+  authenticateToken,
+  requirePermission("settings:manage"),
+  ruleValidators(true),
+  async (req, res) => {
+    try {
+      if (handleValidation(req, res)) return;
+
+      const rule = await saveRule(req.params.ruleId, req.body, req.user.id);
+      if (!rule) {
+        return res.status(404).json({ error: "Assignment rule not found" });
+      }
+
+      res.json({ message: "Assignment rule updated successfully", rule });
+    } catch (error) {
+      if (error.status === 400) {
+        return res.status(400).json({ error: error.message });
+      }
+      console.error("Assignment rule update error:", error);
+      res.status(500).json({ error: "Failed to update assignment rule" });
+    }
+  }
+);
+
+router.delete(
+  "/assignment-rules/:ruleId",
+  authenticateToken,
+  requirePermission("settings:manage"),
+  async (req, res) => {
+    try {
+      if (!(await deleteRule(req.params.ruleId))) {
+        return res.status(404).json({ error: "Assignment rule not found" });
+      }
+
+      res.json({ message: "Assignment rule deleted successfully" });
+    } catch (error) {
+      console.error("Assignment rule delete error:", error);
+      res.status(500).json({ error: "Failed to delete assignment rule" });
+    }
+  }
+);
+
+// Who the lead was assigned to, when and by which rule or user
+router.get(
+  "/:id/assignments",
+  authenticateToken,
+  requirePermission("leads:read"),
+  async (req, res) => {
+    try {
+      const [leads] = await pool.execute(
+        "SELECT id FROM leads WHERE id = ? AND deleted_at IS NULL",
+        sanitizeParams(req.params.id)
+      );
+      if (leads.length === 0) {
+        return res.status(404).json({ error: "Lead not found" });
+      }
+
+      res.json({ assignments: await getAssignmentHistory(req.params.id) });
+    } catch (error) {
+      console.error("Lead assignment history error:", error);
+      res.status(500).json({ error: "Failed to fetch assignment history" });
+    }
+  }
+);
+
+// Activity timeline of a lead, newest first (?type=a,b filters by activity type)
+router.get(
+  "/:id/timeline",
+  authenticateToken,
+  requirePermission("leads:read"),
+  [
+    query("page").optional().isInt({ min: 1 }).withMessage("Page must be a positive integer"),
+    query("limit").optional().isInt({ min: 1, max: 100 }).withMessage("Limit must be between 1 and 100"),
+    query("type")
+      .optional()
+      .custom((value) => String(value).split(",").every((type) => ACTIVITY_TYPES.includes(type.trim())))
+      .withMessage(`Type must be a comma separated list of ${ACTIVITY_TYPES.join(", ")}`),
+  ],
+  async (req, res) => {
+    try {
+      if (handleValidation(req, res)) return;
+
+      const [leads] = await pool.execute(
+        "SELECT id FROM leads WHERE id = ? AND deleted_at IS NULL",
+        sanitizeParams(req.params.id)
+      );
+      if (leads.length === 0) {
+        return res.status(404).json({ error: "Lead not found" });
+      }
+
+      const page = Number(req.query.page || 1);
+      const limit = Number(req.query.limit || 20);
+      const types = req.query.type ? String(req.query.type).split(",").map((type) => type.trim()) : [];
+
+      const { activities, total } = await getTimeline("lead", req.params.id, {
+        types,
+        limit,
+        offset: (page - 1) * limit,
+      });
+      const totalPages = Math.ceil(total / limit);
+
+      res.json({
+        activities,
+        pagination: { page, limit, total, totalPages, hasNext: page < totalPages, hasPrev: page > 1 },
+      });
+    } catch (error) {
+      console.error("Lead timeline error:", error);
+      res.status(500).json({ error: "Failed to fetch lead timeline" });
+    }
+  }
+);
+
 // Get lead by ID
-router.get("/:id", authenticateToken, async (req, res) => {
+router.get("/:id", authenticateToken, requirePermission("leads:read"), async (req, res) => {
   try {
     const { id } = req.params;
 
-    const access = await ensureCanAccessLead(req, res, id);
-    if (!access.ok) return;
-
     const [leads] = await pool.execute(
       `
       SELECT 
@@ -1152,7 +1834,7 @@ router.get("/:id", authenticateToken, async (req, res) => {
       FROM leads l
       LEFT JOIN users u  ON l.assigned_to = u.id
       LEFT JOIN users cu ON l.created_by = cu.id
-      WHERE l.id = ?
+      WHERE l.id = ? AND l.deleted_at IS NULL
     `,
       sanitizeParams(id)
     );
@@ -1164,7 +1846,19 @@ router.get("/:id", authenticateToken, async (req, res) => {
     const lead = leads[0];
 
     const [tasks] = await pool.execute(
-      'SELECT id, title, type, status, due_date FROM tasks WHERE related_type = "lead" AND related_id = ?',
+      `SELECT id, title, type, status, due_date FROM tasks
+       WHERE related_type = "lead" AND related_id = ? AND deleted_at IS NULL`,
+      sanitizeParams(id)
+    );
+
+    // WhatsApp messages (text, media, locations, button replies), newest first
+    const [whatsappMessages] = await pool.execute(
+      `SELECT id, conversation_id, direction, message, message_type, content, status,
+              media_status, media_mime_type, media_file_name, media_size, created_at
+       FROM whatsapp_messages
+       WHERE lead_id = ?
+       ORDER BY created_at DESC
+       LIMIT 50`,
       sanitizeParams(id)
     );
 
@@ -1172,6 +1866,7 @@ router.get("/:id", authenticateToken, async (req, res) => {
       lead,
       related: {
         tasks,
+        whatsappMessages: whatsappMessages.map(withMediaUrl),
       },
     });
   } catch (error) {
@@ -1184,6 +1879,7 @@ router.get("/:id", authenticateToken, async (req, res) => {
 router.post(
   "/",
   authenticateToken,
+  requirePermission("leads:write"),
   [
     body("name").trim().notEmpty().withMessage("Name is required"),
     body("email").isEmail().withMessage("Valid email is required"),
@@ -1191,7 +1887,7 @@ router.post(
     body("company").optional().isString().withMessage("Company must be a string"),
     body("source")
       .optional()
-      .isIn(["website", "referral", "social", "advertisement", "cold-call", "other"])
+      .isIn(["website", "referral", "social", "advertisement", "cold-call", "whatsapp", "other"])
       .withMessage("Invalid source"),
     body("status")
       .optional()
@@ -1258,29 +1954,59 @@ router.post(
         service,
       } = req.body;
 
-      // ── DUPLICATE EMAIL CHECK ──────────────────────────────────────────────
-      // Normalize email to lowercase to make the check case-insensitive
+      // ── DUPLICATE CHECK ────────────────────────────────────────────────────
+      // Matches on email, phone and WhatsApp number; what happens next is the
+      // configured manual policy (reject by default)
       const normalizedEmail = email.trim().toLowerCase();
 
-      const [existingLeadByEmail] = await pool.execute(
-        "SELECT id, name, status FROM leads WHERE LOWER(email) = ?",
-        sanitizeParams(normalizedEmail)
+      const dedup = await checkDuplicate(
+        { email: normalizedEmail, phone, whatsappNumber },
+        { channel: "manual" }
       );
 
-      if (existingLeadByEmail.length > 0) {
-        const duplicate = existingLeadByEmail[0];
+      if (dedup.duplicate && dedup.policy === "reject") {
+        const duplicate = dedup.duplicate;
         return res.status(409).json({
           error: "Lead already exists",
-          message: `A lead with this email (${email}) is already present in the system.`,
+          message: `A lead with this ${duplicate.matched_on.join("/")} is already present in the system.`,
           details: `Lead Name: ${duplicate.name}, Status: ${duplicate.status}`,
           existingLead: {
             id: duplicate.id,
             name: duplicate.name,
             status: duplicate.status,
           },
+          matches: dedup.matches,
+        });
+      }
+
+      if (dedup.duplicate && dedup.policy === "merge") {
+        const previous = await snapshot("lead", dedup.duplicate.id);
+        await absorbIntoLead(
+          dedup.duplicate.id,
+          { name, email: normalizedEmail, phone, company, whatsappNumber, service, notes },
+          { source: "manual entry" }
+        );
+        await recordAudit({
+          entityType: "lead",
+          entityId: dedup.duplicate.id,
+          action: "update",
+          before: previous,
+          req,
+        });
+
+        const [mergedLeads] = await pool.execute(
+          "SELECT * FROM leads WHERE id = ?",
+          sanitizeParams(dedup.duplicate.id)
+        );
+        return res.status(200).json({
+          message: "Lead matched an existing lead and was merged into it",
+          merged: true,
+          lead: mergedLeads[0],
         });
       }
-      // ── END DUPLICATE EMAIL CHECK ──────────────────────────────────────────
+
+      const { duplicateOf, duplicateStatus } = duplicateColumns(dedup);
+      // ── END DUPLICATE CHECK ────────────────────────────────────────────────
 
       const safeSource = source ?? "website";
       const safeStatus = status ?? "new";
@@ -1305,8 +2031,8 @@ router.post(
 
       let assignedTo = rawAssignedTo ?? null;
 
-      // Non-admin: always assign to current user
-      if (req.user.role !== "admin") {
+      // Users limited to their own leads always assign to themselves
+      if (req.permissionScope === "own") {
         assignedTo = req.user.id;
       } else if (assignedTo === "" || assignedTo === "0" || assignedTo === 0) {
         assignedTo = null;
@@ -1334,8 +2060,9 @@ router.post(
           name, email, phone, company, source, status, priority,
           assigned_to, converted_customer_id, estimated_value, notes,
           expected_close_date, whatsapp_number, service,
+          duplicate_of, duplicate_status,
           created_by, created_at, updated_at
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
       `,
         sanitizeParams(
           leadId,
@@ -1353,9 +2080,46 @@ router.post(
           safeExpectedCloseDate,
           safeWhatsappNumber,
           safeService,
+          duplicateOf,
+          duplicateStatus,
           createdBy
         )
       );
+      await recordActivity({
+        entityType: "lead",
+        entityId: leadId,
+        type: "created",
+        title: `Lead created (${safeSource})`,
+        details: { source: safeSource, status: safeStatus, assignedTo },
+        actorId: req.user.id,
+      });
+
+      // Unassigned leads go through the assignment rules; the lead is already
+      // saved, so a failing rule only leaves it unassigned
+      if (assignedTo != null) {
+        await recordAssignment({
+          leadId,
+          assignedTo,
+          assignedBy: req.user.id,
+          note: "Assigned on creation",
+        });
+        await recordChanges({
+          entityType: "lead",
+          entityId: leadId,
+          before: { assigned_to: null },
+          after: { assigned_to: assignedTo },
+          actorId: req.user.id,
+        });
+      } else {
+        try {
+          await assignLead(leadId);
+        } catch (error) {
+          console.error(`Lead assignment failed for lead ${leadId}:`, error);
+        }
+      }
+
+      await refreshLeadScore(leadId);
+      await recordAudit({ entityType: "lead", entityId: leadId, action: "create", req });
 
       const [leads] = await pool.execute(
         `
@@ -1386,6 +2150,7 @@ router.post(
 router.put(
   "/:id",
   authenticateToken,
+  requirePermission("leads:write"),
   [
     body("name").optional().trim().notEmpty().withMessage("Name cannot be empty"),
     body("email").optional().isEmail().withMessage("Valid email is required"),
@@ -1393,7 +2158,7 @@ router.put(
     body("company").optional().isString().withMessage("Company must be a string"),
     body("source")
       .optional()
-      .isIn(["website", "referral", "social", "advertisement", "cold-call", "other"])
+      .isIn(["website", "referral", "social", "advertisement", "cold-call", "whatsapp", "other"])
       .withMessage("Invalid source"),
     body("status")
       .optional()
@@ -1440,16 +2205,13 @@ router.put(
       const { id } = req.params;
       const updateData = { ...req.body };
 
-      const access = await ensureCanAccessLead(req, res, id);
-      if (!access.ok) return;
-
       // ── DUPLICATE EMAIL CHECK ON UPDATE ───────────────────────────────────
       // Only run if the caller is actually changing the email field
       if (updateData.email !== undefined) {
         const normalizedEmail = updateData.email.trim().toLowerCase();
 
         const [emailConflict] = await pool.execute(
-          "SELECT id FROM leads WHERE LOWER(email) = ? AND id != ?",
+          "SELECT id FROM leads WHERE LOWER(email) = ? AND id != ? AND deleted_at IS NULL",
           sanitizeParams(normalizedEmail, id)
         );
 
@@ -1467,7 +2229,7 @@ router.put(
       // ── END DUPLICATE EMAIL CHECK ON UPDATE ───────────────────────────────
 
       if (Object.prototype.hasOwnProperty.call(updateData, "assignedTo")) {
-        if (req.user.role !== "admin") {
+        if (req.permissionScope === "own") {
           delete updateData.assignedTo;
         } else {
           let assignedTo = updateData.assignedTo ?? null;
@@ -1488,7 +2250,7 @@ router.put(
       }
 
       const [existingLeads] = await pool.execute(
-        "SELECT id FROM leads WHERE id = ?",
+        "SELECT * FROM leads WHERE id = ? AND deleted_at IS NULL",
         sanitizeParams(id)
       );
 
@@ -1521,6 +2283,26 @@ router.put(
         sanitizeParams(...updateValues)
       );
 
+      const previousAssignedTo = existingLeads[0].assigned_to;
+      if (updateData.assignedTo !== undefined && updateData.assignedTo !== previousAssignedTo) {
+        await recordAssignment({
+          leadId: id,
+          assignedTo: updateData.assignedTo,
+          previousAssignedTo,
+          assignedBy: req.user.id,
+        });
+      }
+      await recordChanges({
+        entityType: "lead",
+        entityId: id,
+        before: existingLeads[0],
+        after: { status: updateData.status, assigned_to: updateData.assignedTo, notes: updateData.notes },
+        actorId: req.user.id,
+      });
+      await recordAudit({ entityType: "lead", entityId: id, action: "update", before: existingLeads[0], req });
+
+      await refreshLeadScore(id);
+
       const [leads] = await pool.execute(
         `
         SELECT 
@@ -1549,6 +2331,7 @@ router.put(
 router.post(
   "/:id/convert",
   authenticateToken,
+  requirePermission("leads:write"),
   [body("customerData").optional().isObject().withMessage("Customer data must be an object")],
   async (req, res) => {
     try {
@@ -1557,11 +2340,8 @@ router.post(
       const { id } = req.params;
       const { customerData = {} } = req.body;
 
-      const access = await ensureCanAccessLead(req, res, id);
-      if (!access.ok) return;
-
       const [leads] = await pool.execute(
-        "SELECT * FROM leads WHERE id = ?",
+        "SELECT * FROM leads WHERE id = ? AND deleted_at IS NULL",
         sanitizeParams(id)
       );
 
@@ -1663,8 +2443,22 @@ router.post(
           'UPDATE tasks SET related_type = "customer", related_id = ? WHERE related_type = "lead" AND related_id = ?',
           sanitizeParams(customerId, id)
         );
+        await recordActivity(
+          {
+            entityType: "lead",
+            entityId: id,
+            type: "converted",
+            title: `Converted to customer ${customerData.name || lead.name}`,
+            details: { customerId },
+            actorId: req.user.id,
+            related: [{ type: "customer", id: customerId }],
+          },
+          connection
+        );
 
         await connection.commit();
+        await recordAudit({ entityType: "lead", entityId: id, action: "update", before: lead, req });
+        await recordAudit({ entityType: "customer", entityId: customerId, action: "create", req });
 
         const [customers] = await pool.execute(
           `
@@ -1717,15 +2511,12 @@ router.post(
   }
 );
 
-router.delete("/:id", authenticateToken, async (req, res) => {
+router.delete("/:id", authenticateToken, requirePermission("leads:delete"), async (req, res) => {
   try {
     const { id } = req.params;
 
-    const access = await ensureCanAccessLead(req, res, id);
-    if (!access.ok) return;
-
     const [existingLeads] = await pool.execute(
-      "SELECT id FROM leads WHERE id = ?",
+      "SELECT * FROM leads WHERE id = ? AND deleted_at IS NULL",
       sanitizeParams(id)
     );
 
@@ -1733,9 +2524,10 @@ router.delete("/:id", authenticateToken, async (req, res) => {
       return res.status(404).json({ error: "Lead not found" });
     }
 
-    await pool.execute("DELETE FROM leads WHERE id = ?", sanitizeParams(id));
+    await softDelete("lead", id, req.user.id);
+    await recordAudit({ entityType: "lead", entityId: id, action: "delete", before: existingLeads[0], req });
 
-    res.json({ message: "Lead deleted successfully" });
+    res.json({ message: "Lead moved to trash" });
   } catch (error) {
     console.error("Lead deletion error:", error);
     res.status(500).json({ error: "Failed to delete lead" });
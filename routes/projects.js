@@ -1,9 +1,90 @@
 const express = require('express');
 const router = express.Router();
+const multer = require('multer');
 const { pool } = require('../config/database');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { getStorage, createMulterStorage } = require('../services/fileStorage');
+const { toCsv } = require('../services/spreadsheet');
+const { guardFormula } = require('../services/exports');
 
 const PDFDocument = require('pdfkit');
-router.get('/', async (req, res) => {
+
+const MAX_PROJECT_FILE_SIZE =
+  Number(process.env.PROJECT_FILE_MAX_SIZE_MB || 25) * 1024 * 1024;
+
+const ALLOWED_PROJECT_FILE_TYPES = [
+  'application/pdf',
+  'application/msword',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'application/vnd.ms-excel',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  'application/vnd.ms-powerpoint',
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  'application/zip',
+  'application/x-zip-compressed',
+  'text/plain',
+  'text/csv',
+  'image/png',
+  'image/jpeg',
+  'image/gif',
+  'image/webp',
+  'image/svg+xml',
+];
+
+const projectFileUpload = multer({
+  storage: createMulterStorage((req) => `projects/${req.params.id}`),
+  limits: { fileSize: MAX_PROJECT_FILE_SIZE, files: 1 },
+  fileFilter: (req, file, cb) => {
+    if (!ALLOWED_PROJECT_FILE_TYPES.includes(file.mimetype)) {
+      const error = new Error(`File type ${file.mimetype} is not allowed`);
+      error.code = 'UNSUPPORTED_FILE_TYPE';
+      return cb(error);
+    }
+    cb(null, true);
+  },
+}).single('file');
+
+// Content-Disposition for a download: an ASCII filename= for old clients and
+// the real name as RFC 5987 filename*=
+const attachmentHeader = (fileName) => {
+  const fallback = fileName.replace(/[^\x20-\x7e]|["\\]/g, '_');
+  const encoded = encodeURIComponent(fileName).replace(
+    /['()*]/g,
+    (char) => `%${char.charCodeAt(0).toString(16).toUpperCase()}`
+  );
+  return `attachment; filename="${fallback}"; filename*=UTF-8''${encoded}`;
+};
+
+// Runs multer and turns its errors into proper 4xx responses
+const handleProjectFileUpload = (req, res, next) => {
+  projectFileUpload(req, res, (err) => {
+    if (!err) return next();
+
+    if (err.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({
+        error: `File exceeds the ${MAX_PROJECT_FILE_SIZE / (1024 * 1024)} MB limit`,
+      });
+    }
+    if (err.code === 'UNSUPPORTED_FILE_TYPE') {
+      return res.status(415).json({ error: err.message });
+    }
+    if (err instanceof multer.MulterError) {
+      return res.status(400).json({ error: err.message });
+    }
+
+    console.error('Error uploading project file:', err);
+    return res
+      .status(500)
+      .json({ error: 'Failed to upload file', details: err.message });
+  });
+};
+
+// Every project endpoint needs a logged-in user. Users holding only the
+// "own" projects scope are limited to projects they created or are on the
+// team of (see services/permissions.js); admins/managers see all projects.
+router.use(authenticateToken);
+
+router.get('/', requirePermission('projects:read'), async (req, res) => {
   try {
     const { status, priority, category, client_id } = req.query;
     let query = `
@@ -20,6 +101,14 @@ router.get('/', async (req, res) => {
     `;
     const params = [];
 
+    if (req.permissionScope === 'own') {
+      query += `
+        AND (p.created_by = ? OR EXISTS (
+          SELECT 1 FROM project_team pt WHERE pt.project_id = p.id AND pt.user_id = ?
+        ))`;
+      params.push(req.user.id, req.user.id);
+    }
+
     if (status) {
       query += ' AND p.status = ?';
       params.push(status);
@@ -49,7 +138,7 @@ router.get('/', async (req, res) => {
   }
 });
 
-router.get('/:id', async (req, res) => {
+router.get('/:id', requirePermission('projects:read'), async (req, res) => {
   try {
     const [projects] = await pool.query(
       `
@@ -118,7 +207,7 @@ router.get('/:id', async (req, res) => {
 });
 
 
-router.post('/', async (req, res) => {
+router.post('/', requirePermission('projects:write'), async (req, res) => {
   try {
     const {
       title,
@@ -160,8 +249,8 @@ router.post('/', async (req, res) => {
         start_date || null,
         end_date || null,
         estimated_budget || null,
-        null, 
-        ]
+        req.user.id,
+      ]
     );
 
     res.status(201).json({
@@ -178,7 +267,7 @@ router.post('/', async (req, res) => {
 });
 
 
-router.put('/:id', async (req, res) => {
+router.put('/:id', requirePermission('projects:write'), async (req, res) => {
   try {
     const {
       title,
@@ -235,7 +324,7 @@ router.put('/:id', async (req, res) => {
 });
 
 
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', requirePermission('projects:delete'), async (req, res) => {
   try {
     await pool.query('DELETE FROM projects WHERE id = ?', [req.params.id]);
     res.json({ message: 'Project deleted successfully' });
@@ -248,7 +337,7 @@ router.delete('/:id', async (req, res) => {
 });
 
 
-router.post('/:id/team', async (req, res) => {
+router.post('/:id/team', requirePermission('projects:write'), async (req, res) => {
   try {
     const { user_id, role, skills_assigned, workload_capacity, hours_per_week } =
       req.body;
@@ -280,7 +369,7 @@ router.post('/:id/team', async (req, res) => {
   }
 });
 
-router.delete('/:id/team/:userId', async (req, res) => {
+router.delete('/:id/team/:userId', requirePermission('projects:write'), async (req, res) => {
   try {
     await pool.query(
       'DELETE FROM project_team WHERE project_id = ? AND user_id = ?',
@@ -297,7 +386,7 @@ router.delete('/:id/team/:userId', async (req, res) => {
 
 // ===================== TASKS & MILESTONES =====================
 
-router.get('/:id/tasks', async (req, res) => {
+router.get('/:id/tasks', requirePermission('projects:read'), async (req, res) => {
   try {
     const [tasks] = await pool.query(
       `
@@ -319,7 +408,7 @@ router.get('/:id/tasks', async (req, res) => {
   }
 });
 
-router.post('/:id/tasks', async (req, res) => {
+router.post('/:id/tasks', requirePermission('projects:write'), async (req, res) => {
   try {
     const {
       title,
@@ -361,7 +450,7 @@ router.post('/:id/tasks', async (req, res) => {
   }
 });
 
-router.put('/:id/tasks/:taskId', async (req, res) => {
+router.put('/:id/tasks/:taskId', requirePermission('projects:write'), async (req, res) => {
   try {
     const { title, description, assigned_to, priority, status, due_date } =
       req.body;
@@ -401,16 +490,20 @@ router.put('/:id/tasks/:taskId', async (req, res) => {
       return res.status(400).json({ error: 'No fields to update' });
     }
 
-    values.push(req.params.taskId);
+    values.push(req.params.taskId, req.params.id);
 
-    await pool.query(
+    const [result] = await pool.query(
       `
       UPDATE project_tasks SET ${updateFields.join(', ')}
-      WHERE id = ?
+      WHERE id = ? AND project_id = ?
       `,
       values
     );
 
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+
     res.json({ message: 'Task updated successfully' });
   } catch (error) {
     console.error('Error updating task:', error);
@@ -420,11 +513,15 @@ router.put('/:id/tasks/:taskId', async (req, res) => {
   }
 });
 
-router.delete('/:id/tasks/:taskId', async (req, res) => {
+router.delete('/:id/tasks/:taskId', requirePermission('projects:write'), async (req, res) => {
   try {
-    await pool.query('DELETE FROM project_tasks WHERE id = ?', [
-      req.params.taskId,
-    ]);
+    const [result] = await pool.query(
+      'DELETE FROM project_tasks WHERE id = ? AND project_id = ?',
+      [req.params.taskId, req.params.id]
+    );
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
     res.json({ message: 'Task deleted successfully' });
   } catch (error) {
     console.error('Error deleting task:', error);
@@ -434,7 +531,7 @@ router.delete('/:id/tasks/:taskId', async (req, res) => {
   }
 });
 
-router.post('/:id/milestones', async (req, res) => {
+router.post('/:id/milestones', requirePermission('projects:write'), async (req, res) => {
   try {
     const { title, description, target_date } = req.body;
 
@@ -457,17 +554,17 @@ router.post('/:id/milestones', async (req, res) => {
   }
 });
 
-router.put('/:id/milestones/:milestoneId', async (req, res) => {
+router.put('/:id/milestones/:milestoneId', requirePermission('projects:write'), async (req, res) => {
   try {
     const { title, description, target_date, completion_date, status } =
       req.body;
 
-    await pool.query(
+    const [result] = await pool.query(
       `
       UPDATE project_milestones SET
         title = ?, description = ?, target_date = ?, 
         completion_date = ?, status = ?
-      WHERE id = ?
+      WHERE id = ? AND project_id = ?
       `,
       [
         title,
@@ -476,9 +573,14 @@ router.put('/:id/milestones/:milestoneId', async (req, res) => {
         completion_date || null,
         status || 'Pending',
         req.params.milestoneId,
+        req.params.id,
       ]
     );
 
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ error: 'Milestone not found' });
+    }
+
     res.json({ message: 'Milestone updated successfully' });
   } catch (error) {
     console.error('Error updating milestone:', error);
@@ -490,7 +592,7 @@ router.put('/:id/milestones/:milestoneId', async (req, res) => {
 
 // ===================== DAILY TRACKING =====================
 
-router.get('/:id/daily-tracking', async (req, res) => {
+router.get('/:id/daily-tracking', requirePermission('projects:read'), async (req, res) => {
   try {
     const [entries] = await pool.query(
       `
@@ -513,7 +615,7 @@ router.get('/:id/daily-tracking', async (req, res) => {
   }
 });
 
-router.post('/:id/daily-tracking', async (req, res) => {
+router.post('/:id/daily-tracking', requirePermission('projects:write'), async (req, res) => {
   try {
     const {
       tracking_date,
@@ -544,7 +646,7 @@ router.post('/:id/daily-tracking', async (req, res) => {
         issues_logged || null,
         tomorrow_plan || null,
         on_track_status || 'Green',
-        null,
+        req.user.id,
       ]
     );
 
@@ -559,7 +661,7 @@ router.post('/:id/daily-tracking', async (req, res) => {
 
 
 
-router.get('/:id/time-logs', async (req, res) => {
+router.get('/:id/time-logs', requirePermission('projects:read'), async (req, res) => {
   try {
     const [logs] = await pool.query(
       `
@@ -582,7 +684,7 @@ router.get('/:id/time-logs', async (req, res) => {
   }
 });
 
-router.post('/:id/time-logs', async (req, res) => {
+router.post('/:id/time-logs', requirePermission('projects:write'), async (req, res) => {
   try {
     const { task_id, hours_logged, log_date, is_billable, description } =
       req.body;
@@ -595,7 +697,7 @@ router.post('/:id/time-logs', async (req, res) => {
       `,
       [
         req.params.id,
-        null,
+        req.user.id,
         task_id || null,
         hours_logged,
         log_date || new Date().toISOString().split('T')[0],
@@ -617,7 +719,7 @@ router.post('/:id/time-logs', async (req, res) => {
 
 // ===================== NOTES & DISCUSSIONS =====================
 
-router.get('/:id/notes', async (req, res) => {
+router.get('/:id/notes', requirePermission('projects:read'), async (req, res) => {
   try {
     const [notes] = await pool.query(
       `
@@ -639,7 +741,7 @@ router.get('/:id/notes', async (req, res) => {
   }
 });
 
-router.post('/:id/notes', async (req, res) => {
+router.post('/:id/notes', requirePermission('projects:write'), async (req, res) => {
   try {
     const { note_type, content, mentioned_users } = req.body;
 
@@ -653,7 +755,7 @@ router.post('/:id/notes', async (req, res) => {
         req.params.id,
         note_type || 'General',
         content,
-        null,
+        req.user.id,
         mentioned_users ? JSON.stringify(mentioned_users) : null,
       ]
     );
@@ -669,9 +771,189 @@ router.post('/:id/notes', async (req, res) => {
   }
 });
 
+// ===================== FILES =====================
+
+router.get('/:id/files', requirePermission('projects:read'), async (req, res) => {
+  try {
+    const { task_id } = req.query;
+
+    let query = `
+      SELECT f.id, f.project_id, f.task_id, f.file_name, f.file_type, f.file_size,
+             f.uploaded_by, f.uploaded_at,
+             u.name AS uploaded_by_name,
+             t.title AS task_title
+      FROM project_files f
+      LEFT JOIN users u ON f.uploaded_by = u.id
+      LEFT JOIN project_tasks t ON f.task_id = t.id
+      WHERE f.project_id = ?
+    `;
+    const params = [req.params.id];
+
+    if (task_id) {
+      query += ' AND f.task_id = ?';
+      params.push(task_id);
+    }
+
+    query += ' ORDER BY f.uploaded_at DESC';
+
+    const [files] = await pool.query(query, params);
+    res.json(files);
+  } catch (error) {
+    console.error('Error fetching project files:', error);
+    res
+      .status(500)
+      .json({ error: 'Failed to fetch files', details: error.message });
+  }
+});
+
+router.post(
+  '/:id/files',
+  requirePermission('projects:write'),
+  async (req, res, next) => {
+    try {
+      const [projects] = await pool.query(
+        'SELECT id FROM projects WHERE id = ?',
+        [req.params.id]
+      );
+      if (projects.length === 0) {
+        return res.status(404).json({ error: 'Project not found' });
+      }
+      next();
+    } catch (error) {
+      console.error('Error checking project for upload:', error);
+      res
+        .status(500)
+        .json({ error: 'Failed to upload file', details: error.message });
+    }
+  },
+  handleProjectFileUpload,
+  async (req, res) => {
+    if (!req.file) {
+      return res.status(400).json({ error: 'File is required (field "file")' });
+    }
+
+    const storage = getStorage();
+
+    try {
+      const taskId = req.body.task_id || null;
+
+      if (taskId) {
+        const [tasks] = await pool.query(
+          'SELECT id FROM project_tasks WHERE id = ? AND project_id = ?',
+          [taskId, req.params.id]
+        );
+        if (tasks.length === 0) {
+          await storage.remove(req.file.key);
+          return res
+            .status(400)
+            .json({ error: 'Task does not belong to this project' });
+        }
+      }
+
+      const [result] = await pool.query(
+        `
+        INSERT INTO project_files
+          (project_id, task_id, file_name, file_path, file_type, file_size, uploaded_by)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+        `,
+        [
+          req.params.id,
+          taskId,
+          req.file.originalname,
+          req.file.key,
+          req.file.mimetype,
+          req.file.size,
+          req.user.id,
+        ]
+      );
+
+      res.status(201).json({
+        message: 'File uploaded successfully',
+        id: result.insertId,
+        file_name: req.file.originalname,
+        file_type: req.file.mimetype,
+        file_size: req.file.size,
+      });
+    } catch (error) {
+      console.error('Error saving project file:', error);
+      await storage.remove(req.file.key).catch(() => {});
+      res
+        .status(500)
+        .json({ error: 'Failed to upload file', details: error.message });
+    }
+  }
+);
+
+router.get('/:id/files/:fileId/download', requirePermission('projects:read'), async (req, res) => {
+  try {
+    const [files] = await pool.query(
+      'SELECT * FROM project_files WHERE id = ? AND project_id = ?',
+      [req.params.fileId, req.params.id]
+    );
+
+    if (files.length === 0) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+
+    const file = files[0];
+    const storage = getStorage();
+
+    if (!(await storage.exists(file.file_path))) {
+      return res.status(404).json({ error: 'File content is missing' });
+    }
+
+    res.setHeader('Content-Type', file.file_type || 'application/octet-stream');
+    if (file.file_size) {
+      res.setHeader('Content-Length', file.file_size);
+    }
+    res.setHeader('Content-Disposition', attachmentHeader(file.file_name));
+
+    const stream = storage.createReadStream(file.file_path);
+    stream.on('error', (err) => {
+      console.error('Error streaming project file:', err);
+      if (!res.headersSent) {
+        res.status(500).json({ error: 'Failed to download file' });
+      } else {
+        res.destroy(err);
+      }
+    });
+    stream.pipe(res);
+  } catch (error) {
+    console.error('Error downloading project file:', error);
+    res
+      .status(500)
+      .json({ error: 'Failed to download file', details: error.message });
+  }
+});
+
+router.delete('/:id/files/:fileId', requirePermission('projects:write'), async (req, res) => {
+  try {
+    const [files] = await pool.query(
+      'SELECT id, file_path FROM project_files WHERE id = ? AND project_id = ?',
+      [req.params.fileId, req.params.id]
+    );
+
+    if (files.length === 0) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+
+    await pool.query('DELETE FROM project_files WHERE id = ?', [
+      req.params.fileId,
+    ]);
+    await getStorage().remove(files[0].file_path);
+
+    res.json({ message: 'File deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting project file:', error);
+    res
+      .status(500)
+      .json({ error: 'Failed to delete file', details: error.message });
+  }
+});
+
 // ===================== ANALYTICS & REPORTS =====================
 
-router.get('/:id/analytics', async (req, res) => {
+router.get('/:id/analytics', requirePermission('projects:read'), async (req, res) => {
   try {
     const [taskStats] = await pool.query(
       `
@@ -729,7 +1011,7 @@ router.get('/:id/analytics', async (req, res) => {
 });
 
 
-router.get('/:id/report', async (req, res) => {
+router.get('/:id/report', requirePermission('projects:read'), async (req, res) => {
   try {
     const projectId = req.params.id;
     const format = req.query.format || 'pdf'; 
@@ -792,32 +1074,50 @@ router.get('/:id/report', async (req, res) => {
     );
 
     if (format === 'csv') {
-   
-      const lines = [];
-      lines.push('Field,Value');
-      lines.push(`Project ID,"${project.project_id}"`);
-      lines.push(`Title,"${project.title}"`);
-      lines.push(`Client,"${project.client_name || 'N/A'}"`);
-      lines.push(`Department,"${project.department || 'N/A'}"`);
-      lines.push(`Category,${project.category}`);
-      lines.push(`Status,${project.status}`);
-      lines.push(`Priority,${project.priority}`);
-      lines.push(`Health Rating,${project.health_rating || 'N/A'}`);
-      lines.push(`Progress,${project.progress_percentage || 0}%`);
-      lines.push(`Start Date,${project.start_date || 'N/A'}`);
-      lines.push(`End Date,${project.end_date || 'N/A'}`);
-      lines.push(`Estimated Budget,${project.estimated_budget || 'N/A'}`);
-      lines.push(`Actual Cost,${project.actual_cost || 'N/A'}`);
-      lines.push('');
-      lines.push('Task Status,Count');
-      for (const row of taskRows) {
-        lines.push(`${row.status},${row.count}`);
-      }
-
-      const csv = lines.join('\n');
-      res.setHeader('Content-Type', 'text/csv');
+      // DATE columns come back as local midnight
+      const csvDate = (value) => {
+        if (!(value instanceof Date)) return value || 'N/A';
+        const pad = (part) => String(part).padStart(2, '0');
+        return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+      };
+
+      // Names and titles are user input; see guardFormula
+      const text = (value) => (typeof value === 'string' ? guardFormula(value) : value);
+
+      const rows = [
+        ['Field', 'Value'],
+        ['Project ID', project.project_id],
+        ['Title', project.title],
+        ['Client', project.client_name || 'N/A'],
+        ['Department', project.department || 'N/A'],
+        ['Category', project.category],
+        ['Status', project.status],
+        ['Priority', project.priority],
+        ['Health Rating', project.health_rating || 'N/A'],
+        ['Progress', `${project.progress_percentage || 0}%`],
+        ['Start Date', csvDate(project.start_date)],
+        ['End Date', csvDate(project.end_date)],
+        ['Estimated Budget', project.estimated_budget || 'N/A'],
+        ['Actual Cost', project.actual_cost || 'N/A'],
+        [],
+        ['Task Status', 'Count'],
+        ...taskRows.map((row) => [row.status, row.count]),
+        [],
+        ['Team Member', 'Role'],
+        ...teamRows.map((member) => [member.name, member.role]),
+        [],
+        ['Milestone', 'Status', 'Target Date', 'Completion Date'],
+        ...milestoneRows.map((milestone) => [
+          milestone.title,
+          milestone.status,
+          csvDate(milestone.target_date),
+          milestone.completion_date ? csvDate(milestone.completion_date) : '',
+        ]),
+      ];
+      const csv = toCsv(rows.map((row) => row.map(text)));
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
       res.setHeader('Content-Disposition', `attachment; filename="project-${project.project_id}-report.csv"`);
-      return res.send(csv);
+      return res.send(`\uFEFF${csv}`);
     }
 
 
@@ -0,0 +1,43 @@
+// routes/public-invoices.js
+const express = require("express");
+const { loadInvoiceForPdf, writeInvoicePdf } = require("../services/invoicePdf");
+const {
+  resolveInvoiceShareToken,
+  recordInvoiceView,
+} = require("../services/invoiceLinks");
+
+const router = express.Router();
+
+// GET /api/public/invoices/:token.pdf
+// Signed, expiring link shared with customers over WhatsApp / email
+router.get("/invoices/:token.pdf", async (req, res) => {
+  try {
+    const link = await resolveInvoiceShareToken(req.params.token);
+    if (!link) {
+      return res.status(404).json({ error: "Invoice link is invalid or has expired" });
+    }
+
+    const data = await loadInvoiceForPdf(link.invoice_id);
+    if (!data) {
+      return res.status(404).json({ error: "Invoice not found" });
+    }
+
+    await recordInvoiceView(link);
+
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader(
+      "Content-Disposition",
+      `inline; filename=invoice-${data.invoice.invoice_number || "NA"}.pdf`
+    );
+    res.setHeader("Cache-Control", "private, no-store");
+
+    writeInvoicePdf(res, data);
+  } catch (error) {
+    console.error("Public invoice PDF error:", error);
+    if (!res.headersSent) {
+      res.status(500).json({ error: "Failed to generate invoice PDF" });
+    }
+  }
+});
+
+module.exports = router;
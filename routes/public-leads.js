@@ -1,14 +1,11 @@
 // routes/public-leads.js
 const express = require("express");
 const { body, validationResult } = require("express-validator");
-const { pool } = require("../config/database");
-const { v4: uuidv4 } = require("uuid");
+const { createWebsiteLead } = require("../services/publicLeads");
+const { screenSubmission, quarantineSubmission } = require("../services/publicLeadGuard");
 
 const router = express.Router();
 
-const sanitizeParams = (...params) =>
-  params.map((param) => (param === undefined ? null : param));
-
 const handleValidation = (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
@@ -42,70 +39,30 @@ router.post(
     try {
       if (handleValidation(req, res)) return;
 
-      const { name, email, phone, company, service, message } = req.body;
-
-      const leadId = uuidv4();
-      const safeSource = "website";         // maps to allowed "website" source
-      const safeStatus = "new";
-      const safePriority = "medium";
+      // Spam checks; rejected submissions are quarantined for review
+      const rejection = screenSubmission(req);
+      if (rejection) {
+        if (rejection.quarantine) await quarantineSubmission(req, rejection);
+        if (rejection.status === 202) {
+          return res.status(202).json({ message: "Thank you, we will get back to you shortly" });
+        }
+        return res.status(rejection.status).json({ error: rejection.message });
+      }
 
-      const safeEstimatedValue = 0;
-      const safeNotes = message || null;
-      const safeExpectedCloseDate = null;
-      const safeWhatsappNumber = null;
-      const safeService = service || "other";
-
-      // Public leads are unassigned initially; CRM users can assign later
-      const assignedTo = null;
-      const createdBy = null; // no CRM user, it's from public site
-
-      await pool.execute(
-        `
-        INSERT INTO leads (
-          id,
-          name, email, phone, company, source, status, priority,
-          assigned_to, converted_customer_id, estimated_value, notes,
-          expected_close_date, whatsapp_number, service,
-          created_by, created_at, updated_at
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
-      `,
-        sanitizeParams(
-          leadId,
-          name,
-          email,
-          phone,
-          company,
-          safeSource,
-          safeStatus,
-          safePriority,
-          assignedTo,
-          null,
-          safeEstimatedValue,
-          safeNotes,
-          safeExpectedCloseDate,
-          safeWhatsappNumber,
-          safeService,
-          createdBy
-        )
-      );
+      const { name, email, phone, company, service, message } = req.body;
+      const result = await createWebsiteLead({ name, email, phone, company, service, message });
 
-      const [leads] = await pool.execute(
-        `
-        SELECT 
-          l.*,
-          u.name  AS assigned_user_name,
-          cu.name AS created_user_name
-        FROM leads l
-        LEFT JOIN users u  ON l.assigned_to = u.id
-        LEFT JOIN users cu ON l.created_by = cu.id
-        WHERE l.id = ?
-      `,
-        sanitizeParams(leadId)
-      );
+      if (result.duplicate) {
+        return res.status(200).json({
+          message: "Lead already exists, enquiry added to it",
+          duplicate: true,
+          leadId: result.leadId,
+        });
+      }
 
       return res.status(201).json({
         message: "Lead created successfully from website",
-        lead: leads[0],
+        lead: result.lead,
       });
     } catch (error) {
       console.error("Public website lead creation error:", error);
@@ -3,8 +3,10 @@ const { v4: uuidv4 } = require("uuid");
 const express = require("express");
 const { body, validationResult, query } = require("express-validator");
 const { pool } = require("../config/database");
-const { authenticateToken } = require("../middleware/auth");
+const { authenticateToken, requirePermission } = require("../middleware/auth");
 const { calculateDaysUntilExpiry } = require("../utils/helpers");
+const { softDelete } = require("../services/trash");
+const { EXPORT_FORMATS, streamExport } = require("../services/exports");
 
 const router = express.Router();
 
@@ -144,36 +146,89 @@ const buildRenewalFromCustomer = (customer, body) => {
   };
 };
 
-// helper: ensure user can access a renewal (via customer.assigned_to)
-const ensureCanAccessRenewal = async (req, res, renewalId) => {
-  if (req.user.role === "admin") return { ok: true };
-
-  const [rows] = await pool.execute(
-    `
-    SELECT r.id
-    FROM renewals r
-    INNER JOIN customers c ON r.customer_id = c.id
-    WHERE r.id = ? AND c.assigned_to = ?
-  `,
-    sanitizeParams(renewalId, req.user.userId)
-  );
-
-  if (rows.length === 0) {
-    return {
-      ok: false,
-      response: res
-        .status(403)
-        .json({ error: "You do not have permission to access this renewal" }),
-    };
+// Filters of GET /api/renewals, shared with GET /api/renewals/export
+const renewalListFilters = [
+  query("search").optional().isString().withMessage("Search must be a string"),
+  query("status")
+    .optional()
+    .isIn(["active", "expiring", "expired", "renewed"])
+    .withMessage("Invalid status"),
+  query("customerId").optional().isString().withMessage("Customer ID must be a string"),
+  query("expiryDateFrom")
+    .optional()
+    .isISO8601()
+    .withMessage("Expiry date from must be a valid date"),
+  query("expiryDateTo")
+    .optional()
+    .isISO8601()
+    .withMessage("Expiry date to must be a valid date"),
+];
+
+// WHERE of the renewal list for the caller's filters and scope
+const buildRenewalListQuery = (req) => {
+  const { search, status, customerId, expiryDateFrom, expiryDateTo } = req.query;
+
+  let whereClause = "WHERE r.deleted_at IS NULL";
+  const queryParams = [];
+
+  if (req.permissionScope === "own") {
+    whereClause += " AND c.assigned_to = ?";
+    queryParams.push(req.user.id);
   }
 
-  return { ok: true };
+  if (search) {
+    whereClause +=
+      " AND (r.service LIKE ? OR c.name LIKE ? OR c.company LIKE ?)";
+    const searchTerm = `%${search}%`;
+    queryParams.push(searchTerm, searchTerm, searchTerm);
+  }
+
+  if (status) {
+    whereClause += " AND r.status = ?";
+    queryParams.push(status);
+  }
+
+  if (customerId) {
+    whereClause += " AND r.customer_id = ?";
+    queryParams.push(customerId);
+  }
+
+  if (expiryDateFrom) {
+    whereClause += " AND r.expiry_date >= ?";
+    queryParams.push(expiryDateFrom);
+  }
+
+  if (expiryDateTo) {
+    whereClause += " AND r.expiry_date <= ?";
+    queryParams.push(expiryDateTo);
+  }
+
+  return { whereClause, queryParams };
+};
+
+// Columns of GET /api/renewals/export (?columns=service,expiryDate,...)
+const renewalExportColumns = {
+  id: { header: "ID", sql: "r.id" },
+  customer: { header: "Customer", sql: "c.name" },
+  company: { header: "Company", sql: "c.company" },
+  customerEmail: { header: "Customer email", sql: "c.email" },
+  customerWhatsapp: { header: "Customer WhatsApp", sql: "c.whatsapp_number" },
+  service: { header: "Service", sql: "r.service" },
+  amount: { header: "Amount", sql: "r.amount", type: "number" },
+  expiryDate: { header: "Expiry date", sql: "r.expiry_date", type: "date" },
+  daysUntilExpiry: { header: "Days until expiry", sql: "DATEDIFF(r.expiry_date, CURDATE())", type: "number" },
+  status: { header: "Status", sql: "r.status" },
+  reminderDays: { header: "Reminder days", sql: "r.reminder_days", type: "number" },
+  notes: { header: "Notes", sql: "r.notes" },
+  createdAt: { header: "Created at", sql: "r.created_at", type: "datetime" },
+  updatedAt: { header: "Updated at", sql: "r.updated_at", type: "datetime" },
 };
 
 // Get all renewals with filtering and pagination
 router.get(
   "/",
   authenticateToken,
+  requirePermission("renewals:read"),
   [
     query("page")
       .optional()
@@ -183,20 +238,7 @@ router.get(
       .optional()
       .isInt({ min: 1, max: 100 })
       .withMessage("Limit must be between 1 and 100"),
-    query("search").optional().isString().withMessage("Search must be a string"),
-    query("status")
-      .optional()
-      .isIn(["active", "expiring", "expired", "renewed"])
-      .withMessage("Invalid status"),
-    query("customerId").optional().isString().withMessage("Customer ID must be a string"),
-    query("expiryDateFrom")
-      .optional()
-      .isISO8601()
-      .withMessage("Expiry date from must be a valid date"),
-    query("expiryDateTo")
-      .optional()
-      .isISO8601()
-      .withMessage("Expiry date to must be a valid date"),
+    ...renewalListFilters,
   ],
   async (req, res) => {
     try {
@@ -214,42 +256,7 @@ router.get(
         return res.status(400).json({ error: "Invalid pagination parameters" });
       }
 
-      const { search, status, customerId, expiryDateFrom, expiryDateTo } = req.query;
-
-      let whereClause = "WHERE 1=1";
-      const queryParams = [];
-
-      if (req.user.role !== "admin") {
-        whereClause += " AND c.assigned_to = ?";
-        queryParams.push(req.user.userId);
-      }
-
-      if (search) {
-        whereClause +=
-          " AND (r.service LIKE ? OR c.name LIKE ? OR c.company LIKE ?)";
-        const searchTerm = `%${search}%`;
-        queryParams.push(searchTerm, searchTerm, searchTerm);
-      }
-
-      if (status) {
-        whereClause += " AND r.status = ?";
-        queryParams.push(status);
-      }
-
-      if (customerId) {
-        whereClause += " AND r.customer_id = ?";
-        queryParams.push(customerId);
-      }
-
-      if (expiryDateFrom) {
-        whereClause += " AND r.expiry_date >= ?";
-        queryParams.push(expiryDateFrom);
-      }
-
-      if (expiryDateTo) {
-        whereClause += " AND r.expiry_date <= ?";
-        queryParams.push(expiryDateTo);
-      }
+      const { whereClause, queryParams } = buildRenewalListQuery(req);
 
       const renewalsSql = `
         SELECT 
@@ -307,14 +314,51 @@ router.get(
   }
 );
 
+// Download the filtered renewal list (same filters as GET /) as CSV, XLSX or JSON
+router.get(
+  "/export",
+  authenticateToken,
+  requirePermission("renewals:read"),
+  [
+    ...renewalListFilters,
+    query("format")
+      .optional()
+      .isIn(EXPORT_FORMATS)
+      .withMessage(`Format must be one of ${EXPORT_FORMATS.join(", ")}`),
+    query("columns").optional().isString().withMessage("Columns must be a comma separated list"),
+  ],
+  async (req, res) => {
+    try {
+      if (handleValidation(req, res)) return;
+
+      const { whereClause, queryParams } = buildRenewalListQuery(req);
+      await streamExport(res, {
+        format: req.query.format,
+        columns: renewalExportColumns,
+        requested: req.query.columns,
+        from: "renewals r LEFT JOIN customers c ON r.customer_id = c.id",
+        where: whereClause,
+        params: sanitizeParams(...queryParams),
+        orderBy: "r.expiry_date ASC",
+        fileName: "renewals",
+      });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      console.error("Renewals export error:", error);
+      if (!res.headersSent) {
+        res.status(500).json({ error: "Failed to export renewals" });
+      }
+    }
+  }
+);
+
 // Get renewal by ID
-router.get("/:id", authenticateToken, async (req, res) => {
+router.get("/:id", authenticateToken, requirePermission("renewals:read"), async (req, res) => {
   try {
     const { id } = req.params;
 
-    const access = await ensureCanAccessRenewal(req, res, id);
-    if (!access.ok) return;
-
     const [renewals] = await pool.execute(
       `
       SELECT 
@@ -326,7 +370,7 @@ router.get("/:id", authenticateToken, async (req, res) => {
         c.whatsapp_number AS customer_whatsapp
       FROM renewals r
       LEFT JOIN customers c ON r.customer_id = c.id
-      WHERE r.id = ?
+      WHERE r.id = ? AND r.deleted_at IS NULL
     `,
       sanitizeParams(id)
     );
@@ -349,6 +393,7 @@ router.get("/:id", authenticateToken, async (req, res) => {
 router.post(
   "/",
   authenticateToken,
+  requirePermission("renewals:write"),
   [
     body("customerId").notEmpty().withMessage("Customer ID is required"),
     // body("service").optional().trim().notEmpty().withMessage("Service is required"),
@@ -388,7 +433,7 @@ router.post(
           default_renewal_reminder_days,
           default_renewal_notes
         FROM customers
-        WHERE id = ?
+        WHERE id = ? AND deleted_at IS NULL
       `,
         sanitizeParams(customerId)
       );
@@ -400,8 +445,8 @@ router.post(
       const customer = customers[0];
 
       if (
-        req.user.role !== "admin" &&
-        customer.assigned_to !== req.user.userId
+        req.permissionScope === "own" &&
+        customer.assigned_to !== req.user.id
       ) {
         return res.status(403).json({
           error: "You do not have permission to create renewal for this customer",
@@ -438,7 +483,7 @@ router.post(
         );
         if (nextDate) {
           await pool.execute(
-            "UPDATE customers SET next_renewal_date = ? WHERE id = ?",
+            "UPDATE customers SET next_renewal_date = ?, recurring_anchor_day = NULL WHERE id = ?",
             sanitizeParams(nextDate, customerId)
           );
         }
@@ -479,6 +524,7 @@ router.post(
 router.put(
   "/:id",
   authenticateToken,
+  requirePermission("renewals:write"),
   [
     body("customerId").optional().notEmpty().withMessage("Customer ID cannot be empty"),
     body("service").optional().trim(),
@@ -501,11 +547,8 @@ router.put(
       const { id } = req.params;
       const updateData = { ...req.body };
 
-      const access = await ensureCanAccessRenewal(req, res, id);
-      if (!access.ok) return;
-
       const [existingRenewals] = await pool.execute(
-        "SELECT id, customer_id, expiry_date FROM renewals WHERE id = ?",
+        "SELECT id, customer_id, expiry_date FROM renewals WHERE id = ? AND deleted_at IS NULL",
         sanitizeParams(id)
       );
 
@@ -515,7 +558,7 @@ router.put(
 
       if (updateData.customerId) {
         const [customers] = await pool.execute(
-          "SELECT id, assigned_to FROM customers WHERE id = ?",
+          "SELECT id, assigned_to FROM customers WHERE id = ? AND deleted_at IS NULL",
           sanitizeParams(updateData.customerId)
         );
 
@@ -524,8 +567,8 @@ router.put(
         }
 
         if (
-          req.user.role !== "admin" &&
-          customers[0].assigned_to !== req.user.userId
+          req.permissionScope === "own" &&
+          customers[0].assigned_to !== req.user.id
         ) {
           return res.status(403).json({
             error: "You do not have permission to set this customer on renewal",
@@ -593,15 +636,12 @@ router.put(
 );
 
 // Delete renewal
-router.delete("/:id", authenticateToken, async (req, res) => {
+router.delete("/:id", authenticateToken, requirePermission("renewals:delete"), async (req, res) => {
   try {
     const { id } = req.params;
 
-    const access = await ensureCanAccessRenewal(req, res, id);
-    if (!access.ok) return;
-
     const [existingRenewals] = await pool.execute(
-      "SELECT id FROM renewals WHERE id = ?",
+      "SELECT id FROM renewals WHERE id = ? AND deleted_at IS NULL",
       sanitizeParams(id)
     );
 
@@ -609,12 +649,9 @@ router.delete("/:id", authenticateToken, async (req, res) => {
       return res.status(404).json({ error: "Renewal not found" });
     }
 
-    await pool.execute(
-      "DELETE FROM renewals WHERE id = ?",
-      sanitizeParams(id)
-    );
+    await softDelete("renewal", id, req.user.id);
 
-    res.json({ message: "Renewal deleted successfully" });
+    res.json({ message: "Renewal moved to trash" });
   } catch (error) {
     console.error("Renewal deletion error:", error);
     res.status(500).json({ error: "Failed to delete renewal" });
@@ -622,14 +659,14 @@ router.delete("/:id", authenticateToken, async (req, res) => {
 });
 
 // Get renewal reminders
-router.get("/reminders/list", authenticateToken, async (req, res) => {
+router.get("/reminders/list", authenticateToken, requirePermission("renewals:read"), async (req, res) => {
   try {
-    let whereClause = "WHERE rr.status = 'active'";
+    let whereClause = "WHERE rr.status = 'active' AND c.deleted_at IS NULL";
     const params = [];
 
-    if (req.user.role !== "admin") {
+    if (req.permissionScope === "own") {
       whereClause += " AND c.assigned_to = ?";
-      params.push(req.user.userId);
+      params.push(req.user.id);
     }
 
     const [reminders] = await pool.execute(
@@ -665,6 +702,7 @@ router.get("/reminders/list", authenticateToken, async (req, res) => {
 router.post(
   "/reminders",
   authenticateToken,
+  requirePermission("renewals:write"),
   [
     body("customerId").notEmpty().withMessage("Customer ID is required"),
     body("serviceType")
@@ -696,7 +734,7 @@ router.post(
       } = req.body;
 
       const [customers] = await pool.execute(
-        "SELECT id, assigned_to FROM customers WHERE id = ?",
+        "SELECT id, assigned_to FROM customers WHERE id = ? AND deleted_at IS NULL",
         sanitizeParams(customerId)
       );
 
@@ -705,8 +743,8 @@ router.post(
       }
 
       if (
-        req.user.role !== "admin" &&
-        customers[0].assigned_to !== req.user.userId
+        req.permissionScope === "own" &&
+        customers[0].assigned_to !== req.user.id
       ) {
         return res.status(403).json({
           error: "You do not have permission to create reminder for this customer",
@@ -760,15 +798,15 @@ router.post(
 );
 
 // Get renewal statistics
-router.get("/stats/overview", authenticateToken, async (req, res) => {
+router.get("/stats/overview", authenticateToken, requirePermission("renewals:read"), async (req, res) => {
   try {
-    let whereClause = "WHERE 1=1";
+    let whereClause = "WHERE r.deleted_at IS NULL";
     const params = [];
 
-    if (req.user.role !== "admin") {
+    if (req.permissionScope === "own") {
       whereClause +=
         " AND r.customer_id IN (SELECT id FROM customers WHERE assigned_to = ?)";
-      params.push(req.user.userId);
+      params.push(req.user.id);
     }
 
     const [stats] = await pool.execute(
@@ -913,78 +951,85 @@ router.get("/stats/overview", authenticateToken, async (req, res) => {
 //   },
 // );
 
-//without auth
-
-
-// Auto-generate renewals for all customers without a renewal (TEST ONLY - no auth)
-router.post("/auto-generate", async (req, res) => {
-  try {
-    // Find customers that do NOT have any renewal yet
-    const [customersWithoutRenewal] = await pool.execute(
-      `
-      SELECT c.*
-      FROM customers c
-      LEFT JOIN renewals r ON r.customer_id = c.id
-      WHERE r.id IS NULL
-    `,
-    );
-
-    if (customersWithoutRenewal.length === 0) {
-      return res.json({
-        message: "All customers already have renewals",
-        created: 0,
-      });
-    }
+// Auto-generate renewals for customers without a renewal ("own" scope: only
+// the caller's customers)
+router.post(
+  "/auto-generate",
+  authenticateToken,
+  requirePermission("renewals:write"),
+  async (req, res) => {
+    try {
+      const ownOnly = req.permissionScope === "own";
 
-    const createdRenewals = [];
+      // Find customers that do NOT have any renewal yet
+      const [customersWithoutRenewal] = await pool.execute(
+        `
+        SELECT c.*
+        FROM customers c
+        LEFT JOIN renewals r ON r.customer_id = c.id
+        WHERE r.id IS NULL AND c.deleted_at IS NULL
+        ${ownOnly ? "AND c.assigned_to = ?" : ""}
+      `,
+        ownOnly ? [req.user.id] : [],
+      );
 
-    for (const customer of customersWithoutRenewal) {
-      const built = buildRenewalFromCustomer(customer, {}); // uses created_at
+      if (customersWithoutRenewal.length === 0) {
+        return res.json({
+          message: "All customers already have renewals",
+          created: 0,
+        });
+      }
 
-      const renewalId = uuidv4();
+      const createdRenewals = [];
+
+      for (const customer of customersWithoutRenewal) {
+        const built = buildRenewalFromCustomer(customer, {}); // uses created_at
+
+        const renewalId = uuidv4();
+
+        await pool.execute(
+          `
+          INSERT INTO renewals (
+            id,
+            customer_id,
+            service,
+            amount,
+            expiry_date,
+            status,
+            reminder_days,
+            notes
+          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        `,
+          sanitizeParams(
+            renewalId,
+            customer.id,
+            built.service,
+            built.amount,
+            built.expiryDate,
+            built.status,
+            built.reminderDays,
+            built.notes,
+          ),
+        );
 
-      await pool.execute(
-        `
-        INSERT INTO renewals (
-          id,
-          customer_id,
-          service,
-          amount,
-          expiry_date,
-          status,
-          reminder_days,
-          notes
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
-      `,
-        sanitizeParams(
+        createdRenewals.push({
           renewalId,
-          customer.id,
-          built.service,
-          built.amount,
-          built.expiryDate,
-          built.status,
-          built.reminderDays,
-          built.notes,
-        ),
-      );
+          customerId: customer.id,
+          expiryDate: built.expiryDate,
+          status: built.status,
+        });
+      }
 
-      createdRenewals.push({
-        renewalId,
-        customerId: customer.id,
-        expiryDate: built.expiryDate,
-        status: built.status,
+      return res.json({
+        message: "Auto-generated renewals for customers without one",
+        created: createdRenewals.length,
+        renewals: createdRenewals,
       });
+    } catch (error) {
+      console.error("Auto-generate renewals error:", error);
+      res.status(500).json({ error: "Failed to auto-generate renewals" });
     }
-
-    return res.json({
-      message: "Auto-generated renewals for customers without one",
-      created: createdRenewals.length,
-      renewals: createdRenewals,
-    });
-  } catch (error) {
-    console.error("Auto-generate renewals error:", error);
-    res.status(500).json({ error: "Failed to auto-generate renewals" });
-  }
-});
+  },
+);
 
 module.exports = router;
@@ -3,6 +3,7 @@ const express = require("express")
 const { query, validationResult } = require("express-validator")
 const { pool } = require("../config/database")
 const { authenticateToken } = require("../middleware/auth")
+const { listRecentActivities } = require("../services/activities")
 
 const router = express.Router()
 
@@ -22,48 +23,46 @@ const handleValidation = (req, res) => {
 router.get("/dashboard", authenticateToken, async (req, res) => {
   try {
     const [customerCount] = await pool.execute(
-      'SELECT COUNT(*) AS count FROM customers WHERE status = "active"',
+      'SELECT COUNT(*) AS count FROM customers WHERE deleted_at IS NULL AND status = "active"',
     )
     const [leadCount] = await pool.execute(
-      'SELECT COUNT(*) AS count FROM leads WHERE status NOT IN ("closed-won", "closed-lost")',
+      'SELECT COUNT(*) AS count FROM leads WHERE deleted_at IS NULL AND status NOT IN ("closed-won", "closed-lost")',
     )
     const [dealCount] = await pool.execute(
-      'SELECT COUNT(*) AS count FROM deals WHERE stage NOT IN ("closed-won", "closed-lost")',
+      'SELECT COUNT(*) AS count FROM deals WHERE deleted_at IS NULL AND stage NOT IN ("closed-won", "closed-lost")',
     )
     const [taskCount] = await pool.execute(
-      'SELECT COUNT(*) AS count FROM tasks WHERE status NOT IN ("completed", "cancelled")',
+      'SELECT COUNT(*) AS count FROM tasks WHERE deleted_at IS NULL AND status NOT IN ("completed", "cancelled")',
     )
 
+    // Paid revenue is what was actually collected (payments ledger) less
+    // refunds, pending is the unpaid balance of issued invoices (balance_due
+    // already nets out credit notes)
     const [revenueStats] = await pool.execute(`
       SELECT 
-        SUM(CASE WHEN status = 'paid' THEN total ELSE 0 END) AS paid_revenue,
-        SUM(CASE WHEN status IN ('sent', 'overdue') THEN total ELSE 0 END) AS pending_revenue,
+        (SELECT COALESCE(SUM(amount), 0) FROM invoice_payments)
+          - (SELECT COALESCE(SUM(amount), 0) FROM invoice_refunds) AS paid_revenue,
+        (SELECT COALESCE(SUM(amount), 0) FROM invoice_refunds) AS refunded,
+        (SELECT COALESCE(SUM(total), 0) FROM credit_notes) AS credited,
+        SUM(CASE WHEN status IN ('sent', 'overdue', 'partially-paid') THEN balance_due ELSE 0 END) AS pending_revenue,
         COUNT(CASE WHEN status = 'overdue' THEN 1 END) AS overdue_invoices
       FROM invoices
+      WHERE deleted_at IS NULL
     `)
 
-    const [recentActivities] = await pool.execute(`
-      SELECT 'customer' AS type, name AS title, created_at FROM customers 
-      UNION ALL
-      SELECT 'lead' AS type, name AS title, created_at FROM leads
-      UNION ALL
-      SELECT 'deal' AS type, title, created_at FROM deals
-      UNION ALL
-      SELECT 'task' AS type, title, created_at FROM tasks
-      ORDER BY created_at DESC
-      LIMIT 10
-    `)
+    // Latest events from the activity timeline (type is the kind of record)
+    const recentActivities = await listRecentActivities(10)
 
     const [pipelineValue] = await pool.execute(`
       SELECT SUM(value) AS total_value 
       FROM deals 
-      WHERE stage NOT IN ('closed-won', 'closed-lost')
+      WHERE deleted_at IS NULL AND stage NOT IN ('closed-won', 'closed-lost')
     `)
 
     const [renewalAlerts] = await pool.execute(`
       SELECT COUNT(*) AS count 
       FROM renewals 
-      WHERE expiry_date BETWEEN CURDATE() AND DATE_ADD(CURDATE(), INTERVAL 30 DAY)
+      WHERE deleted_at IS NULL AND expiry_date BETWEEN CURDATE() AND DATE_ADD(CURDATE(), INTERVAL 30 DAY)
       AND status IN ('active', 'expiring')
     `)
 
@@ -77,6 +76,8 @@ router.get("/dashboard", authenticateToken, async (req, res) => {
       revenue: {
         paid: revenueStats[0].paid_revenue || 0,
         pending: revenueStats[0].pending_revenue || 0,
+        refunded: revenueStats[0].refunded || 0,
+        credited: revenueStats[0].credited || 0,
         overdueInvoices: revenueStats[0].overdue_invoices || 0,
       },
       pipeline: {
@@ -138,7 +139,7 @@ router.get(
           COUNT(*) AS count,
           SUM(value) AS total_value
         FROM deals 
-        WHERE created_at >= ${dateFilter} ${userFilter}
+        WHERE deleted_at IS NULL AND created_at >= ${dateFilter} ${userFilter}
         AND stage IN ('closed-won', 'closed-lost')
         GROUP BY stage
       `,
@@ -151,7 +152,7 @@ router.get(
           status,
           COUNT(*) AS count
         FROM leads 
-        WHERE created_at >= ${dateFilter} ${userFilter}
+        WHERE deleted_at IS NULL AND created_at >= ${dateFilter} ${userFilter}
         GROUP BY status
       `,
         queryParams,
@@ -164,7 +165,7 @@ router.get(
           COUNT(*) AS deals_count,
           SUM(value) AS total_value
         FROM deals 
-        WHERE created_at >= ${dateFilter} ${userFilter}
+        WHERE deleted_at IS NULL AND created_at >= ${dateFilter} ${userFilter}
         AND stage = 'closed-won'
         GROUP BY DATE_FORMAT(created_at, '%Y-%m')
         ORDER BY month
@@ -190,18 +191,21 @@ router.get("/customer-analytics", authenticateToken, async (req, res) => {
     const [statusBreakdown] = await pool.execute(`
       SELECT status, COUNT(*) AS count 
       FROM customers 
+      WHERE deleted_at IS NULL
       GROUP BY status
     `)
 
     const [sourceBreakdown] = await pool.execute(`
       SELECT source, COUNT(*) AS count 
       FROM customers 
+      WHERE deleted_at IS NULL
       GROUP BY source
     `)
 
     const [topCustomers] = await pool.execute(`
       SELECT name, company, total_value 
       FROM customers 
+      WHERE deleted_at IS NULL
       ORDER BY total_value DESC 
       LIMIT 10
     `)
@@ -211,7 +215,7 @@ router.get("/customer-analytics", authenticateToken, async (req, res) => {
         DATE_FORMAT(created_at, '%Y-%m') AS month,
         COUNT(*) AS count
       FROM customers 
-      WHERE created_at >= DATE_SUB(NOW(), INTERVAL 12 MONTH)
+      WHERE deleted_at IS NULL AND created_at >= DATE_SUB(NOW(), INTERVAL 12 MONTH)
       GROUP BY DATE_FORMAT(created_at, '%Y-%m')
       ORDER BY month
     `)
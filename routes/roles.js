@@ -0,0 +1,262 @@
+// routes/roles.js
+const express = require("express");
+const { body, validationResult } = require("express-validator");
+const { pool } = require("../config/database");
+const { authenticateToken, requirePermission } = require("../middleware/auth");
+const {
+  isValidPermission,
+  listAvailablePermissions,
+  invalidatePermissionCache,
+} = require("../services/permissions");
+
+const router = express.Router();
+
+const handleValidation = (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({
+      error: "Validation failed",
+      details: errors.array(),
+    });
+    return true;
+  }
+  return false;
+};
+
+const permissionsValidator = () =>
+  body("permissions")
+    .isArray()
+    .withMessage("Permissions must be an array")
+    .bail()
+    .custom((permissions) => {
+      const invalid = permissions.filter((permission) => !isValidPermission(permission));
+      if (invalid.length > 0) {
+        throw new Error(`Invalid permissions: ${invalid.join(", ")}`);
+      }
+      return true;
+    });
+
+const fetchRole = async (name) => {
+  const [roles] = await pool.execute(
+    `
+    SELECT r.*, (SELECT COUNT(*) FROM users u WHERE u.role = r.name) AS user_count
+    FROM roles r
+    WHERE r.name = ?
+  `,
+    [name]
+  );
+  if (roles.length === 0) return null;
+
+  const [permissions] = await pool.execute(
+    "SELECT permission FROM role_permissions WHERE role = ? ORDER BY permission",
+    [name]
+  );
+
+  return {
+    ...roles[0],
+    permissions: permissions.map((row) => row.permission),
+  };
+};
+
+const replacePermissions = async (connection, role, permissions) => {
+  await connection.execute("DELETE FROM role_permissions WHERE role = ?", [role]);
+
+  for (const permission of new Set(permissions)) {
+    await connection.execute(
+      "INSERT INTO role_permissions (role, permission) VALUES (?, ?)",
+      [role, permission]
+    );
+  }
+};
+
+router.use(authenticateToken, requirePermission("roles:manage"));
+
+// List roles with their permissions
+router.get("/", async (req, res) => {
+  try {
+    const [roles] = await pool.execute(`
+      SELECT r.*, (SELECT COUNT(*) FROM users u WHERE u.role = r.name) AS user_count
+      FROM roles r
+      ORDER BY r.is_system DESC, r.name ASC
+    `);
+
+    const [permissions] = await pool.execute(
+      "SELECT role, permission FROM role_permissions ORDER BY permission"
+    );
+
+    const byRole = permissions.reduce((acc, row) => {
+      (acc[row.role] = acc[row.role] || []).push(row.permission);
+      return acc;
+    }, {});
+
+    res.json({
+      roles: roles.map((role) => ({
+        ...role,
+        permissions: byRole[role.name] || [],
+      })),
+    });
+  } catch (error) {
+    console.error("Roles fetch error:", error);
+    res.status(500).json({ error: "Failed to fetch roles" });
+  }
+});
+
+// Catalogue of permissions the UI can offer when editing a role
+router.get("/permissions", (req, res) => {
+  res.json({ permissions: listAvailablePermissions() });
+});
+
+router.get("/:name", async (req, res) => {
+  try {
+    const role = await fetchRole(req.params.name);
+    if (!role) {
+      return res.status(404).json({ error: "Role not found" });
+    }
+    res.json({ role });
+  } catch (error) {
+    console.error("Role fetch error:", error);
+    res.status(500).json({ error: "Failed to fetch role" });
+  }
+});
+
+router.post(
+  "/",
+  [
+    body("name")
+      .trim()
+      .matches(/^[a-z][a-z0-9_-]{1,49}$/)
+      .withMessage("Name must be lowercase letters, digits, '-' or '_' (2-50 chars)"),
+    body("description").optional().isString(),
+    permissionsValidator(),
+  ],
+  async (req, res) => {
+    try {
+      if (handleValidation(req, res)) return;
+
+      const { name, description = null, permissions } = req.body;
+
+      const [existing] = await pool.execute("SELECT name FROM roles WHERE name = ?", [name]);
+      if (existing.length > 0) {
+        return res.status(400).json({ error: "Role already exists" });
+      }
+
+      const connection = await pool.getConnection();
+      await connection.beginTransaction();
+
+      try {
+        await connection.execute(
+          "INSERT INTO roles (name, description, is_system) VALUES (?, ?, FALSE)",
+          [name, description]
+        );
+        await replacePermissions(connection, name, permissions);
+        await connection.commit();
+      } catch (error) {
+        await connection.rollback();
+        throw error;
+      } finally {
+        connection.release();
+      }
+
+      invalidatePermissionCache(name);
+
+      res.status(201).json({
+        message: "Role created successfully",
+        role: await fetchRole(name),
+      });
+    } catch (error) {
+      console.error("Role creation error:", error);
+      res.status(500).json({ error: "Failed to create role" });
+    }
+  }
+);
+
+router.put(
+  "/:name",
+  [body("description").optional().isString(), permissionsValidator().optional()],
+  async (req, res) => {
+    try {
+      if (handleValidation(req, res)) return;
+
+      const { name } = req.params;
+      const { description, permissions } = req.body;
+
+      const role = await fetchRole(name);
+      if (!role) {
+        return res.status(404).json({ error: "Role not found" });
+      }
+
+      // Keep at least one role able to manage roles
+      if (name === req.user.role && permissions) {
+        const stillManages = permissions.some((permission) =>
+          /^(roles|\*):(manage|\*):(any|\*)$/.test(permission)
+        );
+        if (!stillManages) {
+          return res
+            .status(400)
+            .json({ error: "Cannot remove role management from your own role" });
+        }
+      }
+
+      const connection = await pool.getConnection();
+      await connection.beginTransaction();
+
+      try {
+        if (description !== undefined) {
+          await connection.execute(
+            "UPDATE roles SET description = ?, updated_at = CURRENT_TIMESTAMP WHERE name = ?",
+            [description, name]
+          );
+        }
+        if (permissions) {
+          await replacePermissions(connection, name, permissions);
+        }
+        await connection.commit();
+      } catch (error) {
+        await connection.rollback();
+        throw error;
+      } finally {
+        connection.release();
+      }
+
+      invalidatePermissionCache(name);
+
+      res.json({
+        message: "Role updated successfully",
+        role: await fetchRole(name),
+      });
+    } catch (error) {
+      console.error("Role update error:", error);
+      res.status(500).json({ error: "Failed to update role" });
+    }
+  }
+);
+
+router.delete("/:name", async (req, res) => {
+  try {
+    const role = await fetchRole(req.params.name);
+    if (!role) {
+      return res.status(404).json({ error: "Role not found" });
+    }
+
+    if (role.is_system) {
+      return res.status(400).json({ error: "Built-in roles cannot be deleted" });
+    }
+
+    if (Number(role.user_count) > 0) {
+      return res.status(400).json({
+        error: "Cannot delete a role that is still assigned to users",
+        details: { users: Number(role.user_count) },
+      });
+    }
+
+    await pool.execute("DELETE FROM roles WHERE name = ?", [role.name]);
+    invalidatePermissionCache(role.name);
+
+    res.json({ message: "Role deleted successfully" });
+  } catch (error) {
+    console.error("Role deletion error:", error);
+    res.status(500).json({ error: "Failed to delete role" });
+  }
+});
+
+module.exports = router;
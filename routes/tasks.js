@@ -1,7 +1,12 @@
 const express = require("express")
 const { body, validationResult, query } = require("express-validator")
 const { pool } = require("../config/database")
-const { authenticateToken } = require("../middleware/auth")
+const { authenticateToken, requirePermission } = require("../middleware/auth")
+const { refreshLeadScore } = require("../services/leadScoring")
+const { recordActivity } = require("../services/activities")
+const { softDelete } = require("../services/trash")
+const { EXPORT_FORMATS, streamExport } = require("../services/exports")
+const { v4: uuidv4 } = require("uuid")
 
 const router = express.Router()
 
@@ -17,6 +22,17 @@ const handleValidation = (req, res) => {
   return null
 }
 
+// Adds a task event to the timeline of the lead, customer or deal it belongs to
+const recordTaskActivity = (task, type, actorId) =>
+  recordActivity({
+    entityType: task.related_type,
+    entityId: task.related_id,
+    type,
+    title: `${type === "task_completed" ? "Task completed" : "Task created"}: ${task.title}`,
+    details: { taskId: task.id, type: task.type, dueDate: task.due_date || null },
+    actorId,
+  })
+
 const taskFieldMap = {
   title: "title",
   description: "description",
@@ -27,10 +43,154 @@ const taskFieldMap = {
   dueDate: "due_date",
 }
 
+// Filters of GET /api/tasks, shared with GET /api/tasks/export
+const taskListFilters = [
+  query("search").optional().isString().withMessage("Search must be a string"),
+  query("type")
+    .optional()
+    .isIn(["call", "email", "meeting", "follow-up", "demo", "other"])
+    .withMessage("Invalid type"),
+  query("priority").optional().isIn(["low", "medium", "high"]).withMessage("Invalid priority"),
+  query("status")
+    .optional()
+    .isIn(["pending", "in-progress", "completed", "cancelled"])
+    .withMessage("Invalid status"),
+  query("assignedTo").optional().isString().withMessage("AssignedTo must be a string"),
+  query("relatedType")
+    .optional()
+    .isIn(["customer", "lead", "deal"])
+    .withMessage("Invalid related type"),
+  query("relatedId").optional().isString().withMessage("Related ID must be a string"),
+  query("dueDateFrom")
+    .optional()
+    .isISO8601()
+    .withMessage("Due date from must be a valid date"),
+  query("dueDateTo")
+    .optional()
+    .isISO8601()
+    .withMessage("Due date to must be a valid date"),
+]
+
+// Tasks with their assignee and the customer, lead or deal they relate to
+const taskListFrom = `tasks t
+  LEFT JOIN users u ON t.assigned_to = u.id
+  LEFT JOIN customers c ON t.related_type = 'customer' AND t.related_id = c.id
+  LEFT JOIN leads l ON t.related_type = 'lead' AND t.related_id = l.id
+  LEFT JOIN deals d ON t.related_type = 'deal' AND t.related_id = d.id
+  LEFT JOIN customers cu ON t.related_type = 'deal' AND d.customer_id = cu.id`
+
+// Open tasks first, then by due date
+const taskListOrder = `
+  CASE t.status
+    WHEN 'pending' THEN 1
+    WHEN 'in-progress' THEN 2
+    WHEN 'completed' THEN 3
+    WHEN 'cancelled' THEN 4
+  END,
+  t.due_date ASC`
+
+// WHERE of the task list for the caller's filters and scope
+const buildTaskListQuery = (req) => {
+  const {
+    search,
+    type,
+    priority,
+    status,
+    assignedTo,
+    relatedType,
+    relatedId,
+    dueDateFrom,
+    dueDateTo,
+  } = req.query
+
+  let whereClause = "WHERE t.deleted_at IS NULL"
+  const queryParams = []
+
+  if (search) {
+    whereClause += " AND (t.title LIKE ? OR t.description LIKE ?)"
+    const searchTerm = `%${search}%`
+    queryParams.push(searchTerm, searchTerm)
+  }
+
+  if (type) {
+    whereClause += " AND t.type = ?"
+    queryParams.push(type)
+  }
+
+  if (priority) {
+    whereClause += " AND t.priority = ?"
+    queryParams.push(priority)
+  }
+
+  if (status) {
+    whereClause += " AND t.status = ?"
+    queryParams.push(status)
+  }
+
+  if (req.permissionScope === "own") {
+    whereClause += " AND t.assigned_to = ?"
+    queryParams.push(req.user.id)
+  } else if (assignedTo) {
+    whereClause += " AND t.assigned_to = ?"
+    queryParams.push(assignedTo)
+  }
+
+  if (relatedType) {
+    whereClause += " AND t.related_type = ?"
+    queryParams.push(relatedType)
+  }
+
+  if (relatedId) {
+    whereClause += " AND t.related_id = ?"
+    queryParams.push(relatedId)
+  }
+
+  if (dueDateFrom) {
+    whereClause += " AND t.due_date >= ?"
+    queryParams.push(dueDateFrom)
+  }
+
+  if (dueDateTo) {
+    whereClause += " AND t.due_date <= ?"
+    queryParams.push(dueDateTo)
+  }
+
+  return { whereClause, queryParams }
+}
+
+// Columns of GET /api/tasks/export (?columns=title,dueDate,...)
+const taskExportColumns = {
+  id: { header: "ID", sql: "t.id" },
+  title: { header: "Title", sql: "t.title" },
+  description: { header: "Description", sql: "t.description" },
+  type: { header: "Type", sql: "t.type" },
+  priority: { header: "Priority", sql: "t.priority" },
+  status: { header: "Status", sql: "t.status" },
+  dueDate: { header: "Due date", sql: "t.due_date", type: "datetime" },
+  completedAt: { header: "Completed at", sql: "t.completed_at", type: "datetime" },
+  assignedTo: { header: "Assigned to", sql: "u.name" },
+  relatedType: { header: "Related to", sql: "t.related_type" },
+  relatedName: {
+    header: "Related name",
+    sql: `CASE t.related_type
+            WHEN 'customer' THEN c.name WHEN 'lead' THEN l.name WHEN 'deal' THEN d.title
+          END`,
+  },
+  relatedCompany: {
+    header: "Related company",
+    sql: `CASE t.related_type
+            WHEN 'customer' THEN c.company WHEN 'lead' THEN l.company WHEN 'deal' THEN cu.name
+          END`,
+  },
+  createdAt: { header: "Created at", sql: "t.created_at", type: "datetime" },
+  updatedAt: { header: "Updated at", sql: "t.updated_at", type: "datetime" },
+}
+
 // Get all tasks with filtering and pagination
 router.get(
   "/",
   authenticateToken,
+  requirePermission("tasks:read"),
   [
     query("page")
       .optional()
@@ -40,30 +200,7 @@ router.get(
       .optional()
       .isInt({ min: 1, max: 100 })
       .withMessage("Limit must be between 1 and 100"),
-    query("search").optional().isString().withMessage("Search must be a string"),
-    query("type")
-      .optional()
-      .isIn(["call", "email", "meeting", "follow-up", "demo", "other"])
-      .withMessage("Invalid type"),
-    query("priority").optional().isIn(["low", "medium", "high"]).withMessage("Invalid priority"),
-    query("status")
-      .optional()
-      .isIn(["pending", "in-progress", "completed", "cancelled"])
-      .withMessage("Invalid status"),
-    query("assignedTo").optional().isString().withMessage("AssignedTo must be a string"),
-    query("relatedType")
-      .optional()
-      .isIn(["customer", "lead", "deal"])
-      .withMessage("Invalid related type"),
-    query("relatedId").optional().isString().withMessage("Related ID must be a string"),
-    query("dueDateFrom")
-      .optional()
-      .isISO8601()
-      .withMessage("Due date from must be a valid date"),
-    query("dueDateTo")
-      .optional()
-      .isISO8601()
-      .withMessage("Due date to must be a valid date"),
+    ...taskListFilters,
   ],
   async (req, res) => {
     try {
@@ -82,66 +219,7 @@ router.get(
         return res.status(400).json({ error: "Invalid pagination parameters" })
       }
 
-      const {
-        search,
-        type,
-        priority,
-        status,
-        assignedTo,
-        relatedType,
-        relatedId,
-        dueDateFrom,
-        dueDateTo,
-      } = req.query
-
-      let whereClause = "WHERE 1=1"
-      const queryParams = []
-
-      if (search) {
-        whereClause += " AND (t.title LIKE ? OR t.description LIKE ?)"
-        const searchTerm = `%${search}%`
-        queryParams.push(searchTerm, searchTerm)
-      }
-
-      if (type) {
-        whereClause += " AND t.type = ?"
-        queryParams.push(type)
-      }
-
-      if (priority) {
-        whereClause += " AND t.priority = ?"
-        queryParams.push(priority)
-      }
-
-      if (status) {
-        whereClause += " AND t.status = ?"
-        queryParams.push(status)
-      }
-
-      if (assignedTo) {
-        whereClause += " AND t.assigned_to = ?"
-        queryParams.push(assignedTo)
-      }
-
-      if (relatedType) {
-        whereClause += " AND t.related_type = ?"
-        queryParams.push(relatedType)
-      }
-
-      if (relatedId) {
-        whereClause += " AND t.related_id = ?"
-        queryParams.push(relatedId)
-      }
-
-      if (dueDateFrom) {
-        whereClause += " AND t.due_date >= ?"
-        queryParams.push(dueDateFrom)
-      }
-
-      if (dueDateTo) {
-        whereClause += " AND t.due_date <= ?"
-        queryParams.push(dueDateTo)
-      }
+      const { whereClause, queryParams } = buildTaskListQuery(req)
 
       const tasksSql = `
         SELECT 
@@ -157,21 +235,9 @@ router.get(
             WHEN t.related_type = 'lead' THEN l.company
             WHEN t.related_type = 'deal' THEN cu.name
           END AS related_company
-        FROM tasks t
-        LEFT JOIN users u ON t.assigned_to = u.id
-        LEFT JOIN customers c ON t.related_type = 'customer' AND t.related_id = c.id
-        LEFT JOIN leads l ON t.related_type = 'lead' AND t.related_id = l.id
-        LEFT JOIN deals d ON t.related_type = 'deal' AND t.related_id = d.id
-        LEFT JOIN customers cu ON t.related_type = 'deal' AND d.customer_id = cu.id
+        FROM ${taskListFrom}
         ${whereClause}
-        ORDER BY 
-          CASE t.status 
-            WHEN 'pending' THEN 1
-            WHEN 'in-progress' THEN 2
-            WHEN 'completed' THEN 3
-            WHEN 'cancelled' THEN 4
-          END,
-          t.due_date ASC
+        ORDER BY ${taskListOrder}
         LIMIT ? OFFSET ?
       `
 
@@ -207,8 +273,49 @@ router.get(
   },
 )
 
+// Download the filtered task list (same filters as GET /) as CSV, XLSX or JSON
+router.get(
+  "/export",
+  authenticateToken,
+  requirePermission("tasks:read"),
+  [
+    ...taskListFilters,
+    query("format")
+      .optional()
+      .isIn(EXPORT_FORMATS)
+      .withMessage(`Format must be one of ${EXPORT_FORMATS.join(", ")}`),
+    query("columns").optional().isString().withMessage("Columns must be a comma separated list"),
+  ],
+  async (req, res) => {
+    try {
+      const validationError = handleValidation(req, res)
+      if (validationError) return
+
+      const { whereClause, queryParams } = buildTaskListQuery(req)
+      await streamExport(res, {
+        format: req.query.format,
+        columns: taskExportColumns,
+        requested: req.query.columns,
+        from: taskListFrom,
+        where: whereClause,
+        params: queryParams,
+        orderBy: taskListOrder,
+        fileName: "tasks",
+      })
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message })
+      }
+      console.error("Tasks export error:", error)
+      if (!res.headersSent) {
+        res.status(500).json({ error: "Failed to export tasks" })
+      }
+    }
+  },
+)
+
 // Get task by ID
-router.get("/:id", authenticateToken, async (req, res) => {
+router.get("/:id", authenticateToken, requirePermission("tasks:read"), async (req, res) => {
   try {
     const { id } = req.params
 
@@ -233,7 +340,7 @@ router.get("/:id", authenticateToken, async (req, res) => {
       LEFT JOIN leads l ON t.related_type = 'lead' AND t.related_id = l.id
       LEFT JOIN deals d ON t.related_type = 'deal' AND t.related_id = d.id
       LEFT JOIN customers cu ON t.related_type = 'deal' AND d.customer_id = cu.id
-      WHERE t.id = ?
+      WHERE t.id = ? AND t.deleted_at IS NULL
     `,
       [id],
     )
@@ -253,6 +360,7 @@ router.get("/:id", authenticateToken, async (req, res) => {
 router.post(
   "/",
   authenticateToken,
+  requirePermission("tasks:write"),
   [
     body("title").trim().notEmpty().withMessage("Title is required"),
     body("description").optional().isString().withMessage("Description must be a string"),
@@ -292,7 +400,9 @@ router.post(
 
       // Normalize assignedTo
       let assignedTo = rawAssignedTo ?? null
-      if (assignedTo === "" || assignedTo === "0" || assignedTo === 0) {
+      if (req.permissionScope === "own") {
+        assignedTo = req.user.id
+      } else if (assignedTo === "" || assignedTo === "0" || assignedTo === 0) {
         assignedTo = null
       }
       if (assignedTo != null) {
@@ -314,7 +424,7 @@ router.post(
             : "deals"
 
         const [relatedEntities] = await pool.execute(
-          `SELECT id FROM ${tableName} WHERE id = ?`,
+          `SELECT id FROM ${tableName} WHERE id = ? AND deleted_at IS NULL`,
           [relatedTo.id],
         )
 
@@ -323,14 +433,17 @@ router.post(
         }
       }
 
-      const [result] = await pool.execute(
+      const taskId = uuidv4()
+
+      await pool.execute(
         `
         INSERT INTO tasks (
-          title, description, type, priority, status, assigned_to,
+          id, title, description, type, priority, status, assigned_to,
           related_type, related_id, due_date
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
       `,
         [
+          taskId,
           title,
           description,
           type,
@@ -343,6 +456,10 @@ router.post(
         ],
       )
 
+      if (status === "completed" && relatedTo?.type === "lead") {
+        await refreshLeadScore(relatedTo.id)
+      }
+
       const [tasks] = await pool.execute(
         `
         SELECT 
@@ -360,9 +477,12 @@ router.post(
         LEFT JOIN deals d ON t.related_type = 'deal' AND t.related_id = d.id
         WHERE t.id = ?
       `,
-        [result.insertId],
+        [taskId],
       )
 
+      await recordTaskActivity(tasks[0], "task_created", req.user.id)
+      if (status === "completed") await recordTaskActivity(tasks[0], "task_completed", req.user.id)
+
       res.status(201).json({
         message: "Task created successfully",
         task: tasks[0],
@@ -378,6 +498,7 @@ router.post(
 router.put(
   "/:id",
   authenticateToken,
+  requirePermission("tasks:write"),
   [
     body("title").optional().trim().notEmpty().withMessage("Title cannot be empty"),
     body("description").optional().isString().withMessage("Description must be a string"),
@@ -407,6 +528,11 @@ router.put(
       const { id } = req.params
       const updateData = { ...req.body }
 
+      // Users limited to their own tasks cannot hand them over
+      if (req.permissionScope === "own") {
+        delete updateData.assignedTo
+      }
+
       // Normalize assignedTo
       if (Object.prototype.hasOwnProperty.call(updateData, "assignedTo")) {
         let assignedTo = updateData.assignedTo ?? null
@@ -426,7 +552,7 @@ router.put(
       }
 
       const [existingTasks] = await pool.execute(
-        "SELECT id, status FROM tasks WHERE id = ?",
+        "SELECT id, status, related_type, related_id FROM tasks WHERE id = ? AND deleted_at IS NULL",
         [id],
       )
 
@@ -447,7 +573,7 @@ router.put(
             : "deals"
 
         const [relatedEntities] = await pool.execute(
-          `SELECT id FROM ${tableName} WHERE id = ?`,
+          `SELECT id FROM ${tableName} WHERE id = ? AND deleted_at IS NULL`,
           [updateData.relatedTo.id],
         )
 
@@ -518,6 +644,17 @@ router.put(
         [id],
       )
 
+      // Completed lead tasks count towards the lead's score
+      if (updateData.status !== undefined || updateData.relatedTo) {
+        if (currentTask.related_type === "lead") await refreshLeadScore(currentTask.related_id)
+        if (tasks[0].related_type === "lead" && tasks[0].related_id !== currentTask.related_id) {
+          await refreshLeadScore(tasks[0].related_id)
+        }
+      }
+      if (updateData.status === "completed" && currentTask.status !== "completed") {
+        await recordTaskActivity(tasks[0], "task_completed", req.user.id)
+      }
+
       res.json({
         message: "Task updated successfully",
         task: tasks[0],
@@ -530,12 +667,12 @@ router.put(
 )
 
 // Delete task
-router.delete("/:id", authenticateToken, async (req, res) => {
+router.delete("/:id", authenticateToken, requirePermission("tasks:delete"), async (req, res) => {
   try {
     const { id } = req.params
 
     const [existingTasks] = await pool.execute(
-      "SELECT id FROM tasks WHERE id = ?",
+      "SELECT id, status, related_type, related_id FROM tasks WHERE id = ? AND deleted_at IS NULL",
       [id],
     )
 
@@ -543,9 +680,14 @@ router.delete("/:id", authenticateToken, async (req, res) => {
       return res.status(404).json({ error: "Task not found" })
     }
 
-    await pool.execute("DELETE FROM tasks WHERE id = ?", [id])
+    await softDelete("task", id, req.user.id)
 
-    res.json({ message: "Task deleted successfully" })
+    const task = existingTasks[0]
+    if (task.status === "completed" && task.related_type === "lead") {
+      await refreshLeadScore(task.related_id)
+    }
+
+    res.json({ message: "Task moved to trash" })
   } catch (error) {
     console.error("Task deletion error:", error)
     res.status(500).json({ error: "Failed to delete task" })
@@ -553,14 +695,17 @@ router.delete("/:id", authenticateToken, async (req, res) => {
 })
 
 // Get task statistics
-router.get("/stats/overview", authenticateToken, async (req, res) => {
+router.get("/stats/overview", authenticateToken, requirePermission("tasks:read"), async (req, res) => {
   try {
     const { assignedTo: rawAssignedTo } = req.query
 
-    let whereClause = "WHERE 1=1"
+    let whereClause = "WHERE deleted_at IS NULL"
     const queryParams = []
 
-    if (rawAssignedTo) {
+    if (req.permissionScope === "own") {
+      whereClause += " AND assigned_to = ?"
+      queryParams.push(req.user.id)
+    } else if (rawAssignedTo) {
       whereClause += " AND assigned_to = ?"
       queryParams.push(rawAssignedTo)
     }
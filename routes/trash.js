@@ -0,0 +1,137 @@
+// routes/trash.js
+const express = require("express");
+const { param, query, validationResult } = require("express-validator");
+const { authenticateToken, requirePermission } = require("../middleware/auth");
+const { resolveScope } = require("../services/permissions");
+const { recordAudit, ENTITY_TYPES: AUDITED_TYPES } = require("../services/auditLog");
+const { TRASH_TYPES, RETENTION_DAYS, listTrash, restoreRecord, purgeRecord } = require("../services/trash");
+
+const router = express.Router();
+
+const TYPES = Object.keys(TRASH_TYPES);
+
+const handleValidation = (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({ error: "Validation failed", details: errors.array() });
+    return true;
+  }
+  return false;
+};
+
+const label = (type) => type.charAt(0).toUpperCase() + type.slice(1);
+
+// Restoring and purging a record take the same permission as deleting it
+// ("customers:delete", "leads:delete", ...), including the "own" scope check
+const requireDeletePermission = (req, res, next) => {
+  const config = TRASH_TYPES[req.params.type];
+  if (!config) {
+    return res.status(400).json({ error: `Type must be one of ${TYPES.join(", ")}` });
+  }
+  return requirePermission(`${config.resource}:delete`)(req, res, next);
+};
+
+router.use(authenticateToken);
+
+// Trashed records the caller could have deleted, newest first
+router.get(
+  "/",
+  [
+    query("page").optional().isInt({ min: 1 }).withMessage("Page must be a positive integer"),
+    query("limit").optional().isInt({ min: 1, max: 100 }).withMessage("Limit must be between 1 and 100"),
+    query("type").optional().isIn(TYPES).withMessage(`Type must be one of ${TYPES.join(", ")}`),
+  ],
+  async (req, res) => {
+    try {
+      if (handleValidation(req, res)) return;
+
+      const page = Number(req.query.page || 1);
+      const limit = Number(req.query.limit || 20);
+
+      const scopes = {};
+      for (const type of req.query.type ? [req.query.type] : TYPES) {
+        const scope = resolveScope(req.user.permissions, TRASH_TYPES[type].resource, "delete");
+        if (scope) scopes[type] = scope;
+      }
+      if (Object.keys(scopes).length === 0) {
+        return res.status(403).json({ error: "Insufficient permissions" });
+      }
+
+      const { items, total } = await listTrash({
+        scopes,
+        userId: req.user.id,
+        limit,
+        offset: (page - 1) * limit,
+      });
+      const totalPages = Math.ceil(total / limit);
+
+      res.json({
+        items,
+        retentionDays: RETENTION_DAYS,
+        pagination: { page, limit, total, totalPages, hasNext: page < totalPages, hasPrev: page > 1 },
+      });
+    } catch (error) {
+      console.error("Trash fetch error:", error);
+      res.status(500).json({ error: "Failed to fetch trash" });
+    }
+  }
+);
+
+router.post(
+  "/:type/:id/restore",
+  [param("id").isString().notEmpty()],
+  requireDeletePermission,
+  async (req, res) => {
+    try {
+      if (handleValidation(req, res)) return;
+      const { type, id } = req.params;
+
+      const record = await restoreRecord(type, id);
+      if (!record) {
+        return res.status(404).json({ error: `${label(type)} not found in trash` });
+      }
+      if (AUDITED_TYPES.includes(type)) {
+        await recordAudit({ entityType: type, entityId: id, action: "update", before: record, req });
+      }
+
+      res.json({ message: `${label(type)} restored successfully`, type, id });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      console.error("Trash restore error:", error);
+      res.status(500).json({ error: "Failed to restore record" });
+    }
+  }
+);
+
+// Deletes a trashed record for good
+router.delete(
+  "/:type/:id",
+  [param("id").isString().notEmpty()],
+  requireDeletePermission,
+  async (req, res) => {
+    try {
+      if (handleValidation(req, res)) return;
+      const { type, id } = req.params;
+
+      const record = await purgeRecord(type, id);
+      if (!record) {
+        return res.status(404).json({ error: `${label(type)} not found in trash` });
+      }
+      if (AUDITED_TYPES.includes(type)) {
+        await recordAudit({ entityType: type, entityId: id, action: "delete", before: record, after: null, req });
+      }
+
+      res.json({ message: `${label(type)} permanently deleted`, type, id });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      console.error("Trash purge error:", error);
+      res.status(500).json({ error: "Failed to purge record" });
+    }
+  }
+);
+
+module.exports = router;
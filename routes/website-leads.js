@@ -3,6 +3,10 @@ const express = require("express");
 const { body, validationResult } = require("express-validator");
 const { pool } = require("../config/database");
 const { v4: uuidv4 } = require("uuid");
+const { checkDuplicate, duplicateColumns, absorbIntoLead } = require("../services/leadDedup");
+const { assignLead } = require("../services/leadAssignment");
+const { refreshLeadScore } = require("../services/leadScoring");
+const { recordActivity } = require("../services/activities");
 
 const router = express.Router();
 
@@ -85,35 +89,33 @@ router.post(
       else if (service === "Chatbot Development") safeService = "ai-agent";
       else safeService = "other";
 
-      // Basic duplicate check on email OR phone (last 90 days to avoid spam flood)
-      const [existing] = await pool.execute(
-        `
-        SELECT id, created_at
-        FROM leads
-        WHERE (email = ? OR phone = ?)
-          AND created_at >= DATE_SUB(NOW(), INTERVAL 90 DAY)
-        ORDER BY created_at DESC
-        LIMIT 1
-      `,
-        sanitizeParams(email, phone)
-      );
+      // Use notes to store the message + product
+      const notesParts = [];
+      if (product) notesParts.push(`Product: ${product}`);
+      if (message) notesParts.push(`Message: ${message}`);
+      const combinedNotes = notesParts.join(" | ");
+
+      // Duplicate check on normalized email / phone; the configured policy
+      // decides whether the enquiry is merged into the existing lead or a
+      // new lead is created and linked/flagged against it
+      const dedup = await checkDuplicate({ email, phone });
+      if (dedup.duplicate && dedup.policy === "merge") {
+        await absorbIntoLead(
+          dedup.duplicate.id,
+          { name: fullName, email, phone, company, service: safeService, notes: combinedNotes },
+          { source: "website" }
+        );
 
-      if (existing.length > 0) {
         return res.status(200).json({
-          message: "Lead already exists recently",
+          message: "Lead already exists, enquiry added to it",
           duplicate: true,
-          leadId: existing[0].id,
+          leadId: dedup.duplicate.id,
         });
       }
+      const { duplicateOf, duplicateStatus } = duplicateColumns(dedup);
 
       const leadId = uuidv4();
 
-      // Insert minimal lead data; use notes to store the message + product
-      const notesParts = [];
-      if (product) notesParts.push(`Product: ${product}`);
-      if (message) notesParts.push(`Message: ${message}`);
-      const combinedNotes = notesParts.join(" | ");
-
       await pool.execute(
         `
         INSERT INTO leads (
@@ -132,11 +134,13 @@ router.post(
           expected_close_date,
           whatsapp_number,
           service,
+          duplicate_of,
+          duplicate_status,
           created_by,
           created_at,
           updated_at
         )
-        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
       `,
         sanitizeParams(
           leadId,
@@ -154,14 +158,34 @@ router.post(
           null, // expected_close_date
           null, // whatsapp_number
           safeService,
+          duplicateOf,
+          duplicateStatus,
           null // created_by (system/website)
         )
       );
+      await recordActivity({
+        entityType: "lead",
+        entityId: leadId,
+        type: "created",
+        title: "Lead created from the website",
+        details: { source: safeSource },
+      });
+
+      // The assignment rules pick an owner; the lead is kept unassigned if they fail
+      let assignment = null;
+      try {
+        assignment = await assignLead(leadId);
+      } catch (error) {
+        console.error(`Lead assignment failed for lead ${leadId}:`, error);
+      }
+      await refreshLeadScore(leadId);
 
       res.status(201).json({
         message: "Lead created successfully from website",
-        duplicate: false,
+        duplicate: Boolean(duplicateOf),
+        duplicateOf,
         leadId,
+        assignedTo: assignment?.assignedTo || null,
       });
     } catch (error) {
       console.error("Website lead creation error:", error);
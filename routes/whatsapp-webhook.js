@@ -1,164 +1,195 @@
 // routes/whatsapp-webhook.js
 const express = require("express");
-const axios = require("axios");
-const { v4: uuidv4 } = require("uuid");
-const { pool } = require("../config/database");
+const { query, body, validationResult } = require("express-validator");
+const { authenticateToken, requirePermission } = require("../middleware/auth");
+const {
+  STALE_PROCESSING_MINUTES,
+  verifyWebhookRequest,
+  recordWebhookEvent,
+  processWebhookEvent,
+  replayFailedEvents,
+  listWebhookEvents,
+  getWebhookEvent,
+} = require("../services/whatsappWebhook");
 
 const router = express.Router();
 
-// Optional: WhatsApp send function (for admin & user replies)
-const WHATSAPP_API_URL = "https://api.aoc-portal.com/v1/whatsapp";
-const WHATSAPP_API_TOKEN = process.env.WHATSAPP_API_TOKEN;
-const WHATSAPP_PHONE_NUMBER_ID = process.env.WHATSAPP_PHONE_NUMBER_ID;
-const ADMIN_PHONE_NUMBER = process.env.ADMIN_PHONE_NUMBER || "";
-
-const AXIOS_CONFIG = {
-  headers: { apikey: WHATSAPP_API_TOKEN },
-};
-
-async function sendWhatsappMessage(to, text) {
-  if (!WHATSAPP_API_TOKEN || !WHATSAPP_PHONE_NUMBER_ID) {
-    console.warn("WhatsApp API credentials missing, cannot send message");
-    return;
+const handleValidation = (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({ error: "Validation failed", details: errors.array() });
+    return true;
   }
+  return false;
+};
 
-  console.log(`✉️  Sending text to ${to}: "${text}"`);
-  const data = {
-    recipient_type: "individual",
-    from: WHATSAPP_PHONE_NUMBER_ID,
-    to,
-    type: "text",
-    text: { body: text },
-  };
-
-  try {
-    await axios.post(WHATSAPP_API_URL, data, AXIOS_CONFIG);
-    console.log(`✅  Message sent successfully to ${to}.`);
-  } catch (error) {
-    console.error(
-      `❌ Failed to send text message to ${to}:`,
-      error.response?.data || error.message
-    );
+/**
+ * Webhook verification handshake (Meta calls this once when the callback
+ * URL is registered)
+ */
+router.get("/webhook", (req, res) => {
+  const verifyToken = process.env.WHATSAPP_VERIFY_TOKEN;
+
+  if (
+    verifyToken &&
+    req.query["hub.mode"] === "subscribe" &&
+    req.query["hub.verify_token"] === verifyToken
+  ) {
+    return res.status(200).send(req.query["hub.challenge"]);
   }
-}
 
-// Small helper to sanitize params for MySQL
-const sanitizeParams = (...params) =>
-  params.map((param) => (param === undefined ? null : param));
+  res.sendStatus(403);
+});
 
 /**
  * WhatsApp webhook entrypoint
  * Meta / provider will POST here.
  */
 router.post("/webhook", async (req, res) => {
-  console.log("📩 Incoming WhatsApp webhook:", JSON.stringify(req.body, null, 2));
-
-  // Always reply 200 OK quickly
-  res.sendStatus(200);
+  const auth = verifyWebhookRequest(req);
+  if (!auth.ok) {
+    console.warn(`⛔ Rejected WhatsApp webhook from ${req.ip}: ${auth.reason}`);
+    return res.status(401).json({ error: auth.reason });
+  }
 
+  let event;
   try {
-    const body = req.body;
+    event = await recordWebhookEvent({ body: req.body, rawBody: req.rawBody, authMethod: auth.method });
+  } catch (error) {
+    // Not stored: a non-2xx makes the provider deliver it again
+    console.error("❌ Failed to store WhatsApp webhook event:", error);
+    return res.sendStatus(500);
+  }
 
-    // 1) Basic validation of provider payload
-    if (!body || body.channel !== "whatsapp" || !body.messages || !body.contacts) {
-      console.log("Ignoring non-whatsapp or invalid webhook payload");
-      return;
-    }
+  // Reply 200 OK quickly; processing continues in the background
+  res.sendStatus(200);
 
-    const message = body.messages;
-    const from = body.contacts.recipient; // phone number
-    const profileName = body.contacts?.profileName || "Unknown Name";
+  if (event.duplicate) {
+    console.log(`Ignoring duplicate WhatsApp webhook delivery (event ${event.eventId})`);
+    return;
+  }
 
-    const userMessage =
-      message.type === "text" && message.text?.body
-        ? message.text.body.trim()
-        : null;
+  // The response is gone, so errors can only be logged; the event stays
+  // replayable (a stalled "processing" event is picked up again later)
+  try {
+    const outcome = await processWebhookEvent(event.eventId);
+    if (outcome && outcome.status !== "failed") {
+      console.log(`📩 WhatsApp webhook event ${event.eventId} ${outcome.status}: ${outcome.note}`);
+    }
+  } catch (error) {
+    console.error(`❌ WhatsApp webhook event ${event.eventId} could not be processed:`, error);
+  }
+});
 
-    if (!userMessage) {
-      console.log(`Ignoring non-text message from ${from}`);
-      return;
+// ================== EVENT LOG & REPLAY ==================
+router.get(
+  "/webhook-events",
+  authenticateToken,
+  requirePermission("settings:manage"),
+  [
+    query("status").optional().isIn(["received", "processing", "processed", "ignored", "failed"]),
+    query("type").optional().isIn(["message", "status", "other"]),
+    query("page").optional().isInt({ min: 1 }),
+    query("limit").optional().isInt({ min: 1, max: 100 }),
+  ],
+  async (req, res) => {
+    try {
+      if (handleValidation(req, res)) return;
+
+      const page = Math.max(1, Number.parseInt(req.query.page, 10) || 1);
+      const limit = Math.min(100, Math.max(1, Number.parseInt(req.query.limit, 10) || 20));
+
+      const { events, total } = await listWebhookEvents({
+        status: req.query.status,
+        type: req.query.type,
+        limit,
+        offset: (page - 1) * limit,
+      });
+
+      const totalPages = total > 0 ? Math.ceil(total / limit) : 1;
+
+      res.json({
+        events,
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages,
+          hasNext: page < totalPages,
+          hasPrev: page > 1,
+        },
+      });
+    } catch (error) {
+      console.error("Webhook events fetch error:", error);
+      res.status(500).json({ error: "Failed to fetch webhook events" });
     }
+  }
+);
 
-    console.log(`--- New WhatsApp message from ${profileName} (${from}) ---`);
-    console.log(`Message: "${userMessage}"`);
-
-    // 2) Insert into leads table as a WhatsApp lead
-   
- const leadId = uuidv4();
-
-const name = profileName;
-const email = `${from}@whatsapp.local`;
-const phone = from;
-const company = null;
-const source = "whatsapp";  
-const status = "new";
-const priority = "medium";
-
-const estimatedValue = 0;
-const notes = userMessage;
-const expectedCloseDate = null;
-const whatsappNumber = from;
-const service = "whatsapp-business-api";
-const assignedTo = null;
-const createdBy = null;
-
-
-    await pool.execute(
-      `
-      INSERT INTO leads (
-        id,
-        name, email, phone, company, source, status, priority,
-        assigned_to, converted_customer_id, estimated_value, notes,
-        expected_close_date, whatsapp_number, service,
-        created_by, created_at, updated_at
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
-    `,
-      sanitizeParams(
-        leadId,
-        name,
-        email,
-        phone,
-        company,
-        source,
-        status,
-        priority,
-        assignedTo,
-        null,
-        estimatedValue,
-        notes,
-        expectedCloseDate,
-        whatsappNumber,
-        service,
-        createdBy
-      )
-    );
-
-    console.log(`✅ WhatsApp lead inserted into CRM with id: ${leadId}`);
-
-    // 3) Notify admins on WhatsApp (optional, same as your old code)
-    if (ADMIN_PHONE_NUMBER) {
-      const adminNotification =
-        `🔔 New WhatsApp Lead!\n\n` +
-        `👤 *From:* ${profileName}\n` +
-        `📞 *Number:* ${from}\n` +
-        `💬 *Message:* ${userMessage}`;
-
-      const adminNumbers = ADMIN_PHONE_NUMBER.split(",");
-      for (const number of adminNumbers) {
-        const trimmedNumber = number.trim();
-        if (trimmedNumber) {
-          await sendWhatsappMessage(trimmedNumber, adminNotification);
-        }
-      }
+router.get("/webhook-events/:id", authenticateToken, requirePermission("settings:manage"), async (req, res) => {
+  try {
+    const event = await getWebhookEvent(req.params.id);
+    if (!event) {
+      return res.status(404).json({ error: "Webhook event not found" });
     }
 
-    // 4) Send confirmation to user (optional)
-    const confirmationMessage =
-      "Thank you for your message! We have received it and will get back to you shortly.";
-    await sendWhatsappMessage(from, confirmationMessage);
+    res.json({ event });
   } catch (error) {
-    console.error("❌ Error in WhatsApp webhook handler:", error);
+    console.error("Webhook event fetch error:", error);
+    res.status(500).json({ error: "Failed to fetch webhook event" });
   }
 });
 
+router.post(
+  "/webhook-events/:id/replay",
+  authenticateToken,
+  requirePermission("settings:manage"),
+  async (req, res) => {
+    try {
+      const event = await getWebhookEvent(req.params.id);
+      if (!event) {
+        return res.status(404).json({ error: "Webhook event not found" });
+      }
+      if (!["failed", "processing"].includes(event.status)) {
+        return res.status(400).json({ error: `Only failed events can be replayed (event is ${event.status})` });
+      }
+
+      const [result] = await replayFailedEvents({ ids: [event.id] });
+      if (result.status === "skipped") {
+        return res.status(409).json({
+          error: `Event is being processed; it can be replayed after ${STALE_PROCESSING_MINUTES} minutes`,
+        });
+      }
+      res.json({ result });
+    } catch (error) {
+      console.error("Webhook event replay error:", error);
+      res.status(500).json({ error: "Failed to replay webhook event" });
+    }
+  }
+);
+
+// Replays all failed events (oldest first)
+router.post(
+  "/webhook-events/replay",
+  authenticateToken,
+  requirePermission("settings:manage"),
+  [body("limit").optional().isInt({ min: 1, max: 500 })],
+  async (req, res) => {
+    try {
+      if (handleValidation(req, res)) return;
+
+      const results = await replayFailedEvents({ limit: req.body.limit || 50 });
+      res.json({
+        replayed: results.length,
+        processed: results.filter((r) => r.status === "processed").length,
+        failed: results.filter((r) => r.status === "failed").length,
+        results,
+      });
+    } catch (error) {
+      console.error("Webhook events replay error:", error);
+      res.status(500).json({ error: "Failed to replay webhook events" });
+    }
+  }
+);
+
 module.exports = router;
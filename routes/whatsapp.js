@@ -1,8 +1,28 @@
 const express = require("express")
 const { body, validationResult, query } = require("express-validator")
 const { pool } = require("../config/database")
-const { authenticateToken } = require("../middleware/auth")
+const { authenticateToken, requirePermission } = require("../middleware/auth")
 const cron = require("node-cron")
+const { v4: uuidv4 } = require("uuid")
+const { sendMessage } = require("../services/whatsapp")
+const { sendDueRenewalReminders } = require("../services/renewalReminders")
+const { getStorage } = require("../services/fileStorage")
+const { storeInboundMedia } = require("../services/whatsappInbound")
+const { canAccessRecord } = require("../services/permissions")
+const { getReplyActions, updateReplyActions } = require("../services/whatsappReplyActions")
+const {
+  MAX_RATE_PER_MINUTE,
+  validateAudience,
+  changeCampaignStatus,
+} = require("../services/whatsappCampaigns")
+const {
+  listConversations,
+  getConversation,
+  listConversationMessages,
+  markConversationRead,
+  unreadSummary,
+  withMediaUrl,
+} = require("../services/whatsappConversations")
 
 const router = express.Router()
 
@@ -27,6 +47,63 @@ const parseJsonArray = (value) => {
   }
 }
 
+const parseJsonObject = (value) => {
+  if (!value) return {}
+  if (typeof value !== "string") return value
+  try {
+    return JSON.parse(value)
+  } catch {
+    return {}
+  }
+}
+
+/**
+ * Runs after requirePermission("customers:<action>"). With the "own" scope a
+ * message is only reachable by its conversation's assignee or by whoever may
+ * access the customer or lead it belongs to (404 when missing, 403 otherwise).
+ */
+const requireMessageAccess = (action) => async (req, res, next) => {
+  if (req.permissionScope === "any") return next()
+
+  try {
+    const [messages] = await pool.execute(
+      `SELECT COALESCE(m.customer_id, c.customer_id) AS customer_id,
+              COALESCE(m.lead_id, c.lead_id) AS lead_id,
+              c.assigned_to
+       FROM whatsapp_messages m
+       LEFT JOIN whatsapp_conversations c ON m.conversation_id = c.id
+       WHERE m.id = ?`,
+      [req.params.id],
+    )
+    if (messages.length === 0) {
+      return res.status(404).json({ error: "Message not found" })
+    }
+
+    const message = messages[0]
+    if (message.assigned_to === req.user.id) return next()
+
+    const records = [
+      ["customers", message.customer_id],
+      ["leads", message.lead_id],
+    ].filter(([, id]) => id)
+    for (const [resource, id] of records) {
+      const access = await canAccessRecord(req.user, resource, action, id)
+      if (access.allowed) return next()
+    }
+
+    return res.status(403).json({ error: "You do not have permission to access this message" })
+  } catch (error) {
+    console.error("WhatsApp message access error:", error)
+    return res.status(500).json({ error: "Authorization failed" })
+  }
+}
+
+const formatCampaign = (campaign) => ({
+  ...campaign,
+  target_audience: parseJsonArray(campaign.target_audience),
+  variables: parseJsonObject(campaign.variables),
+})
+
 // Get all WhatsApp campaigns
 router.get(
   "/campaigns",
@@ -68,10 +145,7 @@ router.get(
         [...queryParams, limit, offset],
       )
 
-      const campaignsWithData = campaigns.map((campaign) => ({
-        ...campaign,
-        target_audience: parseJsonArray(campaign.target_audience),
-      }))
+      const campaignsWithData = campaigns.map(formatCampaign)
 
       const [countResult] = await pool.execute(
         `
@@ -104,41 +178,65 @@ router.get(
 )
 
 // Create WhatsApp campaign
+// Campaigns start as drafts; setting the status to "active" starts sending
+// at scheduledAt (or right away)
 router.post(
   "/campaigns",
   authenticateToken,
+  requirePermission("campaigns:manage"),
   [
     body("name").trim().notEmpty().withMessage("Campaign name is required"),
     body("template").trim().notEmpty().withMessage("Message template is required"),
     body("targetAudience").isArray().withMessage("Target audience must be an array"),
     body("scheduledAt").optional().isISO8601().withMessage("Scheduled time must be a valid date"),
+    body("variables").optional().isObject().withMessage("Variables must be an object"),
+    body("ratePerMinute")
+      .optional()
+      .isInt({ min: 1, max: MAX_RATE_PER_MINUTE })
+      .withMessage(`Rate must be between 1 and ${MAX_RATE_PER_MINUTE} messages per minute`),
   ],
   async (req, res) => {
     try {
       const validationError = handleValidation(req, res)
       if (validationError) return
 
-      const { name, template, targetAudience, scheduledAt } = req.body
+      const { name, template, targetAudience, scheduledAt, variables, ratePerMinute } = req.body
+
+      try {
+        validateAudience(targetAudience)
+      } catch (error) {
+        return res.status(400).json({ error: error.message })
+      }
+
+      const campaignId = uuidv4()
 
-      const [result] = await pool.execute(
+      await pool.execute(
         `
-        INSERT INTO whatsapp_campaigns (name, template, target_audience, scheduled_at)
-        VALUES (?, ?, ?, ?)
+        INSERT INTO whatsapp_campaigns (
+          id, name, template, target_audience, variables, scheduled_at, rate_per_minute, created_by
+        )
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
       `,
-        [name, template, JSON.stringify(targetAudience), scheduledAt],
+        [
+          campaignId,
+          name,
+          template,
+          JSON.stringify(targetAudience),
+          variables ? JSON.stringify(variables) : null,
+          scheduledAt ? new Date(scheduledAt) : null,
+          ratePerMinute ? Number(ratePerMinute) : null,
+          req.user.id,
+        ],
       )
 
       const [campaigns] = await pool.execute(
         "SELECT * FROM whatsapp_campaigns WHERE id = ?",
-        [result.insertId],
+        [campaignId],
       )
 
-      const campaign = campaigns[0]
-      campaign.target_audience = parseJsonArray(campaign.target_audience)
-
       res.status(201).json({
         message: "WhatsApp campaign created successfully",
-        campaign,
+        campaign: formatCampaign(campaigns[0]),
       })
     } catch (error) {
       console.error("WhatsApp campaign creation error:", error)
@@ -147,26 +245,58 @@ router.post(
   },
 )
 
+// Get a campaign with its delivery counters
+router.get("/campaigns/:id", authenticateToken, async (req, res) => {
+  try {
+    const [campaigns] = await pool.execute(
+      "SELECT * FROM whatsapp_campaigns WHERE id = ?",
+      [req.params.id],
+    )
+
+    if (campaigns.length === 0) {
+      return res.status(404).json({ error: "Campaign not found" })
+    }
+
+    const [pending] = await pool.execute(
+      "SELECT COUNT(*) AS count FROM whatsapp_messages WHERE campaign_id = ? AND status = 'pending'",
+      [req.params.id],
+    )
+
+    res.json({
+      campaign: {
+        ...formatCampaign(campaigns[0]),
+        pending_count: pending[0].count,
+      },
+    })
+  } catch (error) {
+    console.error("WhatsApp campaign fetch error:", error)
+    res.status(500).json({ error: "Failed to fetch WhatsApp campaign" })
+  }
+})
+
 // Update campaign status
+// draft -> active starts the campaign, active <-> paused pauses/resumes it,
+// completed stops it and drops messages not sent yet
 router.put(
   "/campaigns/:id/status",
   authenticateToken,
+  requirePermission("campaigns:manage"),
   [body("status").isIn(["draft", "active", "paused", "completed"]).withMessage("Invalid status")],
   async (req, res) => {
     try {
       const validationError = handleValidation(req, res)
       if (validationError) return
 
-      const { id } = req.params
-      const { status } = req.body
-
-      await pool.execute(
-        "UPDATE whatsapp_campaigns SET status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?",
-        [status, id],
-      )
+      const result = await changeCampaignStatus(req.params.id, req.body.status)
+      if (!result) {
+        return res.status(404).json({ error: "Campaign not found" })
+      }
 
-      res.json({ message: "Campaign status updated successfully" })
+      res.json({ message: "Campaign status updated successfully", status: result.status })
     } catch (error) {
+      if (error.status === 400) {
+        return res.status(400).json({ error: error.message })
+      }
       console.error("Campaign status update error:", error)
       res.status(500).json({ error: "Failed to update campaign status" })
     }
@@ -190,33 +320,20 @@ router.post(
 
       const { phoneNumber, message, customerId, campaignId } = req.body
 
-      const [result] = await pool.execute(
-        `
-        INSERT INTO whatsapp_messages (
-          campaign_id, customer_id, phone_number, message, status, sent_at
-        )
-        VALUES (?, ?, ?, ?, 'sent', NOW())
-      `,
-        [campaignId, customerId, phoneNumber, message],
-      )
+      const result = await sendMessage({ phoneNumber, message, customerId, campaignId })
 
-      // Placeholder for actual WhatsApp API integration
-      console.log(`[WhatsApp] Sending message to ${phoneNumber}: ${message}`)
-
-      setTimeout(async () => {
-        try {
-          await pool.execute(
-            'UPDATE whatsapp_messages SET status = "delivered", delivered_at = NOW() WHERE id = ?',
-            [result.insertId],
-          )
-        } catch (err) {
-          console.error("Failed to update WhatsApp message status:", err)
-        }
-      }, 1000)
+      if (result.status === "failed") {
+        return res.status(502).json({
+          error: "Failed to send WhatsApp message",
+          messageId: result.id,
+          details: result.error,
+        })
+      }
 
       res.json({
         message: "WhatsApp message sent successfully",
-        messageId: result.insertId,
+        messageId: result.id,
+        status: result.status,
       })
     } catch (error) {
       console.error("WhatsApp message send error:", error)
@@ -232,9 +349,11 @@ router.get(
   [
     query("customerId").optional().isString().withMessage("Customer ID must be a string"),
     query("campaignId").optional().isString().withMessage("Campaign ID must be a string"),
+    query("leadId").optional().isString().withMessage("Lead ID must be a string"),
+    query("type").optional().isString().withMessage("Message type must be a string"),
     query("status")
       .optional()
-      .isIn(["pending", "sent", "delivered", "read", "failed"])
+      .isIn(["pending", "sent", "delivered", "read", "failed", "received"])
       .withMessage("Invalid status"),
   ],
   async (req, res) => {
@@ -242,7 +361,7 @@ router.get(
       const validationError = handleValidation(req, res)
       if (validationError) return
 
-      const { customerId, campaignId, status } = req.query
+      const { customerId, campaignId, leadId, type, status } = req.query
 
       let whereClause = "WHERE 1=1"
       const queryParams = []
@@ -257,6 +376,16 @@ router.get(
         queryParams.push(campaignId)
       }
 
+      if (leadId) {
+        whereClause += " AND wm.lead_id = ?"
+        queryParams.push(leadId)
+      }
+
+      if (type) {
+        whereClause += " AND wm.message_type = ?"
+        queryParams.push(type)
+      }
+
       if (status) {
         whereClause += " AND wm.status = ?"
         queryParams.push(status)
@@ -278,7 +407,7 @@ router.get(
         queryParams,
       )
 
-      res.json({ messages })
+      res.json({ messages: messages.map(withMediaUrl) })
     } catch (error) {
       console.error("WhatsApp messages fetch error:", error)
       res.status(500).json({ error: "Failed to fetch WhatsApp messages" })
@@ -286,74 +415,354 @@ router.get(
   },
 )
 
+// Media received with a message (image, voice note, document...)
+router.get(
+  "/messages/:id/media",
+  authenticateToken,
+  requirePermission("customers:read", { param: null }),
+  requireMessageAccess("read"),
+  async (req, res) => {
+    try {
+      const [messages] = await pool.execute(
+        "SELECT id, media_status, media_key, media_mime_type, media_file_name, media_size FROM whatsapp_messages WHERE id = ?",
+        [req.params.id],
+      )
+
+      if (messages.length === 0 || !messages[0].media_status) {
+        return res.status(404).json({ error: "Media not found" })
+      }
+
+      const message = messages[0]
+      if (message.media_status !== "stored") {
+        return res.status(404).json({ error: `Media is not available (${message.media_status})` })
+      }
+
+      const storage = getStorage()
+      if (!(await storage.exists(message.media_key))) {
+        return res.status(404).json({ error: "Media content is missing" })
+      }
+
+      res.setHeader("Content-Type", message.media_mime_type || "application/octet-stream")
+      if (message.media_size) {
+        res.setHeader("Content-Length", message.media_size)
+      }
+      const fileName = message.media_file_name || message.media_key.split("/").pop()
+      res.setHeader("Content-Disposition", `inline; filename="${encodeURIComponent(fileName)}"`)
+
+      const stream = storage.createReadStream(message.media_key)
+      stream.on("error", (err) => {
+        console.error("WhatsApp media stream error:", err)
+        if (!res.headersSent) {
+          res.status(500).json({ error: "Failed to download media" })
+        } else {
+          res.destroy(err)
+        }
+      })
+      stream.pipe(res)
+    } catch (error) {
+      console.error("WhatsApp media fetch error:", error)
+      res.status(500).json({ error: "Failed to download media" })
+    }
+  },
+)
+
+// Retries a media download that failed when the message arrived
+router.post(
+  "/messages/:id/media/download",
+  authenticateToken,
+  requirePermission("customers:write", { param: null }),
+  requireMessageAccess("write"),
+  async (req, res) => {
+    try {
+      const result = await storeInboundMedia(req.params.id)
+      if (!result) {
+        return res.status(404).json({ error: "Message has no media" })
+      }
+      if (result.status === "failed") {
+        return res.status(502).json({ error: "Media download failed", details: result.error })
+      }
+
+      res.json({ message: "Media stored", mediaUrl: `/api/whatsapp/messages/${req.params.id}/media` })
+    } catch (error) {
+      console.error("WhatsApp media download error:", error)
+      res.status(500).json({ error: "Failed to download media" })
+    }
+  },
+)
+
+// ================== REPLY ACTIONS ==================
+// Workflows run when a contact taps an interactive button or list item
+router.get("/settings/reply-actions", authenticateToken, async (req, res) => {
+  try {
+    res.json({ actions: await getReplyActions() })
+  } catch (error) {
+    console.error("Reply actions fetch error:", error)
+    res.status(500).json({ error: "Failed to fetch reply actions" })
+  }
+})
+
+router.put(
+  "/settings/reply-actions",
+  authenticateToken,
+  requirePermission("settings:manage"),
+  [body("actions").isObject().withMessage("Actions must be an object keyed by reply id")],
+  async (req, res) => {
+    try {
+      const validationError = handleValidation(req, res)
+      if (validationError) return
+
+      const actions = await updateReplyActions(req.body.actions, req.user.id)
+      res.json({ message: "Reply actions updated", actions })
+    } catch (error) {
+      if (error.status === 400) {
+        return res.status(400).json({ error: error.message })
+      }
+      console.error("Reply actions update error:", error)
+      res.status(500).json({ error: "Failed to update reply actions" })
+    }
+  },
+)
+
 // Send renewal reminders
 router.post("/send-renewal-reminders", authenticateToken, async (req, res) => {
   try {
-    const [reminders] = await pool.execute(`
-      SELECT 
-        rr.*,
-        c.name AS customer_name,
-        c.whatsapp_number AS customer_whatsapp
-      FROM renewal_reminders rr
-      LEFT JOIN customers c ON rr.customer_id = c.id
-      WHERE rr.status = 'active' 
-      AND c.whatsapp_number IS NOT NULL
-      AND c.whatsapp_number != ''
-    `)
+    const { whatsapp, email, failed } = await sendDueRenewalReminders()
 
-    let sentCount = 0
+    res.json({
+      message: `Sent ${whatsapp + email} renewal reminders`,
+      sentCount: whatsapp + email,
+      whatsappCount: whatsapp,
+      emailCount: email,
+      failedCount: failed,
+    })
+  } catch (error) {
+    console.error("Renewal reminders send error:", error)
+    res.status(500).json({ error: "Failed to send renewal reminders" })
+  }
+})
+
+// ================== CONVERSATIONS (INBOX) ==================
+// List conversations, latest activity first
+router.get(
+  "/conversations",
+  authenticateToken,
+  [
+    query("page").optional().isInt({ min: 1 }).withMessage("Page must be a positive integer"),
+    query("limit").optional().isInt({ min: 1, max: 100 }).withMessage("Limit must be between 1 and 100"),
+    query("status").optional().isIn(["open", "closed"]).withMessage("Invalid status"),
+    query("assignedTo").optional().isString().withMessage("assignedTo must be a user id, \"me\" or \"unassigned\""),
+    query("unread").optional().isBoolean().withMessage("unread must be true or false"),
+    query("search").optional().isString().withMessage("Search must be a string"),
+  ],
+  async (req, res) => {
+    try {
+      const validationError = handleValidation(req, res)
+      if (validationError) return
 
-    const today = new Date()
-    const todayStr = today.toISOString().split("T")[0]
+      const page = Math.max(1, Number.parseInt(req.query.page, 10) || 1)
+      const limit = Math.min(100, Math.max(1, Number.parseInt(req.query.limit, 10) || 20))
 
-    for (const reminder of reminders) {
-      const reminderDays = parseJsonArray(reminder.reminder_days)
-      const expiryDate = new Date(reminder.expiry_date)
-      const daysUntilExpiry = Math.ceil((expiryDate - today) / (1000 * 60 * 60 * 24))
+      const { conversations, total } = await listConversations({
+        status: req.query.status,
+        assignedTo: req.query.assignedTo === "me" ? req.user.id : req.query.assignedTo,
+        unread: req.query.unread === "true",
+        search: req.query.search,
+        limit,
+        offset: (page - 1) * limit,
+      })
 
-      if (!reminderDays.includes(daysUntilExpiry)) continue
+      const totalPages = total > 0 ? Math.ceil(total / limit) : 1
 
-      const lastReminderDate = reminder.last_reminder_sent ? new Date(reminder.last_reminder_sent) : null
-      const lastReminderStr = lastReminderDate ? lastReminderDate.toISOString().split("T")[0] : null
+      res.json({
+        conversations,
+        unread: await unreadSummary(req.user.id),
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages,
+          hasNext: page < totalPages,
+          hasPrev: page > 1,
+        },
+      })
+    } catch (error) {
+      console.error("WhatsApp conversations fetch error:", error)
+      res.status(500).json({ error: "Failed to fetch WhatsApp conversations" })
+    }
+  },
+)
 
-      if (lastReminderStr === todayStr) continue
+// Unread counts for the inbox badge
+router.get("/conversations/unread", authenticateToken, async (req, res) => {
+  try {
+    res.json(await unreadSummary(req.user.id))
+  } catch (error) {
+    console.error("WhatsApp unread count error:", error)
+    res.status(500).json({ error: "Failed to fetch unread counts" })
+  }
+})
 
-      let message =
-        reminder.whatsapp_template ||
-        "Hi {customerName}, your {serviceName} expires on {expiryDate}. Please renew to continue service."
+// Conversation with its messages (oldest first; `before` pages back)
+router.get(
+  "/conversations/:id",
+  authenticateToken,
+  [
+    query("before").optional().isISO8601().withMessage("before must be a valid date"),
+    query("limit").optional().isInt({ min: 1, max: 200 }).withMessage("Limit must be between 1 and 200"),
+  ],
+  async (req, res) => {
+    try {
+      const validationError = handleValidation(req, res)
+      if (validationError) return
 
-      message = message
-        .replace("{customerName}", reminder.customer_name)
-        .replace("{serviceName}", reminder.service_name)
-        .replace("{expiryDate}", expiryDate.toLocaleDateString())
+      const conversation = await getConversation(req.params.id)
+      if (!conversation) {
+        return res.status(404).json({ error: "Conversation not found" })
+      }
 
-      await pool.execute(
-        `
-        INSERT INTO whatsapp_messages (customer_id, phone_number, message, status, sent_at)
-        VALUES (?, ?, ?, 'sent', NOW())
-      `,
-        [reminder.customer_id, reminder.customer_whatsapp, message],
-      )
+      const messages = await listConversationMessages(conversation.id, {
+        before: req.query.before,
+        limit: Number.parseInt(req.query.limit, 10) || 50,
+      })
 
-      await pool.execute(
-        "UPDATE renewal_reminders SET last_reminder_sent = CURDATE() WHERE id = ?",
-        [reminder.id],
-      )
+      res.json({ conversation, messages })
+    } catch (error) {
+      console.error("WhatsApp conversation fetch error:", error)
+      res.status(500).json({ error: "Failed to fetch WhatsApp conversation" })
+    }
+  },
+)
 
-      sentCount++
-      console.log(`[Renewal Reminder] Sent to ${reminder.customer_name}: ${message}`)
+// Mark every inbound message in the conversation as read
+router.post("/conversations/:id/read", authenticateToken, async (req, res) => {
+  try {
+    const conversation = await getConversation(req.params.id)
+    if (!conversation) {
+      return res.status(404).json({ error: "Conversation not found" })
     }
 
-    res.json({
-      message: `Sent ${sentCount} renewal reminders`,
-      sentCount,
-    })
+    await markConversationRead(conversation.id)
+
+    res.json({ message: "Conversation marked as read" })
   } catch (error) {
-    console.error("Renewal reminders send error:", error)
-    res.status(500).json({ error: "Failed to send renewal reminders" })
+    console.error("WhatsApp conversation read error:", error)
+    res.status(500).json({ error: "Failed to mark conversation as read" })
   }
 })
 
+// Reply in a conversation
+router.post(
+  "/conversations/:id/messages",
+  authenticateToken,
+  [body("message").trim().notEmpty().withMessage("Message is required")],
+  async (req, res) => {
+    try {
+      const validationError = handleValidation(req, res)
+      if (validationError) return
+
+      const conversation = await getConversation(req.params.id)
+      if (!conversation) {
+        return res.status(404).json({ error: "Conversation not found" })
+      }
+
+      const result = await sendMessage({
+        phoneNumber: conversation.phone_number,
+        message: req.body.message,
+        conversationId: conversation.id,
+        customerId: conversation.customer_id,
+        leadId: conversation.lead_id,
+        sentBy: req.user.id,
+      })
+
+      // Replying implies the agent has read the thread
+      await markConversationRead(conversation.id)
+
+      if (result.status === "failed") {
+        return res.status(502).json({
+          error: "Failed to send WhatsApp message",
+          messageId: result.id,
+          details: result.error,
+        })
+      }
+
+      res.status(201).json({
+        message: "Reply sent successfully",
+        messageId: result.id,
+        status: result.status,
+      })
+    } catch (error) {
+      console.error("WhatsApp reply error:", error)
+      res.status(500).json({ error: "Failed to send reply" })
+    }
+  },
+)
+
+// Assign (or unassign with null), open/close a conversation and turn the chatbot on/off
+router.put(
+  "/conversations/:id",
+  authenticateToken,
+  [
+    body("assignedTo").optional({ values: "null" }).isString().withMessage("assignedTo must be a user id or null"),
+    body("status").optional().isIn(["open", "closed"]).withMessage("Invalid status"),
+    body("botEnabled").optional().isBoolean().withMessage("botEnabled must be true or false").toBoolean(),
+  ],
+  async (req, res) => {
+    try {
+      const validationError = handleValidation(req, res)
+      if (validationError) return
+
+      const conversation = await getConversation(req.params.id)
+      if (!conversation) {
+        return res.status(404).json({ error: "Conversation not found" })
+      }
+
+      const { assignedTo, status, botEnabled } = req.body
+      const updateFields = []
+      const updateValues = []
+
+      if (assignedTo !== undefined) {
+        if (assignedTo !== null) {
+          const [users] = await pool.execute(
+            "SELECT id FROM users WHERE id = ? AND is_active = 1",
+            [assignedTo],
+          )
+          if (users.length === 0) {
+            return res.status(400).json({ error: "Assignee must be an active user" })
+          }
+        }
+        updateFields.push("assigned_to = ?")
+        updateValues.push(assignedTo)
+      }
+      if (status) {
+        updateFields.push("status = ?")
+        updateValues.push(status)
+      }
+      // The chatbot switches itself off when it hands a conversation over
+      if (botEnabled !== undefined) {
+        updateFields.push("bot_enabled = ?")
+        updateValues.push(botEnabled ? 1 : 0)
+      }
+
+      if (updateFields.length === 0) {
+        return res.status(400).json({ error: "No fields to update" })
+      }
+
+      await pool.execute(
+        `UPDATE whatsapp_conversations SET ${updateFields.join(", ")}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+        [...updateValues, conversation.id],
+      )
+
+      res.json({
+        message: "Conversation updated successfully",
+        conversation: await getConversation(conversation.id),
+      })
+    } catch (error) {
+      console.error("WhatsApp conversation update error:", error)
+      res.status(500).json({ error: "Failed to update conversation" })
+    }
+  },
+)
+
 // Get WhatsApp statistics
 router.get("/stats", authenticateToken, async (req, res) => {
   try {
@@ -44,11 +44,18 @@ async function runMigration() {
     const schemaPath = path.join(__dirname, "../database/schema.sql")
     const schema = fs.readFileSync(schemaPath, "utf8")
 
-    // Simple guard: skip empty and comment-only lines, still naive for complex SQL
+    // Simple guard: drop "--" comment lines so a statement with a header comment
+    // still runs, then skip empty chunks; still naive for complex SQL
     const statements = schema
       .split(";")
-      .map((stmt) => stmt.trim())
-      .filter((stmt) => stmt.length > 0 && !stmt.startsWith("--") && !stmt.startsWith("/*"))
+      .map((stmt) =>
+        stmt
+          .split("\n")
+          .filter((line) => !line.trim().startsWith("--"))
+          .join("\n")
+          .trim(),
+      )
+      .filter((stmt) => stmt.length > 0 && !stmt.startsWith("/*"))
 
     for (const statement of statements) {
       await pool.execute(statement)
@@ -0,0 +1,40 @@
+// Re-processes failed (or stalled in "processing") WhatsApp webhook events.
+//
+//   npm run webhooks:replay                 oldest 50 failed events
+//   npm run webhooks:replay -- --limit 200
+//   npm run webhooks:replay -- <eventId> [<eventId> ...]
+const { pool } = require("../config/database")
+const { replayFailedEvents } = require("../services/whatsappWebhook")
+
+async function run() {
+  const args = process.argv.slice(2)
+  let limit = 50
+  const ids = []
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === "--limit") {
+      limit = Number.parseInt(args[++i], 10) || limit
+    } else {
+      ids.push(args[i])
+    }
+  }
+
+  try {
+    console.log(ids.length > 0 ? `🔁 Replaying ${ids.length} webhook event(s)...` : `🔁 Replaying up to ${limit} failed webhook events...`)
+
+    const results = await replayFailedEvents({ ids, limit })
+    for (const result of results) {
+      console.log(`  ${result.id}: ${result.status}${result.error ? ` (${result.error})` : result.note ? ` - ${result.note}` : ""}`)
+    }
+
+    const failed = results.filter((result) => result.status === "failed").length
+    console.log(`✅ Replayed ${results.length} event(s), ${failed} failed again`)
+    process.exitCode = failed > 0 ? 1 : 0
+  } catch (error) {
+    console.error("❌ Replay failed:", error)
+    process.exitCode = 1
+  } finally {
+    await pool.end()
+  }
+}
+
+run()
@@ -6,24 +6,38 @@ Object.assign(process.env, require(`./env/${process.env.NODE_ENV}.json`));
 
 const { testConnection } = require("./config/database");
 const { initializeScheduler } = require("./services/scheduler");
+const { seedDefaultRoles } = require("./services/permissions");
 
 const authRoutes = require("./routes/auth");
 const usersRouter = require("./routes/users");
+const roleRoutes = require("./routes/roles");
 const customerRoutes = require("./routes/customers");
 const leadRoutes = require("./routes/leads");
 const publicLeadsRouter = require("./routes/public-leads");
+const publicInvoicesRouter = require("./routes/public-invoices");
 // const publicWebsiteLeadsRouter = require("./routes/public-website-leads"); //new
 const dealRoutes = require("./routes/deals");
 const taskRoutes = require("./routes/tasks");
 const invoiceRoutes = require("./routes/invoices");
+const creditNoteRoutes = require("./routes/creditNotes");
+const emailRoutes = require("./routes/email");
+const chatbotRoutes = require("./routes/chatbot");
 const renewalRoutes = require("./routes/renewals");
 const whatsappRoutes = require("./routes/whatsapp");
 const reportRoutes = require("./routes/reports");
 const projectRoutes = require("./routes/projects");
+const auditRoutes = require("./routes/audit");
+const trashRoutes = require("./routes/trash");
 const whatsappWebhookRouter = require("./routes/whatsapp-webhook");
 
 const app = express();
 const PORT = process.env.PORT || 5000;
+
+// Behind a reverse proxy, TRUST_PROXY (number of hops) makes req.ip the
+// client address, which the public lead rate limits rely on
+if (process.env.TRUST_PROXY) {
+  app.set("trust proxy", Number(process.env.TRUST_PROXY) || process.env.TRUST_PROXY);
+}
 const WEBSITE_URL = "https://vasifytech.com";
 const FRONTEND_URL = (process.env.FRONTEND_URL || "https://crm-new.vasifytech.com").replace(/\/$/, '');
 
@@ -54,7 +68,17 @@ app.use(
 
 app.options('*', cors());
 
-app.use(express.json({ limit: "10mb" }));
+app.use(
+  express.json({
+    limit: "10mb",
+    // Keep the raw body of webhooks for signature verification
+    verify: (req, res, buf) => {
+      if (req.originalUrl.startsWith("/api/whatsapp/webhook")) {
+        req.rawBody = buf;
+      }
+    },
+  })
+);
 app.use(express.urlencoded({ extended: true, limit: "10mb" }));
 
 app.use((req, res, next) => {
@@ -98,16 +122,23 @@ app.get("/", (req, res) => {
 // API Routes
 app.use("/api/auth", authRoutes);
 app.use("/api/users", usersRouter);
+app.use("/api/roles", roleRoutes);
 app.use("/api/customers", customerRoutes);
 app.use("/api/leads", leadRoutes);
 app.use("/api/deals", dealRoutes);
 app.use("/api/tasks", taskRoutes);
 app.use("/api/invoices", invoiceRoutes);
+app.use("/api/credit-notes", creditNoteRoutes);
+app.use("/api/email", emailRoutes);
 app.use("/api/renewals", renewalRoutes);
 app.use("/api/whatsapp", whatsappRoutes);
+app.use("/api/chatbot", chatbotRoutes);
 app.use("/api/reports", reportRoutes);
 app.use("/api/projects", projectRoutes);
+app.use("/api/audit-log", auditRoutes);
+app.use("/api/trash", trashRoutes);
 app.use("/api/public", publicLeadsRouter);
+app.use("/api/public", publicInvoicesRouter);
 app.use("/api/whatsapp", whatsappWebhookRouter)
 // app.use("/api/public", publicWebsiteLeadsRouter);
 
@@ -179,6 +210,10 @@ const startServer = async () => {
     await testConnection();
     console.log("✅ Database connected successfully");
 
+    console.log("🔐 Seeding default roles...");
+    await seedDefaultRoles();
+    console.log("✅ Roles ready");
+
     console.log("⏰ Initializing scheduler...");
     await initializeScheduler();
     console.log("✅ Scheduler initialized");
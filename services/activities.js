@@ -0,0 +1,227 @@
+// services/activities.js
+const { v4: uuidv4 } = require("uuid");
+const { pool } = require("../config/database");
+
+/**
+ * Activity timeline of leads, customers and deals. Routers and services
+ * record what happened to a record (created, status changes, assignments,
+ * notes, WhatsApp messages, tasks, invoices, conversions...) and
+ * GET /:id/timeline reads it back.
+ *
+ * An event that concerns several records (a deal created for a customer,
+ * a lead converted to a customer) is stored once per record: the row for
+ * the main record plus copies for the `related` ones, which point back at it
+ * through source_activity_id. The dashboard only lists the main rows.
+ */
+
+const ENTITY_TYPES = ["lead", "customer", "deal"];
+
+const ACTIVITY_TYPES = [
+  "created",
+  "status_changed",
+  "stage_changed",
+  "assigned",
+  "note",
+  "converted",
+  "merged",
+  "whatsapp_inbound",
+  "whatsapp_outbound",
+  "task_created",
+  "task_completed",
+  "deal_created",
+  "invoice_created",
+  "invoice_sent",
+  "invoice_paid",
+  "invoice_voided",
+];
+
+const parseJson = (value) => {
+  if (value === null || value === undefined || typeof value !== "string") return value ?? null;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return null;
+  }
+};
+
+const truncate = (text, length) => {
+  const value = String(text ?? "");
+  return value.length > length ? `${value.slice(0, length - 1)}…` : value;
+};
+
+/**
+ * Records an activity on `entityType`/`entityId` and on each of `related`
+ * ([{ type, id }]). Never throws: the change it describes is already saved,
+ * so a failure is only logged. Returns the id of the main row (or null).
+ */
+const recordActivity = async (
+  { entityType, entityId, type, title, details = null, actorId = null, related = [] },
+  db = pool
+) => {
+  if (!entityId || !ENTITY_TYPES.includes(entityType)) return null;
+
+  try {
+    const id = uuidv4();
+    const json = details ? JSON.stringify(details) : null;
+    const safeTitle = truncate(title, 255);
+
+    await db.execute(
+      `INSERT INTO activities (id, entity_type, entity_id, type, title, details, actor_id)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [id, entityType, entityId, type, safeTitle, json, actorId]
+    );
+
+    const copies = related.filter(
+      (entity, i) =>
+        entity?.id &&
+        ENTITY_TYPES.includes(entity.type) &&
+        !(entity.type === entityType && entity.id === entityId) &&
+        related.findIndex((other) => other?.type === entity.type && other?.id === entity.id) === i
+    );
+    for (const entity of copies) {
+      await db.execute(
+        `INSERT INTO activities (id, entity_type, entity_id, type, title, details, actor_id, source_activity_id)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+        [uuidv4(), entity.type, entity.id, type, safeTitle, json, actorId, id]
+      );
+    }
+
+    return id;
+  } catch (error) {
+    console.error(`[Activities] Recording ${type} on ${entityType} ${entityId} failed:`, error.message);
+    return null;
+  }
+};
+
+/**
+ * Main record and related records for an event that concerns a deal, a
+ * customer and/or a lead: the most specific one leads, the others get
+ * copies. Spread into recordActivity.
+ */
+const activitySubject = ({ dealId = null, customerId = null, leadId = null }) => {
+  const records = [
+    { type: "deal", id: dealId },
+    { type: "customer", id: customerId },
+    { type: "lead", id: leadId },
+  ].filter((record) => record.id);
+  if (records.length === 0) return { entityType: null, entityId: null, related: [] };
+
+  return { entityType: records[0].type, entityId: records[0].id, related: records.slice(1) };
+};
+
+const userName = async (userId, db) => {
+  if (!userId) return null;
+  const [users] = await db.execute("SELECT name FROM users WHERE id = ?", [userId]);
+  return users[0]?.name || null;
+};
+
+/**
+ * Records the status/stage, owner and notes changes between two versions of
+ * a record (database rows, so snake_case columns). `statusField` is
+ * "status" for leads and customers and "stage" for deals.
+ */
+const recordChanges = async (
+  { entityType, entityId, before, after, actorId = null, statusField = "status", related = [] },
+  db = pool
+) => {
+  if (!before || !after) return;
+  const base = { entityType, entityId, actorId, related };
+
+  if (after[statusField] !== undefined && after[statusField] !== before[statusField]) {
+    const label = statusField === "stage" ? "Stage" : "Status";
+    await recordActivity(
+      {
+        ...base,
+        type: statusField === "stage" ? "stage_changed" : "status_changed",
+        title: `${label} changed from ${before[statusField] || "none"} to ${after[statusField]}`,
+        details: { from: before[statusField] ?? null, to: after[statusField] },
+      },
+      db
+    );
+  }
+
+  if (after.assigned_to !== undefined && (after.assigned_to || null) !== (before.assigned_to || null)) {
+    const name = await userName(after.assigned_to, db);
+    await recordActivity(
+      {
+        ...base,
+        type: "assigned",
+        title: after.assigned_to ? `Assigned to ${name || "a removed user"}` : "Unassigned",
+        details: { from: before.assigned_to || null, to: after.assigned_to || null },
+      },
+      db
+    );
+  }
+
+  if (after.notes !== undefined && (after.notes || "") !== (before.notes || "")) {
+    await recordActivity(
+      {
+        ...base,
+        type: "note",
+        title: "Notes updated",
+        details: { notes: truncate(after.notes, 2000) },
+      },
+      db
+    );
+  }
+};
+
+/**
+ * Timeline of a record, newest first. `types` limits it to some activity
+ * types. Returns { activities, total }.
+ */
+const getTimeline = async (entityType, entityId, { types = [], limit = 20, offset = 0 } = {}) => {
+  let where = "WHERE a.entity_type = ? AND a.entity_id = ?";
+  const params = [entityType, entityId];
+  if (types.length > 0) {
+    where += ` AND a.type IN (${types.map(() => "?").join(", ")})`;
+    params.push(...types);
+  }
+
+  const [rows] = await pool.execute(
+    `SELECT a.id, a.type, a.title, a.details, a.actor_id, u.name AS actor_name,
+            a.source_activity_id, a.created_at
+     FROM activities a
+     LEFT JOIN users u ON a.actor_id = u.id
+     ${where}
+     ORDER BY a.created_at DESC, a.id
+     LIMIT ${Number(limit)} OFFSET ${Number(offset)}`,
+    params
+  );
+  const [countRows] = await pool.execute(`SELECT COUNT(*) AS total FROM activities a ${where}`, params);
+
+  return {
+    activities: rows.map((row) => ({ ...row, details: parseJson(row.details) })),
+    total: countRows[0].total,
+  };
+};
+
+// Removes the timeline of a purged record
+const deleteActivities = async (entityType, entityId, db = pool) => {
+  await db.execute("DELETE FROM activities WHERE entity_type = ? AND entity_id = ?", [entityType, entityId]);
+};
+
+// Latest activities across the CRM for the dashboard (main rows only)
+const listRecentActivities = async (limit = 10) => {
+  const [rows] = await pool.execute(
+    `SELECT a.id, a.entity_type AS type, a.entity_id, a.type AS activity_type, a.title,
+            u.name AS actor_name, a.created_at
+     FROM activities a
+     LEFT JOIN users u ON a.actor_id = u.id
+     WHERE a.source_activity_id IS NULL
+     ORDER BY a.created_at DESC
+     LIMIT ${Number(limit)}`
+  );
+  return rows;
+};
+
+module.exports = {
+  ENTITY_TYPES,
+  ACTIVITY_TYPES,
+  recordActivity,
+  recordChanges,
+  activitySubject,
+  deleteActivities,
+  getTimeline,
+  listRecentActivities,
+};
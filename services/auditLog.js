@@ -0,0 +1,183 @@
+// services/auditLog.js
+const { v4: uuidv4 } = require("uuid");
+const { pool } = require("../config/database");
+
+/**
+ * Field-level audit log of customers, leads, deals and invoices. Each
+ * create, update and delete made through the API is stored with the user
+ * who made it, their IP and user agent, and the fields it touched as
+ * { field: { from, to } }:
+ *   create  every field the row was saved with (from is null)
+ *   update  the fields whose value changed
+ *   delete  every field of the removed row (to is null)
+ * Entries older than AUDIT_LOG_RETENTION_DAYS (365) are purged nightly.
+ */
+
+const ENTITY_TYPES = ["customer", "lead", "deal", "invoice"];
+const ACTIONS = ["create", "update", "delete"];
+const RETENTION_DAYS = Number(process.env.AUDIT_LOG_RETENTION_DAYS || 365);
+const PURGE_BATCH_SIZE = 1000;
+
+const TABLES = {
+  customer: "customers",
+  lead: "leads",
+  deal: "deals",
+  invoice: "invoices",
+};
+
+// Columns that are bookkeeping rather than edits
+const IGNORED_FIELDS = ["id", "created_at", "updated_at", "score", "score_details", "score_updated_at"];
+
+const parseJson = (value) => {
+  if (typeof value !== "string") return value ?? null;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return null;
+  }
+};
+
+// Current row of a record, for the before/after of a change. Invoices
+// include their lines as `items`.
+const snapshot = async (entityType, entityId, db = pool) => {
+  const [rows] = await db.execute(`SELECT * FROM ${TABLES[entityType]} WHERE id = ?`, [entityId]);
+  if (!rows[0] || entityType !== "invoice") return rows[0] || null;
+
+  const [items] = await db.execute(
+    `SELECT description, hsn_sac, quantity, rate, gst_rate, amount
+     FROM invoice_items WHERE invoice_id = ? ORDER BY created_at, id`,
+    [entityId]
+  );
+  return { ...rows[0], items };
+};
+
+const normalise = (value) => {
+  if (value === undefined || value === null) return null;
+  if (value instanceof Date) return Number.isNaN(value.getTime()) ? null : value.toISOString();
+  if (Buffer.isBuffer(value)) return value.toString();
+  return value;
+};
+
+// { field: { from, to } } for every field that differs between two rows
+const diffRows = (before, after) => {
+  const changes = {};
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+  for (const field of fields) {
+    if (IGNORED_FIELDS.includes(field)) continue;
+    const from = normalise(before?.[field]);
+    const to = normalise(after?.[field]);
+    if (JSON.stringify(from) !== JSON.stringify(to)) changes[field] = { from, to };
+  }
+  return changes;
+};
+
+/**
+ * Records a create, update or delete of `entityType`/`entityId` made by
+ * `req` (for the user, IP and user agent). `before` is the row as it was
+ * (null for a create); `after` defaults to the row as it is now (null for a
+ * delete). Updates that changed nothing are skipped. Never throws: the
+ * change itself is already saved, so a failure is only logged.
+ */
+const recordAudit = async ({ entityType, entityId, action, before = null, after, req = null }, db = pool) => {
+  if (!entityId || !TABLES[entityType] || !ACTIONS.includes(action)) return;
+
+  try {
+    let current = after;
+    if (current === undefined) current = action === "delete" ? null : await snapshot(entityType, entityId, db);
+    const changes = diffRows(before, current);
+    if (action === "update" && Object.keys(changes).length === 0) return;
+
+    await db.execute(
+      `INSERT INTO audit_log (id, entity_type, entity_id, action, changes, actor_id, ip_address, user_agent)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        uuidv4(),
+        entityType,
+        entityId,
+        action,
+        JSON.stringify(changes),
+        req?.user?.id || null,
+        req?.ip || null,
+        String(req?.get?.("user-agent") || "").slice(0, 500) || null,
+      ]
+    );
+  } catch (error) {
+    console.error(`[AuditLog] Recording ${action} of ${entityType} ${entityId} failed:`, error.message);
+  }
+};
+
+const formatEntry = (row) => ({ ...row, changes: parseJson(row.changes) || {} });
+
+/**
+ * Audit entries, newest first. Filters: actorId, entityType, entityId,
+ * action and a from/to date range. Returns { entries, total }.
+ */
+const listAuditLog = async ({ actorId, entityType, entityId, action, from, to, limit = 50, offset = 0 } = {}) => {
+  const conditions = [];
+  const params = [];
+  const filters = [
+    ["a.actor_id = ?", actorId],
+    ["a.entity_type = ?", entityType],
+    ["a.entity_id = ?", entityId],
+    ["a.action = ?", action],
+    ["a.created_at >= ?", from],
+    ["a.created_at <= ?", to],
+  ];
+  filters.forEach(([condition, value]) => {
+    if (value === undefined || value === null || value === "") return;
+    conditions.push(condition);
+    params.push(value);
+  });
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : "";
+
+  const [rows] = await pool.execute(
+    `SELECT a.*, u.name AS actor_name, u.email AS actor_email
+     FROM audit_log a
+     LEFT JOIN users u ON a.actor_id = u.id
+     ${where}
+     ORDER BY a.created_at DESC, a.id
+     LIMIT ${Number(limit)} OFFSET ${Number(offset)}`,
+    params
+  );
+  const [countRows] = await pool.execute(`SELECT COUNT(*) AS total FROM audit_log a ${where}`, params);
+
+  return { entries: rows.map(formatEntry), total: countRows[0].total };
+};
+
+const getAuditEntry = async (entryId) => {
+  const [rows] = await pool.execute(
+    `SELECT a.*, u.name AS actor_name, u.email AS actor_email
+     FROM audit_log a
+     LEFT JOIN users u ON a.actor_id = u.id
+     WHERE a.id = ?`,
+    [entryId]
+  );
+  return rows[0] ? formatEntry(rows[0]) : null;
+};
+
+// Drops entries older than AUDIT_LOG_RETENTION_DAYS, in batches so the
+// table is not locked for long. Returns the number removed.
+const purgeAuditLog = async (retentionDays = RETENTION_DAYS) => {
+  let removed = 0;
+  for (;;) {
+    const [result] = await pool.execute(
+      `DELETE FROM audit_log WHERE created_at < DATE_SUB(NOW(), INTERVAL ? DAY) LIMIT ${PURGE_BATCH_SIZE}`,
+      [retentionDays]
+    );
+    removed += result.affectedRows;
+    if (result.affectedRows < PURGE_BATCH_SIZE) return removed;
+  }
+};
+
+module.exports = {
+  ENTITY_TYPES,
+  ACTIONS,
+  RETENTION_DAYS,
+  snapshot,
+  diffRows,
+  recordAudit,
+  listAuditLog,
+  getAuditEntry,
+  purgeAuditLog,
+};
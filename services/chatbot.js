@@ -0,0 +1,579 @@
+// services/chatbot.js
+const { v4: uuidv4 } = require("uuid");
+const { pool } = require("../config/database");
+const { sendMessage } = require("./whatsapp");
+const { reconcileLead } = require("./leadDedup");
+
+/**
+ * WhatsApp auto-reply flows stored in chatbot_flows.
+ *
+ * A flow is a set of steps keyed by id, starting at start_step:
+ *   message   sends `text`, then continues with `next` (or ends the flow)
+ *   menu      sends `text` with its numbered `options` and waits for a choice;
+ *             options: { key, label, keywords, set, next } where `set` holds
+ *             answers to store (e.g. { service: "ai-agent" })
+ *   input     sends `text` and stores the answer as `field` (validate:
+ *             "email" | "phone" | "text"), then continues with `next`
+ *   handoff   sends `text`, stops the bot for the conversation and creates
+ *             a follow-up task for the team (optional `assignTo`)
+ *   end       sends `text` and ends the flow
+ * Texts take {name}, {firstName} and any collected answer ({email}...).
+ *
+ * A message matching one of a flow's trigger_keywords starts that flow
+ * (except while the contact is answering an input step). A new contact, or
+ * one the bot has not talked to for CHATBOT_SESSION_TIMEOUT_HOURS, gets the
+ * default flow. Answers enrich the conversation's lead: name, email,
+ * company and service are filled in and a summary is added to its notes.
+ */
+
+const SESSION_TIMEOUT_HOURS = Number(process.env.CHATBOT_SESSION_TIMEOUT_HOURS || 24);
+const MAX_INVALID_ATTEMPTS = 3;
+const MAX_CHAINED_STEPS = 10;
+
+const STEP_TYPES = ["message", "menu", "input", "handoff", "end"];
+const VALIDATORS = ["text", "email", "phone"];
+const LEAD_SERVICES = ["whatsapp-business-api", "website-development", "ai-agent", "other"];
+
+// Message types the bot answers; media, locations and reactions are left to agents
+const ANSWERABLE_TYPES = ["text", "interactive", "button"];
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+const parseJson = (value, fallback) => {
+  if (value === null || value === undefined) return fallback;
+  if (typeof value !== "string") return value;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return fallback;
+  }
+};
+
+const normalise = (text) =>
+  String(text || "")
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s-]/gu, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+
+// Whole-word (or whole-phrase) match
+const matchesKeyword = (text, keywords = []) => {
+  const padded = ` ${normalise(text)} `;
+  return keywords.some((keyword) => {
+    const word = normalise(keyword);
+    return word && padded.includes(` ${word} `);
+  });
+};
+
+const formatFlow = (row) => ({
+  ...row,
+  is_default: Boolean(row.is_default),
+  is_active: Boolean(row.is_active),
+  trigger_keywords: parseJson(row.trigger_keywords, []),
+  steps: parseJson(row.steps, {}),
+});
+
+// ================== FLOW DEFINITIONS ==================
+
+/**
+ * Throws a 400 error for the first problem in a flow definition, so broken
+ * flows are rejected when saved instead of stalling conversations.
+ */
+const validateFlow = ({ startStep, steps, triggerKeywords }) => {
+  if (!steps || typeof steps !== "object" || Array.isArray(steps) || Object.keys(steps).length === 0) {
+    throw badRequest("Steps must be an object keyed by step id");
+  }
+  if (!steps[startStep]) throw badRequest(`Start step "${startStep}" is not defined`);
+  if (triggerKeywords !== undefined && !Array.isArray(triggerKeywords)) {
+    throw badRequest("Trigger keywords must be a list");
+  }
+
+  const checkNext = (stepId, next) => {
+    if (next !== undefined && next !== null && !steps[next]) {
+      throw badRequest(`Step "${stepId}": next step "${next}" is not defined`);
+    }
+  };
+
+  Object.entries(steps).forEach(([stepId, step]) => {
+    if (!step || !STEP_TYPES.includes(step.type)) {
+      throw badRequest(`Step "${stepId}": type must be one of ${STEP_TYPES.join(", ")}`);
+    }
+    if (step.type !== "end" && (typeof step.text !== "string" || !step.text.trim())) {
+      throw badRequest(`Step "${stepId}": text is required`);
+    }
+    checkNext(stepId, step.next);
+
+    if (step.type === "menu") {
+      if (!Array.isArray(step.options) || step.options.length === 0) {
+        throw badRequest(`Step "${stepId}": a menu needs options`);
+      }
+      step.options.forEach((option, i) => {
+        if (!option?.key || !option?.label) {
+          throw badRequest(`Step "${stepId}": option ${i + 1} needs a key and a label`);
+        }
+        if (option.set?.service && !LEAD_SERVICES.includes(option.set.service)) {
+          throw badRequest(`Step "${stepId}": option ${i + 1} sets an unknown service "${option.set.service}"`);
+        }
+        checkNext(stepId, option.next);
+      });
+    }
+
+    if (step.type === "input") {
+      if (!step.field) throw badRequest(`Step "${stepId}": an input step needs a field`);
+      if (step.validate && !VALIDATORS.includes(step.validate)) {
+        throw badRequest(`Step "${stepId}": validate must be one of ${VALIDATORS.join(", ")}`);
+      }
+    }
+  });
+};
+
+const listFlows = async ({ active } = {}) => {
+  let sql = "SELECT * FROM chatbot_flows";
+  const params = [];
+  if (active !== undefined) {
+    sql += " WHERE is_active = ?";
+    params.push(active ? 1 : 0);
+  }
+  const [rows] = await pool.execute(`${sql} ORDER BY priority DESC, created_at`, params);
+  return rows.map(formatFlow);
+};
+
+const getFlow = async (flowId, db = pool) => {
+  const [rows] = await db.execute("SELECT * FROM chatbot_flows WHERE id = ?", [flowId]);
+  return rows[0] ? formatFlow(rows[0]) : null;
+};
+
+/**
+ * Creates (no `flowId`) or updates a flow. `fields` uses the API names:
+ * name, description, triggerKeywords, isDefault, isActive, priority,
+ * startStep, steps. Only one flow can be the default.
+ */
+const saveFlow = async (flowId, fields, userId) => {
+  const current = flowId ? await getFlow(flowId) : null;
+  if (flowId && !current) return null;
+
+  const flow = {
+    name: fields.name ?? current?.name,
+    description: fields.description !== undefined ? fields.description : current?.description ?? null,
+    triggerKeywords: (fields.triggerKeywords ?? current?.trigger_keywords ?? []).map((keyword) =>
+      normalise(keyword)
+    ),
+    isDefault: fields.isDefault ?? current?.is_default ?? false,
+    isActive: fields.isActive ?? current?.is_active ?? true,
+    priority: fields.priority ?? current?.priority ?? 0,
+    startStep: fields.startStep ?? current?.start_step,
+    steps: fields.steps ?? current?.steps,
+  };
+
+  if (!flow.name) throw badRequest("Name is required");
+  validateFlow(flow);
+
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+
+    if (flow.isDefault) {
+      await connection.execute("UPDATE chatbot_flows SET is_default = FALSE WHERE id != ?", [flowId || ""]);
+    }
+
+    const values = [
+      flow.name,
+      flow.description,
+      JSON.stringify(flow.triggerKeywords.filter(Boolean)),
+      flow.isDefault ? 1 : 0,
+      flow.isActive ? 1 : 0,
+      Number(flow.priority) || 0,
+      flow.startStep,
+      JSON.stringify(flow.steps),
+    ];
+
+    let id = flowId;
+    if (current) {
+      await connection.execute(
+        `UPDATE chatbot_flows
+         SET name = ?, description = ?, trigger_keywords = ?, is_default = ?, is_active = ?,
+             priority = ?, start_step = ?, steps = ?, updated_at = CURRENT_TIMESTAMP
+         WHERE id = ?`,
+        [...values, flowId]
+      );
+
+      // Sessions parked on a step that no longer exists cannot continue
+      const [sessions] = await connection.execute(
+        "SELECT conversation_id, current_step FROM chatbot_sessions WHERE flow_id = ? AND status = 'active'",
+        [flowId]
+      );
+      for (const session of sessions.filter((s) => !flow.steps[s.current_step])) {
+        await connection.execute(
+          "UPDATE chatbot_sessions SET status = 'completed' WHERE conversation_id = ?",
+          [session.conversation_id]
+        );
+      }
+    } else {
+      id = uuidv4();
+      await connection.execute(
+        `INSERT INTO chatbot_flows (
+          name, description, trigger_keywords, is_default, is_active, priority, start_step, steps, id, created_by
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [...values, id, userId || null]
+      );
+    }
+
+    await connection.commit();
+    return getFlow(id);
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+};
+
+const deleteFlow = async (flowId) => {
+  const [result] = await pool.execute("DELETE FROM chatbot_flows WHERE id = ?", [flowId]);
+  return result.affectedRows > 0;
+};
+
+// ================== CONVERSATION ENGINE ==================
+
+const fillTemplate = (text, context) => {
+  const values = {
+    ...context.data,
+    name: context.data.name || context.profileName || "",
+    firstName: String(context.data.name || context.profileName || "").split(/\s+/)[0],
+  };
+  return String(text || "").replace(/\{(\w+)\}/g, (match, key) =>
+    values[key] === undefined || values[key] === null ? "" : String(values[key])
+  );
+};
+
+const stepText = (step, context) => {
+  const text = fillTemplate(step.text, context);
+  if (step.type !== "menu") return text;
+  return `${text}\n\n${step.options.map((option) => `${option.key}. ${option.label}`).join("\n")}`;
+};
+
+const reply = async (context, text) => {
+  if (!text) return;
+  await sendMessage({
+    phoneNumber: context.conversation.phone_number,
+    message: text,
+    conversationId: context.conversation.id,
+    customerId: context.conversation.customer_id,
+    leadId: context.conversation.lead_id,
+  });
+};
+
+const saveSession = async (context, fields) => {
+  Object.assign(context.session, fields);
+  await pool.execute(
+    `UPDATE chatbot_sessions
+     SET current_step = ?, data = ?, status = ?, invalid_attempts = ?, updated_at = CURRENT_TIMESTAMP
+     WHERE conversation_id = ?`,
+    [
+      context.session.current_step,
+      JSON.stringify(context.data),
+      context.session.status,
+      context.session.invalid_attempts,
+      context.conversation.id,
+    ]
+  );
+};
+
+// Fills in lead fields from the answers; WhatsApp leads start with a placeholder email
+const enrichLead = async (context) => {
+  const leadId = context.conversation.lead_id;
+  if (!leadId) return;
+
+  const { name, email, company, service } = context.data;
+  await pool.execute(
+    `UPDATE leads
+     SET name = COALESCE(?, name),
+         email = CASE WHEN ? IS NOT NULL AND email LIKE '%@whatsapp.local' THEN ? ELSE email END,
+         company = COALESCE(company, ?),
+         service = COALESCE(?, service),
+         updated_at = CURRENT_TIMESTAMP
+     WHERE id = ?`,
+    [
+      name || null,
+      email || null,
+      email || null,
+      company || null,
+      LEAD_SERVICES.includes(service) ? service : null,
+      leadId,
+    ]
+  );
+};
+
+const summarise = (context) => {
+  const answers = Object.entries(context.data)
+    .filter(([, value]) => value !== null && value !== undefined && value !== "")
+    .map(([key, value]) => `${key}: ${value}`);
+  return `WhatsApp chatbot (${context.flow.name}) - ${answers.join(", ") || "no answers"}`;
+};
+
+const finishSession = async (context, status, step = {}) => {
+  await saveSession(context, { status });
+  await enrichLead(context);
+
+  const summary = summarise(context);
+  if (context.conversation.lead_id) {
+    await pool.execute(
+      `UPDATE leads
+       SET notes = CONCAT_WS('\n', NULLIF(notes, ''), ?), updated_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [summary, context.conversation.lead_id]
+    );
+
+    // The collected email may belong to a lead we already have
+    try {
+      const { leadId } = await reconcileLead(context.conversation.lead_id);
+      context.conversation.lead_id = leadId;
+    } catch (error) {
+      console.error("[Chatbot] Lead duplicate check failed:", error.message);
+    }
+  }
+
+  if (status !== "handed_off") return;
+
+  const assignee = step.assignTo || context.conversation.assigned_to || null;
+  await pool.execute(
+    `UPDATE whatsapp_conversations
+     SET bot_enabled = FALSE, assigned_to = COALESCE(assigned_to, ?), status = 'open'
+     WHERE id = ?`,
+    [assignee, context.conversation.id]
+  );
+
+  const relatedType = context.conversation.customer_id ? "customer" : context.conversation.lead_id ? "lead" : null;
+  await pool.execute(
+    `INSERT INTO tasks (id, title, description, type, priority, status, assigned_to, related_type, related_id, due_date)
+     VALUES (?, ?, ?, 'follow-up', 'high', 'pending', ?, ?, ?, DATE_ADD(NOW(), INTERVAL 4 HOUR))`,
+    [
+      uuidv4(),
+      `Follow up WhatsApp chat with ${context.data.name || context.profileName || context.conversation.phone_number}`.slice(0, 255),
+      summary,
+      assignee || context.leadAssignee || null,
+      relatedType,
+      context.conversation.customer_id || context.conversation.lead_id || null,
+    ]
+  );
+};
+
+// Sends a step and follows message steps until the flow waits or ends
+const enterStep = async (context, stepId) => {
+  let currentId = stepId;
+
+  for (let hops = 0; hops < MAX_CHAINED_STEPS; hops++) {
+    const step = currentId ? context.flow.steps[currentId] : null;
+    if (!step) {
+      await finishSession(context, "completed");
+      return { step: null, status: "completed" };
+    }
+
+    await saveSession(context, { current_step: currentId, invalid_attempts: 0 });
+    await reply(context, stepText(step, context));
+
+    if (step.type === "menu" || step.type === "input") return { step: currentId, status: "active" };
+    if (step.type === "handoff") {
+      await finishSession(context, "handed_off", step);
+      return { step: currentId, status: "handed_off" };
+    }
+    if (step.type === "end" || !step.next) {
+      await finishSession(context, "completed");
+      return { step: currentId, status: "completed" };
+    }
+    currentId = step.next;
+  }
+
+  // A loop of message steps; stop instead of flooding the contact
+  await finishSession(context, "completed");
+  return { step: currentId, status: "completed" };
+};
+
+const startFlow = async (context, flow) => {
+  await pool.execute(
+    `INSERT INTO chatbot_sessions (conversation_id, flow_id, current_step, data, status, invalid_attempts, started_at)
+     VALUES (?, ?, ?, '{}', 'active', 0, NOW())
+     ON DUPLICATE KEY UPDATE
+       flow_id = VALUES(flow_id), current_step = VALUES(current_step), data = '{}',
+       status = 'active', invalid_attempts = 0, started_at = NOW()`,
+    [context.conversation.id, flow.id, flow.start_step]
+  );
+
+  context.flow = flow;
+  context.data = {};
+  context.session = { current_step: flow.start_step, status: "active", invalid_attempts: 0 };
+  return enterStep(context, flow.start_step);
+};
+
+const validAnswer = (value, validate) => {
+  if (!value) return false;
+  if (validate === "email") return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value);
+  if (validate === "phone") return value.replace(/\D/g, "").length >= 7;
+  return true;
+};
+
+const invalidAnswer = async (context, step) => {
+  const attempts = context.session.invalid_attempts + 1;
+
+  // Someone who keeps missing the options is better off with a person
+  if (attempts >= MAX_INVALID_ATTEMPTS && step.type === "menu") {
+    await reply(context, "Let me get someone from our team to help you.");
+    await finishSession(context, "handed_off", step);
+    return { step: context.session.current_step, status: "handed_off" };
+  }
+
+  await saveSession(context, { invalid_attempts: attempts });
+  await reply(
+    context,
+    fillTemplate(step.invalidText, context) ||
+      (step.type === "menu" ? stepText(step, context) : "Sorry, I did not get that. Please try again.")
+  );
+  return { step: context.session.current_step, status: "active" };
+};
+
+const answerStep = async (context, { text, replyId }) => {
+  const stepId = context.session.current_step;
+  const step = context.flow.steps[stepId];
+  if (!step) return startFlow(context, context.flow);
+
+  if (step.type === "menu") {
+    const answer = normalise(text);
+    const option = step.options.find(
+      (o) =>
+        (replyId && String(o.key) === replyId) ||
+        normalise(o.key) === answer ||
+        normalise(o.label) === answer ||
+        matchesKeyword(text, o.keywords)
+    );
+    if (!option) return invalidAnswer(context, step);
+
+    Object.assign(context.data, option.set || {}, { [step.field || stepId]: option.label });
+    await enrichLead(context);
+    return enterStep(context, option.next);
+  }
+
+  if (step.type === "input") {
+    const value = String(text || "").trim();
+    if (!validAnswer(value, step.validate)) return invalidAnswer(context, step);
+
+    context.data[step.field] = step.validate === "email" ? value.toLowerCase() : value.slice(0, 255);
+    await enrichLead(context);
+    return enterStep(context, step.next);
+  }
+
+  return null;
+};
+
+/**
+ * Lets the bot answer a message stored by recordInbound. Returns
+ * { flowId, step, status } when the bot replied, or null when the message
+ * is left to agents (bot off for the conversation, no matching flow).
+ */
+const handleInboundMessage = async ({ inbound, parsed, name }) => {
+  if (!ANSWERABLE_TYPES.includes(parsed.type)) return null;
+
+  const [conversations] = await pool.execute(
+    `SELECT wc.*, l.assigned_to AS lead_assignee
+     FROM whatsapp_conversations wc
+     LEFT JOIN leads l ON wc.lead_id = l.id
+     WHERE wc.id = ?`,
+    [inbound.conversationId]
+  );
+  const conversation = conversations[0];
+  if (!conversation || !conversation.bot_enabled) return null;
+
+  const [sessions] = await pool.execute(
+    `SELECT *, updated_at > DATE_SUB(NOW(), INTERVAL ? HOUR) AS is_recent
+     FROM chatbot_sessions WHERE conversation_id = ?`,
+    [SESSION_TIMEOUT_HOURS, conversation.id]
+  );
+  const session = sessions[0] || null;
+  const activeSession = session && session.status === "active" && Number(session.is_recent) ? session : null;
+
+  const flows = await listFlows({ active: true });
+  const context = {
+    conversation,
+    profileName: name,
+    leadAssignee: conversation.lead_assignee,
+    flow: null,
+    data: {},
+    session: null,
+  };
+
+  const text = parsed.reply ? parsed.reply.title || parsed.reply.id : parsed.text;
+  const replyId = parsed.reply?.id || null;
+
+  const waitingForInput =
+    activeSession &&
+    flows.find((f) => f.id === activeSession.flow_id)?.steps[activeSession.current_step]?.type === "input";
+
+  const triggered = waitingForInput ? null : flows.find((f) => matchesKeyword(text, f.trigger_keywords));
+
+  let result = null;
+  if (triggered) {
+    result = await startFlow(context, triggered);
+  } else if (activeSession) {
+    const flow = flows.find((f) => f.id === activeSession.flow_id);
+    if (!flow) return null;
+    Object.assign(context, {
+      flow,
+      data: parseJson(activeSession.data, {}),
+      session: {
+        current_step: activeSession.current_step,
+        status: "active",
+        invalid_attempts: activeSession.invalid_attempts,
+      },
+    });
+    result = await answerStep(context, { text, replyId });
+  } else if (!session || !Number(session.is_recent)) {
+    const fallback = flows.find((f) => f.is_default);
+    if (fallback) result = await startFlow(context, fallback);
+  }
+
+  return result ? { flowId: context.flow.id, ...result } : null;
+};
+
+const listSessions = async ({ flowId, status, limit = 50, offset = 0 } = {}) => {
+  let where = "WHERE 1=1";
+  const params = [];
+  if (flowId) {
+    where += " AND cs.flow_id = ?";
+    params.push(flowId);
+  }
+  if (status) {
+    where += " AND cs.status = ?";
+    params.push(status);
+  }
+
+  const [sessions] = await pool.execute(
+    `SELECT cs.*, cf.name AS flow_name, wc.phone_number, wc.display_name, wc.lead_id, wc.customer_id
+     FROM chatbot_sessions cs
+     JOIN chatbot_flows cf ON cs.flow_id = cf.id
+     JOIN whatsapp_conversations wc ON cs.conversation_id = wc.id
+     ${where}
+     ORDER BY cs.updated_at DESC
+     LIMIT ${Number(limit)} OFFSET ${Number(offset)}`,
+    params
+  );
+  const [countRows] = await pool.execute(`SELECT COUNT(*) AS total FROM chatbot_sessions cs ${where}`, params);
+
+  return {
+    sessions: sessions.map((session) => ({ ...session, data: parseJson(session.data, {}) })),
+    total: countRows[0].total,
+  };
+};
+
+module.exports = {
+  LEAD_SERVICES,
+  validateFlow,
+  listFlows,
+  getFlow,
+  saveFlow,
+  deleteFlow,
+  handleInboundMessage,
+  listSessions,
+};
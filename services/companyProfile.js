@@ -0,0 +1,92 @@
+// services/companyProfile.js
+const { pool } = require("../config/database");
+const { getSetting, setSetting } = require("./settings");
+const {
+  isValidGstin,
+  isValidHsnSac,
+  normaliseGstin,
+  resolveStateCode,
+  stateCodeFromGstin,
+} = require("./gst");
+
+/**
+ * Seller details printed on invoices (address, GSTIN, bank account).
+ * Stored in app_settings under "company" and edited through
+ * /api/invoices/settings/company.
+ */
+
+const SETTING_KEY = "company";
+
+const DEFAULT_COMPANY_PROFILE = {
+  name: "",
+  address: "",
+  phone: "",
+  email: "",
+  gstin: "",
+  pan: "",
+  // GST state code ("27"); derived from the GSTIN when empty
+  stateCode: "",
+  // SAC/HSN used for invoice lines that do not specify one
+  defaultHsnSac: "",
+  bankAccountName: "",
+  bankName: "",
+  bankAccountNumber: "",
+  bankIfsc: "",
+};
+
+const PROFILE_FIELDS = Object.keys(DEFAULT_COMPANY_PROFILE);
+
+const getCompanyProfile = async (db = pool) => {
+  const profile = await getSetting(SETTING_KEY, DEFAULT_COMPANY_PROFILE, db);
+  return {
+    ...profile,
+    stateCode: resolveStateCode(profile.stateCode) || stateCodeFromGstin(profile.gstin) || "",
+  };
+};
+
+const updateCompanyProfile = async (changes, updatedBy, db = pool) => {
+  const current = await getSetting(SETTING_KEY, DEFAULT_COMPANY_PROFILE, db);
+  const profile = { ...current };
+
+  PROFILE_FIELDS.forEach((field) => {
+    if (changes[field] !== undefined) {
+      profile[field] = changes[field] === null ? "" : String(changes[field]).trim();
+    }
+  });
+
+  const errors = [];
+  if (profile.gstin) {
+    profile.gstin = normaliseGstin(profile.gstin);
+    if (!isValidGstin(profile.gstin)) errors.push("gstin is not a valid GSTIN");
+  }
+  if (profile.stateCode) {
+    const code = resolveStateCode(profile.stateCode);
+    if (!code) {
+      errors.push("stateCode must be a GST state code or state name");
+    } else {
+      profile.stateCode = code;
+    }
+  }
+  if (profile.defaultHsnSac && !isValidHsnSac(profile.defaultHsnSac)) {
+    errors.push("defaultHsnSac must be a 4-8 digit HSN/SAC code");
+  }
+  if (profile.gstin && profile.stateCode && stateCodeFromGstin(profile.gstin) !== profile.stateCode) {
+    errors.push("stateCode does not match the GSTIN");
+  }
+
+  if (errors.length > 0) {
+    const error = new Error(errors.join("; "));
+    error.status = 400;
+    throw error;
+  }
+
+  await setSetting(SETTING_KEY, profile, updatedBy, db);
+  return getCompanyProfile(db);
+};
+
+module.exports = {
+  DEFAULT_COMPANY_PROFILE,
+  PROFILE_FIELDS,
+  getCompanyProfile,
+  updateCompanyProfile,
+};
@@ -0,0 +1,333 @@
+// services/creditNotes.js
+const { v4: uuidv4 } = require("uuid");
+const { pool } = require("../config/database");
+const { allocateCreditNoteNumber } = require("./invoiceSequence");
+const { getCompanyProfile } = require("./companyProfile");
+const { calculateGst } = require("./gst");
+const { toPaise, recalculateInvoiceBalance } = require("./invoicePayments");
+const { renderTaxDocument, formatDate } = require("./invoicePdf");
+
+/**
+ * Credit notes reverse all or part of an issued invoice. Each credit line
+ * points at the invoice line it reverses and inherits its HSN/SAC, GST rate
+ * and supply type, so the tax reversal matches what was charged.
+ */
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+// Invoice lines with what is still available to credit, in paise
+const creditableLines = async (connection, invoice) => {
+  const [items] = await connection.execute(
+    `SELECT ii.*,
+            (SELECT COALESCE(SUM(cni.taxable_value), 0)
+             FROM credit_note_items cni WHERE cni.invoice_item_id = ii.id) AS credited
+     FROM invoice_items ii
+     WHERE ii.invoice_id = ?
+     ORDER BY ii.created_at`,
+    [invoice.id]
+  );
+
+  // Invoices without stored lines are credited as a single line
+  const lines =
+    items.length > 0
+      ? items
+      : [{ id: null, description: "Service Charges", amount: invoice.amount, credited: invoice.credited_taxable }];
+
+  return lines.map((item) => {
+    const taxable = toPaise(item.taxable_value ?? item.amount);
+    return {
+      invoiceItemId: item.id,
+      description: item.description,
+      hsnSac: item.hsn_sac || null,
+      gstRate: item.gst_rate ?? invoice.tax ?? 0,
+      remainingPaise: taxable - toPaise(item.credited),
+    };
+  });
+};
+
+/**
+ * Issues a credit note against an invoice inside `connection`'s transaction.
+ * Without `items` the whole uncredited amount is reversed; otherwise each
+ * item is `{ invoiceItemId, amount, description? }` with `amount` the taxable
+ * value to credit on that line.
+ */
+const createCreditNote = async (
+  connection,
+  { invoiceId, items, reason, date = new Date(), createdBy = null }
+) => {
+  const [invoices] = await connection.execute(
+    `SELECT i.*,
+            (SELECT COALESCE(SUM(cn.amount), 0) FROM credit_notes cn
+             WHERE cn.invoice_id = i.id) AS credited_taxable
+     FROM invoices i WHERE i.id = ? AND i.deleted_at IS NULL FOR UPDATE`,
+    [invoiceId]
+  );
+  if (invoices.length === 0) return null;
+
+  const invoice = invoices[0];
+  if (invoice.status === "draft") {
+    throw badRequest("Draft invoices can be edited or deleted; credit notes apply to issued invoices");
+  }
+  if (["void", "cancelled"].includes(invoice.status)) {
+    throw badRequest(`Cannot issue a credit note for a ${invoice.status} invoice`);
+  }
+
+  const available = await creditableLines(connection, invoice);
+
+  let requested;
+  if (!Array.isArray(items) || items.length === 0) {
+    requested = available
+      .filter((line) => line.remainingPaise > 0)
+      .map((line) => ({ line, paise: line.remainingPaise }));
+  } else {
+    requested = items.map((item) => {
+      const line = available.find(
+        (candidate) => candidate.invoiceItemId === (item.invoiceItemId ?? null)
+      );
+      if (!line) {
+        throw badRequest(`Invoice line ${item.invoiceItemId} does not belong to this invoice`);
+      }
+      const paise = toPaise(item.amount);
+      if (paise <= 0) throw badRequest("Credit amounts must be greater than 0");
+      if (paise > line.remainingPaise) {
+        throw badRequest(
+          `Credit for "${line.description}" exceeds the uncredited amount (${Math.max(0, line.remainingPaise) / 100})`
+        );
+      }
+      return { line, paise, description: item.description };
+    });
+  }
+
+  if (requested.length === 0) {
+    throw badRequest("Nothing left to credit on this invoice");
+  }
+
+  const gst = calculateGst(
+    requested.map(({ line, paise, description }) => ({
+      invoiceItemId: line.invoiceItemId,
+      description: description || line.description,
+      quantity: 1,
+      rate: paise / 100,
+      amount: paise / 100,
+      hsnSac: line.hsnSac,
+      gstRate: line.gstRate,
+    })),
+    { supplyType: invoice.supply_type || "intra_state" }
+  );
+
+  const creditNoteId = uuidv4();
+  const creditNoteNumber = await allocateCreditNoteNumber(connection, date);
+
+  await connection.execute(
+    `INSERT INTO credit_notes (
+      id, credit_note_number, invoice_id, customer_id, issue_date, reason,
+      amount, cgst_amount, sgst_amount, igst_amount, total,
+      place_of_supply, supply_type, company_gstin, customer_gstin, created_by
+    )
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      creditNoteId,
+      creditNoteNumber,
+      invoice.id,
+      invoice.customer_id,
+      date,
+      reason || null,
+      gst.totals.taxable,
+      gst.totals.cgst,
+      gst.totals.sgst,
+      gst.totals.igst,
+      gst.totals.total,
+      invoice.place_of_supply,
+      invoice.supply_type || "intra_state",
+      invoice.company_gstin,
+      invoice.customer_gstin,
+      createdBy,
+    ]
+  );
+
+  for (const line of gst.lines) {
+    await connection.execute(
+      `INSERT INTO credit_note_items (
+        id, credit_note_id, invoice_item_id, description, quantity, rate, amount,
+        hsn_sac, gst_rate, taxable_value,
+        cgst_rate, cgst_amount, sgst_rate, sgst_amount, igst_rate, igst_amount
+      )
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        uuidv4(),
+        creditNoteId,
+        line.invoiceItemId,
+        line.description,
+        line.quantity,
+        line.rate,
+        line.amount,
+        line.hsnSac,
+        line.gstRate,
+        line.taxableValue,
+        line.cgstRate,
+        line.cgstAmount,
+        line.sgstRate,
+        line.sgstAmount,
+        line.igstRate,
+        line.igstAmount,
+      ]
+    );
+  }
+
+  const balance = await recalculateInvoiceBalance(connection, invoice.id);
+
+  return {
+    id: creditNoteId,
+    creditNoteNumber,
+    invoiceId: invoice.id,
+    amount: gst.totals.taxable,
+    tax: gst.totals.tax,
+    total: gst.totals.total,
+    invoice: { id: invoice.id, ...balance },
+  };
+};
+
+/**
+ * Voids an invoice instead of deleting it. Issued invoices get a credit note
+ * for whatever is still uncredited; drafts are voided directly.
+ */
+const voidInvoice = async (connection, { invoiceId, reason, voidedBy = null }) => {
+  const [invoices] = await connection.execute(
+    "SELECT id, status, total, credited_amount FROM invoices WHERE id = ? AND deleted_at IS NULL FOR UPDATE",
+    [invoiceId]
+  );
+  if (invoices.length === 0) return null;
+
+  const invoice = invoices[0];
+  if (invoice.status === "void") {
+    throw badRequest("Invoice is already void");
+  }
+
+  // Already fully credited invoices have nothing left to reverse
+  const uncredited = toPaise(invoice.total) - toPaise(invoice.credited_amount);
+
+  let creditNote = null;
+  if (!["draft", "cancelled"].includes(invoice.status) && uncredited > 0) {
+    creditNote = await createCreditNote(connection, {
+      invoiceId,
+      reason: reason || "Invoice voided",
+      createdBy: voidedBy,
+    });
+  }
+
+  await connection.execute(
+    `UPDATE invoices
+     SET status = 'void', void_reason = ?, voided_by = ?,
+         voided_at = COALESCE(voided_at, NOW()), updated_at = CURRENT_TIMESTAMP
+     WHERE id = ?`,
+    [reason || null, voidedBy, invoiceId]
+  );
+
+  return { invoiceId, creditNote };
+};
+
+const CREDIT_NOTE_SELECT = `
+  SELECT cn.*,
+         i.invoice_number,
+         i.issue_date AS invoice_issue_date,
+         c.name    AS customername,
+         c.email   AS customeremail,
+         c.phone   AS customerphone,
+         c.company AS customercompany,
+         c.address AS customeraddress,
+         c.city    AS customercity,
+         c.state   AS customerstate,
+         c.country AS customercountry,
+         u.name    AS created_by_name
+  FROM credit_notes cn
+  INNER JOIN invoices i ON cn.invoice_id = i.id
+  LEFT JOIN customers c ON cn.customer_id = c.id
+  LEFT JOIN users u ON cn.created_by = u.id
+`;
+
+const getCreditNote = async (creditNoteId, db = pool) => {
+  const [creditNotes] = await db.execute(`${CREDIT_NOTE_SELECT} WHERE cn.id = ?`, [creditNoteId]);
+  if (creditNotes.length === 0) return null;
+
+  const [items] = await db.execute(
+    "SELECT * FROM credit_note_items WHERE credit_note_id = ? ORDER BY created_at",
+    [creditNoteId]
+  );
+
+  return { ...creditNotes[0], items };
+};
+
+/**
+ * Lists credit notes, newest first. `assignedTo` limits the list to
+ * customers owned by a user (own permission scope).
+ */
+const listCreditNotes = async ({ invoiceId, customerId, assignedTo, limit = 50, offset = 0 } = {}, db = pool) => {
+  let where = "WHERE 1=1";
+  const params = [];
+  if (invoiceId) {
+    where += " AND cn.invoice_id = ?";
+    params.push(invoiceId);
+  }
+  if (customerId) {
+    where += " AND cn.customer_id = ?";
+    params.push(customerId);
+  }
+  if (assignedTo) {
+    where += " AND c.assigned_to = ?";
+    params.push(assignedTo);
+  }
+
+  const [creditNotes] = await db.execute(
+    `${CREDIT_NOTE_SELECT} ${where}
+     ORDER BY cn.issue_date DESC, cn.created_at DESC
+     LIMIT ${Number(limit)} OFFSET ${Number(offset)}`,
+    params
+  );
+
+  const [countRows] = await db.execute(
+    `SELECT COUNT(*) AS total FROM credit_notes cn
+     LEFT JOIN customers c ON cn.customer_id = c.id ${where}`,
+    params
+  );
+
+  return { creditNotes, total: countRows[0].total };
+};
+
+const writeCreditNotePdf = async (output, creditNote, { logoBase64 } = {}) => {
+  const company = await getCompanyProfile();
+
+  renderTaxDocument(
+    output,
+    {
+      invoice: {
+        ...creditNote,
+        invoice_number: creditNote.credit_note_number,
+        notes: creditNote.reason ? `Reason: ${creditNote.reason}` : null,
+      },
+      items: creditNote.items,
+      company,
+    },
+    {
+      logoBase64,
+      title: "CREDIT NOTE",
+      numberLabel: "Credit Note No",
+      totalLabel: "Total Credit",
+      details: [
+        ["Against Invoice", creditNote.invoice_number || "NA"],
+        ["Invoice Date", formatDate(creditNote.invoice_issue_date)],
+      ],
+    }
+  );
+};
+
+module.exports = {
+  createCreditNote,
+  voidInvoice,
+  getCreditNote,
+  listCreditNotes,
+  writeCreditNotePdf,
+};
@@ -0,0 +1,256 @@
+// services/emailOutbox.js
+const { PassThrough } = require("stream");
+const { v4: uuidv4 } = require("uuid");
+const { pool } = require("../config/database");
+const { sendMail } = require("./mailer");
+const { renderTemplate } = require("./emailTemplates");
+const { loadInvoiceForPdf, writeInvoicePdf } = require("./invoicePdf");
+
+/**
+ * Every outgoing email goes through the email_outbox table. queueEmail
+ * renders the template and stores the message; processOutbox (run every
+ * minute by the scheduler) sends due messages and retries failures with
+ * backoff until max_attempts is reached.
+ *
+ * Attachments are stored as descriptors and rendered at send time, e.g.
+ * { type: "invoice_pdf", invoiceId } so the PDF reflects the latest state.
+ */
+
+const DEFAULT_MAX_ATTEMPTS = 5;
+
+// Delay before attempt n+1, in minutes (last value repeats)
+const RETRY_DELAYS_MINUTES = [1, 5, 30, 120, 720];
+
+// Rows stuck in "sending" this long (crashed worker) are picked up again
+const STALE_SENDING_MINUTES = 15;
+
+const retryDelayMinutes = (attempts) =>
+  RETRY_DELAYS_MINUTES[Math.min(attempts, RETRY_DELAYS_MINUTES.length) - 1] || RETRY_DELAYS_MINUTES[0];
+
+const parseJson = (value, fallback) => {
+  if (value === null || value === undefined) return fallback;
+  if (typeof value !== "string") return value;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return fallback;
+  }
+};
+
+const renderToBuffer = (render) =>
+  new Promise((resolve, reject) => {
+    const stream = new PassThrough();
+    const chunks = [];
+    stream.on("data", (chunk) => chunks.push(chunk));
+    stream.on("end", () => resolve(Buffer.concat(chunks)));
+    stream.on("error", reject);
+    try {
+      render(stream);
+    } catch (error) {
+      reject(error);
+    }
+  });
+
+const ATTACHMENT_RENDERERS = {
+  invoice_pdf: async ({ invoiceId }) => {
+    const data = await loadInvoiceForPdf(invoiceId);
+    if (!data) throw new Error(`Invoice ${invoiceId} no longer exists`);
+    return {
+      filename: `invoice-${data.invoice.invoice_number.replace(/\//g, "-")}.pdf`,
+      content: await renderToBuffer((stream) => writeInvoicePdf(stream, data)),
+      contentType: "application/pdf",
+    };
+  },
+};
+
+const resolveAttachments = (descriptors) =>
+  Promise.all(
+    descriptors.map((descriptor) => {
+      const render = ATTACHMENT_RENDERERS[descriptor.type];
+      if (!render) throw new Error(`Unknown attachment type "${descriptor.type}"`);
+      return render(descriptor);
+    })
+  );
+
+/**
+ * Renders `template` with `data` and stores the message for delivery.
+ * `db` may be a transaction connection so the email is only sent when the
+ * surrounding change commits. Returns the outbox id.
+ */
+const queueEmail = async (
+  {
+    to,
+    cc = null,
+    template = "notification",
+    data = {},
+    attachments = [],
+    relatedType = null,
+    relatedId = null,
+    createdBy = null,
+    maxAttempts = DEFAULT_MAX_ATTEMPTS,
+  },
+  db = pool
+) => {
+  if (!to) {
+    const error = new Error("Recipient email address is required");
+    error.status = 400;
+    throw error;
+  }
+
+  attachments.forEach((descriptor) => {
+    if (!ATTACHMENT_RENDERERS[descriptor.type]) {
+      const error = new Error(`Unknown attachment type "${descriptor.type}"`);
+      error.status = 400;
+      throw error;
+    }
+  });
+
+  const message = renderTemplate(template, data);
+  const id = uuidv4();
+
+  await db.execute(
+    `INSERT INTO email_outbox (
+      id, to_address, cc, subject, template, body_text, body_html, attachments,
+      max_attempts, related_type, related_id, created_by
+    )
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      id,
+      Array.isArray(to) ? to.join(", ") : to,
+      Array.isArray(cc) ? cc.join(", ") : cc,
+      message.subject,
+      template,
+      message.text,
+      message.html,
+      attachments.length > 0 ? JSON.stringify(attachments) : null,
+      maxAttempts,
+      relatedType,
+      relatedId,
+      createdBy,
+    ]
+  );
+
+  return id;
+};
+
+// Marks one due row as "sending" so concurrent workers skip it
+const claim = async (id) => {
+  const [result] = await pool.execute(
+    `UPDATE email_outbox
+     SET status = 'sending', attempts = attempts + 1, locked_at = NOW()
+     WHERE id = ?
+       AND (status = 'pending'
+            OR (status = 'sending' AND locked_at < NOW() - INTERVAL ${STALE_SENDING_MINUTES} MINUTE))`,
+    [id]
+  );
+  return result.affectedRows === 1;
+};
+
+const deliver = async (row) => {
+  const attachments = await resolveAttachments(parseJson(row.attachments, []));
+  return sendMail({
+    to: row.to_address,
+    cc: row.cc,
+    subject: row.subject,
+    text: row.body_text,
+    html: row.body_html,
+    attachments,
+  });
+};
+
+/**
+ * Sends up to `limit` due messages. Returns counts of sent, retried and
+ * permanently failed messages.
+ */
+const processOutbox = async ({ limit = 20 } = {}) => {
+  const [due] = await pool.execute(
+    `SELECT * FROM email_outbox
+     WHERE (status = 'pending' AND next_attempt_at <= NOW())
+        OR (status = 'sending' AND locked_at < NOW() - INTERVAL ${STALE_SENDING_MINUTES} MINUTE)
+     ORDER BY next_attempt_at
+     LIMIT ${Number(limit)}`
+  );
+
+  const summary = { sent: 0, retrying: 0, failed: 0 };
+
+  for (const row of due) {
+    if (!(await claim(row.id))) continue;
+    const attempts = row.attempts + 1;
+
+    try {
+      const info = await deliver(row);
+      await pool.execute(
+        `UPDATE email_outbox
+         SET status = 'sent', sent_at = NOW(), provider_message_id = ?, last_error = NULL, locked_at = NULL
+         WHERE id = ?`,
+        [info?.messageId || null, row.id]
+      );
+      summary.sent++;
+    } catch (error) {
+      const giveUp = attempts >= row.max_attempts;
+      await pool.execute(
+        `UPDATE email_outbox
+         SET status = ?, last_error = ?, locked_at = NULL,
+             next_attempt_at = NOW() + INTERVAL ${retryDelayMinutes(attempts)} MINUTE
+         WHERE id = ?`,
+        [giveUp ? "failed" : "pending", String(error.message).slice(0, 1000), row.id]
+      );
+      console.error(`[Email] Failed to send ${row.id} (attempt ${attempts}/${row.max_attempts}):`, error.message);
+      summary[giveUp ? "failed" : "retrying"]++;
+    }
+  }
+
+  return summary;
+};
+
+// Puts a failed (or pending) message back in the queue for immediate sending
+const retryEmail = async (id) => {
+  const [result] = await pool.execute(
+    `UPDATE email_outbox
+     SET status = 'pending', next_attempt_at = NOW(),
+         max_attempts = GREATEST(max_attempts, attempts + 1)
+     WHERE id = ? AND status IN ('failed', 'pending')`,
+    [id]
+  );
+  return result.affectedRows === 1;
+};
+
+const listOutbox = async ({ status, relatedType, relatedId, limit = 50, offset = 0 } = {}) => {
+  let where = "WHERE 1=1";
+  const params = [];
+  if (status) {
+    where += " AND status = ?";
+    params.push(status);
+  }
+  if (relatedType) {
+    where += " AND related_type = ?";
+    params.push(relatedType);
+  }
+  if (relatedId) {
+    where += " AND related_id = ?";
+    params.push(relatedId);
+  }
+
+  const [emails] = await pool.execute(
+    `SELECT id, to_address, cc, subject, template, status, attempts, max_attempts,
+            next_attempt_at, last_error, provider_message_id, related_type, related_id,
+            created_by, created_at, sent_at
+     FROM email_outbox ${where}
+     ORDER BY created_at DESC
+     LIMIT ${Number(limit)} OFFSET ${Number(offset)}`,
+    params
+  );
+  const [countRows] = await pool.execute(
+    `SELECT COUNT(*) AS total FROM email_outbox ${where}`,
+    params
+  );
+
+  return { emails, total: countRows[0].total };
+};
+
+module.exports = {
+  queueEmail,
+  processOutbox,
+  retryEmail,
+  listOutbox,
+};
@@ -0,0 +1,92 @@
+// services/emailTemplates.js
+
+/**
+ * Email templates. Each template has a subject, a text body and an optional
+ * HTML body; `{{name}}` placeholders are replaced from the data passed to
+ * renderTemplate (HTML-escaped in the HTML body). Missing values render as
+ * an empty string.
+ */
+
+const TEMPLATES = {
+  invoice: {
+    subject: "Invoice {{invoiceNumber}} from {{companyName}}",
+    text: `Dear {{customerName}},
+
+Please find attached invoice {{invoiceNumber}} dated {{issueDate}} for Rs. {{total}}.
+Amount due: Rs. {{balanceDue}} by {{dueDate}}.
+{{message}}
+Regards,
+{{companyName}}`,
+    html: `<p>Dear {{customerName}},</p>
+<p>Please find attached invoice <strong>{{invoiceNumber}}</strong> dated {{issueDate}} for <strong>Rs. {{total}}</strong>.<br>
+Amount due: <strong>Rs. {{balanceDue}}</strong> by {{dueDate}}.</p>
+<p>{{message}}</p>
+<p>Regards,<br>{{companyName}}</p>`,
+  },
+
+  renewal_reminder: {
+    subject: "Your {{service}} renewal is due on {{renewalDate}}",
+    text: `Dear {{customerName}},
+
+This is a reminder that your {{service}} is due for renewal on {{renewalDate}} ({{daysLeft}} days left).
+Please get in touch with us to continue the service without interruption.
+
+Regards,
+{{companyName}}`,
+    html: `<p>Dear {{customerName}},</p>
+<p>This is a reminder that your <strong>{{service}}</strong> is due for renewal on <strong>{{renewalDate}}</strong> ({{daysLeft}} days left).</p>
+<p>Please get in touch with us to continue the service without interruption.</p>
+<p>Regards,<br>{{companyName}}</p>`,
+  },
+
+  password_reset: {
+    subject: "Reset your password",
+    text: `Hi {{name}},
+
+We received a request to reset your password. Open the link below to choose a new one:
+{{resetUrl}}
+
+The link expires in {{expiresInMinutes}} minutes. If you did not ask for this, you can ignore this email.`,
+    html: `<p>Hi {{name}},</p>
+<p>We received a request to reset your password. <a href="{{resetUrl}}">Choose a new password</a>.</p>
+<p>The link expires in {{expiresInMinutes}} minutes. If you did not ask for this, you can ignore this email.</p>`,
+  },
+
+  notification: {
+    subject: "{{subject}}",
+    text: "{{message}}",
+    html: "<p>{{message}}</p>",
+  },
+};
+
+const escapeHtml = (value) =>
+  String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+
+const fill = (template, data, escape) =>
+  template.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) => {
+    const value = data[key];
+    if (value === undefined || value === null) return "";
+    return escape ? escapeHtml(value).replace(/\r?\n/g, "<br>") : String(value);
+  });
+
+const renderTemplate = (name, data = {}) => {
+  const template = TEMPLATES[name];
+  if (!template) {
+    const error = new Error(`Unknown email template "${name}"`);
+    error.status = 400;
+    throw error;
+  }
+
+  return {
+    subject: fill(template.subject, data, false).replace(/\s+/g, " ").trim(),
+    text: fill(template.text, data, false),
+    html: template.html ? fill(template.html, data, true) : null,
+  };
+};
+
+module.exports = { TEMPLATES, renderTemplate };
@@ -0,0 +1,174 @@
+// services/exports.js
+const { pool } = require("../config/database");
+const { toCsv, writeChunk, createXlsxWriter, XLSX_CONTENT_TYPE } = require("./spreadsheet");
+
+/**
+ * CSV, XLSX and JSON downloads of the list endpoints (GET /export on leads,
+ * customers, deals, tasks, invoices and renewals). Each router describes its
+ * exportable columns as
+ *   key: { header, sql, type }
+ * where `sql` is the expression selected over the same FROM/WHERE as its
+ * list and `type` is "number", "date", "datetime" or "json" (text when
+ * omitted). Rows are streamed from MySQL to the response as they are read,
+ * so an export of any size never sits in memory.
+ */
+
+const EXPORT_FORMATS = ["csv", "xlsx", "json"];
+const FLUSH_BYTES = 64 * 1024;
+
+const CONTENT_TYPES = {
+  csv: "text/csv; charset=utf-8",
+  xlsx: XLSX_CONTENT_TYPE,
+  json: "application/json; charset=utf-8",
+};
+
+const httpError = (status, message) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+/**
+ * Keys of the columns asked for in `requested` ("name,email,status"), in
+ * that order; every column when it is empty. Throws 400 for unknown keys.
+ */
+const selectColumns = (columns, requested) => {
+  const available = Object.keys(columns);
+  if (!requested) return available;
+
+  const keys = [...new Set(String(requested).split(",").map((key) => key.trim()).filter(Boolean))];
+  const unknown = keys.filter((key) => !columns[key]);
+  if (unknown.length > 0) {
+    throw httpError(400, `Unknown column(s) ${unknown.join(", ")}; available: ${available.join(", ")}`);
+  }
+  return keys.length > 0 ? keys : available;
+};
+
+const pad = (value) => String(value).padStart(2, "0");
+
+// DATE columns come back as local midnight
+const formatDate = (value) => {
+  if (!(value instanceof Date)) return String(value).slice(0, 10);
+  return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+};
+
+const parseJson = (value) => {
+  if (typeof value !== "string") return value;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return value;
+  }
+};
+
+// Spreadsheet apps run CSV cells starting with these as formulas; phone
+// numbers ("+91 98...") and negative numbers are left alone
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+const NUMBER_LIKE = /^[+-]?[\d\s().-]*$/;
+
+// Prefixes text a spreadsheet would run as a formula with a quote (CSV only;
+// XLSX text cells never run)
+const guardFormula = (text) => (FORMULA_PREFIX.test(text) && !NUMBER_LIKE.test(text) ? `'${text}` : text);
+
+/**
+ * Database value -> exported value. JSON keeps arrays and objects while CSV
+ * and XLSX get plain lists (tags) joined with commas and anything else as
+ * JSON text. CSV text goes through guardFormula.
+ */
+const formatValue = (value, type, format) => {
+  if (value === null || value === undefined) return null;
+
+  switch (type) {
+    case "number":
+      return Number(value);
+    case "date":
+      return formatDate(value);
+    case "datetime":
+      return value instanceof Date ? value.toISOString() : String(value);
+    case "json": {
+      const parsed = parseJson(value);
+      if (format === "json") return parsed;
+      const isList = Array.isArray(parsed) && parsed.every((item) => item === null || typeof item !== "object");
+      return isList ? parsed.join(", ") : JSON.stringify(parsed);
+    }
+    default: {
+      const text = Buffer.isBuffer(value) ? value.toString() : String(value);
+      return format === "csv" ? guardFormula(text) : text;
+    }
+  }
+};
+
+/**
+ * Streams `SELECT <columns> FROM <from> <where> ORDER BY <orderBy>` to `res`
+ * as a `format` download named `<fileName>-<date>.<format>`. `columns` is the
+ * router's column map and `requested` the ?columns= list. Errors before the
+ * first byte is sent are thrown (400 for bad columns); a failure halfway
+ * aborts the response so a partial file is not mistaken for a complete one.
+ */
+const streamExport = async (
+  res,
+  { format = "csv", columns, requested, from, where, params, orderBy, fileName }
+) => {
+  const keys = selectColumns(columns, requested);
+  const sql = `SELECT ${keys.map((key) => `${columns[key].sql} AS \`${key}\``).join(", ")}
+               FROM ${from}
+               ${where}
+               ORDER BY ${orderBy}`;
+
+  const connection = await pool.getConnection();
+  let finished = false;
+  try {
+    const stream = connection.connection.query(sql, params).stream({ highWaterMark: 200 });
+    const rows = stream[Symbol.asyncIterator]();
+    // Waits for the first row, so that a failing query still gets a JSON error
+    let next = await rows.next();
+
+    res.setHeader("Content-Type", CONTENT_TYPES[format]);
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="${fileName}-${formatDate(new Date())}.${format}"`
+    );
+
+    const cellsOf = (row) => keys.map((key) => formatValue(row[key], columns[key].type, format));
+
+    if (format === "xlsx") {
+      const sheet = await createXlsxWriter(res, { sheetName: fileName });
+      await sheet.writeRow(keys.map((key) => columns[key].header));
+      for (; !next.done; next = await rows.next()) await sheet.writeRow(cellsOf(next.value));
+      await sheet.end();
+    } else {
+      let pending = format === "json" ? "[" : `\uFEFF${toCsv([keys.map((key) => columns[key].header)])}`;
+      let count = 0;
+      for (; !next.done; next = await rows.next()) {
+        const cells = cellsOf(next.value);
+        if (format === "json") {
+          const record = Object.fromEntries(keys.map((key, index) => [key, cells[index]]));
+          pending += `${count > 0 ? "," : ""}\n${JSON.stringify(record)}`;
+        } else {
+          pending += toCsv([cells]);
+        }
+        count += 1;
+        if (pending.length >= FLUSH_BYTES) {
+          await writeChunk(res, pending);
+          pending = "";
+        }
+      }
+      await writeChunk(res, format === "json" ? `${pending}\n]\n` : pending);
+    }
+
+    res.end();
+    finished = true;
+  } finally {
+    // A connection left halfway through a result set cannot go back to the pool
+    if (finished) connection.release();
+    else connection.destroy();
+    if (!finished && res.headersSent) res.destroy();
+  }
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  guardFormula,
+  selectColumns,
+  streamExport,
+};
@@ -0,0 +1,136 @@
+// services/fileStorage.js
+const fs = require("fs");
+const path = require("path");
+const { pipeline } = require("stream/promises");
+const { Transform } = require("stream");
+const { v4: uuidv4 } = require("uuid");
+
+const DEFAULT_STORAGE_ROOT = path.join(__dirname, "..", "uploads");
+
+// Keys are always "<prefix>/<uuid><ext>" so they are safe to join onto a root dir
+const buildKey = (prefix, originalName) => {
+  const ext = path.extname(originalName || "").toLowerCase().replace(/[^a-z0-9.]/g, "");
+  const safePrefix = String(prefix || "misc")
+    .split("/")
+    .map((part) => part.replace(/[^a-zA-Z0-9_-]/g, ""))
+    .filter(Boolean)
+    .join("/");
+  return `${safePrefix || "misc"}/${uuidv4()}${ext}`;
+};
+
+/**
+ * Local disk adapter. Every adapter exposes the same async surface:
+ * save(stream, { prefix, originalName }) -> { key, size }
+ * createReadStream(key), remove(key), exists(key)
+ */
+const createLocalStorage = (rootDir = DEFAULT_STORAGE_ROOT) => {
+  const root = path.resolve(rootDir);
+
+  const resolveKey = (key) => {
+    const fullPath = path.resolve(root, key);
+    if (!fullPath.startsWith(root + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return fullPath;
+  };
+
+  return {
+    name: "local",
+
+    async save(stream, { prefix, originalName } = {}) {
+      const key = buildKey(prefix, originalName);
+      const fullPath = resolveKey(key);
+      await fs.promises.mkdir(path.dirname(fullPath), { recursive: true });
+
+      let size = 0;
+      const counter = new Transform({
+        transform(chunk, encoding, callback) {
+          size += chunk.length;
+          callback(null, chunk);
+        },
+      });
+
+      try {
+        await pipeline(stream, counter, fs.createWriteStream(fullPath));
+      } catch (error) {
+        await fs.promises.rm(fullPath, { force: true });
+        throw error;
+      }
+
+      return { key, size };
+    },
+
+    createReadStream(key) {
+      return fs.createReadStream(resolveKey(key));
+    },
+
+    async remove(key) {
+      await fs.promises.rm(resolveKey(key), { force: true });
+    },
+
+    async exists(key) {
+      try {
+        await fs.promises.access(resolveKey(key));
+        return true;
+      } catch {
+        return false;
+      }
+    },
+  };
+};
+
+const drivers = {
+  local: () => createLocalStorage(process.env.FILE_STORAGE_PATH || DEFAULT_STORAGE_ROOT),
+};
+
+let activeStorage = null;
+
+// Allows other drivers (S3, GCS...) to be plugged in without touching the routes
+const registerStorageDriver = (name, factory) => {
+  drivers[name] = factory;
+};
+
+const getStorage = () => {
+  if (activeStorage) return activeStorage;
+
+  const driverName = process.env.FILE_STORAGE_DRIVER || "local";
+  const factory = drivers[driverName];
+  if (!factory) {
+    throw new Error(`Unknown file storage driver: ${driverName}`);
+  }
+
+  activeStorage = factory();
+  return activeStorage;
+};
+
+/**
+ * Multer storage engine that streams uploads straight into the active adapter.
+ * `getPrefix(req, file)` decides the folder the file is stored under.
+ */
+const createMulterStorage = (getPrefix) => ({
+  _handleFile(req, file, cb) {
+    const storage = getStorage();
+    storage
+      .save(file.stream, {
+        prefix: getPrefix ? getPrefix(req, file) : "misc",
+        originalName: file.originalname,
+      })
+      .then(({ key, size }) => cb(null, { key, size }))
+      .catch(cb);
+  },
+
+  _removeFile(req, file, cb) {
+    if (!file.key) return cb(null);
+    getStorage()
+      .remove(file.key)
+      .then(() => cb(null))
+      .catch(cb);
+  },
+});
+
+module.exports = {
+  createLocalStorage,
+  registerStorageDriver,
+  getStorage,
+  createMulterStorage,
+};
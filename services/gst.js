@@ -0,0 +1,344 @@
+// services/gst.js
+const { v4: uuidv4 } = require("uuid");
+
+/**
+ * Indian GST helpers: state codes, GSTIN checks, the CGST+SGST / IGST split
+ * by place of supply, and amount in words for tax invoices.
+ */
+
+// First two digits of a GSTIN; also used as the place-of-supply code
+const GST_STATE_CODES = {
+  "01": "Jammu and Kashmir",
+  "02": "Himachal Pradesh",
+  "03": "Punjab",
+  "04": "Chandigarh",
+  "05": "Uttarakhand",
+  "06": "Haryana",
+  "07": "Delhi",
+  "08": "Rajasthan",
+  "09": "Uttar Pradesh",
+  "10": "Bihar",
+  "11": "Sikkim",
+  "12": "Arunachal Pradesh",
+  "13": "Nagaland",
+  "14": "Manipur",
+  "15": "Mizoram",
+  "16": "Tripura",
+  "17": "Meghalaya",
+  "18": "Assam",
+  "19": "West Bengal",
+  "20": "Jharkhand",
+  "21": "Odisha",
+  "22": "Chhattisgarh",
+  "23": "Madhya Pradesh",
+  "24": "Gujarat",
+  "26": "Dadra and Nagar Haveli and Daman and Diu",
+  "27": "Maharashtra",
+  "29": "Karnataka",
+  "30": "Goa",
+  "31": "Lakshadweep",
+  "32": "Kerala",
+  "33": "Tamil Nadu",
+  "34": "Puducherry",
+  "35": "Andaman and Nicobar Islands",
+  "36": "Telangana",
+  "37": "Andhra Pradesh",
+  "38": "Ladakh",
+  "96": "Other Country",
+  "97": "Other Territory",
+};
+
+const SUPPLY_TYPES = ["intra_state", "inter_state"];
+
+const GSTIN_PATTERN = /^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+const HSN_SAC_PATTERN = /^[0-9]{4,8}$/;
+
+const normaliseGstin = (value) =>
+  value ? String(value).trim().toUpperCase() : null;
+
+const isValidGstin = (value) => {
+  const gstin = normaliseGstin(value);
+  return Boolean(gstin) && GSTIN_PATTERN.test(gstin) && Boolean(GST_STATE_CODES[gstin.slice(0, 2)]);
+};
+
+const isValidHsnSac = (value) => HSN_SAC_PATTERN.test(String(value || "").trim());
+
+const stateCodeFromGstin = (value) =>
+  isValidGstin(value) ? normaliseGstin(value).slice(0, 2) : null;
+
+// Accepts a state code ("27", 27) or a state name ("Maharashtra")
+const resolveStateCode = (value) => {
+  if (value === undefined || value === null || value === "") return null;
+
+  const text = String(value).trim();
+  if (/^[0-9]{1,2}$/.test(text)) {
+    const code = text.padStart(2, "0");
+    return GST_STATE_CODES[code] ? code : null;
+  }
+
+  const name = text.toLowerCase();
+  const match = Object.entries(GST_STATE_CODES).find(
+    ([, label]) => label.toLowerCase() === name
+  );
+  return match ? match[0] : null;
+};
+
+const stateName = (code) => GST_STATE_CODES[code] || null;
+
+/**
+ * Place of supply for a customer, in order of preference:
+ * explicit override, the customer's GSTIN, their billing state,
+ * "96" for customers outside India, else the supplier's own state.
+ */
+const resolvePlaceOfSupply = ({ override, customer = {}, supplierStateCode }) => {
+  const explicit = resolveStateCode(override);
+  if (explicit) return explicit;
+
+  const fromGstin = stateCodeFromGstin(customer.gstin);
+  if (fromGstin) return fromGstin;
+
+  const fromState = resolveStateCode(customer.state);
+  if (fromState) return fromState;
+
+  if (customer.country && String(customer.country).trim().toLowerCase() !== "india") {
+    return "96";
+  }
+
+  return supplierStateCode || null;
+};
+
+// Unknown states on either side are treated as intra-state supply
+const supplyTypeFor = (supplierStateCode, placeOfSupply) =>
+  supplierStateCode && placeOfSupply && supplierStateCode !== placeOfSupply
+    ? "inter_state"
+    : "intra_state";
+
+const toPaise = (value) => Math.round(Number(value || 0) * 100);
+const fromPaise = (paise) => paise / 100;
+
+const firstDefined = (...values) =>
+  values.find((value) => value !== undefined && value !== null && value !== "");
+
+/**
+ * Computes per-line taxable value and CGST/SGST or IGST.
+ * Items may use API (hsnSac, gstRate) or column (hsn_sac, gst_rate) names;
+ * lines without a rate use `defaultRate`. Sums are done in paise.
+ */
+const calculateGst = (items = [], { supplyType = "intra_state", defaultRate = 0 } = {}) => {
+  const totals = { taxable: 0, cgst: 0, sgst: 0, igst: 0 };
+
+  const lines = items.map((item) => {
+    const quantity = Number(firstDefined(item.quantity, 1));
+    const rate = Number(firstDefined(item.rate, 0));
+    const taxablePaise = toPaise(firstDefined(item.amount, item.taxable_value, quantity * rate));
+    const gstRate = Number(firstDefined(item.gstRate, item.gst_rate, defaultRate, 0));
+
+    let cgstPaise = 0;
+    let sgstPaise = 0;
+    let igstPaise = 0;
+
+    if (supplyType === "inter_state") {
+      igstPaise = Math.round((taxablePaise * gstRate) / 100);
+    } else {
+      cgstPaise = Math.round((taxablePaise * gstRate) / 200);
+      sgstPaise = cgstPaise;
+    }
+
+    totals.taxable += taxablePaise;
+    totals.cgst += cgstPaise;
+    totals.sgst += sgstPaise;
+    totals.igst += igstPaise;
+
+    return {
+      ...item,
+      quantity,
+      rate,
+      hsnSac: firstDefined(item.hsnSac, item.hsn_sac) || null,
+      amount: fromPaise(taxablePaise),
+      gstRate,
+      taxableValue: fromPaise(taxablePaise),
+      cgstRate: supplyType === "inter_state" ? 0 : gstRate / 2,
+      cgstAmount: fromPaise(cgstPaise),
+      sgstRate: supplyType === "inter_state" ? 0 : gstRate / 2,
+      sgstAmount: fromPaise(sgstPaise),
+      igstRate: supplyType === "inter_state" ? gstRate : 0,
+      igstAmount: fromPaise(igstPaise),
+    };
+  });
+
+  const taxPaise = totals.cgst + totals.sgst + totals.igst;
+
+  return {
+    supplyType,
+    lines,
+    totals: {
+      taxable: fromPaise(totals.taxable),
+      cgst: fromPaise(totals.cgst),
+      sgst: fromPaise(totals.sgst),
+      igst: fromPaise(totals.igst),
+      tax: fromPaise(taxPaise),
+      total: fromPaise(totals.taxable + taxPaise),
+    },
+  };
+};
+
+/**
+ * Full GST picture for a new or edited invoice: place of supply, supply
+ * type, GSTIN snapshots and per-line amounts.
+ */
+const buildGstInvoice = ({ company = {}, customer = {}, items, placeOfSupply, defaultRate }) => {
+  const supplierStateCode =
+    resolveStateCode(company.stateCode) || stateCodeFromGstin(company.gstin);
+  const pos = resolvePlaceOfSupply({
+    override: placeOfSupply,
+    customer,
+    supplierStateCode,
+  });
+  const supplyType = supplyTypeFor(supplierStateCode, pos);
+
+  return {
+    placeOfSupply: pos,
+    companyGstin: normaliseGstin(company.gstin),
+    customerGstin: normaliseGstin(customer.gstin),
+    ...calculateGst(
+      items.map((item) => ({
+        ...item,
+        hsnSac: firstDefined(item.hsnSac, item.hsn_sac, company.defaultHsnSac),
+      })),
+      { supplyType, defaultRate }
+    ),
+  };
+};
+
+// Tax amounts grouped by rate, for the "CGST @ 9%" lines of a tax invoice
+const summariseByRate = (lines) => {
+  const byRate = new Map();
+  lines.forEach((line) => {
+    const entry = byRate.get(line.gstRate) || {
+      gstRate: line.gstRate,
+      taxable: 0,
+      cgst: 0,
+      sgst: 0,
+      igst: 0,
+    };
+    entry.taxable += toPaise(line.taxableValue);
+    entry.cgst += toPaise(line.cgstAmount);
+    entry.sgst += toPaise(line.sgstAmount);
+    entry.igst += toPaise(line.igstAmount);
+    byRate.set(line.gstRate, entry);
+  });
+
+  return [...byRate.values()]
+    .sort((a, b) => a.gstRate - b.gstRate)
+    .map((entry) => ({
+      gstRate: entry.gstRate,
+      taxable: fromPaise(entry.taxable),
+      cgst: fromPaise(entry.cgst),
+      sgst: fromPaise(entry.sgst),
+      igst: fromPaise(entry.igst),
+    }));
+};
+
+/**
+ * Writes computed lines to invoice_items. `connection` must hold the
+ * invoice's open transaction.
+ */
+const insertInvoiceItems = async (connection, invoiceId, lines) => {
+  for (const line of lines) {
+    await connection.execute(
+      `INSERT INTO invoice_items (
+        id, invoice_id, description, quantity, rate, amount, breakdown,
+        hsn_sac, gst_rate, taxable_value,
+        cgst_rate, cgst_amount, sgst_rate, sgst_amount, igst_rate, igst_amount
+      )
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        uuidv4(),
+        invoiceId,
+        line.description,
+        line.quantity,
+        line.rate,
+        line.amount,
+        line.breakdown
+          ? typeof line.breakdown === "string"
+            ? line.breakdown
+            : JSON.stringify(line.breakdown)
+          : null,
+        line.hsnSac,
+        line.gstRate,
+        line.taxableValue,
+        line.cgstRate,
+        line.cgstAmount,
+        line.sgstRate,
+        line.sgstAmount,
+        line.igstRate,
+        line.igstAmount,
+      ]
+    );
+  }
+};
+
+const ONES = [
+  "", "One", "Two", "Three", "Four", "Five", "Six", "Seven", "Eight", "Nine",
+  "Ten", "Eleven", "Twelve", "Thirteen", "Fourteen", "Fifteen", "Sixteen",
+  "Seventeen", "Eighteen", "Nineteen",
+];
+const TENS = ["", "", "Twenty", "Thirty", "Forty", "Fifty", "Sixty", "Seventy", "Eighty", "Ninety"];
+
+const twoDigitWords = (n) =>
+  n < 20 ? ONES[n] : [TENS[Math.floor(n / 10)], ONES[n % 10]].filter(Boolean).join(" ");
+
+const threeDigitWords = (n) =>
+  [
+    n >= 100 ? `${ONES[Math.floor(n / 100)]} Hundred` : "",
+    twoDigitWords(n % 100),
+  ]
+    .filter(Boolean)
+    .join(" ");
+
+// Indian numbering: crore, lakh, thousand
+const integerWords = (n) => {
+  if (n === 0) return "Zero";
+
+  const parts = [];
+  const crore = Math.floor(n / 10000000);
+  const lakh = Math.floor((n % 10000000) / 100000);
+  const thousand = Math.floor((n % 100000) / 1000);
+  const rest = n % 1000;
+
+  if (crore) parts.push(`${integerWords(crore)} Crore`);
+  if (lakh) parts.push(`${twoDigitWords(lakh)} Lakh`);
+  if (thousand) parts.push(`${twoDigitWords(thousand)} Thousand`);
+  if (rest) parts.push(threeDigitWords(rest));
+
+  return parts.join(" ");
+};
+
+// 1234.5 -> "Rupees One Thousand Two Hundred Thirty Four and Fifty Paise Only"
+const amountInWords = (amount) => {
+  const paise = Math.abs(toPaise(amount));
+  const rupees = Math.floor(paise / 100);
+  const remainder = paise % 100;
+
+  let words = `Rupees ${integerWords(rupees)}`;
+  if (remainder) words += ` and ${twoDigitWords(remainder)} Paise`;
+  return `${words} Only`;
+};
+
+module.exports = {
+  GST_STATE_CODES,
+  SUPPLY_TYPES,
+  normaliseGstin,
+  isValidGstin,
+  isValidHsnSac,
+  stateCodeFromGstin,
+  resolveStateCode,
+  stateName,
+  resolvePlaceOfSupply,
+  supplyTypeFor,
+  calculateGst,
+  buildGstInvoice,
+  summariseByRate,
+  insertInvoiceItems,
+  amountInWords,
+};
@@ -0,0 +1,734 @@
+// services/imports.js
+const { v4: uuidv4 } = require("uuid");
+const { pool } = require("../config/database");
+const { readSpreadsheet, excelDate } = require("./spreadsheet");
+const { phoneKey } = require("./whatsappConversations");
+const { getDedupSettings, findDuplicateLeads, absorbIntoLead } = require("./leadDedup");
+const { assignLead, recordAssignment } = require("./leadAssignment");
+const { refreshLeadScore } = require("./leadScoring");
+const { recordActivity, recordChanges } = require("./activities");
+const { snapshot, recordAudit } = require("./auditLog");
+const { isValidGstin, normaliseGstin } = require("./gst");
+
+/**
+ * Bulk import of leads and customers from CSV or XLSX files, in three steps:
+ *   upload    the file is parsed and its rows are kept on an import job,
+ *             together with a suggested mapping of its columns to fields
+ *   validate  a dry run with the chosen mapping: every row comes out valid,
+ *             invalid (with its errors) or a duplicate of an existing record
+ *             or of an earlier row of the file
+ *   commit    the rows are saved in the background; duplicates are skipped,
+ *             merged or flagged (leads) or skipped or updated (customers), as
+ *             chosen when validating
+ * The outcome of every row is kept on the job for the downloadable report.
+ * Imported customers do not get the automatic first invoice that
+ * POST /api/customers creates.
+ */
+
+const MAX_ROWS = Number(process.env.IMPORT_MAX_ROWS || 5000);
+const MAX_FILE_MB = Number(process.env.IMPORT_MAX_FILE_MB || 10);
+const PROGRESS_INTERVAL = 25;
+const MIN_PHONE_DIGITS = 7;
+const SAMPLE_SIZE = 5;
+
+const ENTITY_TYPES = ["lead", "customer"];
+const JOB_STATUSES = ["uploaded", "validated", "importing", "completed", "failed"];
+const ROW_STATUSES = ["valid", "invalid", "duplicate", "imported", "merged", "updated", "skipped", "failed"];
+
+// What to do with a row that matches an existing record; the first is the default
+const DUPLICATE_ACTIONS = {
+  lead: ["skip", "merge", "flag"],
+  customer: ["skip", "update"],
+};
+
+const LEAD_SOURCES = ["website", "referral", "social", "advertisement", "cold-call", "whatsapp", "other"];
+const LEAD_STATUSES = ["new", "contacted", "qualified", "proposal", "negotiation", "closed-won", "closed-lost"];
+const LEAD_SERVICES = ["whatsapp-business-api", "website-development", "ai-agent", "other"];
+
+// Importable fields (keys of leadFieldMap / customerFieldMap) with their type
+// and the column headers they are recognised by
+const IMPORT_FIELDS = {
+  lead: {
+    name: { type: "string", max: 255, required: true, aliases: ["full name", "lead name", "contact name"] },
+    email: { type: "email", required: true, aliases: ["email address", "e-mail", "mail"] },
+    phone: { type: "string", max: 50, aliases: ["phone number", "mobile", "mobile number", "contact number"] },
+    company: { type: "string", max: 255, aliases: ["company name", "organisation", "organization", "business"] },
+    source: { type: "enum", values: LEAD_SOURCES, aliases: ["lead source"] },
+    status: { type: "enum", values: LEAD_STATUSES, aliases: ["lead status", "stage"] },
+    priority: { type: "enum", values: ["low", "medium", "high"] },
+    estimatedValue: { type: "number", aliases: ["value", "deal value", "amount", "budget"] },
+    notes: { type: "text", aliases: ["note", "comments", "remarks"] },
+    expectedCloseDate: { type: "date", aliases: ["close date", "closing date"] },
+    whatsappNumber: { type: "string", max: 50, aliases: ["whatsapp", "whatsapp no"] },
+    service: { type: "enum", values: LEAD_SERVICES, aliases: ["interested in", "service interested"] },
+  },
+  customer: {
+    name: { type: "string", max: 255, required: true, aliases: ["full name", "customer name", "contact name"] },
+    email: { type: "email", required: true, aliases: ["email address", "e-mail", "mail"] },
+    phone: { type: "string", max: 50, aliases: ["phone number", "mobile", "mobile number", "contact number"] },
+    company: { type: "string", max: 255, aliases: ["company name", "organisation", "organization", "business"] },
+    address: { type: "text", aliases: ["street", "address line", "billing address"] },
+    city: { type: "string", max: 100, aliases: ["town"] },
+    state: { type: "string", max: 100, aliases: ["province", "region"] },
+    zipCode: { type: "string", max: 20, aliases: ["zip", "pin", "pincode", "pin code", "postal code"] },
+    country: { type: "string", max: 100 },
+    gstin: { type: "gstin", aliases: ["gst", "gst number", "gst no"] },
+    status: { type: "enum", values: ["active", "inactive", "prospect"], aliases: ["customer status"] },
+    source: { type: "string", max: 100, aliases: ["lead source"] },
+    tags: { type: "list", aliases: ["tag", "labels"] },
+    notes: { type: "text", aliases: ["note", "comments", "remarks"] },
+    totalValue: { type: "number", aliases: ["value", "amount", "lifetime value"] },
+    whatsappNumber: { type: "string", max: 50, aliases: ["whatsapp", "whatsapp no"] },
+    service: { type: "string", max: 100 },
+  },
+};
+
+const httpError = (status, message) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const parseJson = (value, fallback = null) => {
+  if (typeof value !== "string") return value ?? fallback;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return fallback;
+  }
+};
+
+// "estimatedValue" -> "Estimated value"
+const labelOf = (field) => {
+  const words = field.replace(/([A-Z])/g, " $1").toLowerCase();
+  return words.charAt(0).toUpperCase() + words.slice(1);
+};
+
+// Headers and enum values compared without case, spacing or punctuation
+const headerKey = (value) => String(value ?? "").toLowerCase().replace(/[^a-z0-9]/g, "");
+const enumKey = (value) => String(value ?? "").trim().toLowerCase().replace(/[\s_]+/g, "-");
+
+const isBlank = (value) => value === null || value === undefined || String(value).trim() === "";
+
+// Header row with blank and repeated names made unique ("Column 4", "Email (2)")
+const readHeaders = (cells) => {
+  const seen = {};
+  return Array.from(cells, (cell, index) => {
+    const name = isBlank(cell) ? `Column ${index + 1}` : String(cell).trim();
+    seen[name] = (seen[name] || 0) + 1;
+    return seen[name] > 1 ? `${name} (${seen[name]})` : name;
+  });
+};
+
+// Text dates: YYYY-MM-DD (optionally with a time) or DD/MM/YYYY, DD-MM-YYYY
+const parseDate = (value) => {
+  if (typeof value === "number") return excelDate(value);
+
+  const text = String(value).trim();
+  let match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})(?:[T\s].*)?$/);
+  let parts = match && [match[1], match[2], match[3]];
+  if (!parts) {
+    match = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/);
+    parts = match && [match[3], match[2], match[1]];
+  }
+  if (!parts) return null;
+
+  const [year, month, day] = parts.map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null;
+  return date.toISOString().slice(0, 10);
+};
+
+// Cell value -> { value } or { error } for one field
+const convertValue = (field, definition, raw) => {
+  const label = labelOf(field);
+  if (isBlank(raw)) return definition.required ? { error: `${label} is required` } : { value: undefined };
+
+  const text = String(raw).trim();
+  switch (definition.type) {
+    case "email":
+      return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(text) && text.length <= 255
+        ? { value: text.toLowerCase() }
+        : { error: `${label} is not a valid email address` };
+    case "enum": {
+      const value = enumKey(text);
+      return definition.values.includes(value)
+        ? { value }
+        : { error: `${label} must be one of ${definition.values.join(", ")}` };
+    }
+    case "number": {
+      // Thousands separators and a leading currency symbol ("₹1,20,000") are dropped
+      const digits = text.replace(/[,\s]/g, "").replace(/^[^\d.-]+/, "");
+      const value = typeof raw === "number" ? raw : digits === "" ? NaN : Number(digits);
+      return Number.isFinite(value) && value >= 0 ? { value } : { error: `${label} must be a positive number` };
+    }
+    case "date": {
+      const value = parseDate(raw);
+      return value ? { value } : { error: `${label} must be a date (YYYY-MM-DD or DD/MM/YYYY)` };
+    }
+    case "list":
+      return { value: text.split(/[,;|]/).map((item) => item.trim()).filter(Boolean) };
+    case "gstin":
+      return isValidGstin(text) ? { value: normaliseGstin(text) } : { error: `${label} is not valid` };
+    case "string":
+      return text.length <= definition.max
+        ? { value: text }
+        : { error: `${label} must be at most ${definition.max} characters` };
+    default:
+      return { value: text };
+  }
+};
+
+/**
+ * Maps one row of cells to field values with `mapping` ({ field: header }).
+ * Returns { values, errors } with errors as [{ field, message }].
+ */
+const mapRow = (entityType, headers, mapping, cells) => {
+  const values = {};
+  const errors = [];
+
+  for (const [field, definition] of Object.entries(IMPORT_FIELDS[entityType])) {
+    const header = mapping[field];
+    const raw = header ? cells[headers.indexOf(header)] : undefined;
+    const { value, error } = convertValue(field, definition, raw);
+    if (error) errors.push({ field, message: error });
+    else if (value !== undefined) values[field] = value;
+  }
+  return { values, errors };
+};
+
+/**
+ * Suggested mapping of file headers to fields: a header matches a field by
+ * its name ("estimatedValue", "Estimated Value") or one of its aliases.
+ */
+const suggestMapping = (entityType, headers) => {
+  const mapping = {};
+  const used = new Set();
+
+  for (const [field, definition] of Object.entries(IMPORT_FIELDS[entityType])) {
+    const keys = [field, labelOf(field), ...(definition.aliases || [])].map(headerKey);
+    const header = headers.find((name) => !used.has(name) && keys.includes(headerKey(name)));
+    if (header) {
+      mapping[field] = header;
+      used.add(header);
+    }
+  }
+  return mapping;
+};
+
+// Checks a mapping from the client against the job's headers; returns it without unmapped fields
+const checkMapping = (entityType, headers, mapping) => {
+  if (!mapping || typeof mapping !== "object" || Array.isArray(mapping)) {
+    throw httpError(400, "Mapping must be an object of field -> column header");
+  }
+  const fields = IMPORT_FIELDS[entityType];
+  const checked = {};
+
+  for (const [field, header] of Object.entries(mapping)) {
+    if (!fields[field]) throw httpError(400, `Unknown field "${field}"`);
+    if (isBlank(header)) continue;
+    if (!headers.includes(header)) throw httpError(400, `Column "${header}" is not in the file`);
+    checked[field] = header;
+  }
+
+  const missing = Object.keys(fields).filter((field) => fields[field].required && !checked[field]);
+  if (missing.length > 0) {
+    throw httpError(400, `Map a column to the required field(s): ${missing.join(", ")}`);
+  }
+  return checked;
+};
+
+// ================== JOBS ==================
+
+// Job as returned by the API: everything except the stored rows and results
+const formatJob = (row) => {
+  const { rows_data: rowsData, results, ...job } = row;
+  return {
+    ...job,
+    headers: parseJson(job.headers, []),
+    mapping: parseJson(job.mapping),
+  };
+};
+
+const loadJob = async (jobId, db = pool) => {
+  const [rows] = await db.execute(
+    `SELECT j.*, u.name AS created_by_name
+     FROM import_jobs j
+     LEFT JOIN users u ON j.created_by = u.id
+     WHERE j.id = ?`,
+    [jobId]
+  );
+  return rows[0] || null;
+};
+
+/**
+ * Import job `jobId` of `entityType`; `createdBy` limits it to jobs of that
+ * user. Returns null when there is no such job.
+ */
+const getImportJob = async (entityType, jobId, { createdBy = null } = {}) => {
+  const job = await loadJob(jobId);
+  if (!job || job.entity_type !== entityType) return null;
+  if (createdBy && job.created_by !== createdBy) return null;
+  return job;
+};
+
+/**
+ * Import jobs of `entityType`, newest first; `createdBy` limits them to one
+ * user's. Returns { jobs, total }.
+ */
+const listImportJobs = async ({ entityType, createdBy = null, limit = 20, offset = 0 }) => {
+  const conditions = ["j.entity_type = ?"];
+  const params = [entityType];
+  if (createdBy) {
+    conditions.push("j.created_by = ?");
+    params.push(createdBy);
+  }
+  const where = `WHERE ${conditions.join(" AND ")}`;
+
+  const [rows] = await pool.execute(
+    `SELECT j.id, j.entity_type, j.file_name, j.file_format, j.status, j.on_duplicate,
+            j.total_rows, j.processed_rows, j.valid_rows, j.invalid_rows, j.duplicate_rows,
+            j.imported_rows, j.skipped_rows, j.failed_rows, j.error, j.created_by,
+            j.created_at, j.validated_at, j.started_at, j.completed_at, u.name AS created_by_name
+     FROM import_jobs j
+     LEFT JOIN users u ON j.created_by = u.id
+     ${where}
+     ORDER BY j.created_at DESC, j.id
+     LIMIT ${Number(limit)} OFFSET ${Number(offset)}`,
+    params
+  );
+  const [countRows] = await pool.execute(`SELECT COUNT(*) AS total FROM import_jobs j ${where}`, params);
+
+  return { jobs: rows, total: countRows[0].total };
+};
+
+/**
+ * Parses an uploaded file into a new import job. Blank rows are dropped but
+ * the others keep their row number in the file. Returns { job, sample,
+ * suggestedMapping }; throws 400 for unreadable, empty or oversized files.
+ */
+const createImportJob = async ({ entityType, fileName, buffer, userId }) => {
+  const { format, rows } = readSpreadsheet(buffer, fileName);
+  if (rows.length === 0 || rows[0].every(isBlank)) throw httpError(400, "The file has no header row");
+
+  const headers = readHeaders(rows[0]);
+  const dataRows = rows
+    .slice(1)
+    .map((cells, index) => ({ row: index + 2, cells }))
+    .filter(({ cells }) => !cells.every(isBlank));
+  if (dataRows.length === 0) throw httpError(400, "The file has no data rows");
+  if (dataRows.length > MAX_ROWS) {
+    throw httpError(400, `The file has ${dataRows.length} rows; at most ${MAX_ROWS} can be imported at once`);
+  }
+
+  const jobId = uuidv4();
+  const suggestedMapping = suggestMapping(entityType, headers);
+  await pool.execute(
+    `INSERT INTO import_jobs (id, entity_type, file_name, file_format, status, headers, rows_data, mapping,
+                              total_rows, created_by)
+     VALUES (?, ?, ?, ?, 'uploaded', ?, ?, ?, ?, ?)`,
+    [
+      jobId,
+      entityType,
+      String(fileName).slice(0, 255),
+      format,
+      JSON.stringify(headers),
+      JSON.stringify(dataRows),
+      JSON.stringify(suggestedMapping),
+      dataRows.length,
+      userId || null,
+    ]
+  );
+
+  const sample = dataRows.slice(0, SAMPLE_SIZE).map(({ row, cells }) => ({
+    row,
+    ...Object.fromEntries(headers.map((header, index) => [header, cells[index] ?? null])),
+  }));
+
+  return { job: formatJob(await loadJob(jobId)), sample, suggestedMapping };
+};
+
+// ================== DUPLICATES ==================
+
+// Keys a row is matched on against earlier rows of the same file
+const rowKeys = (entityType, values, matchOn) => {
+  if (entityType === "customer") return values.email ? [`email:${values.email}`] : [];
+
+  const keys = [];
+  if (matchOn.includes("email") && values.email) keys.push(`email:${values.email}`);
+  const phones = [matchOn.includes("phone") && values.phone, matchOn.includes("whatsapp") && values.whatsappNumber]
+    .filter(Boolean)
+    .map(phoneKey)
+    .filter((key) => key.length >= MIN_PHONE_DIGITS);
+  phones.forEach((key) => keys.push(`phone:${key}`));
+  return keys;
+};
+
+/**
+ * The existing record a row duplicates, as { id, name, matchedOn, trashed },
+ * or null. Leads are matched like POST /api/leads (the lead_dedup
+ * settings); customers by email, including trashed ones (the email stays
+ * taken until the customer is purged).
+ */
+const findExisting = async (entityType, values, settings, db = pool) => {
+  if (entityType === "lead") {
+    const [match] = await findDuplicateLeads(values, { matchOn: settings.matchOn, db });
+    return match ? { id: match.id, name: match.name, matchedOn: match.matched_on, trashed: false } : null;
+  }
+
+  const [rows] = await db.execute("SELECT id, name, deleted_at FROM customers WHERE email = ?", [values.email]);
+  if (!rows[0]) return null;
+  return { id: rows[0].id, name: rows[0].name, matchedOn: ["email"], trashed: Boolean(rows[0].deleted_at) };
+};
+
+const TRASHED_CUSTOMER_ERROR = {
+  field: "email",
+  message: "A customer with this email is in the trash; restore it instead",
+};
+
+// ================== VALIDATION ==================
+
+const counts = (results) => {
+  const total = {};
+  results.forEach(({ status }) => {
+    total[status] = (total[status] || 0) + 1;
+  });
+  return total;
+};
+
+/**
+ * Dry run of an import job with `mapping` ({ field: header }): checks every
+ * row and looks for duplicates, without saving anything. `onDuplicate` is
+ * kept for the commit. Returns the updated job; the per-row results are
+ * read with getImportReport.
+ */
+const validateImportJob = async (job, { mapping, onDuplicate }) => {
+  if (["importing", "completed"].includes(job.status)) {
+    throw httpError(
+      409,
+      job.status === "importing" ? "This import is running" : "This file has already been imported"
+    );
+  }
+
+  const entityType = job.entity_type;
+  const action = onDuplicate || DUPLICATE_ACTIONS[entityType][0];
+  if (!DUPLICATE_ACTIONS[entityType].includes(action)) {
+    throw httpError(400, `onDuplicate must be one of ${DUPLICATE_ACTIONS[entityType].join(", ")}`);
+  }
+
+  const headers = parseJson(job.headers, []);
+  const checked = checkMapping(entityType, headers, mapping);
+  const settings = entityType === "lead" ? await getDedupSettings() : null;
+  const seen = new Map();
+  const results = [];
+
+  for (const { row, cells } of parseJson(job.rows_data, [])) {
+    const { values, errors } = mapRow(entityType, headers, checked, cells);
+    if (errors.length > 0) {
+      results.push({ row, status: "invalid", errors });
+      continue;
+    }
+
+    const keys = rowKeys(entityType, values, settings?.matchOn || []);
+    const earlier = keys.find((key) => seen.has(key));
+    keys.forEach((key) => !seen.has(key) && seen.set(key, row));
+
+    if (earlier) {
+      results.push({
+        row,
+        status: "duplicate",
+        errors: [],
+        duplicate: { row: seen.get(earlier), matchedOn: [earlier.split(":")[0]] },
+      });
+      continue;
+    }
+
+    const existing = await findExisting(entityType, values, settings);
+    if (existing?.trashed) {
+      results.push({ row, status: "invalid", errors: [TRASHED_CUSTOMER_ERROR] });
+    } else if (existing) {
+      results.push({
+        row,
+        status: "duplicate",
+        errors: [],
+        duplicate: { id: existing.id, name: existing.name, matchedOn: existing.matchedOn },
+      });
+    } else {
+      results.push({ row, status: "valid", errors: [] });
+    }
+  }
+
+  const total = counts(results);
+  await pool.execute(
+    `UPDATE import_jobs
+     SET status = 'validated', mapping = ?, on_duplicate = ?, results = ?,
+         valid_rows = ?, invalid_rows = ?, duplicate_rows = ?,
+         processed_rows = 0, imported_rows = 0, skipped_rows = 0, failed_rows = 0,
+         error = NULL, validated_at = CURRENT_TIMESTAMP, started_at = NULL, completed_at = NULL
+     WHERE id = ?`,
+    [
+      JSON.stringify(checked),
+      action,
+      JSON.stringify(results),
+      total.valid || 0,
+      total.invalid || 0,
+      total.duplicate || 0,
+      job.id,
+    ]
+  );
+
+  return formatJob(await loadJob(job.id));
+};
+
+// ================== COMMIT ==================
+
+// Inserts `values` ({ field: value }) into `table`, translated with `fieldMap`
+const insertRecord = async (table, values, fieldMap, extra, db = pool) => {
+  const record = { id: uuidv4(), ...extra };
+  Object.entries(values).forEach(([field, value]) => {
+    record[fieldMap[field]] = field === "tags" ? JSON.stringify(value) : value;
+  });
+
+  const columns = Object.keys(record);
+  await db.execute(
+    `INSERT INTO ${table} (${columns.join(", ")}) VALUES (${columns.map(() => "?").join(", ")})`,
+    columns.map((column) => (record[column] === undefined ? null : record[column]))
+  );
+  return record.id;
+};
+
+const importLead = async (values, existing, context) => {
+  const { job, fieldMap, req } = context;
+  const userId = req.user.id;
+
+  if (existing && job.on_duplicate === "merge") {
+    const before = await snapshot("lead", existing.id);
+    await absorbIntoLead(existing.id, values, { source: `import of ${job.file_name}` });
+    await recordAudit({ entityType: "lead", entityId: existing.id, action: "update", before, req });
+    return { status: "merged", recordId: existing.id };
+  }
+
+  // Users limited to their own leads import them as their own
+  const assignedTo = req.permissionScope === "own" ? userId : null;
+  const leadId = await insertRecord("leads", values, fieldMap, {
+    source: "other",
+    status: "new",
+    priority: "medium",
+    estimated_value: 0,
+    assigned_to: assignedTo,
+    duplicate_of: existing ? existing.id : null,
+    duplicate_status: existing ? "flagged" : null,
+    created_by: userId,
+  });
+  const lead = await snapshot("lead", leadId);
+
+  await recordActivity({
+    entityType: "lead",
+    entityId: leadId,
+    type: "created",
+    title: `Lead imported from ${job.file_name}`,
+    details: { source: lead.source, status: lead.status, assignedTo, importJobId: job.id },
+    actorId: userId,
+  });
+  if (assignedTo) {
+    await recordAssignment({ leadId, assignedTo, assignedBy: userId, note: "Assigned on import" });
+    await recordChanges({
+      entityType: "lead",
+      entityId: leadId,
+      before: { assigned_to: null },
+      after: { assigned_to: assignedTo },
+      actorId: userId,
+    });
+  } else {
+    try {
+      await assignLead(leadId);
+    } catch (error) {
+      console.error(`Lead assignment failed for lead ${leadId}:`, error);
+    }
+  }
+  await refreshLeadScore(leadId);
+  await recordAudit({ entityType: "lead", entityId: leadId, action: "create", req });
+
+  return { status: "imported", recordId: leadId };
+};
+
+const importCustomer = async (values, existing, context) => {
+  const { job, fieldMap, req } = context;
+
+  if (existing) {
+    // update: the mapped, non-empty columns overwrite the customer's
+    const changes = Object.entries(values).filter(([field]) => field !== "email");
+    const before = await snapshot("customer", existing.id);
+    if (changes.length > 0) {
+      await pool.execute(
+        `UPDATE customers SET ${changes.map(([field]) => `${fieldMap[field]} = ?`).join(", ")},
+                updated_at = CURRENT_TIMESTAMP
+         WHERE id = ?`,
+        [...changes.map(([field, value]) => (field === "tags" ? JSON.stringify(value) : value)), existing.id]
+      );
+    }
+    const after = await snapshot("customer", existing.id);
+    await recordChanges({ entityType: "customer", entityId: existing.id, before, after, actorId: req.user.id });
+    await recordAudit({ entityType: "customer", entityId: existing.id, action: "update", before, after, req });
+    return { status: "updated", recordId: existing.id };
+  }
+
+  const customerId = await insertRecord("customers", values, fieldMap, {
+    status: "prospect",
+    country: "India",
+    tags: JSON.stringify([]),
+    total_value: 0,
+    assigned_to: req.user.id,
+  });
+  await recordActivity({
+    entityType: "customer",
+    entityId: customerId,
+    type: "created",
+    title: `Customer imported from ${job.file_name}`,
+    details: { status: values.status || "prospect", source: values.source || null, importJobId: job.id },
+    actorId: req.user.id,
+  });
+  await recordAudit({ entityType: "customer", entityId: customerId, action: "create", req });
+
+  return { status: "imported", recordId: customerId };
+};
+
+// One row of the commit. Duplicates are looked up again, so rows saved
+// earlier in the same run and records added since validating are found too.
+const importRow = async ({ row, cells }, headers, settings, context) => {
+  const { job } = context;
+  const entityType = job.entity_type;
+
+  const { values, errors } = mapRow(entityType, headers, parseJson(job.mapping, {}), cells);
+  if (errors.length > 0) return { row, status: "skipped", errors };
+
+  const existing = await findExisting(entityType, values, settings);
+  if (existing?.trashed) return { row, status: "skipped", errors: [TRASHED_CUSTOMER_ERROR] };
+
+  const duplicate = existing && { id: existing.id, name: existing.name, matchedOn: existing.matchedOn };
+  if (existing && job.on_duplicate === "skip") return { row, status: "skipped", errors: [], duplicate };
+
+  const outcome =
+    entityType === "lead"
+      ? await importLead(values, existing, context)
+      : await importCustomer(values, existing, context);
+  return { row, errors: [], ...(duplicate ? { duplicate } : {}), ...outcome };
+};
+
+const saveProgress = async (jobId, results, extra = "") => {
+  const total = counts(results);
+  await pool.execute(
+    `UPDATE import_jobs
+     SET processed_rows = ?, imported_rows = ?, skipped_rows = ?, failed_rows = ?${extra}
+     WHERE id = ?`,
+    [
+      results.length,
+      (total.imported || 0) + (total.merged || 0) + (total.updated || 0),
+      total.skipped || 0,
+      total.failed || 0,
+      jobId,
+    ]
+  );
+};
+
+const runImport = async (job, context) => {
+  const results = [];
+  try {
+    const headers = parseJson(job.headers, []);
+    const settings = job.entity_type === "lead" ? await getDedupSettings() : null;
+
+    for (const dataRow of parseJson(job.rows_data, [])) {
+      try {
+        results.push(await importRow(dataRow, headers, settings, context));
+      } catch (error) {
+        console.error(`[Import] Row ${dataRow.row} of import ${job.id} failed:`, error);
+        results.push({
+          row: dataRow.row,
+          status: "failed",
+          errors: [
+            { field: null, message: error.code === "ER_DUP_ENTRY" ? "Already exists" : "Could not be saved" },
+          ],
+        });
+      }
+      if (results.length % PROGRESS_INTERVAL === 0) await saveProgress(job.id, results);
+    }
+
+    await pool.execute("UPDATE import_jobs SET results = ? WHERE id = ?", [JSON.stringify(results), job.id]);
+    await saveProgress(job.id, results, ", status = 'completed', completed_at = CURRENT_TIMESTAMP");
+  } catch (error) {
+    console.error(`[Import] Import ${job.id} failed:`, error);
+    await pool
+      .execute(
+        `UPDATE import_jobs
+         SET status = 'failed', error = ?, results = ?, completed_at = CURRENT_TIMESTAMP
+         WHERE id = ?`,
+        [String(error.message).slice(0, 1000), JSON.stringify(results), job.id]
+      )
+      .catch((updateError) => console.error(`[Import] Could not mark import ${job.id} failed:`, updateError));
+  }
+};
+
+/**
+ * Starts saving the rows of a validated job in the background, with the
+ * mapping and duplicate handling chosen when validating. Records are created
+ * as `req.user` (audit entries included); users limited to their own leads
+ * get the leads assigned to them. A failed import can be started again:
+ * rows it already saved are then found as duplicates. Returns the job.
+ */
+const startImport = async (job, { fieldMap, req }) => {
+  if (job.status === "uploaded") throw httpError(409, "Validate the file before importing it");
+
+  const [claimed] = await pool.execute(
+    `UPDATE import_jobs
+     SET status = 'importing', processed_rows = 0, imported_rows = 0, skipped_rows = 0, failed_rows = 0,
+         error = NULL, started_at = CURRENT_TIMESTAMP, completed_at = NULL
+     WHERE id = ? AND status IN ('validated', 'failed')`,
+    [job.id]
+  );
+  if (claimed.affectedRows === 0) {
+    throw httpError(
+      409,
+      job.status === "completed" ? "This file has already been imported" : "This import is running"
+    );
+  }
+
+  const claimedJob = await loadJob(job.id);
+  void runImport(claimedJob, { job: claimedJob, fieldMap, req });
+  return formatJob(claimedJob);
+};
+
+// ================== REPORT ==================
+
+/**
+ * Row-by-row report of a job: the validation results, or once it has been
+ * committed, the import results. Each row carries the cells of the file so
+ * the rejected ones can be fixed and uploaded again. `status` filters by
+ * row status.
+ */
+const getImportReport = (job, { status = null } = {}) => {
+  const cellsByRow = new Map(parseJson(job.rows_data, []).map(({ row, cells }) => [row, cells]));
+  const results = parseJson(job.results, []).filter((result) => !status || result.status === status);
+
+  return {
+    headers: parseJson(job.headers, []),
+    rows: results.map((result) => ({ ...result, cells: cellsByRow.get(result.row) || [] })),
+  };
+};
+
+module.exports = {
+  ENTITY_TYPES,
+  JOB_STATUSES,
+  ROW_STATUSES,
+  DUPLICATE_ACTIONS,
+  IMPORT_FIELDS,
+  MAX_ROWS,
+  MAX_FILE_MB,
+  formatJob,
+  suggestMapping,
+  createImportJob,
+  getImportJob,
+  listImportJobs,
+  validateImportJob,
+  startImport,
+  getImportReport,
+};
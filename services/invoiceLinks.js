@@ -0,0 +1,94 @@
+// services/invoiceLinks.js
+const jwt = require("jsonwebtoken");
+const { v4: uuidv4 } = require("uuid");
+const { pool } = require("../config/database");
+
+const TOKEN_PURPOSE = "invoice-pdf";
+const DEFAULT_TTL_DAYS = Number(process.env.INVOICE_LINK_TTL_DAYS || 30);
+const MAX_TTL_DAYS = 365;
+
+// A dedicated secret lets links be rotated without logging every user out
+const getSecret = () => process.env.INVOICE_LINK_SECRET || process.env.JWT_SECRET;
+
+/**
+ * Creates a revocable share link for an invoice.
+ * The token is a JWT whose jti points at the invoice_share_links row, so a
+ * link can be revoked before it expires and views are tracked per link.
+ */
+const createInvoiceShareLink = async ({ invoiceId, createdBy = null, expiresInDays }) => {
+  const days = Math.min(
+    MAX_TTL_DAYS,
+    Math.max(1, Number(expiresInDays) || DEFAULT_TTL_DAYS)
+  );
+  const id = uuidv4();
+  const expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+
+  await pool.execute(
+    `INSERT INTO invoice_share_links (id, invoice_id, expires_at, created_by)
+     VALUES (?, ?, ?, ?)`,
+    [id, invoiceId, expiresAt, createdBy]
+  );
+
+  const token = jwt.sign(
+    { sub: invoiceId, purpose: TOKEN_PURPOSE },
+    getSecret(),
+    { jwtid: id, expiresIn: days * 24 * 60 * 60 }
+  );
+
+  return { id, token, expiresAt };
+};
+
+/**
+ * Resolves a public token to its share link row.
+ * Returns null for bad signatures, expired, revoked or unknown links.
+ */
+const resolveInvoiceShareToken = async (token) => {
+  let payload;
+  try {
+    payload = jwt.verify(token, getSecret());
+  } catch {
+    return null;
+  }
+
+  if (payload.purpose !== TOKEN_PURPOSE || !payload.jti) return null;
+
+  const [links] = await pool.execute(
+    `SELECT * FROM invoice_share_links
+     WHERE id = ? AND invoice_id = ? AND revoked_at IS NULL AND expires_at > NOW()`,
+    [payload.jti, payload.sub]
+  );
+
+  return links[0] || null;
+};
+
+const recordInvoiceView = async (link) => {
+  await pool.execute(
+    `UPDATE invoice_share_links
+     SET view_count = view_count + 1, last_viewed_at = NOW()
+     WHERE id = ?`,
+    [link.id]
+  );
+
+  await pool.execute(
+    `UPDATE invoices
+     SET view_count = view_count + 1,
+         first_viewed_at = COALESCE(first_viewed_at, NOW()),
+         last_viewed_at = NOW()
+     WHERE id = ?`,
+    [link.invoice_id]
+  );
+};
+
+const buildInvoiceShareUrl = (req, token) => {
+  const base = (
+    process.env.PUBLIC_API_URL || `${req.protocol}://${req.get("host")}`
+  ).replace(/\/$/, "");
+  return `${base}/api/public/invoices/${token}.pdf`;
+};
+
+module.exports = {
+  createInvoiceShareLink,
+  resolveInvoiceShareToken,
+  recordInvoiceView,
+  buildInvoiceShareUrl,
+};
@@ -0,0 +1,116 @@
+// services/invoicePayments.js
+const { pool } = require("../config/database");
+
+const PAYMENT_MODES = ["upi", "bank_transfer", "cash", "cheque", "card", "other"];
+
+// Money is stored as DECIMAL(10,2); compare in paise to avoid float drift
+const toPaise = (value) => Math.round(Number(value || 0) * 100);
+
+/**
+ * Recomputes amount_paid (payments less refunds) and credited_amount (credit
+ * notes) from their ledgers, then moves the invoice status through
+ * partially-paid / paid. balance_due is a generated column.
+ *
+ * Invoices without ledger entries keep their status, so invoices marked paid
+ * before the ledger existed are not reopened, unless `paymentRemoved` is set
+ * (the last payment was just deleted). Void and cancelled invoices only have
+ * their amounts refreshed; a fully credited invoice becomes void.
+ */
+const recalculateInvoiceBalance = async (connection, invoiceId, { paymentRemoved = false } = {}) => {
+  const [invoices] = await connection.execute(
+    "SELECT id, total, status, due_date FROM invoices WHERE id = ? FOR UPDATE",
+    [invoiceId]
+  );
+  if (invoices.length === 0) return null;
+  const invoice = invoices[0];
+
+  const [sums] = await connection.execute(
+    `SELECT
+       (SELECT COALESCE(SUM(amount), 0) FROM invoice_payments WHERE invoice_id = ?) AS paid,
+       (SELECT MAX(payment_date) FROM invoice_payments WHERE invoice_id = ?) AS last_payment_date,
+       (SELECT COALESCE(SUM(amount), 0) FROM invoice_refunds WHERE invoice_id = ?) AS refunded,
+       (SELECT COALESCE(SUM(total), 0) FROM credit_notes WHERE invoice_id = ?) AS credited`,
+    [invoiceId, invoiceId, invoiceId, invoiceId]
+  );
+
+  const paidPaise = toPaise(sums[0].paid) - toPaise(sums[0].refunded);
+  const creditedPaise = toPaise(sums[0].credited);
+  const totalPaise = toPaise(invoice.total);
+  const payablePaise = totalPaise - creditedPaise;
+
+  const amountPaid = paidPaise / 100;
+  const amountCredited = creditedPaise / 100;
+  // Negative when the customer has paid more than they now owe (refund due)
+  const balanceDue = (payablePaise - paidPaise) / 100;
+
+  const noLedger = toPaise(sums[0].paid) === 0 && creditedPaise === 0;
+  const frozen = ["void", "cancelled"].includes(invoice.status);
+
+  // Only refresh the amounts, leave status/paid_date alone
+  if ((noLedger && !paymentRemoved) || frozen) {
+    await connection.execute(
+      "UPDATE invoices SET amount_paid = ?, credited_amount = ? WHERE id = ?",
+      [amountPaid, amountCredited, invoiceId]
+    );
+    return { amountPaid, amountCredited, balanceDue, status: invoice.status };
+  }
+
+  let status;
+  let paidDate = null;
+
+  if (payablePaise <= 0 && totalPaise > 0) {
+    status = "void";
+  } else if (paidPaise >= payablePaise && paidPaise > 0) {
+    status = "paid";
+    paidDate = sums[0].last_payment_date;
+  } else if (paidPaise > 0) {
+    status = "partially-paid";
+  } else {
+    const isOverdue = invoice.due_date && new Date(invoice.due_date) < new Date();
+    status = isOverdue ? "overdue" : "sent";
+  }
+
+  await connection.execute(
+    `UPDATE invoices
+     SET amount_paid = ?, credited_amount = ?, status = ?, paid_date = ?,
+         voided_at = IF(? = 'void', COALESCE(voided_at, NOW()), voided_at),
+         updated_at = CURRENT_TIMESTAMP
+     WHERE id = ?`,
+    [amountPaid, amountCredited, status, paidDate, status, invoiceId]
+  );
+
+  return { amountPaid, amountCredited, balanceDue, status, paidDate };
+};
+
+const listPayments = async (invoiceId, db = pool) => {
+  const [payments] = await db.execute(
+    `SELECT p.*, u.name AS recorded_by_name
+     FROM invoice_payments p
+     LEFT JOIN users u ON p.recorded_by = u.id
+     WHERE p.invoice_id = ?
+     ORDER BY p.payment_date DESC, p.created_at DESC`,
+    [invoiceId]
+  );
+  return payments;
+};
+
+const listRefunds = async (invoiceId, db = pool) => {
+  const [refunds] = await db.execute(
+    `SELECT r.*, u.name AS recorded_by_name, cn.credit_note_number
+     FROM invoice_refunds r
+     LEFT JOIN users u ON r.recorded_by = u.id
+     LEFT JOIN credit_notes cn ON r.credit_note_id = cn.id
+     WHERE r.invoice_id = ?
+     ORDER BY r.refund_date DESC, r.created_at DESC`,
+    [invoiceId]
+  );
+  return refunds;
+};
+
+module.exports = {
+  PAYMENT_MODES,
+  toPaise,
+  recalculateInvoiceBalance,
+  listPayments,
+  listRefunds,
+};
@@ -0,0 +1,658 @@
+// services/invoicePdf.js
+const PDFDocument = require("pdfkit");
+const { pool } = require("../config/database");
+const { getCompanyProfile } = require("./companyProfile");
+const {
+  calculateGst,
+  summariseByRate,
+  amountInWords,
+  stateName,
+} = require("./gst");
+
+/**
+ * Loads an invoice with its customer, line items and the seller profile, in
+ * the shape writeInvoicePdf expects. Returns null when the invoice does not
+ * exist.
+ */
+const loadInvoiceForPdf = async (invoiceId) => {
+  const [invoices] = await pool.execute(
+    `SELECT i.*,
+            c.name    AS customername,
+            c.email   AS customeremail,
+            c.phone   AS customerphone,
+            c.company AS customercompany,
+            c.address AS customeraddress,
+            c.city    AS customercity,
+            c.state   AS customerstate,
+            c.country AS customercountry,
+            c.gstin   AS customergstin
+     FROM invoices i
+     LEFT JOIN customers c ON i.customer_id = c.id
+     WHERE i.id = ? AND i.deleted_at IS NULL`,
+    [invoiceId]
+  );
+
+  if (invoices.length === 0) return null;
+
+  const [items] = await pool.execute(
+    "SELECT * FROM invoice_items WHERE invoice_id = ? ORDER BY created_at",
+    [invoiceId]
+  );
+
+  return { invoice: invoices[0], items, company: await getCompanyProfile() };
+};
+
+const statusColors = {
+  paid: "#10B981",
+  "partially-paid": "#8B5CF6",
+  pending: "#F59E0B",
+  overdue: "#EF4444",
+  draft: "#6B7280",
+  sent: "#3B82F6",
+  void: "#EF4444",
+};
+
+const formatDate = (value) => {
+  if (!value) {
+    const now = new Date();
+    return `${String(now.getDate()).padStart(2, "0")}/${String(
+      now.getMonth() + 1
+    ).padStart(2, "0")}/${now.getFullYear()}`;
+  }
+  const d = new Date(value);
+  if (Number.isNaN(d.getTime())) return formatDate(null);
+  return `${String(d.getDate()).padStart(2, "0")}/${String(
+    d.getMonth() + 1
+  ).padStart(2, "0")}/${d.getFullYear()}`;
+};
+
+/**
+ * Shared layout for GST documents (invoices and credit notes). `invoice` is
+ * the document header row joined with customer fields, `details` the label /
+ * value rows printed next to BILL TO.
+ */
+const renderTaxDocument = (
+  output,
+  { invoice, items, company = {} },
+  {
+    logoBase64,
+    title = company.gstin ? "TAX INVOICE" : "INVOICE",
+    numberLabel = "Invoice No",
+    details = [],
+    totalLabel = "Total Payable",
+  } = {}
+) => {
+  const subtotal = Number(invoice.amount || 0);
+
+  // Invoices from before per-line GST fall back to the invoice-level rate
+  const gst = calculateGst(
+    items.length > 0
+      ? items
+      : [{ description: "Service Charges", quantity: 1, amount: subtotal }],
+    {
+      supplyType: invoice.supply_type || "intra_state",
+      defaultRate: Number(invoice.tax || 0),
+    }
+  );
+  const taxGroups = summariseByRate(gst.lines);
+  const isInterState = gst.supplyType === "inter_state";
+
+  const formatCurrency = (amount) => `Rs. ${Number(amount).toFixed(2)}`;
+
+  const doc = new PDFDocument({ size: "A4", margin: 40 });
+  doc.pipe(output);
+
+  const brandPrimary = "#1E3A8A";
+  const brandSecondary = "#3B82F6";
+  const accentGold = "#F59E0B";
+  const textDark = "#1F2937";
+  const textGray = "#6B7280";
+  const bgLight = "#F9FAFB";
+  const borderGray = "#E5E7EB";
+
+  const pageWidth = 595.28;
+  const marginLeft = 40;
+  const marginRight = 40;
+  const contentWidth = pageWidth - marginLeft - marginRight;
+
+  let y = 40;
+
+  // HEADER LOGO
+  if (logoBase64) {
+    try {
+      let imageData = logoBase64;
+      if (logoBase64.includes(",")) {
+        imageData = logoBase64.split(",")[1];
+      }
+      const logoBuffer = Buffer.from(imageData, "base64");
+      doc.image(logoBuffer, marginLeft, y, { width: 130, fit: [130, 50] });
+    } catch (err) {
+      console.error("Logo error:", err);
+    }
+  }
+
+  // Invoice No + Date (top-right)
+  const rightX = pageWidth - marginRight - 180;
+
+  doc
+    .fontSize(10)
+    .font("Helvetica-Bold")
+    .fillColor(textDark)
+    .text(numberLabel, rightX, y + 8);
+
+  doc
+    .fontSize(10)
+    .font("Helvetica")
+    .fillColor(brandPrimary)
+    .text(invoice.invoice_number || "NA", rightX + 70, y + 8);
+
+  doc
+    .fontSize(10)
+    .font("Helvetica-Bold")
+    .fillColor(textDark)
+    .text("Date", rightX, y + 25);
+
+  doc
+    .fontSize(10)
+    .font("Helvetica")
+    .fillColor(textGray)
+    .text(
+      formatDate(invoice.issue_date || invoice.created_at),
+      rightX + 70,
+      y + 25
+    );
+
+  y += 60;
+
+  // SELLER (company profile)
+  if (company.name) {
+    doc
+      .fontSize(11)
+      .font("Helvetica-Bold")
+      .fillColor(textDark)
+      .text(company.name, marginLeft, y, { width: 300 });
+    y += 15;
+  }
+
+  const companyLines = [
+    company.address,
+    company.gstin ? `GSTIN: ${company.gstin}` : null,
+    company.stateCode
+      ? `State: ${stateName(company.stateCode) || ""} (${company.stateCode})`
+      : null,
+  ]
+    .filter(Boolean)
+    .join("\n");
+
+  if (companyLines) {
+    doc
+      .fontSize(8)
+      .font("Helvetica")
+      .fillColor(textGray)
+      .text(companyLines, marginLeft, y, {
+        width: 300,
+        lineGap: 1.5,
+      });
+
+    y += doc.heightOfString(companyLines, { width: 300, lineGap: 1.5 }) + 12;
+  }
+
+  // INVOICE TITLE
+  doc
+    .fontSize(28)
+    .font("Helvetica-Bold")
+    .fillColor(brandPrimary)
+    .text(title, marginLeft, y, {
+      align: "center",
+      width: contentWidth,
+    });
+
+  y += 35;
+
+  doc
+    .moveTo(marginLeft, y)
+    .lineTo(pageWidth - marginRight, y)
+    .strokeColor(brandSecondary)
+    .lineWidth(2)
+    .stroke();
+
+  y += 15;
+
+  // BILL TO / DUE DATE + STATUS
+  const billToX = marginLeft;
+  const detailsX = marginLeft + 280;
+
+  doc
+    .fontSize(9)
+    .font("Helvetica-Bold")
+    .fillColor(brandPrimary)
+    .text("BILL TO", billToX, y);
+
+  let billY = y + 15;
+
+  doc
+    .fontSize(12)
+    .font("Helvetica-Bold")
+    .fillColor(textDark)
+    .text(invoice.customername || "Customer Name", billToX, billY);
+
+  billY += 18;
+
+  if (invoice.customercompany) {
+    doc
+      .fontSize(10)
+      .font("Helvetica")
+      .fillColor(textGray)
+      .text(invoice.customercompany, billToX, billY);
+    billY += 14;
+  }
+
+  if (invoice.customeremail) {
+    doc
+      .fontSize(9)
+      .font("Helvetica")
+      .fillColor(textGray)
+      .text(`Email: ${invoice.customeremail}`, billToX, billY);
+    billY += 12;
+  }
+
+  if (invoice.customerphone) {
+    doc
+      .fontSize(9)
+      .font("Helvetica")
+      .fillColor(textGray)
+      .text(`Phone: ${invoice.customerphone}`, billToX, billY);
+    billY += 12;
+  }
+
+  const customerGstin = invoice.customer_gstin || invoice.customergstin;
+  if (customerGstin) {
+    doc
+      .fontSize(9)
+      .font("Helvetica-Bold")
+      .fillColor(textDark)
+      .text(`GSTIN: ${customerGstin}`, billToX, billY);
+    billY += 12;
+  }
+
+  const addrParts = [
+    invoice.customeraddress,
+    invoice.customercity,
+    invoice.customerstate,
+    invoice.customercountry,
+  ].filter(Boolean);
+
+  if (addrParts.length > 0) {
+    const addr = addrParts.join(", ");
+    doc
+      .fontSize(9)
+      .font("Helvetica")
+      .fillColor(textGray)
+      .text(addr, billToX, billY, {
+        width: 260,
+        lineGap: 1.5,
+      });
+    billY += doc.heightOfString(addr, { width: 260 }) + 8;
+  }
+
+  // Right side: document details (due date + status for invoices)
+  let detailsY = y + 15;
+
+  const detailRows = [...details];
+  if (invoice.place_of_supply) {
+    detailRows.push([
+      "Place of Supply",
+      `${stateName(invoice.place_of_supply) || ""} (${invoice.place_of_supply})`,
+    ]);
+  }
+
+  detailRows.forEach(([label, value, color], i) => {
+    if (i > 0) detailsY += 18;
+
+    doc
+      .fontSize(9)
+      .font("Helvetica-Bold")
+      .fillColor(textDark)
+      .text(label, detailsX, detailsY);
+
+    doc
+      .fontSize(9)
+      .font(color ? "Helvetica-Bold" : "Helvetica")
+      .fillColor(color || textGray)
+      .text(value, detailsX + 85, detailsY, { width: contentWidth - 365 });
+  });
+
+  y = Math.max(billY, detailsY + 20);
+
+  // ITEMS TABLE
+  const tableTop = y;
+  const colWidths = {
+    sr: 40,
+    desc: contentWidth - 285,
+    hsn: 70,
+    gst: 55,
+    amount: 120,
+  };
+  const colX = {
+    sr: marginLeft,
+    desc: marginLeft + colWidths.sr,
+    hsn: marginLeft + colWidths.sr + colWidths.desc,
+    gst: marginLeft + colWidths.sr + colWidths.desc + colWidths.hsn,
+    amount: pageWidth - marginRight - colWidths.amount,
+  };
+
+  // Header row
+  doc
+    .rect(marginLeft, tableTop, contentWidth, 28)
+    .fillAndStroke(bgLight, borderGray);
+
+  doc
+    .fontSize(9)
+    .font("Helvetica-Bold")
+    .fillColor(brandPrimary)
+    .text("Sr.", colX.sr + 5, tableTop + 10, {
+      width: colWidths.sr,
+      align: "center",
+    });
+
+  doc.text("Service Description", colX.desc + 8, tableTop + 10, {
+    width: colWidths.desc - 16,
+  });
+
+  doc.text("HSN/SAC", colX.hsn, tableTop + 10, {
+    width: colWidths.hsn,
+    align: "center",
+  });
+
+  doc.text("GST %", colX.gst, tableTop + 10, {
+    width: colWidths.gst,
+    align: "center",
+  });
+
+  doc.text("Taxable (Rs.)", colX.amount, tableTop + 10, {
+    width: colWidths.amount - 8,
+    align: "right",
+  });
+
+  y = tableTop + 28;
+
+  doc.fontSize(9).font("Helvetica").fillColor(textDark);
+
+  const rowHeight = 28;
+  gst.lines.forEach((item, i) => {
+    if (i % 2 === 1) {
+      doc.rect(marginLeft, y, contentWidth, rowHeight).fill("#FAFAFA");
+    }
+
+    // main row
+    doc
+      .fontSize(9)
+      .font("Helvetica")
+      .fillColor(textDark)
+      .text((i + 1).toString(), colX.sr + 5, y + 10, {
+        width: colWidths.sr,
+        align: "center",
+      });
+
+    doc.text(item.description || "Service", colX.desc + 8, y + 10, {
+      width: colWidths.desc - 16,
+    });
+
+    doc.text(item.hsnSac || "-", colX.hsn, y + 10, {
+      width: colWidths.hsn,
+      align: "center",
+    });
+
+    doc.text(`${item.gstRate}%`, colX.gst, y + 10, {
+      width: colWidths.gst,
+      align: "center",
+    });
+
+    doc
+      .font("Helvetica-Bold")
+      .text(item.taxableValue.toFixed(2), colX.amount, y + 10, {
+        width: colWidths.amount - 8,
+        align: "right",
+      })
+      .font("Helvetica");
+
+    y += rowHeight;
+
+    // breakdown bullets
+    let breakdown = null;
+    if (item.breakdown) {
+      try {
+        breakdown =
+          typeof item.breakdown === "string"
+            ? JSON.parse(item.breakdown)
+            : item.breakdown;
+      } catch {
+        breakdown = null;
+      }
+    }
+
+    if (Array.isArray(breakdown) && breakdown.length > 0) {
+      breakdown.forEach((b) => {
+        const label = b.label || "";
+        const amt = Number(b.amount || 0);
+
+        doc
+          .fontSize(8)
+          .font("Helvetica")
+          .fillColor(textGray)
+          .text(`• ${label}`, colX.desc + 16, y + 6, {
+            width: colWidths.desc - 24,
+          });
+
+        doc
+          .fontSize(8)
+          .font("Helvetica")
+          .fillColor(textGray)
+          .text(amt.toFixed(2), colX.amount, y + 6, {
+            width: colWidths.amount - 8,
+            align: "right",
+          });
+
+        y += 16;
+      });
+    }
+
+    // divider
+    doc
+      .moveTo(marginLeft, y)
+      .lineTo(pageWidth - marginRight, y)
+      .strokeColor(borderGray)
+      .lineWidth(1)
+      .stroke();
+
+    y += 15;
+  });
+
+  // TOTALS
+  const totalsX = pageWidth - marginRight - 220;
+  const labelX = totalsX;
+  const valueX = pageWidth - marginRight - 80;
+
+  doc
+    .fontSize(10)
+    .font("Helvetica")
+    .fillColor(textDark)
+    .text("Taxable Value", labelX, y);
+
+  doc
+    .font("Helvetica-Bold")
+    .text(formatCurrency(gst.totals.taxable), valueX, y, {
+      align: "right",
+      width: 80,
+    });
+
+  y += 15;
+
+  const taxRows = [];
+  taxGroups.forEach((group) => {
+    if (isInterState) {
+      taxRows.push([`IGST @ ${group.gstRate}%`, group.igst]);
+    } else {
+      taxRows.push([`CGST @ ${group.gstRate / 2}%`, group.cgst]);
+      taxRows.push([`SGST @ ${group.gstRate / 2}%`, group.sgst]);
+    }
+  });
+
+  taxRows.forEach(([label, amount]) => {
+    doc
+      .font("Helvetica")
+      .fillColor(accentGold)
+      .text(label, labelX, y);
+
+    doc
+      .font("Helvetica-Bold")
+      .fillColor(accentGold)
+      .text(formatCurrency(amount), valueX, y, {
+        align: "right",
+        width: 80,
+      });
+
+    y += 15;
+  });
+
+  doc
+    .moveTo(labelX, y)
+    .lineTo(pageWidth - marginRight, y)
+    .strokeColor(borderGray)
+    .lineWidth(1)
+    .stroke();
+
+  y += 10;
+
+  // Total box
+  doc
+    .rect(labelX - 8, y - 5, 228, 32)
+    .fillAndStroke("#EEF2FF", brandSecondary);
+
+  doc
+    .fontSize(11)
+    .font("Helvetica-Bold")
+    .fillColor(brandPrimary)
+    .text(totalLabel, labelX, y + 8);
+
+  doc
+    .fontSize(13)
+    .font("Helvetica-Bold")
+    .fillColor(brandPrimary)
+    .text(formatCurrency(gst.totals.total), valueX - 5, y + 7, {
+      align: "right",
+      width: 85,
+    });
+
+  y += 40;
+
+  const totalInWords = `Amount in words: ${amountInWords(gst.totals.total)}`;
+
+  doc
+    .fontSize(9)
+    .font("Helvetica-Oblique")
+    .fillColor(textDark)
+    .text(totalInWords, marginLeft, y, { width: contentWidth });
+
+  y += doc.heightOfString(totalInWords, { width: contentWidth }) + 12;
+
+  // BANK DETAILS / CONTACT INFO (company profile)
+  const bankDetails = [
+    company.bankAccountNumber ? "Bank Details:" : null,
+    company.bankAccountName ? `Account Name: ${company.bankAccountName}` : null,
+    company.bankName ? `Bank: ${company.bankName}` : null,
+    company.bankAccountNumber ? `Account No: ${company.bankAccountNumber}` : null,
+    company.bankIfsc ? `IFSC: ${company.bankIfsc}` : null,
+    company.phone || company.email
+      ? `\nContact: ${[company.phone, company.email].filter(Boolean).join(" | ")}`
+      : null,
+  ]
+    .filter(Boolean)
+    .join("\n");
+
+  if (bankDetails) {
+    doc
+      .fontSize(9)
+      .font("Helvetica")
+      .fillColor(textDark)
+      .text(bankDetails, marginLeft, y, {
+        width: contentWidth,
+        lineGap: 2,
+      });
+
+    y += doc.heightOfString(bankDetails, { width: contentWidth, lineGap: 2 }) + 12;
+  }
+
+  // NOTES
+  if (invoice.notes && String(invoice.notes).trim()) {
+    doc
+      .fontSize(10)
+      .font("Helvetica-Bold")
+      .fillColor(textDark)
+      .text("Notes", marginLeft, y);
+
+    y += 14;
+
+    doc
+      .fontSize(9)
+      .font("Helvetica")
+      .fillColor(textGray)
+      .text(String(invoice.notes).trim(), marginLeft, y, {
+        width: contentWidth,
+        lineGap: 2,
+      });
+
+    y += doc.heightOfString(String(invoice.notes).trim(), {
+      width: contentWidth,
+    }) + 20;
+  }
+
+  // FOOTER
+  const footerY = 780;
+  doc
+    .fontSize(9)
+    .font("Helvetica")
+    .fillColor(textGray)
+    .text("Thank you for your business!", marginLeft, footerY, {
+      align: "center",
+      width: contentWidth,
+    });
+
+  doc
+    .fontSize(7.5)
+    .fillColor("#9CA3AF")
+    .text(
+      `Generated on ${new Date().toLocaleDateString("en-IN", {
+        day: "2-digit",
+        month: "2-digit",
+        year: "numeric",
+      })}`,
+      marginLeft,
+      footerY + 12,
+      {
+        align: "center",
+        width: contentWidth,
+      }
+    );
+
+  doc.end();
+};
+
+/**
+ * Renders the invoice PDF into `output` (an HTTP response, file stream, ...).
+ * The stream is ended once the document is complete.
+ */
+const writeInvoicePdf = (output, data, { logoBase64 } = {}) => {
+  const { invoice } = data;
+  const status = invoice.status || "draft";
+
+  renderTaxDocument(output, data, {
+    logoBase64,
+    details: [
+      ["Due Date", formatDate(invoice.due_date)],
+      ["Status", status.toUpperCase(), statusColors[status] || "#6B7280"],
+    ],
+  });
+};
+
+module.exports = { loadInvoiceForPdf, writeInvoicePdf, renderTaxDocument, formatDate };
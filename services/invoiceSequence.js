@@ -0,0 +1,205 @@
+// services/invoiceSequence.js
+const { pool } = require("../config/database");
+const { getSetting, setSetting } = require("./settings");
+
+/**
+ * Document numbering backed by the invoice_sequences table.
+ *
+ * Format tokens:
+ *   {FY}       financial year, e.g. 2026-27
+ *   {FY_START} first year of the financial year, e.g. 2026
+ *   {YYYY}     calendar year of the document date
+ *   {MM}       month of the document date
+ *   {SEQ}      running number, zero padded to `padding`
+ *
+ * Scopes: "invoice" and "credit_note", each with its own settings and counter.
+ *
+ * Numbers are allocated with SELECT ... FOR UPDATE inside the caller's
+ * transaction, so a rolled back invoice gives its number back (no gaps) and
+ * concurrent requests never receive the same number.
+ */
+
+const DEFAULT_NUMBERING = {
+  invoice: {
+    format: "VT/{FY}/{SEQ}",
+    padding: 4,
+    // 4 = April, Indian financial year
+    fyStartMonth: 4,
+    // "financial_year" restarts at 1 every year, "never" keeps counting
+    resetEvery: "financial_year",
+  },
+  credit_note: {
+    format: "CN/{FY}/{SEQ}",
+    padding: 4,
+    fyStartMonth: 4,
+    resetEvery: "financial_year",
+  },
+};
+
+const RESET_POLICIES = ["financial_year", "never"];
+const settingKey = (scope) => `numbering.${scope}`;
+
+const getNumberingSettings = (scope = "invoice", db) =>
+  getSetting(settingKey(scope), DEFAULT_NUMBERING[scope] || DEFAULT_NUMBERING.invoice, db);
+
+const financialYear = (date, fyStartMonth) => {
+  const month = date.getMonth() + 1;
+  const start = month >= fyStartMonth ? date.getFullYear() : date.getFullYear() - 1;
+  const end = String((start + 1) % 100).padStart(2, "0");
+  return { start, label: `${start}-${end}` };
+};
+
+const periodFor = (settings, date) => {
+  if (settings.resetEvery === "never") return "all";
+  return financialYear(date, Number(settings.fyStartMonth) || 1).label;
+};
+
+const formatNumber = (settings, date, value) => {
+  const fy = financialYear(date, Number(settings.fyStartMonth) || 1);
+  return settings.format
+    .replace(/\{FY\}/g, fy.label)
+    .replace(/\{FY_START\}/g, String(fy.start))
+    .replace(/\{YYYY\}/g, String(date.getFullYear()))
+    .replace(/\{MM\}/g, String(date.getMonth() + 1).padStart(2, "0"))
+    .replace(/\{SEQ\}/g, String(value).padStart(Number(settings.padding) || 1, "0"));
+};
+
+const validateNumberingSettings = (settings) => {
+  const errors = [];
+  if (typeof settings.format !== "string" || !settings.format.includes("{SEQ}")) {
+    errors.push("format must contain {SEQ}");
+  } else if (settings.format.length > 60) {
+    errors.push("format must be at most 60 characters");
+  }
+  const padding = Number(settings.padding);
+  if (!Number.isInteger(padding) || padding < 1 || padding > 10) {
+    errors.push("padding must be an integer between 1 and 10");
+  }
+  const month = Number(settings.fyStartMonth);
+  if (!Number.isInteger(month) || month < 1 || month > 12) {
+    errors.push("fyStartMonth must be an integer between 1 and 12");
+  }
+  if (!RESET_POLICIES.includes(settings.resetEvery)) {
+    errors.push(`resetEvery must be one of ${RESET_POLICIES.join(", ")}`);
+  } else if (
+    settings.resetEvery === "financial_year" &&
+    typeof settings.format === "string" &&
+    !/\{FY(_START)?\}/.test(settings.format)
+  ) {
+    // The counter restarts every year, so the year must tell the numbers apart
+    // ({YYYY} does not: January to March belong to the previous financial year)
+    errors.push('format must contain {FY} or {FY_START} when resetEvery is "financial_year"');
+  }
+  return errors;
+};
+
+/**
+ * Allocates the next number for `scope`. Must be called with a connection
+ * that has an open transaction; the number is only consumed on commit.
+ */
+const allocateDocumentNumber = async (connection, { scope = "invoice", date = new Date() } = {}) => {
+  const settings = await getNumberingSettings(scope, connection);
+  const period = periodFor(settings, date);
+
+  await connection.execute(
+    `INSERT INTO invoice_sequences (scope, period, next_value)
+     VALUES (?, ?, 1)
+     ON DUPLICATE KEY UPDATE next_value = next_value`,
+    [scope, period]
+  );
+
+  const [rows] = await connection.execute(
+    "SELECT next_value FROM invoice_sequences WHERE scope = ? AND period = ? FOR UPDATE",
+    [scope, period]
+  );
+  const value = Number(rows[0].next_value);
+
+  await connection.execute(
+    "UPDATE invoice_sequences SET next_value = next_value + 1 WHERE scope = ? AND period = ?",
+    [scope, period]
+  );
+
+  return formatNumber(settings, date, value);
+};
+
+const allocateInvoiceNumber = (connection, date) =>
+  allocateDocumentNumber(connection, { scope: "invoice", date });
+
+const allocateCreditNoteNumber = (connection, date) =>
+  allocateDocumentNumber(connection, { scope: "credit_note", date });
+
+// Settings + the number the next document of the current period will get
+const describeNumbering = async (scope = "invoice", db = pool) => {
+  const settings = await getNumberingSettings(scope, db);
+  const now = new Date();
+  const period = periodFor(settings, now);
+
+  const [rows] = await db.execute(
+    "SELECT next_value FROM invoice_sequences WHERE scope = ? AND period = ?",
+    [scope, period]
+  );
+  const nextValue = rows.length > 0 ? Number(rows[0].next_value) : 1;
+
+  return {
+    settings,
+    currentPeriod: period,
+    nextValue,
+    nextNumber: formatNumber(settings, now, nextValue),
+  };
+};
+
+/**
+ * Saves numbering settings. `nextValue` optionally moves the counter of the
+ * current period forward (e.g. when continuing numbering from another system);
+ * it can never go backwards, which would re-issue numbers.
+ */
+const updateNumbering = async (connection, scope, { nextValue, ...changes }, updatedBy) => {
+  const current = await getNumberingSettings(scope, connection);
+  const settings = { ...current, ...changes };
+
+  const errors = validateNumberingSettings(settings);
+  if (errors.length > 0) {
+    const error = new Error(errors.join("; "));
+    error.status = 400;
+    throw error;
+  }
+
+  await setSetting(settingKey(scope), settings, updatedBy, connection);
+
+  if (nextValue !== undefined) {
+    const period = periodFor(settings, new Date());
+    await connection.execute(
+      `INSERT INTO invoice_sequences (scope, period, next_value)
+       VALUES (?, ?, 1)
+       ON DUPLICATE KEY UPDATE next_value = next_value`,
+      [scope, period]
+    );
+    const [rows] = await connection.execute(
+      "SELECT next_value FROM invoice_sequences WHERE scope = ? AND period = ? FOR UPDATE",
+      [scope, period]
+    );
+    if (Number(nextValue) < Number(rows[0].next_value)) {
+      const error = new Error(
+        `nextValue cannot be lower than the current counter (${rows[0].next_value})`
+      );
+      error.status = 400;
+      throw error;
+    }
+    await connection.execute(
+      "UPDATE invoice_sequences SET next_value = ? WHERE scope = ? AND period = ?",
+      [Number(nextValue), scope, period]
+    );
+  }
+
+  return settings;
+};
+
+module.exports = {
+  DEFAULT_NUMBERING,
+  formatNumber,
+  allocateDocumentNumber,
+  allocateInvoiceNumber,
+  allocateCreditNoteNumber,
+  describeNumbering,
+  updateNumbering,
+};
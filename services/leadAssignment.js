@@ -0,0 +1,323 @@
+// services/leadAssignment.js
+const { v4: uuidv4 } = require("uuid");
+const { pool } = require("../config/database");
+const { recordActivity } = require("./activities");
+
+/**
+ * Assignment rules give unassigned new leads an owner. Active rules are
+ * tried by priority (highest first); a rule applies when the lead's service
+ * and source are in its `services` / `sources` (empty lists match anything)
+ * and one of its users still has capacity:
+ *   strategy        round_robin  takes turns, starting after the last user
+ *                                the rule assigned
+ *                   least_loaded picks the user with the fewest open leads
+ *   userIds         users to choose from, in turn order (empty = every
+ *                   active user)
+ *   maxOpenLeads    users holding this many open leads are skipped
+ *                   (null = no limit)
+ * When no rule can assign the lead it stays unassigned. Every change of
+ * owner, by a rule or by a user, is recorded in lead_assignments.
+ */
+
+const STRATEGIES = ["round_robin", "least_loaded"];
+const LEAD_SERVICES = ["whatsapp-business-api", "website-development", "ai-agent", "other"];
+const LEAD_SOURCES = ["website", "referral", "social", "advertisement", "cold-call", "whatsapp", "other"];
+// Leads in these statuses no longer count towards a user's capacity
+const CLOSED_STATUSES = ["closed-won", "closed-lost"];
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+const parseJson = (value, fallback) => {
+  if (value === null || value === undefined) return fallback;
+  if (typeof value !== "string") return value;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return fallback;
+  }
+};
+
+const formatRule = (row) => ({
+  ...row,
+  is_active: Boolean(row.is_active),
+  services: parseJson(row.services, []),
+  sources: parseJson(row.sources, []),
+  user_ids: parseJson(row.user_ids, []),
+});
+
+// ================== RULES ==================
+
+const validateRule = ({ strategy, services, sources, userIds, maxOpenLeads }) => {
+  if (!STRATEGIES.includes(strategy)) throw badRequest(`Strategy must be one of ${STRATEGIES.join(", ")}`);
+
+  const checkList = (label, list, allowed) => {
+    if (!Array.isArray(list)) throw badRequest(`${label} must be a list`);
+    const unknown = allowed ? list.filter((value) => !allowed.includes(value)) : [];
+    if (unknown.length > 0) throw badRequest(`Unknown ${label}: ${unknown.join(", ")}`);
+  };
+  checkList("services", services, LEAD_SERVICES);
+  checkList("sources", sources, LEAD_SOURCES);
+  checkList("userIds", userIds);
+
+  if (maxOpenLeads !== null && (!Number.isInteger(maxOpenLeads) || maxOpenLeads < 1)) {
+    throw badRequest("maxOpenLeads must be a positive whole number or null");
+  }
+};
+
+const listRules = async ({ active } = {}) => {
+  let sql = "SELECT * FROM lead_assignment_rules";
+  const params = [];
+  if (active !== undefined) {
+    sql += " WHERE is_active = ?";
+    params.push(active ? 1 : 0);
+  }
+  const [rows] = await pool.execute(`${sql} ORDER BY priority DESC, created_at`, params);
+  return rows.map(formatRule);
+};
+
+const getRule = async (ruleId, db = pool) => {
+  const [rows] = await db.execute("SELECT * FROM lead_assignment_rules WHERE id = ?", [ruleId]);
+  return rows[0] ? formatRule(rows[0]) : null;
+};
+
+/**
+ * Creates (no `ruleId`) or updates a rule. `fields` uses the API names:
+ * name, isActive, priority, services, sources, strategy, userIds,
+ * maxOpenLeads.
+ */
+const saveRule = async (ruleId, fields, userId) => {
+  const current = ruleId ? await getRule(ruleId) : null;
+  if (ruleId && !current) return null;
+
+  const rule = {
+    name: fields.name ?? current?.name,
+    isActive: fields.isActive ?? current?.is_active ?? true,
+    priority: fields.priority ?? current?.priority ?? 0,
+    services: fields.services ?? current?.services ?? [],
+    sources: fields.sources ?? current?.sources ?? [],
+    strategy: fields.strategy ?? current?.strategy ?? "round_robin",
+    userIds: [...new Set(fields.userIds ?? current?.user_ids ?? [])],
+    maxOpenLeads: fields.maxOpenLeads !== undefined ? fields.maxOpenLeads : current?.max_open_leads ?? null,
+  };
+
+  if (!rule.name) throw badRequest("Name is required");
+  validateRule(rule);
+
+  if (rule.userIds.length > 0) {
+    const [users] = await pool.execute(
+      `SELECT id FROM users WHERE id IN (${rule.userIds.map(() => "?").join(", ")})`,
+      rule.userIds
+    );
+    const known = users.map((user) => user.id);
+    const unknown = rule.userIds.filter((id) => !known.includes(id));
+    if (unknown.length > 0) throw badRequest(`Unknown users: ${unknown.join(", ")}`);
+  }
+
+  const values = [
+    rule.name,
+    rule.isActive ? 1 : 0,
+    Number(rule.priority) || 0,
+    JSON.stringify(rule.services),
+    JSON.stringify(rule.sources),
+    rule.strategy,
+    JSON.stringify(rule.userIds),
+    rule.maxOpenLeads,
+  ];
+
+  if (current) {
+    await pool.execute(
+      `UPDATE lead_assignment_rules
+       SET name = ?, is_active = ?, priority = ?, services = ?, sources = ?, strategy = ?,
+           user_ids = ?, max_open_leads = ?, updated_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [...values, ruleId]
+    );
+    return getRule(ruleId);
+  }
+
+  const id = uuidv4();
+  await pool.execute(
+    `INSERT INTO lead_assignment_rules (
+      name, is_active, priority, services, sources, strategy, user_ids, max_open_leads, id, created_by
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [...values, id, userId || null]
+  );
+  return getRule(id);
+};
+
+const deleteRule = async (ruleId) => {
+  const [result] = await pool.execute("DELETE FROM lead_assignment_rules WHERE id = ?", [ruleId]);
+  return result.affectedRows > 0;
+};
+
+// ================== ASSIGNMENT ==================
+
+const ruleMatches = (rule, lead) =>
+  (rule.services.length === 0 || rule.services.includes(lead.service)) &&
+  (rule.sources.length === 0 || rule.sources.includes(lead.source));
+
+// Active users the rule chooses from, in turn order
+const candidatesFor = async (rule, db) => {
+  if (rule.user_ids.length === 0) {
+    const [users] = await db.execute("SELECT id FROM users WHERE is_active = TRUE ORDER BY created_at, id");
+    return users.map((user) => user.id);
+  }
+
+  const [users] = await db.execute(
+    `SELECT id FROM users WHERE is_active = TRUE AND id IN (${rule.user_ids.map(() => "?").join(", ")})`,
+    rule.user_ids
+  );
+  const active = users.map((user) => user.id);
+  return rule.user_ids.filter((id) => active.includes(id));
+};
+
+const openLeadCounts = async (userIds, db) => {
+  if (userIds.length === 0) return {};
+  const [rows] = await db.execute(
+    `SELECT assigned_to, COUNT(*) AS total
+     FROM leads
+     WHERE assigned_to IN (${userIds.map(() => "?").join(", ")})
+       AND deleted_at IS NULL
+       AND status NOT IN (${CLOSED_STATUSES.map(() => "?").join(", ")})
+     GROUP BY assigned_to`,
+    [...userIds, ...CLOSED_STATUSES]
+  );
+  return Object.fromEntries(rows.map((row) => [row.assigned_to, Number(row.total)]));
+};
+
+// The user the rule gives its next lead to, or null when everyone is at capacity
+const pickUser = (rule, candidates, counts) => {
+  // Rotate so the user after the last one assigned comes first
+  const last = candidates.indexOf(rule.last_assigned_to);
+  const order = [...candidates.slice(last + 1), ...candidates.slice(0, last + 1)];
+
+  const available = order.filter(
+    (userId) => rule.max_open_leads === null || (counts[userId] || 0) < rule.max_open_leads
+  );
+  if (available.length === 0) return null;
+  if (rule.strategy === "round_robin") return available[0];
+
+  return available.reduce((best, userId) => ((counts[userId] || 0) < (counts[best] || 0) ? userId : best));
+};
+
+/**
+ * Records a change of owner. `method` is "rule" (with `ruleId`) or "manual"
+ * (with `assignedBy`, the user who made the change).
+ */
+const recordAssignment = async (
+  { leadId, assignedTo, previousAssignedTo = null, method = "manual", ruleId = null, assignedBy = null, note = null },
+  db = pool
+) => {
+  await db.execute(
+    `INSERT INTO lead_assignments (id, lead_id, assigned_to, previous_assigned_to, method, rule_id, assigned_by, note)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+    [uuidv4(), leadId, assignedTo || null, previousAssignedTo || null, method, ruleId, assignedBy, note]
+  );
+};
+
+/**
+ * Runs the assignment rules for an unassigned lead. Returns
+ * { assignedTo, ruleId, ruleName }, or null when the lead already has an
+ * owner or no rule could assign it.
+ */
+const assignLead = async (leadId) => {
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+
+    const [leads] = await connection.execute(
+      "SELECT id, service, source, assigned_to FROM leads WHERE id = ? FOR UPDATE",
+      [leadId]
+    );
+    const lead = leads[0];
+    if (!lead || lead.assigned_to) {
+      await connection.commit();
+      return null;
+    }
+
+    const [ruleRows] = await connection.execute(
+      "SELECT * FROM lead_assignment_rules WHERE is_active = TRUE ORDER BY priority DESC, created_at"
+    );
+
+    for (const rule of ruleRows.map(formatRule).filter((candidate) => ruleMatches(candidate, lead))) {
+      // Locks the rule so concurrent leads take consecutive turns
+      const locked = formatRule(
+        (await connection.execute("SELECT * FROM lead_assignment_rules WHERE id = ? FOR UPDATE", [rule.id]))[0][0]
+      );
+
+      const candidates = await candidatesFor(locked, connection);
+      const userId = pickUser(locked, candidates, await openLeadCounts(candidates, connection));
+      if (!userId) continue;
+
+      await connection.execute(
+        "UPDATE leads SET assigned_to = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?",
+        [userId, lead.id]
+      );
+      await connection.execute("UPDATE lead_assignment_rules SET last_assigned_to = ? WHERE id = ?", [
+        userId,
+        locked.id,
+      ]);
+      await recordAssignment(
+        { leadId: lead.id, assignedTo: userId, method: "rule", ruleId: locked.id, note: `Rule "${locked.name}"` },
+        connection
+      );
+      const [users] = await connection.execute("SELECT name FROM users WHERE id = ?", [userId]);
+      await recordActivity(
+        {
+          entityType: "lead",
+          entityId: lead.id,
+          type: "assigned",
+          title: `Assigned to ${users[0]?.name || "a user"} by rule "${locked.name}"`,
+          details: { from: null, to: userId, ruleId: locked.id },
+        },
+        connection
+      );
+
+      await connection.commit();
+      return { assignedTo: userId, ruleId: locked.id, ruleName: locked.name };
+    }
+
+    await connection.commit();
+    return null;
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+};
+
+// Assignment history of a lead, newest first
+const getAssignmentHistory = async (leadId) => {
+  const [rows] = await pool.execute(
+    `SELECT la.*,
+            u.name  AS assigned_user_name,
+            pu.name AS previous_user_name,
+            bu.name AS assigned_by_name,
+            r.name  AS rule_name
+     FROM lead_assignments la
+     LEFT JOIN users u  ON la.assigned_to = u.id
+     LEFT JOIN users pu ON la.previous_assigned_to = pu.id
+     LEFT JOIN users bu ON la.assigned_by = bu.id
+     LEFT JOIN lead_assignment_rules r ON la.rule_id = r.id
+     WHERE la.lead_id = ?
+     ORDER BY la.created_at DESC`,
+    [leadId]
+  );
+  return rows;
+};
+
+module.exports = {
+  STRATEGIES,
+  listRules,
+  getRule,
+  saveRule,
+  deleteRule,
+  assignLead,
+  recordAssignment,
+  getAssignmentHistory,
+};
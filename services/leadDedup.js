@@ -0,0 +1,444 @@
+// services/leadDedup.js
+const { v4: uuidv4 } = require("uuid");
+const { pool } = require("../config/database");
+const { getSetting, setSetting } = require("./settings");
+const { phoneKey, phoneKeySql } = require("./whatsappConversations");
+const { refreshLeadScore } = require("./leadScoring");
+const { recordActivity } = require("./activities");
+
+/**
+ * Duplicate detection and merging for leads.
+ *
+ * A new lead matches an existing one on its normalized email (lowercased,
+ * WhatsApp placeholder addresses ignored) or on the last 10 digits of its
+ * phone / WhatsApp number, compared against both columns. What happens then
+ * is configured in app_settings under "lead_dedup":
+ *   policy        for leads captured automatically (public form, website
+ *                 backend, WhatsApp chatbot)
+ *   manualPolicy  for leads created by users in the CRM
+ * with the policies
+ *   merge   no new lead; the enquiry is folded into the existing lead
+ *   link    the new lead is created and points at the existing one
+ *   flag    like link, but listed for review (GET /api/leads/duplicates)
+ *   reject  (manual only) the request fails with 409 and the matches
+ */
+
+const SETTING_KEY = "lead_dedup";
+const POLICIES = ["merge", "link", "flag"];
+const MANUAL_POLICIES = ["reject", ...POLICIES];
+const MATCH_FIELDS = ["email", "phone", "whatsapp"];
+
+const DEFAULT_DEDUP_SETTINGS = {
+  policy: "merge",
+  manualPolicy: "reject",
+  matchOn: MATCH_FIELDS,
+};
+
+const PLACEHOLDER_EMAIL = /@whatsapp\.local$/i;
+const MIN_PHONE_DIGITS = 7;
+const PRIORITY_RANK = { low: 0, medium: 1, high: 2 };
+
+// Copied onto the surviving lead by a merge when it has no value of its own
+const FILLABLE_FIELDS = [
+  "phone",
+  "company",
+  "whatsapp_number",
+  "service",
+  "assigned_to",
+  "expected_close_date",
+  "converted_customer_id",
+];
+
+const httpError = (status, message) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const isEmpty = (value) => value === null || value === undefined || value === "";
+
+const normaliseEmail = (email) => {
+  const value = String(email || "").trim().toLowerCase();
+  return value && !PLACEHOLDER_EMAIL.test(value) ? value : null;
+};
+
+const matchKey = (phone) => {
+  const key = phoneKey(phone);
+  return key.length >= MIN_PHONE_DIGITS ? key : null;
+};
+
+const getDedupSettings = async (db = pool) => getSetting(SETTING_KEY, DEFAULT_DEDUP_SETTINGS, db);
+
+const updateDedupSettings = async (changes, updatedBy) => {
+  const settings = { ...(await getDedupSettings()) };
+
+  if (changes.policy !== undefined) {
+    if (!POLICIES.includes(changes.policy)) throw httpError(400, `policy must be one of ${POLICIES.join(", ")}`);
+    settings.policy = changes.policy;
+  }
+  if (changes.manualPolicy !== undefined) {
+    if (!MANUAL_POLICIES.includes(changes.manualPolicy)) {
+      throw httpError(400, `manualPolicy must be one of ${MANUAL_POLICIES.join(", ")}`);
+    }
+    settings.manualPolicy = changes.manualPolicy;
+  }
+  if (changes.matchOn !== undefined) {
+    if (!Array.isArray(changes.matchOn) || changes.matchOn.some((field) => !MATCH_FIELDS.includes(field))) {
+      throw httpError(400, `matchOn must list fields from ${MATCH_FIELDS.join(", ")}`);
+    }
+    settings.matchOn = [...new Set(changes.matchOn)];
+  }
+
+  await setSetting(SETTING_KEY, settings, updatedBy);
+  return settings;
+};
+
+/**
+ * Existing leads matching `email`, `phone` or `whatsappNumber`, originals
+ * (leads that are not themselves duplicates) and oldest first. Each row
+ * lists what matched in `matched_on`.
+ */
+const findDuplicateLeads = async (
+  { email, phone, whatsappNumber },
+  { excludeId = null, matchOn = MATCH_FIELDS, db = pool } = {}
+) => {
+  const conditions = [];
+  const params = [];
+
+  const normalisedEmail = matchOn.includes("email") ? normaliseEmail(email) : null;
+  if (normalisedEmail) {
+    conditions.push("LOWER(TRIM(email)) = ?");
+    params.push(normalisedEmail);
+  }
+
+  const keys = [
+    ...new Set(
+      [matchOn.includes("phone") ? matchKey(phone) : null, matchOn.includes("whatsapp") ? matchKey(whatsappNumber) : null].filter(
+        Boolean
+      )
+    ),
+  ];
+  keys.forEach((key) => {
+    conditions.push(`${phoneKeySql("phone")} = ?`, `${phoneKeySql("whatsapp_number")} = ?`);
+    params.push(key, key);
+  });
+
+  if (conditions.length === 0) return [];
+
+  const [rows] = await db.execute(
+    `SELECT id, name, email, phone, whatsapp_number, company, source, status, assigned_to,
+            converted_customer_id, duplicate_of, created_at
+     FROM leads
+     WHERE (${conditions.join(" OR ")}) AND id != ? AND deleted_at IS NULL
+     ORDER BY duplicate_of IS NOT NULL, created_at
+     LIMIT 10`,
+    [...params, excludeId || ""]
+  );
+
+  return rows.map((row) => ({
+    ...row,
+    matched_on: [
+      normalisedEmail && normaliseEmail(row.email) === normalisedEmail ? "email" : null,
+      keys.includes(matchKey(row.phone)) ? "phone" : null,
+      keys.includes(matchKey(row.whatsapp_number)) ? "whatsapp" : null,
+    ].filter(Boolean),
+  }));
+};
+
+/**
+ * Looks for duplicates of a lead about to be created. `channel` is "manual"
+ * for leads entered by users, anything else for automatic captures.
+ * Returns { policy, duplicate, matches }; `duplicate` is the lead the new
+ * one should be merged into or linked to (null when there is none).
+ */
+const checkDuplicate = async (fields, { channel = "public", db = pool } = {}) => {
+  const settings = await getDedupSettings(db);
+  const policy = channel === "manual" ? settings.manualPolicy : settings.policy;
+  const matches = await findDuplicateLeads(fields, { matchOn: settings.matchOn, db });
+
+  return { policy, duplicate: matches[0] || null, matches };
+};
+
+// duplicate_of / duplicate_status for a lead created under the link or flag policy
+const duplicateColumns = ({ policy, duplicate }) => {
+  if (!duplicate || !["link", "flag"].includes(policy)) return { duplicateOf: null, duplicateStatus: null };
+  return { duplicateOf: duplicate.id, duplicateStatus: policy === "flag" ? "flagged" : "linked" };
+};
+
+/**
+ * Folds a repeat enquiry into an existing lead (merge policy): empty fields
+ * are filled in and the enquiry is added to the notes.
+ */
+const absorbIntoLead = async (leadId, incoming, { source = "website" } = {}, db = pool) => {
+  const details = [
+    incoming.name && `Name: ${incoming.name}`,
+    normaliseEmail(incoming.email) && `Email: ${normaliseEmail(incoming.email)}`,
+    incoming.phone && `Phone: ${incoming.phone}`,
+    incoming.company && `Company: ${incoming.company}`,
+    incoming.service && `Service: ${incoming.service}`,
+    incoming.notes,
+  ].filter(Boolean);
+  const note = `Repeat enquiry via ${source} on ${new Date().toISOString().slice(0, 10)}: ${details.join(" | ")}`;
+
+  await db.execute(
+    `UPDATE leads
+     SET phone = COALESCE(NULLIF(phone, ''), ?),
+         company = COALESCE(NULLIF(company, ''), ?),
+         whatsapp_number = COALESCE(NULLIF(whatsapp_number, ''), ?),
+         service = CASE WHEN service IS NULL OR service = 'other' THEN COALESCE(?, service) ELSE service END,
+         email = CASE WHEN email LIKE '%@whatsapp.local' AND ? IS NOT NULL THEN ? ELSE email END,
+         notes = CONCAT_WS('\n', NULLIF(notes, ''), ?),
+         updated_at = CURRENT_TIMESTAMP
+     WHERE id = ?`,
+    [
+      incoming.phone || null,
+      incoming.company || null,
+      incoming.whatsappNumber || null,
+      incoming.service && incoming.service !== "other" ? incoming.service : null,
+      normaliseEmail(incoming.email),
+      normaliseEmail(incoming.email),
+      note,
+      leadId,
+    ]
+  );
+  await recordActivity(
+    {
+      entityType: "lead",
+      entityId: leadId,
+      type: "note",
+      title: `Repeat enquiry via ${source}`,
+      details: { notes: note },
+    },
+    db
+  );
+
+  await refreshLeadScore(leadId);
+};
+
+/**
+ * Merges `sourceIds` into `targetId`: empty fields are filled from the
+ * sources, notes are combined, tasks, deals, WhatsApp history and timelines
+ * move to the target, and the sources are deleted (a snapshot of each is kept
+ * in lead_merges). Returns a summary of what moved.
+ */
+const mergeLeads = async ({ targetId, sourceIds, mergedBy = null, reason = "manual" }) => {
+  const ids = [...new Set(sourceIds)].filter((id) => id !== targetId);
+  if (ids.length === 0) throw httpError(400, "Choose at least one lead to merge into the target");
+
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+
+    const placeholders = [targetId, ...ids].map(() => "?").join(", ");
+    const [rows] = await connection.execute(
+      `SELECT * FROM leads WHERE id IN (${placeholders}) AND deleted_at IS NULL FOR UPDATE`,
+      [targetId, ...ids]
+    );
+    const target = rows.find((row) => row.id === targetId);
+    if (!target) throw httpError(404, "Target lead not found");
+
+    const sources = ids.map((id) => rows.find((row) => row.id === id));
+    const missing = ids.filter((id, i) => !sources[i]);
+    if (missing.length > 0) throw httpError(404, `Leads not found: ${missing.join(", ")}`);
+
+    const customers = [...new Set(rows.map((row) => row.converted_customer_id).filter(Boolean))];
+    if (customers.length > 1) {
+      throw httpError(400, "These leads were converted to different customers and cannot be merged");
+    }
+
+    const merged = {};
+    FILLABLE_FIELDS.forEach((field) => {
+      if (!isEmpty(target[field])) return;
+      const donor = sources.find((source) => !isEmpty(source[field]));
+      if (donor) merged[field] = donor[field];
+    });
+    if (PLACEHOLDER_EMAIL.test(target.email || "")) {
+      const donor = sources.find((source) => normaliseEmail(source.email));
+      if (donor) merged.email = normaliseEmail(donor.email);
+    }
+    merged.estimated_value = Math.max(...rows.map((row) => Number(row.estimated_value) || 0));
+    merged.priority = rows.reduce(
+      (best, row) => (PRIORITY_RANK[row.priority] > PRIORITY_RANK[best] ? row.priority : best),
+      target.priority || "medium"
+    );
+    merged.notes =
+      [
+        target.notes,
+        ...sources
+          .filter((source) => source.notes)
+          .map((source) => `--- Merged from ${source.name} <${source.email}> ---\n${source.notes}`),
+      ]
+        .filter(Boolean)
+        .join("\n\n") || null;
+
+    const columns = Object.keys(merged);
+    await connection.execute(
+      `UPDATE leads SET ${columns.map((column) => `${column} = ?`).join(", ")}, updated_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [...columns.map((column) => merged[column]), targetId]
+    );
+
+    const sourceList = ids.map(() => "?").join(", ");
+    const [tasks] = await connection.execute(
+      `UPDATE tasks SET related_id = ? WHERE related_type = 'lead' AND related_id IN (${sourceList})`,
+      [targetId, ...ids]
+    );
+    const [deals] = await connection.execute(`UPDATE deals SET lead_id = ? WHERE lead_id IN (${sourceList})`, [
+      targetId,
+      ...ids,
+    ]);
+    const [messages] = await connection.execute(
+      `UPDATE whatsapp_messages SET lead_id = ? WHERE lead_id IN (${sourceList})`,
+      [targetId, ...ids]
+    );
+    await connection.execute(`UPDATE whatsapp_conversations SET lead_id = ? WHERE lead_id IN (${sourceList})`, [
+      targetId,
+      ...ids,
+    ]);
+    await connection.execute(`UPDATE lead_assignments SET lead_id = ? WHERE lead_id IN (${sourceList})`, [
+      targetId,
+      ...ids,
+    ]);
+    await connection.execute(
+      `UPDATE activities SET entity_id = ? WHERE entity_type = 'lead' AND entity_id IN (${sourceList})`,
+      [targetId, ...ids]
+    );
+
+    // Duplicates of the removed leads now point at the survivor
+    await connection.execute(
+      `UPDATE leads SET duplicate_of = ? WHERE duplicate_of IN (${sourceList}) AND id != ?`,
+      [targetId, ...ids, targetId]
+    );
+    await connection.execute(
+      `UPDATE leads SET duplicate_of = NULL, duplicate_status = NULL WHERE id = ? AND duplicate_of IN (${sourceList})`,
+      [targetId, ...ids]
+    );
+
+    for (const source of sources) {
+      await connection.execute(
+        `INSERT INTO lead_merges (id, surviving_lead_id, merged_lead_id, merged_lead, reason, merged_by)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [uuidv4(), targetId, source.id, JSON.stringify(source), reason, mergedBy]
+      );
+    }
+    await connection.execute(`DELETE FROM leads WHERE id IN (${sourceList})`, ids);
+    await recordActivity(
+      {
+        entityType: "lead",
+        entityId: targetId,
+        type: "merged",
+        title: `Merged ${sources.map((source) => source.name).join(", ")} into this lead`,
+        details: { mergedLeadIds: ids, reason },
+        actorId: mergedBy,
+      },
+      connection
+    );
+
+    await connection.commit();
+    await refreshLeadScore(targetId);
+
+    return {
+      leadId: targetId,
+      mergedLeadIds: ids,
+      moved: {
+        tasks: tasks.affectedRows,
+        deals: deals.affectedRows,
+        whatsappMessages: messages.affectedRows,
+      },
+    };
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+};
+
+/**
+ * Applies the automatic policy to an existing lead whose contact details
+ * just became known (e.g. the chatbot collected an email). Returns
+ * { action, leadId } where leadId is the lead that carries on.
+ */
+const reconcileLead = async (leadId) => {
+  const [leads] = await pool.execute(
+    "SELECT id, email, phone, whatsapp_number, duplicate_of FROM leads WHERE id = ? AND deleted_at IS NULL",
+    [leadId]
+  );
+  const lead = leads[0];
+  if (!lead || lead.duplicate_of) return { action: "none", leadId };
+
+  const settings = await getDedupSettings();
+  const [duplicate] = await findDuplicateLeads(
+    { email: lead.email, phone: lead.phone, whatsappNumber: lead.whatsapp_number },
+    { excludeId: lead.id, matchOn: settings.matchOn }
+  );
+  if (!duplicate) return { action: "none", leadId };
+
+  if (settings.policy === "merge") {
+    try {
+      await mergeLeads({ targetId: duplicate.id, sourceIds: [lead.id], reason: "automatic" });
+      return { action: "merged", leadId: duplicate.id };
+    } catch (error) {
+      if (error.status !== 400) throw error;
+      // Cannot be merged automatically; leave it for review instead
+    }
+  }
+
+  const status = settings.policy === "link" ? "linked" : "flagged";
+  await pool.execute("UPDATE leads SET duplicate_of = ?, duplicate_status = ? WHERE id = ?", [
+    duplicate.id,
+    status,
+    lead.id,
+  ]);
+  return { action: status, leadId };
+};
+
+// Flagged (or linked/dismissed) duplicates with the lead they match
+const listDuplicateLeads = async ({ status = "flagged", limit = 20, offset = 0 } = {}) => {
+  const [leads] = await pool.execute(
+    `SELECT l.id, l.name, l.email, l.phone, l.whatsapp_number, l.company, l.source, l.status,
+            l.duplicate_status, l.created_at,
+            o.id AS original_id, o.name AS original_name, o.email AS original_email,
+            o.phone AS original_phone, o.status AS original_status, o.created_at AS original_created_at
+     FROM leads l
+     JOIN leads o ON l.duplicate_of = o.id
+     WHERE l.duplicate_status = ? AND l.deleted_at IS NULL AND o.deleted_at IS NULL
+     ORDER BY l.created_at DESC
+     LIMIT ${Number(limit)} OFFSET ${Number(offset)}`,
+    [status]
+  );
+  const [countRows] = await pool.execute(
+    `SELECT COUNT(*) AS total
+     FROM leads l
+     JOIN leads o ON l.duplicate_of = o.id
+     WHERE l.duplicate_status = ? AND l.deleted_at IS NULL AND o.deleted_at IS NULL`,
+    [status]
+  );
+
+  return { leads, total: countRows[0].total };
+};
+
+// Marks a flagged lead as not a duplicate ("dismissed") or as a known duplicate ("linked")
+const reviewDuplicate = async (leadId, status) => {
+  const [result] = await pool.execute(
+    "UPDATE leads SET duplicate_status = ? WHERE id = ? AND duplicate_of IS NOT NULL",
+    [status, leadId]
+  );
+  return result.affectedRows > 0;
+};
+
+module.exports = {
+  POLICIES,
+  MANUAL_POLICIES,
+  MATCH_FIELDS,
+  getDedupSettings,
+  updateDedupSettings,
+  findDuplicateLeads,
+  checkDuplicate,
+  duplicateColumns,
+  absorbIntoLead,
+  mergeLeads,
+  reconcileLead,
+  listDuplicateLeads,
+  reviewDuplicate,
+};
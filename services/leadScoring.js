@@ -0,0 +1,251 @@
+// services/leadScoring.js
+const { pool } = require("../config/database");
+const { getSetting, setSetting } = require("./settings");
+
+/**
+ * Lead scores (0-100) from a scoring model stored in app_settings under
+ * "lead_scoring". The score adds up five factors:
+ *   source      points per lead source
+ *   service     points per service
+ *   value       estimated_value, scaled linearly up to `points` at `fullAt`
+ *   engagement  points per inbound WhatsApp message (`whatsappReply`) and
+ *               per completed task (`completedTask`), capped at `max`
+ *   recency     full `points` when the lead was active (created, messaged
+ *               or a task completed) within `fullWithinDays`, falling to 0
+ *               at `zeroAfterDays`
+ * Scores are stored on the lead (score, score_details) and recalculated
+ * when the lead, its tasks or its WhatsApp messages change, and nightly so
+ * recency keeps up.
+ */
+
+const SETTING_KEY = "lead_scoring";
+const LEAD_SOURCES = ["website", "referral", "social", "advertisement", "cold-call", "whatsapp", "other"];
+const LEAD_SERVICES = ["whatsapp-business-api", "website-development", "ai-agent", "other"];
+const BATCH_SIZE = 200;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DEFAULT_SCORING_MODEL = {
+  source: {
+    referral: 20,
+    website: 15,
+    whatsapp: 15,
+    advertisement: 10,
+    social: 10,
+    "cold-call": 5,
+    other: 5,
+  },
+  service: {
+    "whatsapp-business-api": 15,
+    "ai-agent": 15,
+    "website-development": 10,
+    other: 5,
+  },
+  value: { points: 25, fullAt: 200000 },
+  engagement: { whatsappReply: 3, completedTask: 5, max: 20 },
+  recency: { points: 20, fullWithinDays: 7, zeroAfterDays: 60 },
+};
+
+const SECTION_KEYS = {
+  source: LEAD_SOURCES,
+  service: LEAD_SERVICES,
+  value: ["points", "fullAt"],
+  engagement: ["whatsappReply", "completedTask", "max"],
+  recency: ["points", "fullWithinDays", "zeroAfterDays"],
+};
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+// Sections are merged key by key, so a stored model only needs its changes
+const mergeModel = (base, changes = {}) =>
+  Object.fromEntries(
+    Object.keys(DEFAULT_SCORING_MODEL).map((section) => [section, { ...base[section], ...(changes[section] || {}) }])
+  );
+
+const getScoringModel = async (db = pool) => {
+  const stored = await getSetting(SETTING_KEY, {}, db);
+  return mergeModel(DEFAULT_SCORING_MODEL, stored);
+};
+
+const validateModel = (changes) => {
+  if (!changes || typeof changes !== "object" || Array.isArray(changes)) {
+    throw badRequest("Scoring model must be an object");
+  }
+
+  Object.entries(changes).forEach(([section, values]) => {
+    if (!SECTION_KEYS[section]) {
+      throw badRequest(`Unknown section "${section}"; use ${Object.keys(SECTION_KEYS).join(", ")}`);
+    }
+    if (!values || typeof values !== "object" || Array.isArray(values)) {
+      throw badRequest(`${section} must be an object`);
+    }
+    Object.entries(values).forEach(([key, value]) => {
+      if (!SECTION_KEYS[section].includes(key)) throw badRequest(`${section}: unknown key "${key}"`);
+      if (typeof value !== "number" || !Number.isFinite(value) || value < 0) {
+        throw badRequest(`${section}.${key} must be a number of 0 or more`);
+      }
+    });
+  });
+};
+
+/**
+ * Applies `changes` (any subset of the sections) and rescores every lead.
+ * Returns { model, updated }.
+ */
+const updateScoringModel = async (changes, updatedBy) => {
+  validateModel(changes);
+  const model = mergeModel(await getScoringModel(), changes);
+
+  if (model.value.fullAt <= 0) throw badRequest("value.fullAt must be more than 0");
+  if (model.recency.zeroAfterDays <= model.recency.fullWithinDays) {
+    throw badRequest("recency.zeroAfterDays must be more than recency.fullWithinDays");
+  }
+
+  await setSetting(SETTING_KEY, model, updatedBy);
+  const { updated } = await recalculateAllScores(model);
+  return { model, updated };
+};
+
+// ================== SCORING ==================
+
+/**
+ * Score for a lead and its engagement signals ({ whatsapp_replies,
+ * completed_tasks, last_activity_at }). Returns { score, details } with the
+ * points per factor.
+ */
+const computeScore = (lead, model, now = new Date()) => {
+  const source = model.source[lead.source] || 0;
+  const service = model.service[lead.service] || 0;
+
+  const estimatedValue = Math.max(0, Number(lead.estimated_value) || 0);
+  const value = model.value.points * Math.min(1, estimatedValue / model.value.fullAt);
+
+  const engagement = Math.min(
+    model.engagement.max,
+    Number(lead.whatsapp_replies || 0) * model.engagement.whatsappReply +
+      Number(lead.completed_tasks || 0) * model.engagement.completedTask
+  );
+
+  const lastActivity = new Date(lead.last_activity_at || lead.created_at);
+  const idleDays = Math.max(0, (now - lastActivity) / DAY_MS);
+  const { points, fullWithinDays, zeroAfterDays } = model.recency;
+  const recency =
+    idleDays <= fullWithinDays
+      ? points
+      : points * Math.max(0, 1 - (idleDays - fullWithinDays) / (zeroAfterDays - fullWithinDays));
+
+  const details = {
+    source: Math.round(source),
+    service: Math.round(service),
+    value: Math.round(value),
+    engagement: Math.round(engagement),
+    recency: Math.round(recency),
+    whatsappReplies: Number(lead.whatsapp_replies || 0),
+    completedTasks: Number(lead.completed_tasks || 0),
+    lastActivityAt: Number.isNaN(lastActivity.getTime()) ? null : lastActivity.toISOString(),
+  };
+  const total = details.source + details.service + details.value + details.engagement + details.recency;
+
+  return { score: Math.max(0, Math.min(100, total)), details };
+};
+
+// Leads with the engagement signals computeScore needs
+const loadLeadSignals = async (leadIds, db = pool) => {
+  const [rows] = await db.execute(
+    `SELECT l.id, l.source, l.service, l.estimated_value, l.created_at,
+            COALESCE(m.replies, 0) AS whatsapp_replies,
+            COALESCE(t.completed, 0) AS completed_tasks,
+            GREATEST(l.created_at, COALESCE(m.last_at, l.created_at), COALESCE(t.last_at, l.created_at))
+              AS last_activity_at
+     FROM leads l
+     LEFT JOIN (
+       SELECT lead_id, COUNT(*) AS replies, MAX(COALESCE(sent_at, created_at)) AS last_at
+       FROM whatsapp_messages
+       WHERE direction = 'inbound' AND lead_id IN (${leadIds.map(() => "?").join(", ")})
+       GROUP BY lead_id
+     ) m ON m.lead_id = l.id
+     LEFT JOIN (
+       SELECT related_id, COUNT(*) AS completed, MAX(COALESCE(completed_at, updated_at)) AS last_at
+       FROM tasks
+       WHERE related_type = 'lead' AND status = 'completed' AND deleted_at IS NULL
+         AND related_id IN (${leadIds.map(() => "?").join(", ")})
+       GROUP BY related_id
+     ) t ON t.related_id = l.id
+     WHERE l.id IN (${leadIds.map(() => "?").join(", ")})`,
+    [...leadIds, ...leadIds, ...leadIds]
+  );
+  return rows;
+};
+
+/**
+ * Recalculates and stores the scores of `leadIds`. updated_at is left
+ * alone: a new score is not an edit of the lead. Returns the number scored.
+ */
+const recalculateLeadScores = async (leadIds, model = null, db = pool) => {
+  const ids = [...new Set(leadIds.filter(Boolean))];
+  if (ids.length === 0) return 0;
+
+  const scoringModel = model || (await getScoringModel(db));
+  const now = new Date();
+  const leads = await loadLeadSignals(ids, db);
+
+  for (const lead of leads) {
+    const { score, details } = computeScore(lead, scoringModel, now);
+    await db.execute(
+      `UPDATE leads
+       SET score = ?, score_details = ?, score_updated_at = NOW(), updated_at = updated_at
+       WHERE id = ?`,
+      [score, JSON.stringify(details), lead.id]
+    );
+  }
+  return leads.length;
+};
+
+// Rescores every lead in batches (nightly job and model changes)
+const recalculateAllScores = async (model = null) => {
+  const scoringModel = model || (await getScoringModel());
+  let updated = 0;
+  let lastId = "";
+
+  for (;;) {
+    const [rows] = await pool.execute(
+      `SELECT id FROM leads WHERE id > ? AND deleted_at IS NULL ORDER BY id LIMIT ${BATCH_SIZE}`,
+      [lastId]
+    );
+    if (rows.length === 0) break;
+
+    updated += await recalculateLeadScores(
+      rows.map((row) => row.id),
+      scoringModel
+    );
+    lastId = rows[rows.length - 1].id;
+  }
+
+  return { updated };
+};
+
+/**
+ * Rescores one lead after an event that affects its score. Errors are
+ * logged, not thrown: the event itself has already been saved.
+ */
+const refreshLeadScore = async (leadId) => {
+  if (!leadId) return;
+  try {
+    await recalculateLeadScores([leadId]);
+  } catch (error) {
+    console.error(`[LeadScoring] Rescoring lead ${leadId} failed:`, error.message);
+  }
+};
+
+module.exports = {
+  DEFAULT_SCORING_MODEL,
+  getScoringModel,
+  updateScoringModel,
+  computeScore,
+  recalculateLeadScores,
+  recalculateAllScores,
+  refreshLeadScore,
+};
@@ -0,0 +1,108 @@
+// services/mailer.js
+const fs = require("fs");
+const path = require("path");
+const nodemailer = require("nodemailer");
+
+/**
+ * Outgoing email transport.
+ *
+ * MAIL_TRANSPORT=smtp  sends through SMTP_HOST / SMTP_PORT / SMTP_USER / SMTP_PASS
+ * MAIL_TRANSPORT=file  "dev mailbox": every message is written as an .eml file
+ *                      (plus a .json summary) to MAIL_DEV_DIR
+ *
+ * Without MAIL_TRANSPORT the file transport is used unless SMTP_HOST is set,
+ * so development never sends real email by accident.
+ */
+
+const DEFAULT_DEV_DIR = path.join(__dirname, "..", "uploads", "dev-mailbox");
+
+let transport = null;
+
+const transportName = () =>
+  (process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? "smtp" : "file")).toLowerCase();
+
+const defaultFrom = () =>
+  process.env.MAIL_FROM || process.env.SMTP_USER || "no-reply@localhost";
+
+const createSmtpTransport = () => {
+  const mailer = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: Number(process.env.SMTP_PORT || 587),
+    secure: String(process.env.SMTP_SECURE || "false") === "true",
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined,
+  });
+
+  return {
+    name: "smtp",
+    async send(message) {
+      const info = await mailer.sendMail(message);
+      return { messageId: info.messageId };
+    },
+  };
+};
+
+const createFileTransport = (dir = process.env.MAIL_DEV_DIR || DEFAULT_DEV_DIR) => {
+  const mailer = nodemailer.createTransport({ streamTransport: true, buffer: true });
+  const root = path.resolve(dir);
+
+  return {
+    name: "file",
+    dir: root,
+    async send(message) {
+      const info = await mailer.sendMail(message);
+      await fs.promises.mkdir(root, { recursive: true });
+
+      const base = `${new Date().toISOString().replace(/[:.]/g, "-")}-${info.messageId
+        .replace(/[<>]/g, "")
+        .replace(/[^a-zA-Z0-9_-]/g, "_")}`;
+
+      await fs.promises.writeFile(path.join(root, `${base}.eml`), info.message);
+      await fs.promises.writeFile(
+        path.join(root, `${base}.json`),
+        JSON.stringify(
+          {
+            messageId: info.messageId,
+            from: message.from,
+            to: message.to,
+            cc: message.cc,
+            subject: message.subject,
+            text: message.text,
+            attachments: (message.attachments || []).map((a) => a.filename),
+          },
+          null,
+          2
+        )
+      );
+
+      console.log(`📬 Dev mailbox: "${message.subject}" to ${message.to} (${base}.eml)`);
+      return { messageId: info.messageId };
+    },
+  };
+};
+
+const getTransport = () => {
+  if (!transport) {
+    transport = transportName() === "smtp" ? createSmtpTransport() : createFileTransport();
+  }
+  return transport;
+};
+
+// Tests and tools may swap the transport
+const setTransport = (custom) => {
+  transport = custom;
+};
+
+const sendMail = async ({ to, cc, subject, text, html, attachments = [] }) =>
+  getTransport().send({
+    from: defaultFrom(),
+    to,
+    cc: cc || undefined,
+    subject,
+    text,
+    html,
+    attachments,
+  });
+
+module.exports = { getTransport, setTransport, sendMail, transportName };
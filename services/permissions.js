@@ -0,0 +1,262 @@
+// services/permissions.js
+const { pool } = require("../config/database");
+
+/**
+ * Permissions are "resource:action:scope" strings, e.g. "leads:read:own".
+ * - scope "any" covers every record, "own" only records the user owns
+ * - "*" matches any segment, so "*:*:any" is a super-user grant
+ * - resources without ownership (users, roles, settings, audit) use "resource:action:any"
+ */
+const RESOURCES = [
+  "customers",
+  "leads",
+  "deals",
+  "tasks",
+  "invoices",
+  "renewals",
+  "projects",
+];
+const ACTIONS = ["read", "write", "delete"];
+const SCOPES = ["own", "any"];
+const ADMIN_PERMISSIONS = [
+  "users:manage:any",
+  "roles:manage:any",
+  "settings:manage:any",
+  "audit:read:any",
+  // Creating and starting WhatsApp campaigns (mass sends to customers and leads)
+  "campaigns:manage:any",
+];
+
+const grant = (resources, actions, scope) =>
+  resources.flatMap((resource) =>
+    actions.map((action) => `${resource}:${action}:${scope}`)
+  );
+
+const DEFAULT_ROLES = {
+  admin: {
+    description: "Full access to every module",
+    permissions: ["*:*:any"],
+  },
+  manager: {
+    description: "Manages all CRM records and projects",
+    permissions: [...grant(RESOURCES, ACTIONS, "any"), "campaigns:manage:any"],
+  },
+  sales: {
+    description: "Works own leads, customers and deals",
+    permissions: [
+      ...grant(["leads", "deals"], ACTIONS, "own"),
+      ...grant(["customers", "tasks"], ["read", "write"], "own"),
+      ...grant(["invoices", "renewals", "projects"], ["read"], "own"),
+    ],
+  },
+  support: {
+    description: "Supports existing customers and delivery projects",
+    permissions: [
+      ...grant(["customers", "renewals"], ["read"], "any"),
+      ...grant(["leads"], ["read"], "own"),
+      ...grant(["tasks", "projects"], ["read", "write"], "own"),
+    ],
+  },
+  accountant: {
+    description: "Handles invoicing and renewals",
+    permissions: [
+      ...grant(["customers", "deals"], ["read"], "any"),
+      ...grant(["invoices", "renewals"], ["read", "write"], "any"),
+      "settings:manage:any",
+    ],
+  },
+  user: {
+    description: "Default role for new accounts",
+    permissions: [
+      ...grant(["customers", "leads", "invoices", "renewals"], ACTIONS, "own"),
+      ...grant(["deals", "tasks"], ACTIONS, "any"),
+      ...grant(["projects"], ["read", "write"], "own"),
+    ],
+  },
+};
+
+const isValidPermission = (permission) => {
+  if (typeof permission !== "string") return false;
+  const [resource, action, scope, ...rest] = permission.split(":");
+  if (rest.length > 0 || !resource || !action || !scope) return false;
+  if (scope !== "*" && !SCOPES.includes(scope)) return false;
+  return true;
+};
+
+const listAvailablePermissions = () => [
+  ...grant(RESOURCES, ACTIONS, "own"),
+  ...grant(RESOURCES, ACTIONS, "any"),
+  ...ADMIN_PERMISSIONS,
+];
+
+// ---------------------------------------------------------------------------
+// Role permission cache (roles change rarely, every request needs them)
+// ---------------------------------------------------------------------------
+
+const CACHE_TTL_MS = 60 * 1000;
+const permissionCache = new Map();
+
+const invalidatePermissionCache = (role) => {
+  if (role) permissionCache.delete(role);
+  else permissionCache.clear();
+};
+
+const getRolePermissions = async (role) => {
+  const cached = permissionCache.get(role);
+  if (cached && cached.expiresAt > Date.now()) return cached.permissions;
+
+  const [rows] = await pool.execute(
+    "SELECT permission FROM role_permissions WHERE role = ?",
+    [role]
+  );
+  const permissions = rows.map((row) => row.permission);
+
+  permissionCache.set(role, {
+    permissions,
+    expiresAt: Date.now() + CACHE_TTL_MS,
+  });
+  return permissions;
+};
+
+// Inserts missing default roles/permissions; never overwrites admin edits
+const seedDefaultRoles = async () => {
+  for (const [name, role] of Object.entries(DEFAULT_ROLES)) {
+    const [result] = await pool.execute(
+      "INSERT IGNORE INTO roles (name, description, is_system) VALUES (?, ?, TRUE)",
+      [name, role.description]
+    );
+
+    // Only seed permissions for roles created just now
+    if (result.affectedRows === 0) continue;
+
+    for (const permission of role.permissions) {
+      await pool.execute(
+        "INSERT IGNORE INTO role_permissions (role, permission) VALUES (?, ?)",
+        [name, permission]
+      );
+    }
+  }
+  invalidatePermissionCache();
+};
+
+// ---------------------------------------------------------------------------
+// Permission checks
+// ---------------------------------------------------------------------------
+
+const segmentMatches = (granted, wanted) => granted === "*" || granted === wanted;
+
+/**
+ * Returns the widest scope ("any" | "own") the permission list grants for
+ * resource/action, or null when access is not granted at all.
+ */
+const resolveScope = (permissions, resource, action) => {
+  let scope = null;
+
+  for (const permission of permissions || []) {
+    const [pResource, pAction, pScope] = permission.split(":");
+    if (!segmentMatches(pResource, resource) || !segmentMatches(pAction, action)) {
+      continue;
+    }
+    if (pScope === "any" || pScope === "*") return "any";
+    if (pScope === "own") scope = "own";
+  }
+
+  return scope;
+};
+
+const hasPermission = (user, permission) => {
+  const [resource, action, scope = "any"] = permission.split(":");
+  const granted = resolveScope(user?.permissions, resource, action);
+  if (!granted) return false;
+  return scope === "own" || granted === "any";
+};
+
+// ---------------------------------------------------------------------------
+// Record ownership, used when a user only holds the "own" scope
+// Each resolver returns null when the record does not exist.
+// ---------------------------------------------------------------------------
+
+const ownerOf = (sql) => async (id, user) => {
+  const [rows] = await pool.execute(sql, [id]);
+  if (rows.length === 0) return null;
+  return rows[0].owner_id === user.id;
+};
+
+const ownershipResolvers = {
+  customers: ownerOf("SELECT assigned_to AS owner_id FROM customers WHERE id = ?"),
+
+  // Unassigned leads stay visible to everyone until somebody picks them up
+  leads: async (id, user) => {
+    const [rows] = await pool.execute(
+      "SELECT assigned_to AS owner_id FROM leads WHERE id = ?",
+      [id]
+    );
+    if (rows.length === 0) return null;
+    return rows[0].owner_id == null || rows[0].owner_id === user.id;
+  },
+
+  deals: ownerOf("SELECT assigned_to AS owner_id FROM deals WHERE id = ?"),
+  tasks: ownerOf("SELECT assigned_to AS owner_id FROM tasks WHERE id = ?"),
+
+  invoices: ownerOf(`
+    SELECT c.assigned_to AS owner_id
+    FROM invoices i
+    LEFT JOIN customers c ON i.customer_id = c.id
+    WHERE i.id = ?
+  `),
+
+  renewals: ownerOf(`
+    SELECT c.assigned_to AS owner_id
+    FROM renewals r
+    LEFT JOIN customers c ON r.customer_id = c.id
+    WHERE r.id = ?
+  `),
+
+  projects: async (id, user) => {
+    const [rows] = await pool.execute(
+      `
+      SELECT p.created_by,
+             (SELECT COUNT(*) FROM project_team pt
+              WHERE pt.project_id = p.id AND pt.user_id = ?) AS membership
+      FROM projects p
+      WHERE p.id = ?
+    `,
+      [user.id, id]
+    );
+    if (rows.length === 0) return null;
+    return rows[0].created_by === user.id || Number(rows[0].membership) > 0;
+  },
+};
+
+/**
+ * Resolves whether `user` may touch record `id` of `resource` with `action`.
+ * Returns { found, allowed, scope }.
+ */
+const canAccessRecord = async (user, resource, action, id) => {
+  const scope = resolveScope(user?.permissions, resource, action);
+  if (!scope) return { found: true, allowed: false, scope };
+
+  const resolver = ownershipResolvers[resource];
+  if (scope === "any" || !resolver) {
+    return { found: true, allowed: scope === "any", scope };
+  }
+
+  const owns = await resolver(id, user);
+  if (owns === null) return { found: false, allowed: false, scope };
+  return { found: true, allowed: owns, scope };
+};
+
+module.exports = {
+  RESOURCES,
+  ACTIONS,
+  SCOPES,
+  DEFAULT_ROLES,
+  isValidPermission,
+  listAvailablePermissions,
+  getRolePermissions,
+  invalidatePermissionCache,
+  seedDefaultRoles,
+  resolveScope,
+  hasPermission,
+  canAccessRecord,
+};
@@ -0,0 +1,314 @@
+// services/publicLeadGuard.js
+const crypto = require("crypto");
+const { v4: uuidv4 } = require("uuid");
+const { pool } = require("../config/database");
+const { createWebsiteLead } = require("./publicLeads");
+
+/**
+ * Spam protection for the public lead form (POST /api/public/website-lead).
+ * A submission is rejected when
+ *   invalid_site_key   PUBLIC_LEAD_SITE_KEY is set and `siteKey` differs
+ *   rate_limit_ip      the IP sent more than PUBLIC_LEAD_IP_LIMIT (5) forms
+ *   rate_limit_email   the email was used more than PUBLIC_LEAD_EMAIL_LIMIT (3)
+ *                      times, both within PUBLIC_LEAD_RATE_WINDOW_MINUTES (60)
+ *   honeypot           the hidden field PUBLIC_LEAD_HONEYPOT_FIELD ("website")
+ *                      was filled in
+ *   too_fast / stale_form
+ *                      the form sent `formStartedAt` (ms timestamp) and was
+ *                      filled in under PUBLIC_LEAD_MIN_SECONDS (3) or more
+ *                      than PUBLIC_LEAD_MAX_FORM_AGE_HOURS (24) ago
+ *   disposable_email   the email domain is a throwaway mailbox provider
+ *                      (plus PUBLIC_LEAD_BLOCKED_DOMAINS, comma separated)
+ * Rejected submissions are kept in lead_quarantine, where an admin can
+ * release them as leads or discard them (of a rate limited sender, only the
+ * first rejected submission in the window). Honeypot and timing rejections get
+ * a normal-looking reply so bots do not learn what gave them away.
+ *
+ * Rate limits are counted in memory, per server process.
+ */
+
+const SITE_KEY = process.env.PUBLIC_LEAD_SITE_KEY || "";
+const IP_LIMIT = Number(process.env.PUBLIC_LEAD_IP_LIMIT || 5);
+const EMAIL_LIMIT = Number(process.env.PUBLIC_LEAD_EMAIL_LIMIT || 3);
+const RATE_WINDOW_MS = Number(process.env.PUBLIC_LEAD_RATE_WINDOW_MINUTES || 60) * 60 * 1000;
+const HONEYPOT_FIELD = process.env.PUBLIC_LEAD_HONEYPOT_FIELD || "website";
+const MIN_FILL_MS = Number(process.env.PUBLIC_LEAD_MIN_SECONDS || 3) * 1000;
+const MAX_FORM_AGE_MS = Number(process.env.PUBLIC_LEAD_MAX_FORM_AGE_HOURS || 24) * 60 * 60 * 1000;
+const QUARANTINE_RETENTION_DAYS = Number(process.env.PUBLIC_LEAD_QUARANTINE_DAYS || 30);
+
+const DISPOSABLE_DOMAINS = new Set([
+  "10minutemail.com",
+  "20minutemail.com",
+  "dispostable.com",
+  "emailondeck.com",
+  "fakeinbox.com",
+  "getairmail.com",
+  "getnada.com",
+  "guerrillamail.com",
+  "guerrillamail.net",
+  "guerrillamailblock.com",
+  "maildrop.cc",
+  "mailinator.com",
+  "mailnesia.com",
+  "mintemail.com",
+  "mohmal.com",
+  "mytemp.email",
+  "sharklasers.com",
+  "spamgourmet.com",
+  "temp-mail.org",
+  "tempmail.com",
+  "tempmail.net",
+  "tempmailo.com",
+  "throwawaymail.com",
+  "trashmail.com",
+  "yopmail.com",
+  ...(process.env.PUBLIC_LEAD_BLOCKED_DOMAINS || "")
+    .split(",")
+    .map((domain) => domain.trim().toLowerCase())
+    .filter(Boolean),
+]);
+
+const REASONS = [
+  "invalid_site_key",
+  "rate_limit_ip",
+  "rate_limit_email",
+  "honeypot",
+  "too_fast",
+  "stale_form",
+  "disposable_email",
+];
+
+// ================== RATE LIMITS ==================
+
+// key -> timestamps of the submissions still inside the window
+const hits = new Map();
+
+// Records a submission for `key`; returns how many it had inside the window
+const hit = (key, now = Date.now()) => {
+  const recent = (hits.get(key) || []).filter((at) => now - at < RATE_WINDOW_MS);
+  recent.push(now);
+  hits.set(key, recent);
+  return recent.length;
+};
+
+// Forget keys whose window has passed
+setInterval(() => {
+  const now = Date.now();
+  for (const [key, times] of hits) {
+    if (times.every((at) => now - at >= RATE_WINDOW_MS)) hits.delete(key);
+  }
+}, RATE_WINDOW_MS).unref();
+
+// ================== SCREENING ==================
+
+const isDisposable = (email) => {
+  const domain = String(email || "").split("@").pop().trim().toLowerCase();
+  // Subdomains of a listed provider count too
+  return [...DISPOSABLE_DOMAINS].some((blocked) => domain === blocked || domain.endsWith(`.${blocked}`));
+};
+
+const sameKey = (given, expected) => {
+  const a = Buffer.from(String(given || ""));
+  const b = Buffer.from(expected);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+const reject = (reason, detail, status, message, quarantine = true) => ({
+  reason,
+  detail,
+  status,
+  message,
+  quarantine,
+});
+
+/**
+ * Checks a submission. Returns null when it may become a lead, otherwise
+ * { reason, detail, status, message, quarantine } for the reply. Only the
+ * first submission over a rate limit is quarantined, so a flood does not
+ * turn into one INSERT per request.
+ */
+const screenSubmission = (req) => {
+  const body = req.body || {};
+
+  if (SITE_KEY && !sameKey(body.siteKey, SITE_KEY)) {
+    return reject("invalid_site_key", null, 403, "Invalid site key");
+  }
+
+  const ipHits = hit(`ip:${req.ip}`);
+  if (ipHits > IP_LIMIT) {
+    return reject(
+      "rate_limit_ip",
+      req.ip,
+      429,
+      "Too many submissions, please try again later",
+      ipHits === IP_LIMIT + 1
+    );
+  }
+
+  const honeypot = body[HONEYPOT_FIELD];
+  if (honeypot !== undefined && honeypot !== null && String(honeypot).trim() !== "") {
+    return reject("honeypot", `${HONEYPOT_FIELD} was filled in`, 202, null);
+  }
+
+  if (body.formStartedAt !== undefined) {
+    const elapsed = Date.now() - Number(body.formStartedAt);
+    if (Number.isNaN(elapsed) || elapsed < MIN_FILL_MS) {
+      return reject("too_fast", `Filled in after ${Number.isNaN(elapsed) ? "?" : elapsed} ms`, 202, null);
+    }
+    if (elapsed > MAX_FORM_AGE_MS) {
+      return reject("stale_form", `Form opened ${Math.round(elapsed / 3600000)} hours earlier`, 202, null);
+    }
+  }
+
+  if (isDisposable(body.email)) {
+    return reject(
+      "disposable_email",
+      String(body.email).split("@").pop(),
+      400,
+      "Please use a permanent email address"
+    );
+  }
+
+  const emailHits = hit(`email:${String(body.email).trim().toLowerCase()}`);
+  if (emailHits > EMAIL_LIMIT) {
+    return reject(
+      "rate_limit_email",
+      null,
+      429,
+      "Too many submissions, please try again later",
+      emailHits === EMAIL_LIMIT + 1
+    );
+  }
+
+  return null;
+};
+
+// ================== QUARANTINE ==================
+
+const QUARANTINE_FIELDS = ["name", "email", "phone", "company", "service", "message"];
+
+const parseJson = (value) => (typeof value === "string" ? JSON.parse(value) : value);
+
+const formatEntry = (row) => ({ ...row, payload: parseJson(row.payload) });
+
+// Keeps a rejected submission for review; only the form fields are stored
+const quarantineSubmission = async (req, { reason, detail }) => {
+  const body = req.body || {};
+  const payload = Object.fromEntries(
+    QUARANTINE_FIELDS.filter((field) => body[field] !== undefined).map((field) => [field, body[field]])
+  );
+
+  await pool.execute(
+    `INSERT INTO lead_quarantine (id, name, email, phone, payload, reason, detail, ip_address, user_agent)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      uuidv4(),
+      String(body.name || "").slice(0, 255) || null,
+      String(body.email || "").slice(0, 255) || null,
+      String(body.phone || "").slice(0, 50) || null,
+      JSON.stringify(payload),
+      reason,
+      detail ? String(detail).slice(0, 255) : null,
+      req.ip || null,
+      String(req.get("user-agent") || "").slice(0, 500) || null,
+    ]
+  );
+};
+
+const listQuarantine = async ({ status = "quarantined", reason, limit = 20, offset = 0 } = {}) => {
+  let where = "WHERE q.status = ?";
+  const params = [status];
+  if (reason) {
+    where += " AND q.reason = ?";
+    params.push(reason);
+  }
+
+  const [rows] = await pool.execute(
+    `SELECT q.*, u.name AS reviewed_by_name
+     FROM lead_quarantine q
+     LEFT JOIN users u ON q.reviewed_by = u.id
+     ${where}
+     ORDER BY q.created_at DESC
+     LIMIT ${Number(limit)} OFFSET ${Number(offset)}`,
+    params
+  );
+  const [countRows] = await pool.execute(`SELECT COUNT(*) AS total FROM lead_quarantine q ${where}`, params);
+
+  return { entries: rows.map(formatEntry), total: countRows[0].total };
+};
+
+const getQuarantineEntry = async (entryId) => {
+  const [rows] = await pool.execute("SELECT * FROM lead_quarantine WHERE id = ?", [entryId]);
+  return rows[0] ? formatEntry(rows[0]) : null;
+};
+
+const conflict = (message) => {
+  const error = new Error(message);
+  error.status = 409;
+  return error;
+};
+
+/**
+ * Creates the lead a quarantined submission would have created. Returns
+ * { entry, result } where result is what createWebsiteLead returned, or
+ * null when the entry does not exist.
+ */
+const releaseEntry = async (entryId, reviewedBy) => {
+  // Claim the entry first so two admins cannot release it twice
+  const [claimed] = await pool.execute(
+    `UPDATE lead_quarantine SET status = 'released', reviewed_by = ?, reviewed_at = NOW()
+     WHERE id = ? AND status = 'quarantined'`,
+    [reviewedBy, entryId]
+  );
+  const entry = await getQuarantineEntry(entryId);
+  if (!entry) return null;
+  if (claimed.affectedRows === 0) throw conflict(`Submission is already ${entry.status}`);
+
+  try {
+    const result = await createWebsiteLead(entry.payload);
+    const leadId = result.duplicate ? result.leadId : result.lead.id;
+    await pool.execute("UPDATE lead_quarantine SET lead_id = ? WHERE id = ?", [leadId, entryId]);
+    return { entry: { ...entry, lead_id: leadId }, result };
+  } catch (error) {
+    await pool.execute(
+      "UPDATE lead_quarantine SET status = 'quarantined', reviewed_by = NULL, reviewed_at = NULL WHERE id = ?",
+      [entryId]
+    );
+    throw error;
+  }
+};
+
+// Returns false when the entry does not exist, throws 409 if already reviewed
+const discardEntry = async (entryId, reviewedBy) => {
+  const [result] = await pool.execute(
+    `UPDATE lead_quarantine SET status = 'discarded', reviewed_by = ?, reviewed_at = NOW()
+     WHERE id = ? AND status = 'quarantined'`,
+    [reviewedBy, entryId]
+  );
+  if (result.affectedRows > 0) return true;
+
+  const entry = await getQuarantineEntry(entryId);
+  if (!entry) return false;
+  throw conflict(`Submission is already ${entry.status}`);
+};
+
+// Drops entries older than PUBLIC_LEAD_QUARANTINE_DAYS that were not released
+const purgeQuarantine = async () => {
+  const [result] = await pool.execute(
+    `DELETE FROM lead_quarantine
+     WHERE status != 'released' AND created_at < DATE_SUB(NOW(), INTERVAL ? DAY)`,
+    [QUARANTINE_RETENTION_DAYS]
+  );
+  return result.affectedRows;
+};
+
+module.exports = {
+  REASONS,
+  screenSubmission,
+  quarantineSubmission,
+  listQuarantine,
+  getQuarantineEntry,
+  releaseEntry,
+  discardEntry,
+  purgeQuarantine,
+};
@@ -0,0 +1,111 @@
+// services/publicLeads.js
+const { v4: uuidv4 } = require("uuid");
+const { pool } = require("../config/database");
+const { checkDuplicate, duplicateColumns, absorbIntoLead } = require("./leadDedup");
+const { assignLead } = require("./leadAssignment");
+const { refreshLeadScore } = require("./leadScoring");
+const { recordActivity } = require("./activities");
+
+const sanitizeParams = (...params) =>
+  params.map((param) => (param === undefined ? null : param));
+
+/**
+ * Creates a lead from the public website form (POST /api/public/website-lead,
+ * or a quarantined submission released by an admin). Repeat enquiries follow
+ * the duplicate policy; new leads go through the assignment rules and are
+ * scored. Returns { duplicate: true, leadId } when the enquiry was merged
+ * into an existing lead, otherwise { duplicate: false, lead }.
+ */
+const createWebsiteLead = async ({ name, email, phone, company, service, message }) => {
+  // Repeat enquiries are merged into, linked to or flagged against the existing lead
+  const dedup = await checkDuplicate({ email, phone });
+  if (dedup.duplicate && dedup.policy === "merge") {
+    await absorbIntoLead(
+      dedup.duplicate.id,
+      { name, email, phone, company, service, notes: message },
+      { source: "website form" }
+    );
+    return { duplicate: true, leadId: dedup.duplicate.id };
+  }
+  const { duplicateOf, duplicateStatus } = duplicateColumns(dedup);
+
+  const leadId = uuidv4();
+  const safeSource = "website";         // maps to allowed "website" source
+  const safeStatus = "new";
+  const safePriority = "medium";
+
+  const safeEstimatedValue = 0;
+  const safeNotes = message || null;
+  const safeExpectedCloseDate = null;
+  const safeWhatsappNumber = null;
+  const safeService = service || "other";
+
+  // Public leads start unassigned; the assignment rules pick an owner
+  const assignedTo = null;
+  const createdBy = null; // no CRM user, it's from public site
+
+  await pool.execute(
+    `
+    INSERT INTO leads (
+      id,
+      name, email, phone, company, source, status, priority,
+      assigned_to, converted_customer_id, estimated_value, notes,
+      expected_close_date, whatsapp_number, service,
+      duplicate_of, duplicate_status,
+      created_by, created_at, updated_at
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+  `,
+    sanitizeParams(
+      leadId,
+      name,
+      email,
+      phone,
+      company,
+      safeSource,
+      safeStatus,
+      safePriority,
+      assignedTo,
+      null,
+      safeEstimatedValue,
+      safeNotes,
+      safeExpectedCloseDate,
+      safeWhatsappNumber,
+      safeService,
+      duplicateOf,
+      duplicateStatus,
+      createdBy
+    )
+  );
+  await recordActivity({
+    entityType: "lead",
+    entityId: leadId,
+    type: "created",
+    title: "Lead created from the website form",
+    details: { source: safeSource },
+  });
+
+  try {
+    await assignLead(leadId);
+  } catch (error) {
+    console.error(`Lead assignment failed for lead ${leadId}:`, error);
+  }
+  await refreshLeadScore(leadId);
+
+  const [leads] = await pool.execute(
+    `
+    SELECT
+      l.*,
+      u.name  AS assigned_user_name,
+      cu.name AS created_user_name
+    FROM leads l
+    LEFT JOIN users u  ON l.assigned_to = u.id
+    LEFT JOIN users cu ON l.created_by = cu.id
+    WHERE l.id = ?
+  `,
+    sanitizeParams(leadId)
+  );
+
+  return { duplicate: false, lead: leads[0] };
+};
+
+module.exports = { createWebsiteLead };
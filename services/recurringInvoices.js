@@ -0,0 +1,346 @@
+// services/recurringInvoices.js
+const { v4: uuidv4 } = require("uuid");
+const { pool } = require("../config/database");
+const { allocateInvoiceNumber } = require("./invoiceSequence");
+const { getCompanyProfile } = require("./companyProfile");
+const { buildGstInvoice, insertInvoiceItems } = require("./gst");
+const { recordActivity } = require("./activities");
+
+/**
+ * Invoices generated from the customer recurring_* fields.
+ *
+ * A customer is billed when next_renewal_date (the start of the next billing
+ * period) is today or earlier. Each period produces at most one invoice: the
+ * invoices table has a unique key on (customer_id, billing_period_start), so
+ * re-running the job or two overlapping runs cannot bill a period twice.
+ *
+ * Periods keep the day of the month they started on (recurring_anchor_day,
+ * taken from next_renewal_date the first time it is billed): a customer
+ * billed on the 31st gets 28 Feb, then 31 Mar again rather than the 28th
+ * for good. Setting next_renewal_date by hand clears the anchor.
+ */
+
+// Periods a single run may catch up on per customer (e.g. after downtime)
+const MAX_CATCH_UP_PERIODS = 12;
+const MAX_PREVIEW_MONTHS = 24;
+
+const INTERVAL_MONTHS = { monthly: 1, yearly: 12 };
+
+const pad = (n) => String(n).padStart(2, "0");
+
+// DATE columns arrive as local-midnight Date objects; keep them as YYYY-MM-DD
+const toIsoDate = (value) => {
+  if (!value) return null;
+  if (typeof value === "string") return value.slice(0, 10);
+  return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+};
+
+const parseIsoDate = (iso) => {
+  const [year, month, day] = iso.split("-").map(Number);
+  return new Date(year, month - 1, day);
+};
+
+// Clamps to the last day of shorter months (31 Jan + 1 month = 28/29 Feb).
+// `anchorDay` is the day wanted when the month has it (default: the day of iso)
+const addMonths = (iso, months, anchorDay) => {
+  const d = parseIsoDate(iso);
+  const day = anchorDay || d.getDate();
+  d.setDate(1);
+  d.setMonth(d.getMonth() + months);
+  const lastDay = new Date(d.getFullYear(), d.getMonth() + 1, 0).getDate();
+  d.setDate(Math.min(day, lastDay));
+  return toIsoDate(d);
+};
+
+const addDays = (iso, days) => {
+  const d = parseIsoDate(iso);
+  d.setDate(d.getDate() + days);
+  return toIsoDate(d);
+};
+
+const billingPeriod = (startIso, interval, anchorDay) => {
+  const next = addMonths(startIso, INTERVAL_MONTHS[interval] || 1, anchorDay);
+  return { start: startIso, end: addDays(next, -1), next };
+};
+
+// Day of the month the customer's periods start on
+const anchorDayOf = (customer, startIso) =>
+  Number(customer.recurring_anchor_day) || parseIsoDate(startIso).getDate();
+
+const formatDisplayDate = (iso) => {
+  const [year, month, day] = iso.split("-");
+  return `${day}/${month}/${year}`;
+};
+
+const taxRateFor = (customer) =>
+  customer.default_tax_rate !== null && customer.default_tax_rate !== undefined
+    ? Number(customer.default_tax_rate)
+    : 18;
+
+const periodLine = (customer, period) => {
+  const amount = Number(customer.recurring_amount);
+  return {
+    description: `${customer.recurring_service || customer.service || "Service Charges"} (${formatDisplayDate(
+      period.start
+    )} - ${formatDisplayDate(period.end)})`,
+    quantity: 1,
+    rate: amount,
+    amount,
+  };
+};
+
+const CUSTOMER_COLUMNS = `
+  c.id, c.name, c.company, c.assigned_to, c.gstin, c.state, c.country, c.service,
+  c.recurring_enabled, c.recurring_interval, c.recurring_amount, c.recurring_service,
+  c.next_renewal_date, c.recurring_anchor_day, c.default_tax_rate, c.default_due_days,
+  c.default_invoice_notes
+`;
+
+/**
+ * Bills the customer's current period inside `connection`'s transaction and
+ * advances next_renewal_date. Returns the created invoice, or null when the
+ * period had already been invoiced (the date is still advanced).
+ */
+const invoicePeriod = async (connection, customer, period, company) => {
+  const [existing] = await connection.execute(
+    "SELECT id FROM invoices WHERE customer_id = ? AND billing_period_start = ?",
+    [customer.id, period.start]
+  );
+
+  let invoice = null;
+
+  if (existing.length === 0) {
+    const taxRate = taxRateFor(customer);
+    const gst = buildGstInvoice({
+      company,
+      customer,
+      items: [periodLine(customer, period)],
+      defaultRate: taxRate,
+    });
+
+    const invoiceId = uuidv4();
+    const invoiceNumber = await allocateInvoiceNumber(connection, parseIsoDate(period.start));
+    const dueDate = addDays(period.start, Number(customer.default_due_days ?? 7));
+
+    await connection.execute(
+      `INSERT INTO invoices (
+        id, customer_id, invoice_number, tax, status, issue_date, due_date, notes,
+        amount, total, place_of_supply, supply_type, company_gstin, customer_gstin,
+        cgst_amount, sgst_amount, igst_amount, billing_period_start, billing_period_end
+      )
+      VALUES (?, ?, ?, ?, 'draft', ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        invoiceId,
+        customer.id,
+        invoiceNumber,
+        taxRate,
+        period.start,
+        dueDate,
+        customer.default_invoice_notes || null,
+        gst.totals.taxable,
+        gst.totals.total,
+        gst.placeOfSupply,
+        gst.supplyType,
+        gst.companyGstin,
+        gst.customerGstin,
+        gst.totals.cgst,
+        gst.totals.sgst,
+        gst.totals.igst,
+        period.start,
+        period.end,
+      ]
+    );
+
+    await insertInvoiceItems(connection, invoiceId, gst.lines);
+    await recordActivity(
+      {
+        entityType: "customer",
+        entityId: customer.id,
+        type: "invoice_created",
+        title: `Recurring invoice ${invoiceNumber} created for ${formatDisplayDate(period.start)} - ${formatDisplayDate(
+          period.end
+        )}`,
+        details: { invoiceId, invoiceNumber, total: gst.totals.total, periodStart: period.start },
+      },
+      connection
+    );
+
+    invoice = {
+      id: invoiceId,
+      invoiceNumber,
+      customerId: customer.id,
+      periodStart: period.start,
+      periodEnd: period.end,
+      total: gst.totals.total,
+    };
+  }
+
+  await connection.execute(
+    `UPDATE customers
+     SET next_renewal_date = ?, recurring_anchor_day = ?, updated_at = CURRENT_TIMESTAMP
+     WHERE id = ?`,
+    [period.next, period.anchorDay, customer.id]
+  );
+
+  return invoice;
+};
+
+/**
+ * Creates invoices for every recurring customer whose period has started,
+ * catching up on missed periods. Each period is its own transaction so one
+ * failing customer does not block the others.
+ */
+const generateDueRecurringInvoices = async ({ today = new Date(), customerId } = {}) => {
+  const todayIso = toIsoDate(today);
+  const company = await getCompanyProfile();
+
+  let sql = `SELECT c.id FROM customers c
+     WHERE c.recurring_enabled = 1
+       AND c.deleted_at IS NULL
+       AND c.recurring_amount > 0
+       AND c.next_renewal_date IS NOT NULL
+       AND c.next_renewal_date <= ?`;
+  const params = [todayIso];
+  if (customerId) {
+    sql += " AND c.id = ?";
+    params.push(customerId);
+  }
+
+  const [due] = await pool.execute(sql, params);
+
+  const created = [];
+  const failed = [];
+  let skipped = 0;
+
+  for (const { id } of due) {
+    for (let i = 0; i < MAX_CATCH_UP_PERIODS; i++) {
+      const connection = await pool.getConnection();
+      try {
+        await connection.beginTransaction();
+
+        // Re-read under lock: another run may have billed this period already
+        const [rows] = await connection.execute(
+          `SELECT ${CUSTOMER_COLUMNS} FROM customers c WHERE c.id = ? AND c.deleted_at IS NULL FOR UPDATE`,
+          [id]
+        );
+        const customer = rows[0];
+        const start = customer && toIsoDate(customer.next_renewal_date);
+
+        if (!customer || !customer.recurring_enabled || !start || start > todayIso) {
+          await connection.rollback();
+          break;
+        }
+
+        const anchorDay = anchorDayOf(customer, start);
+        const period = { ...billingPeriod(start, customer.recurring_interval, anchorDay), anchorDay };
+        const invoice = await invoicePeriod(connection, customer, period, company);
+        await connection.commit();
+
+        if (invoice) {
+          created.push(invoice);
+        } else {
+          skipped++;
+        }
+      } catch (error) {
+        await connection.rollback();
+        console.error(`[Recurring] Failed to invoice customer ${id}:`, error);
+        failed.push({ customerId: id, error: error.message });
+        break;
+      } finally {
+        connection.release();
+      }
+    }
+  }
+
+  return { created, skipped, failed };
+};
+
+/**
+ * Invoices the job would create over the next `months` months, without
+ * writing anything. Periods already due are included (they are billed on
+ * the next run).
+ */
+const previewRecurringInvoices = async ({ months = 3, customerId, assignedTo, today = new Date() } = {}) => {
+  const horizonMonths = Math.min(MAX_PREVIEW_MONTHS, Math.max(1, Number(months) || 3));
+  const todayIso = toIsoDate(today);
+  const horizon = addMonths(todayIso, horizonMonths);
+  const company = await getCompanyProfile();
+
+  let sql = `SELECT ${CUSTOMER_COLUMNS} FROM customers c
+     WHERE c.recurring_enabled = 1 AND c.recurring_amount > 0 AND c.deleted_at IS NULL`;
+  const params = [];
+  if (customerId) {
+    sql += " AND c.id = ?";
+    params.push(customerId);
+  }
+  if (assignedTo) {
+    sql += " AND c.assigned_to = ?";
+    params.push(assignedTo);
+  }
+
+  const [customers] = await pool.execute(sql, params);
+
+  const upcoming = [];
+  const unscheduled = [];
+
+  customers.forEach((customer) => {
+    let start = toIsoDate(customer.next_renewal_date);
+    if (!start) {
+      unscheduled.push({ customerId: customer.id, customerName: customer.name });
+      return;
+    }
+
+    const anchorDay = anchorDayOf(customer, start);
+    while (start < horizon) {
+      const period = billingPeriod(start, customer.recurring_interval, anchorDay);
+      const gst = buildGstInvoice({
+        company,
+        customer,
+        items: [periodLine(customer, period)],
+        defaultRate: taxRateFor(customer),
+      });
+
+      upcoming.push({
+        customerId: customer.id,
+        customerName: customer.name,
+        customerCompany: customer.company,
+        interval: customer.recurring_interval,
+        issueDate: period.start,
+        periodStart: period.start,
+        periodEnd: period.end,
+        description: gst.lines[0].description,
+        amount: gst.totals.taxable,
+        tax: gst.totals.tax,
+        total: gst.totals.total,
+        due: period.start <= todayIso,
+      });
+
+      start = period.next;
+    }
+  });
+
+  upcoming.sort((a, b) => a.issueDate.localeCompare(b.issueDate));
+
+  const byMonth = {};
+  upcoming.forEach((invoice) => {
+    const month = invoice.issueDate.slice(0, 7);
+    byMonth[month] = byMonth[month] || { month, count: 0, total: 0 };
+    byMonth[month].count += 1;
+    byMonth[month].total = Math.round((byMonth[month].total + invoice.total) * 100) / 100;
+  });
+
+  return {
+    from: todayIso,
+    to: addDays(horizon, -1),
+    invoices: upcoming,
+    monthlyTotals: Object.values(byMonth),
+    unscheduled,
+  };
+};
+
+module.exports = {
+  MAX_PREVIEW_MONTHS,
+  billingPeriod,
+  generateDueRecurringInvoices,
+  previewRecurringInvoices,
+};
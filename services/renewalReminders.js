@@ -0,0 +1,107 @@
+// services/renewalReminders.js
+const { pool } = require("../config/database");
+const { getCompanyProfile } = require("./companyProfile");
+const { queueEmail } = require("./emailOutbox");
+const { sendMessage } = require("./whatsapp");
+
+/**
+ * Sends the renewal reminders due today: WhatsApp when the customer has a
+ * WhatsApp number, email otherwise. Used by the hourly scheduler job and
+ * POST /api/whatsapp/send-renewal-reminders.
+ */
+
+const DEFAULT_TEMPLATE =
+  "Hi {customerName}, your {serviceName} expires on {expiryDate}. Please renew to continue service.";
+
+const parseJsonArray = (value) => {
+  if (!value) return [];
+  if (Array.isArray(value)) return value;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return [];
+  }
+};
+
+const sendDueRenewalReminders = async ({ today = new Date() } = {}) => {
+  const [reminders] = await pool.execute(`
+    SELECT
+      rr.*,
+      c.name AS customer_name,
+      c.whatsapp_number AS customer_whatsapp,
+      c.email AS customer_email
+    FROM renewal_reminders rr
+    LEFT JOIN customers c ON rr.customer_id = c.id
+    WHERE rr.status = 'active'
+    AND c.deleted_at IS NULL
+    AND (
+      (c.whatsapp_number IS NOT NULL AND c.whatsapp_number != '')
+      OR (c.email IS NOT NULL AND c.email != '')
+    )
+  `);
+
+  const result = { whatsapp: 0, email: 0, failed: 0 };
+  const todayStr = today.toISOString().split("T")[0];
+  let company = null;
+
+  for (const reminder of reminders) {
+    const reminderDays = parseJsonArray(reminder.reminder_days);
+    const expiryDate = new Date(reminder.expiry_date);
+    const daysUntilExpiry = Math.ceil((expiryDate - today) / (1000 * 60 * 60 * 24));
+
+    if (!reminderDays.includes(daysUntilExpiry)) continue;
+
+    const lastReminderStr = reminder.last_reminder_sent
+      ? new Date(reminder.last_reminder_sent).toISOString().split("T")[0]
+      : null;
+
+    if (lastReminderStr === todayStr) continue;
+
+    if (reminder.customer_whatsapp) {
+      const message = (reminder.whatsapp_template || DEFAULT_TEMPLATE)
+        .replace("{customerName}", reminder.customer_name)
+        .replace("{serviceName}", reminder.service_name)
+        .replace("{expiryDate}", expiryDate.toLocaleDateString());
+
+      const sent = await sendMessage({
+        phoneNumber: reminder.customer_whatsapp,
+        message,
+        customerId: reminder.customer_id,
+      });
+
+      // Failed sends are retried on the next run
+      if (sent.status === "failed") {
+        result.failed++;
+        continue;
+      }
+      result.whatsapp++;
+      console.log(`[Renewal Reminder] WhatsApp to ${reminder.customer_name}: ${message}`);
+    } else {
+      company = company || (await getCompanyProfile());
+      await queueEmail({
+        to: reminder.customer_email,
+        template: "renewal_reminder",
+        data: {
+          customerName: reminder.customer_name,
+          service: reminder.service_name,
+          renewalDate: expiryDate.toLocaleDateString(),
+          daysLeft: daysUntilExpiry,
+          companyName: company.name,
+        },
+        relatedType: "renewal_reminder",
+        relatedId: reminder.id,
+      });
+      result.email++;
+      console.log(`[Renewal Reminder] Emailed ${reminder.customer_name} <${reminder.customer_email}>`);
+    }
+
+    await pool.execute(
+      "UPDATE renewal_reminders SET last_reminder_sent = CURDATE() WHERE id = ?",
+      [reminder.id]
+    );
+  }
+
+  return result;
+};
+
+module.exports = { sendDueRenewalReminders };
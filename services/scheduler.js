@@ -154,76 +154,23 @@
 //testing
 const cron = require("node-cron")
 const { pool } = require("../config/database")
-
-const parseJsonArray = (value) => {
-  if (!value) return []
-  try {
-    return JSON.parse(value)
-  } catch {
-    return []
-  }
-}
-
-// Function to send renewal reminders
+const { generateDueRecurringInvoices } = require("./recurringInvoices")
+const { processOutbox } = require("./emailOutbox")
+const { sendDueRenewalReminders } = require("./renewalReminders")
+const { runCampaigns } = require("./whatsappCampaigns")
+const { recalculateAllScores } = require("./leadScoring")
+const { purgeQuarantine } = require("./publicLeadGuard")
+const { purgeAuditLog } = require("./auditLog")
+const { purgeExpired } = require("./trash")
+
+// Function to send renewal reminders (WhatsApp, or email without a WhatsApp number)
 async function sendRenewalReminders() {
   try {
     console.log("[Scheduler] Running renewal reminder check...")
 
-    const [reminders] = await pool.execute(`
-      SELECT 
-        rr.*,
-        c.name AS customer_name,
-        c.whatsapp_number AS customer_whatsapp
-      FROM renewal_reminders rr
-      LEFT JOIN customers c ON rr.customer_id = c.id
-      WHERE rr.status = 'active' 
-      AND c.whatsapp_number IS NOT NULL
-      AND c.whatsapp_number != ''
-    `)
-
-    let sentCount = 0
-    const today = new Date()
-    const todayStr = today.toISOString().split("T")[0]
+    const { whatsapp, email, failed } = await sendDueRenewalReminders()
 
-    for (const reminder of reminders) {
-      const reminderDays = parseJsonArray(reminder.reminder_days)
-      const expiryDate = new Date(reminder.expiry_date)
-      const daysUntilExpiry = Math.ceil((expiryDate - today) / (1000 * 60 * 60 * 24))
-
-      if (!reminderDays.includes(daysUntilExpiry)) continue
-
-      const lastReminderDate = reminder.last_reminder_sent ? new Date(reminder.last_reminder_sent) : null
-      const lastReminderStr = lastReminderDate ? lastReminderDate.toISOString().split("T")[0] : null
-
-      if (lastReminderStr === todayStr) continue
-
-      let message =
-        reminder.whatsapp_template ||
-        "Hi {customerName}, your {serviceName} expires on {expiryDate}. Please renew to continue service."
-
-      message = message
-        .replace("{customerName}", reminder.customer_name)
-        .replace("{serviceName}", reminder.service_name)
-        .replace("{expiryDate}", expiryDate.toLocaleDateString())
-
-      await pool.execute(
-        `
-        INSERT INTO whatsapp_messages (customer_id, phone_number, message, status, sent_at)
-        VALUES (?, ?, ?, 'sent', NOW())
-      `,
-        [reminder.customer_id, reminder.customer_whatsapp, message],
-      )
-
-      await pool.execute(
-        "UPDATE renewal_reminders SET last_reminder_sent = CURDATE() WHERE id = ?",
-        [reminder.id],
-      )
-
-      sentCount++
-      console.log(`[Renewal Reminder] Sent to ${reminder.customer_name}: ${message}`)
-    }
-
-    console.log(`[Scheduler] Sent ${sentCount} renewal reminders`)
+    console.log(`[Scheduler] Sent ${whatsapp} WhatsApp and ${email} email renewal reminders (${failed} failed)`)
   } catch (error) {
     console.error("[Scheduler] Error sending renewal reminders:", error)
   }
@@ -270,6 +217,95 @@ async function updateInvoiceStatuses() {
   }
 }
 
+// Function to generate invoices for customers with recurring billing
+async function generateRecurringInvoices() {
+  try {
+    console.log("[Scheduler] Generating recurring invoices...")
+
+    const { created, skipped, failed } = await generateDueRecurringInvoices()
+
+    console.log(
+      `[Scheduler] Recurring invoices: ${created.length} created, ${skipped} already billed, ${failed.length} failed`,
+    )
+  } catch (error) {
+    console.error("[Scheduler] Error generating recurring invoices:", error)
+  }
+}
+
+// Function to send queued emails (and retry failed ones that are due)
+async function processEmailOutbox() {
+  try {
+    const { sent, retrying, failed } = await processOutbox()
+
+    if (sent || retrying || failed) {
+      console.log(`[Scheduler] Email outbox: ${sent} sent, ${retrying} retrying, ${failed} failed`)
+    }
+  } catch (error) {
+    console.error("[Scheduler] Error processing email outbox:", error)
+  }
+}
+
+// Function to start due WhatsApp campaigns and send their next batch
+async function runWhatsappCampaigns() {
+  try {
+    const summary = await runCampaigns()
+
+    if (summary.started || summary.sent || summary.completed) {
+      console.log(
+        `[Scheduler] WhatsApp campaigns: ${summary.started} started, ${summary.sent} messages sent, ${summary.completed} completed`,
+      )
+    }
+  } catch (error) {
+    console.error("[Scheduler] Error running WhatsApp campaigns:", error)
+  }
+}
+
+// Function to rescore all leads (recency decays even when nothing happens)
+async function recalculateLeadScores() {
+  try {
+    console.log("[Scheduler] Recalculating lead scores...")
+
+    const { updated } = await recalculateAllScores()
+
+    console.log(`[Scheduler] Lead scores recalculated for ${updated} leads`)
+  } catch (error) {
+    console.error("[Scheduler] Error recalculating lead scores:", error)
+  }
+}
+
+// Function to drop old unreleased lead form submissions from the quarantine
+async function purgeLeadQuarantine() {
+  try {
+    const removed = await purgeQuarantine()
+
+    console.log(`[Scheduler] Lead quarantine: ${removed} old submissions removed`)
+  } catch (error) {
+    console.error("[Scheduler] Error purging lead quarantine:", error)
+  }
+}
+
+// Function to drop audit log entries past the retention period
+async function purgeOldAuditEntries() {
+  try {
+    const removed = await purgeAuditLog()
+
+    console.log(`[Scheduler] Audit log: ${removed} old entries removed`)
+  } catch (error) {
+    console.error("[Scheduler] Error purging audit log:", error)
+  }
+}
+
+// Permanently deletes records that have been in the trash past their retention
+async function purgeTrash() {
+  try {
+    const purged = await purgeExpired()
+
+    console.log(`[Scheduler] Trash: ${purged} records permanently deleted`)
+  } catch (error) {
+    console.error("[Scheduler] Error purging trash:", error)
+  }
+}
+
 // Schedule tasks
 function initializeScheduler() {
   console.log("[Scheduler] Initializing scheduled tasks...")
@@ -297,6 +333,71 @@ function initializeScheduler() {
     },
   )
 
+  // Recurring invoices daily at 00:30 UTC (after the status updates)
+  cron.schedule(
+    "30 0 * * *",
+    () => {
+      void generateRecurringInvoices()
+    },
+    {
+      timezone: "UTC",
+    },
+  )
+
+  // Lead scores nightly at 01:00 UTC
+  cron.schedule(
+    "0 1 * * *",
+    () => {
+      void recalculateLeadScores()
+    },
+    {
+      timezone: "UTC",
+    },
+  )
+
+  // Lead quarantine cleanup daily at 02:00 UTC
+  cron.schedule(
+    "0 2 * * *",
+    () => {
+      void purgeLeadQuarantine()
+    },
+    {
+      timezone: "UTC",
+    },
+  )
+
+  // Audit log retention daily at 03:00 UTC
+  cron.schedule(
+    "0 3 * * *",
+    () => {
+      void purgeOldAuditEntries()
+    },
+    {
+      timezone: "UTC",
+    },
+  )
+
+  // Recycle bin retention daily at 04:00 UTC
+  cron.schedule(
+    "0 4 * * *",
+    () => {
+      void purgeTrash()
+    },
+    {
+      timezone: "UTC",
+    },
+  )
+
+  // Email outbox every minute
+  cron.schedule("* * * * *", () => {
+    void processEmailOutbox()
+  })
+
+  // WhatsApp campaigns every minute (each sends up to its rate per minute)
+  cron.schedule("* * * * *", () => {
+    void runWhatsappCampaigns()
+  })
+
   console.log("[Scheduler] Scheduled tasks initialized")
 }
 
@@ -305,4 +406,11 @@ module.exports = {
   sendRenewalReminders,
   updateRenewalStatuses,
   updateInvoiceStatuses,
+  generateRecurringInvoices,
+  processEmailOutbox,
+  runWhatsappCampaigns,
+  recalculateLeadScores,
+  purgeLeadQuarantine,
+  purgeOldAuditEntries,
+  purgeTrash,
 }
@@ -0,0 +1,38 @@
+// services/settings.js
+const { pool } = require("../config/database");
+
+/**
+ * Key/value application settings stored as JSON in app_settings.
+ * `db` may be a pool connection so reads/writes can join a transaction.
+ */
+const getSetting = async (key, defaults = {}, db = pool) => {
+  const [rows] = await db.execute(
+    "SELECT setting_value FROM app_settings WHERE setting_key = ?",
+    [key]
+  );
+  if (rows.length === 0) return { ...defaults };
+
+  let value = rows[0].setting_value;
+  if (typeof value === "string") {
+    try {
+      value = JSON.parse(value);
+    } catch {
+      value = {};
+    }
+  }
+  return { ...defaults, ...value };
+};
+
+const setSetting = async (key, value, updatedBy = null, db = pool) => {
+  await db.execute(
+    `INSERT INTO app_settings (setting_key, setting_value, updated_by)
+     VALUES (?, ?, ?)
+     ON DUPLICATE KEY UPDATE
+       setting_value = VALUES(setting_value),
+       updated_by = VALUES(updated_by),
+       updated_at = CURRENT_TIMESTAMP`,
+    [key, JSON.stringify(value), updatedBy]
+  );
+};
+
+module.exports = { getSetting, setSetting };
@@ -0,0 +1,503 @@
+// services/spreadsheet.js
+const zlib = require("zlib");
+const { once } = require("events");
+
+/**
+ * Reads CSV and XLSX files into rows (arrays of cell values, the first row
+ * being the headers) and writes rows out as CSV or XLSX. Blank rows are kept
+ * so that row positions match what the user sees in the sheet. Only the
+ * first worksheet of a workbook is read; XLSX cells come back as strings,
+ * numbers or booleans, so dates are Excel serial numbers (see excelDate).
+ * Workbooks are written one row at a time straight to a stream, so exports
+ * are never held in memory whole.
+ */
+
+const MAX_UNCOMPRESSED_BYTES = 100 * 1024 * 1024;
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+// ================== CSV ==================
+
+// RFC 4180: quoted fields may hold commas, quotes ("") and line breaks.
+// Semicolon separated files (Excel in some locales) are detected from the header.
+const parseCsv = (input) => {
+  const text = String(input).replace(/^\uFEFF/, "");
+  const firstLine = text.slice(0, text.search(/\r?\n|$/));
+  const delimiter = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ";" : ",";
+
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === "") {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+  if (quoted) throw badRequest("CSV has an unterminated quoted field");
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows;
+};
+
+// Quotes a field when it holds the delimiter, a quote or a line break
+const csvField = (value) => {
+  if (value === null || value === undefined) return "";
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Rows -> CSV text (CRLF line endings, as Excel writes them)
+const toCsv = (rows) => rows.map((row) => row.map(csvField).join(",")).join("\r\n") + "\r\n";
+
+// ================== XLSX ==================
+
+// Files of a zip archive by name, inflated on demand
+const readZip = (buffer) => {
+  let end = -1;
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 65557); i--) {
+    if (buffer.readUInt32LE(i) === 0x06054b50) {
+      end = i;
+      break;
+    }
+  }
+  if (end < 0) throw badRequest("File is not a valid XLSX workbook");
+
+  const entries = new Map();
+  let offset = buffer.readUInt32LE(end + 16);
+  const count = buffer.readUInt16LE(end + 10);
+
+  for (let i = 0; i < count; i++) {
+    if (buffer.readUInt32LE(offset) !== 0x02014b50) throw badRequest("File is not a valid XLSX workbook");
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const size = buffer.readUInt32LE(offset + 24);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString("utf8", offset + 46, offset + 46 + nameLength);
+    entries.set(name, { method, compressedSize, size, localOffset });
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return (name) => {
+    const entry = entries.get(name);
+    if (!entry) return null;
+    if (entry.size > MAX_UNCOMPRESSED_BYTES) throw badRequest("Workbook is too large");
+
+    const local = entry.localOffset;
+    const start = local + 30 + buffer.readUInt16LE(local + 26) + buffer.readUInt16LE(local + 28);
+    const data = buffer.subarray(start, start + entry.compressedSize);
+    if (entry.method === 0) return data.toString("utf8");
+    if (entry.method !== 8) throw badRequest("Workbook uses an unsupported compression method");
+
+    // entry.size comes from the upload itself, so the output is capped as well
+    try {
+      return zlib.inflateRawSync(data, { maxOutputLength: MAX_UNCOMPRESSED_BYTES }).toString("utf8");
+    } catch (error) {
+      if (error instanceof RangeError) throw badRequest("Workbook is too large");
+      throw error;
+    }
+  };
+};
+
+const decodeXml = (value) =>
+  value
+    .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(Number(dec)))
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, "&");
+
+// Text of every <t> inside `xml` (rich text runs are joined)
+const textOf = (xml) =>
+  [...xml.matchAll(/<t(?:\s[^>]*)?>([\s\S]*?)<\/t>/g)].map((match) => decodeXml(match[1])).join("");
+
+const attribute = (tag, name) => {
+  const match = tag.match(new RegExp(`\\s${name}="([^"]*)"`));
+  return match ? decodeXml(match[1]) : null;
+};
+
+// "C12" -> 2
+const columnIndex = (reference) => {
+  const letters = String(reference || "").match(/^[A-Z]+/i);
+  if (!letters) return null;
+  return [...letters[0].toUpperCase()].reduce((index, letter) => index * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+};
+
+// Path of the first worksheet, following workbook.xml and its relationships
+const firstSheetPath = (read) => {
+  const workbook = read("xl/workbook.xml");
+  const rels = read("xl/_rels/workbook.xml.rels");
+  const sheet = workbook && workbook.match(/<sheet\s[^>]*>/);
+  if (sheet && rels) {
+    const relId = attribute(sheet[0], "r:id");
+    const rel = [...rels.matchAll(/<Relationship\s[^>]*>/g)].find((match) => attribute(match[0], "Id") === relId);
+    const target = rel && attribute(rel[0], "Target");
+    if (target) return target.startsWith("/") ? target.slice(1) : `xl/${target.replace(/^\.\//, "")}`;
+  }
+  return "xl/worksheets/sheet1.xml";
+};
+
+const parseXlsx = (buffer) => {
+  const read = readZip(buffer);
+  const sheet = read(firstSheetPath(read));
+  if (!sheet) throw badRequest("Workbook has no worksheet");
+
+  const sharedXml = read("xl/sharedStrings.xml") || "";
+  const shared = [...sharedXml.matchAll(/<si>([\s\S]*?)<\/si>/g)].map((match) => textOf(match[1]));
+
+  const rows = [];
+  for (const rowMatch of sheet.matchAll(/<row\b([^>]*?)(?:\/>|>([\s\S]*?)<\/row>)/g)) {
+    const rowNumber = Number(attribute(`<row${rowMatch[1]}>`, "r"));
+    const cells = [];
+
+    for (const cellMatch of (rowMatch[2] || "").matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+      const tag = `<c${cellMatch[1]}>`;
+      const body = cellMatch[2] || "";
+      const type = attribute(tag, "t");
+      const raw = body.match(/<v>([\s\S]*?)<\/v>/);
+      let value = null;
+
+      if (type === "s") value = raw ? shared[Number(raw[1])] ?? "" : "";
+      else if (type === "inlineStr") value = textOf(body);
+      else if (type === "b") value = raw ? raw[1] === "1" : null;
+      else if (type === "str" || type === "e") value = raw ? decodeXml(raw[1]) : "";
+      else if (raw) value = Number(raw[1]);
+
+      const index = columnIndex(attribute(tag, "r"));
+      cells[index ?? cells.length] = value;
+    }
+
+    // Rows may skip empty ones; keep the row positions of the sheet
+    const position = Number.isInteger(rowNumber) && rowNumber > 0 ? rowNumber - 1 : rows.length;
+    rows[position] = Array.from(cells, (cell) => (cell === undefined ? null : cell));
+  }
+
+  return Array.from(rows, (cells) => cells || []);
+};
+
+// Excel serial day number -> "YYYY-MM-DD" (1900 date system)
+const excelDate = (serial) => {
+  const date = new Date(Math.round((Number(serial) - 25569) * 86400 * 1000));
+  return Number.isNaN(date.getTime()) ? null : date.toISOString().slice(0, 10);
+};
+
+/**
+ * Rows of an uploaded CSV or XLSX file, picked by its extension. Throws 400
+ * for other formats.
+ */
+const readSpreadsheet = (buffer, fileName) => {
+  const extension = String(fileName || "").split(".").pop().toLowerCase();
+  if (extension === "csv") return { format: "csv", rows: parseCsv(buffer.toString("utf8")) };
+  if (extension === "xlsx") return { format: "xlsx", rows: parseXlsx(buffer) };
+  throw badRequest("Upload a .csv or .xlsx file");
+};
+
+// ================== XLSX WRITER ==================
+
+const XLSX_CONTENT_TYPE = "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet";
+const MAX_CELL_LENGTH = 32767;
+const FLUSH_BYTES = 64 * 1024;
+
+const CRC_TABLE = new Uint32Array(256).map((_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+const crc32 = (buffer, crc = 0) => {
+  let value = crc ^ 0xffffffff;
+  for (let i = 0; i < buffer.length; i++) value = CRC_TABLE[(value ^ buffer[i]) & 0xff] ^ (value >>> 8);
+  return (value ^ 0xffffffff) >>> 0;
+};
+
+/**
+ * Writes `chunk` to `output`, waiting for "drain" when its buffer is full.
+ * Rejects when the output is closed first (the client went away).
+ */
+const writeChunk = (output, chunk) =>
+  new Promise((resolve, reject) => {
+    if (output.destroyed || output.writableEnded) {
+      reject(new Error("Output closed"));
+    } else if (output.write(chunk)) {
+      resolve();
+    } else {
+      const onDrain = () => {
+        output.off("close", onClose);
+        resolve();
+      };
+      const onClose = () => {
+        output.off("drain", onDrain);
+        reject(new Error("Output closed"));
+      };
+      output.once("drain", onDrain);
+      output.once("close", onClose);
+    }
+  });
+
+// Zip archive written to `output` entry by entry. Entries are deflated as
+// they are written and their CRC and sizes follow the data (flag bit 3), so
+// nothing is buffered; archives are limited to 4 GB (no zip64).
+const createZipWriter = (output) => {
+  const entries = [];
+  const now = new Date();
+  const time = (now.getHours() << 11) | (now.getMinutes() << 5) | Math.floor(now.getSeconds() / 2);
+  const date = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+  let offset = 0;
+
+  const write = async (chunk) => {
+    offset += chunk.length;
+    await writeChunk(output, chunk);
+  };
+
+  // Starts an entry; returns { write(text), end() }
+  const addEntry = async (name) => {
+    const entry = { fileName: Buffer.from(name), offset, crc: 0, size: 0, compressedSize: 0 };
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(0x04034b50, 0);
+    header.writeUInt16LE(20, 4);
+    header.writeUInt16LE(0x0808, 6);
+    header.writeUInt16LE(8, 8);
+    header.writeUInt16LE(time, 10);
+    header.writeUInt16LE(date, 12);
+    header.writeUInt16LE(entry.fileName.length, 26);
+    await write(Buffer.concat([header, entry.fileName]));
+
+    const deflate = zlib.createDeflateRaw();
+    const compressed = (async () => {
+      for await (const chunk of deflate) {
+        entry.compressedSize += chunk.length;
+        await write(chunk);
+      }
+    })();
+    compressed.catch(() => {});
+
+    return {
+      write: async (text) => {
+        const data = Buffer.from(text);
+        entry.crc = crc32(data, entry.crc);
+        entry.size += data.length;
+        if (!deflate.write(data)) await Promise.race([once(deflate, "drain"), compressed]);
+      },
+      end: async () => {
+        deflate.end();
+        await compressed;
+        const descriptor = Buffer.alloc(16);
+        descriptor.writeUInt32LE(0x08074b50, 0);
+        descriptor.writeUInt32LE(entry.crc, 4);
+        descriptor.writeUInt32LE(entry.compressedSize, 8);
+        descriptor.writeUInt32LE(entry.size, 12);
+        await write(descriptor);
+        entries.push(entry);
+      },
+    };
+  };
+
+  const addFile = async (name, text) => {
+    const entry = await addEntry(name);
+    await entry.write(text);
+    await entry.end();
+  };
+
+  // Central directory and end of archive record
+  const finish = async () => {
+    const directory = Buffer.concat(
+      entries.map((entry) => {
+        const record = Buffer.alloc(46);
+        record.writeUInt32LE(0x02014b50, 0);
+        record.writeUInt16LE(20, 4);
+        record.writeUInt16LE(20, 6);
+        record.writeUInt16LE(0x0808, 8);
+        record.writeUInt16LE(8, 10);
+        record.writeUInt16LE(time, 12);
+        record.writeUInt16LE(date, 14);
+        record.writeUInt32LE(entry.crc, 16);
+        record.writeUInt32LE(entry.compressedSize, 20);
+        record.writeUInt32LE(entry.size, 24);
+        record.writeUInt16LE(entry.fileName.length, 28);
+        record.writeUInt32LE(entry.offset, 42);
+        return Buffer.concat([record, entry.fileName]);
+      })
+    );
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(entries.length, 8);
+    end.writeUInt16LE(entries.length, 10);
+    end.writeUInt32LE(directory.length, 12);
+    end.writeUInt32LE(offset, 16);
+    await write(Buffer.concat([directory, end]));
+  };
+
+  return { addEntry, addFile, finish };
+};
+
+// Characters XML 1.0 does not allow are dropped
+const escapeXml = (value) =>
+  String(value)
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g, "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+// 2 -> "C", 27 -> "AB"
+const columnName = (index) => {
+  let name = "";
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return name;
+};
+
+// Numbers and booleans keep their type; everything else is written as text
+const cellXml = (value, reference, style) => {
+  if (value === null || value === undefined || value === "") return "";
+  if (typeof value === "number" && Number.isFinite(value)) {
+    return `<c r="${reference}"${style}><v>${value}</v></c>`;
+  }
+  if (typeof value === "boolean") {
+    return `<c r="${reference}"${style} t="b"><v>${value ? 1 : 0}</v></c>`;
+  }
+
+  const text = (value instanceof Date ? value.toISOString() : String(value)).slice(0, MAX_CELL_LENGTH);
+  return `<c r="${reference}"${style} t="inlineStr"><is><t xml:space="preserve">${escapeXml(text)}</t></is></c>`;
+};
+
+const XML_DECLARATION = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+const MAIN_NS = "http://schemas.openxmlformats.org/spreadsheetml/2006/main";
+const REL_NS = "http://schemas.openxmlformats.org/officeDocument/2006/relationships";
+const PACKAGE_REL_NS = "http://schemas.openxmlformats.org/package/2006/relationships";
+
+const CONTENT_TYPES_XML =
+  `${XML_DECLARATION}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">` +
+  '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+  '<Default Extension="xml" ContentType="application/xml"/>' +
+  `<Override PartName="/xl/workbook.xml" ContentType="${XLSX_CONTENT_TYPE}.main+xml"/>` +
+  '<Override PartName="/xl/worksheets/sheet1.xml" ' +
+  'ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+  '<Override PartName="/xl/styles.xml" ' +
+  'ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+  "</Types>";
+
+const ROOT_RELS_XML =
+  `${XML_DECLARATION}<Relationships xmlns="${PACKAGE_REL_NS}">` +
+  `<Relationship Id="rId1" Type="${REL_NS}/officeDocument" Target="xl/workbook.xml"/>` +
+  "</Relationships>";
+
+const WORKBOOK_RELS_XML =
+  `${XML_DECLARATION}<Relationships xmlns="${PACKAGE_REL_NS}">` +
+  `<Relationship Id="rId1" Type="${REL_NS}/worksheet" Target="worksheets/sheet1.xml"/>` +
+  `<Relationship Id="rId2" Type="${REL_NS}/styles" Target="styles.xml"/>` +
+  "</Relationships>";
+
+// Style 1 (bold) is used for the header row
+const STYLES_XML =
+  `${XML_DECLARATION}<styleSheet xmlns="${MAIN_NS}">` +
+  '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font>' +
+  '<font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+  '<fills count="2"><fill><patternFill patternType="none"/></fill>' +
+  '<fill><patternFill patternType="gray125"/></fill></fills>' +
+  '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+  '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+  '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+  '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>' +
+  '<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>' +
+  "</styleSheet>";
+
+// The header row stays in view while scrolling
+const SHEET_START =
+  `${XML_DECLARATION}<worksheet xmlns="${MAIN_NS}" xmlns:r="${REL_NS}">` +
+  '<sheetViews><sheetView workbookViewId="0">' +
+  '<pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/>' +
+  "</sheetView></sheetViews><sheetData>";
+const SHEET_END = "</sheetData></worksheet>";
+
+/**
+ * Streams a workbook with one sheet to `output` (a response or file
+ * stream). Returns { writeRow(cells), end() }; both wait for `output` to
+ * drain, so rows can be written as they are read from the database. The
+ * first row is written in bold as the header.
+ */
+const createXlsxWriter = async (output, { sheetName = "Sheet1" } = {}) => {
+  // Sheet names are at most 31 characters and cannot hold []:*?/\
+  const name = String(sheetName).replace(/[[\]:*?/\\]/g, " ").slice(0, 31) || "Sheet1";
+  const zip = createZipWriter(output);
+
+  await zip.addFile("[Content_Types].xml", CONTENT_TYPES_XML);
+  await zip.addFile("_rels/.rels", ROOT_RELS_XML);
+  await zip.addFile(
+    "xl/workbook.xml",
+    `${XML_DECLARATION}<workbook xmlns="${MAIN_NS}" xmlns:r="${REL_NS}">` +
+      `<sheets><sheet name="${escapeXml(name)}" sheetId="1" r:id="rId1"/></sheets></workbook>`
+  );
+  await zip.addFile("xl/_rels/workbook.xml.rels", WORKBOOK_RELS_XML);
+  await zip.addFile("xl/styles.xml", STYLES_XML);
+
+  const sheet = await zip.addEntry("xl/worksheets/sheet1.xml");
+  let pending = SHEET_START;
+  let rowNumber = 0;
+
+  return {
+    writeRow: async (cells) => {
+      rowNumber += 1;
+      const style = rowNumber === 1 ? ' s="1"' : "";
+      const xml = cells.map((value, index) => cellXml(value, `${columnName(index)}${rowNumber}`, style)).join("");
+      pending += `<row r="${rowNumber}">${xml}</row>`;
+      if (pending.length >= FLUSH_BYTES) {
+        const text = pending;
+        pending = "";
+        await sheet.write(text);
+      }
+    },
+    end: async () => {
+      await sheet.write(pending + SHEET_END);
+      await sheet.end();
+      await zip.finish();
+    },
+  };
+};
+
+module.exports = {
+  parseCsv,
+  toCsv,
+  parseXlsx,
+  excelDate,
+  readSpreadsheet,
+  XLSX_CONTENT_TYPE,
+  writeChunk,
+  createXlsxWriter,
+};
@@ -0,0 +1,242 @@
+// services/trash.js
+const { pool } = require("../config/database");
+const { deleteActivities } = require("./activities");
+
+/**
+ * Recycle bin for customers, leads, deals, tasks, invoices and renewals.
+ * DELETE on those routes only sets deleted_at/deleted_by; every list, detail
+ * and report query skips such rows. From /api/trash a record can be restored
+ * or purged for good, and the nightly job purges records that have been in
+ * the trash longer than TRASH_RETENTION_DAYS (30).
+ *
+ * A customer takes its renewals into the trash with it (they used to be
+ * removed by ON DELETE CASCADE) and brings them back when restored.
+ */
+
+const RETENTION_DAYS = Number(process.env.TRASH_RETENTION_DAYS || 30);
+
+// type -> table, permission resource, label column and owner column
+const TRASH_TYPES = {
+  customer: { table: "customers", resource: "customers", label: "t.name", owner: "t.assigned_to" },
+  lead: { table: "leads", resource: "leads", label: "t.name", owner: "t.assigned_to" },
+  deal: { table: "deals", resource: "deals", label: "t.title", owner: "t.assigned_to" },
+  task: { table: "tasks", resource: "tasks", label: "t.title", owner: "t.assigned_to" },
+  invoice: { table: "invoices", resource: "invoices", label: "t.invoice_number", owner: "c.assigned_to" },
+  renewal: { table: "renewals", resource: "renewals", label: "t.service", owner: "c.assigned_to" },
+};
+
+// Purged children before parents, so expired customers are not held up
+// by their own expired deals and invoices
+const PURGE_ORDER = ["task", "deal", "invoice", "renewal", "lead", "customer"];
+
+const httpError = (status, message) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+/**
+ * Moves a record to the trash. Returns false when it does not exist or is
+ * already there.
+ */
+const softDelete = async (type, id, userId, db = pool) => {
+  const { table } = TRASH_TYPES[type];
+  const deletedAt = new Date();
+
+  const [result] = await db.execute(
+    `UPDATE ${table} SET deleted_at = ?, deleted_by = ? WHERE id = ? AND deleted_at IS NULL`,
+    [deletedAt, userId || null, id]
+  );
+  if (result.affectedRows === 0) return false;
+
+  if (type === "customer") {
+    await db.execute(
+      "UPDATE renewals SET deleted_at = ?, deleted_by = ? WHERE customer_id = ? AND deleted_at IS NULL",
+      [deletedAt, userId || null, id]
+    );
+  }
+  return true;
+};
+
+const joinsFor = (type) =>
+  type === "invoice" || type === "renewal" ? "LEFT JOIN customers c ON t.customer_id = c.id" : "";
+
+/**
+ * Trashed records, most recently deleted first. `scopes` maps each type the
+ * caller may see to "own" or "any"; "own" only lists records assigned to
+ * `userId` (leads also when unassigned, as elsewhere). Returns
+ * { items, total }.
+ */
+const listTrash = async ({ scopes, userId, limit = 20, offset = 0 }) => {
+  const selects = [];
+  const params = [];
+
+  for (const [type, scope] of Object.entries(scopes)) {
+    const { table, label, owner } = TRASH_TYPES[type];
+    let where = "t.deleted_at IS NOT NULL";
+    if (scope === "own") {
+      where += type === "lead" ? ` AND (${owner} = ? OR ${owner} IS NULL)` : ` AND ${owner} = ?`;
+      params.push(userId);
+    }
+    selects.push(
+      `SELECT '${type}' AS type, t.id, ${label} AS label, t.deleted_at, t.deleted_by
+       FROM ${table} t ${joinsFor(type)}
+       WHERE ${where}`
+    );
+  }
+  if (selects.length === 0) return { items: [], total: 0 };
+
+  const union = selects.join(" UNION ALL ");
+  const [rows] = await pool.execute(
+    `SELECT trash.*, u.name AS deleted_by_name,
+            DATE_ADD(trash.deleted_at, INTERVAL ${Number(RETENTION_DAYS)} DAY) AS purge_after
+     FROM (${union}) trash
+     LEFT JOIN users u ON trash.deleted_by = u.id
+     ORDER BY trash.deleted_at DESC, trash.id
+     LIMIT ${Number(limit)} OFFSET ${Number(offset)}`,
+    params
+  );
+  const [countRows] = await pool.execute(`SELECT COUNT(*) AS total FROM (${union}) trash`, params);
+
+  return { items: rows, total: countRows[0].total };
+};
+
+const findTrashed = async (type, id, db = pool) => {
+  const [rows] = await db.execute(
+    `SELECT * FROM ${TRASH_TYPES[type].table} WHERE id = ? AND deleted_at IS NOT NULL`,
+    [id]
+  );
+  return rows[0] || null;
+};
+
+const customerInTrash = async (customerId, db) => {
+  if (!customerId) return false;
+  const [rows] = await db.execute("SELECT deleted_at FROM customers WHERE id = ?", [customerId]);
+  return Boolean(rows[0]?.deleted_at);
+};
+
+/**
+ * Takes a record out of the trash. Returns null when it is not in the
+ * trash; throws 409 while the customer it belongs to is still trashed.
+ */
+const restoreRecord = async (type, id) => {
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+
+    const record = await findTrashed(type, id, connection);
+    if (!record) {
+      await connection.rollback();
+      return null;
+    }
+
+    if (["deal", "invoice", "renewal"].includes(type) && (await customerInTrash(record.customer_id, connection))) {
+      throw httpError(409, `Restore the customer of this ${type} first`);
+    }
+
+    await connection.execute(
+      `UPDATE ${TRASH_TYPES[type].table} SET deleted_at = NULL, deleted_by = NULL WHERE id = ?`,
+      [id]
+    );
+    if (type === "customer") {
+      // Only the renewals that went to the trash together with the customer
+      await connection.execute(
+        "UPDATE renewals SET deleted_at = NULL, deleted_by = NULL WHERE customer_id = ? AND deleted_at = ?",
+        [id, record.deleted_at]
+      );
+    }
+
+    await connection.commit();
+    return record;
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+};
+
+/**
+ * Deletes a trashed record for good. Returns null when it is not in the
+ * trash; throws 409 when other records still depend on it.
+ */
+const purgeRecord = async (type, id) => {
+  const { table } = TRASH_TYPES[type];
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+
+    const record = await findTrashed(type, id, connection);
+    if (!record) {
+      await connection.rollback();
+      return null;
+    }
+
+    if (type === "customer") {
+      // Deals and invoices would otherwise go with it through ON DELETE CASCADE
+      const [[deals]] = await connection.execute("SELECT COUNT(*) AS count FROM deals WHERE customer_id = ?", [id]);
+      const [[invoices]] = await connection.execute(
+        "SELECT COUNT(*) AS count FROM invoices WHERE customer_id = ?",
+        [id]
+      );
+      if (deals.count > 0 || invoices.count > 0) {
+        throw httpError(409, "Customer still has deals or invoices; purge them first");
+      }
+    }
+    if (type === "lead") {
+      // Deals outlive the lead they came from
+      await connection.execute("UPDATE deals SET lead_id = NULL WHERE lead_id = ?", [id]);
+    }
+
+    await connection.execute(`DELETE FROM ${table} WHERE id = ?`, [id]);
+    if (["customer", "lead", "deal"].includes(type)) {
+      await deleteActivities(type, id, connection);
+    }
+
+    await connection.commit();
+    return record;
+  } catch (error) {
+    await connection.rollback();
+    if (error.code === "ER_ROW_IS_REFERENCED_2") {
+      throw httpError(409, `This ${type} is referenced by credit notes or refunds and cannot be purged`);
+    }
+    throw error;
+  } finally {
+    connection.release();
+  }
+};
+
+/**
+ * Purges everything trashed more than TRASH_RETENTION_DAYS ago. Records that
+ * cannot be purged yet are left for the next run. Returns the number purged.
+ */
+const purgeExpired = async (retentionDays = RETENTION_DAYS) => {
+  let purged = 0;
+
+  for (const type of PURGE_ORDER) {
+    const [rows] = await pool.execute(
+      `SELECT id FROM ${TRASH_TYPES[type].table}
+       WHERE deleted_at IS NOT NULL AND deleted_at < DATE_SUB(NOW(), INTERVAL ? DAY)`,
+      [retentionDays]
+    );
+    for (const { id } of rows) {
+      try {
+        if (await purgeRecord(type, id)) purged += 1;
+      } catch (error) {
+        if (!error.status) throw error;
+        console.warn(`[Trash] Skipped purging ${type} ${id}: ${error.message}`);
+      }
+    }
+  }
+  return purged;
+};
+
+module.exports = {
+  TRASH_TYPES,
+  RETENTION_DAYS,
+  softDelete,
+  listTrash,
+  restoreRecord,
+  purgeRecord,
+  purgeExpired,
+};
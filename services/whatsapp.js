@@ -0,0 +1,350 @@
+// services/whatsapp.js
+const axios = require("axios");
+const { v4: uuidv4 } = require("uuid");
+const { pool } = require("../config/database");
+const { findOrCreateConversation, touchOutbound } = require("./whatsappConversations");
+const { recordActivity, activitySubject } = require("./activities");
+
+/**
+ * Shared WhatsApp client. Outgoing messages are stored in whatsapp_messages
+ * as "pending", handed to the provider and moved to "sent" (or "failed");
+ * delivery/read/failed receipts arriving on the webhook advance them further.
+ *
+ * WHATSAPP_PROVIDER=aoc   aoc-portal API (WHATSAPP_API_TOKEN, WHATSAPP_PHONE_NUMBER_ID)
+ * WHATSAPP_PROVIDER=mock  logs messages and simulates delivered/read receipts
+ *                         (disable with WHATSAPP_MOCK_RECEIPTS=false)
+ *
+ * Without WHATSAPP_PROVIDER, aoc is used when its credentials are set and
+ * mock otherwise, except in production: there sending fails until
+ * credentials are set (or mock is chosen explicitly) instead of messages
+ * being marked sent that never left.
+ */
+
+const AOC_API_URL = "https://api.aoc-portal.com/v1/whatsapp";
+
+// Largest media file downloaded from incoming messages
+const MEDIA_MAX_BYTES = Number(process.env.WHATSAPP_MEDIA_MAX_MB || 16) * 1024 * 1024;
+
+// Receipts only move a message forward: "failed" overrides "sent" (the
+// provider accepted it but could not deliver it) but cannot undo a delivery
+const STATUS_RANK = { pending: 0, sent: 1, failed: 2, delivered: 3, read: 4 };
+
+const providerName = () => {
+  if (process.env.WHATSAPP_PROVIDER) return process.env.WHATSAPP_PROVIDER.toLowerCase();
+  const hasCredentials = process.env.WHATSAPP_API_TOKEN && process.env.WHATSAPP_PHONE_NUMBER_ID;
+  return hasCredentials || process.env.NODE_ENV === "production" ? "aoc" : "mock";
+};
+
+// Streams a media file; the provider's own credentials are sent along
+const fetchMedia = async (url, headers = {}) => {
+  const response = await axios.get(url, {
+    headers,
+    responseType: "stream",
+    timeout: 30000,
+    maxContentLength: MEDIA_MAX_BYTES,
+  });
+
+  const declared = Number(response.headers["content-length"]);
+  if (declared > MEDIA_MAX_BYTES) {
+    response.data.destroy();
+    throw new Error(`Media is larger than ${MEDIA_MAX_BYTES} bytes`);
+  }
+
+  return { stream: response.data, mimeType: response.headers["content-type"] || null };
+};
+
+// The API answers in a few shapes depending on the endpoint version
+const extractMessageId = (data) =>
+  data?.messages?.[0]?.id || data?.data?.messages?.[0]?.id || data?.message_id || data?.messageId || data?.id || null;
+
+const aocProvider = {
+  name: "aoc",
+  async sendText(to, text) {
+    if (!process.env.WHATSAPP_API_TOKEN || !process.env.WHATSAPP_PHONE_NUMBER_ID) {
+      throw new Error("WhatsApp API credentials missing");
+    }
+
+    try {
+      const response = await axios.post(
+        AOC_API_URL,
+        {
+          recipient_type: "individual",
+          from: process.env.WHATSAPP_PHONE_NUMBER_ID,
+          to,
+          type: "text",
+          text: { body: text },
+        },
+        { headers: { apikey: process.env.WHATSAPP_API_TOKEN }, timeout: 15000 }
+      );
+      return { providerMessageId: extractMessageId(response.data) };
+    } catch (error) {
+      const detail = error.response?.data ? JSON.stringify(error.response.data) : error.message;
+      throw new Error(`WhatsApp send failed: ${detail}`);
+    }
+  },
+
+  // Incoming media carries a download link, or only its id on the media endpoint
+  async downloadMedia({ id, url }) {
+    if (!url && !id) throw new Error("Media has neither a url nor an id");
+    return fetchMedia(url || `${AOC_API_URL}/media/${encodeURIComponent(id)}`, {
+      apikey: process.env.WHATSAPP_API_TOKEN,
+    });
+  },
+};
+
+const mockProvider = {
+  name: "mock",
+  async sendText(to, text) {
+    const providerMessageId = `mock-${uuidv4()}`;
+    console.log(`[WhatsApp:mock] ${to}: ${text}`);
+
+    if (process.env.WHATSAPP_MOCK_RECEIPTS !== "false") {
+      const receipt = (status, delay) =>
+        setTimeout(() => {
+          applyStatusReceipt({ providerMessageId, status }).catch((error) =>
+            console.error("[WhatsApp:mock] Receipt error:", error)
+          );
+        }, delay).unref();
+
+      receipt("delivered", 1000);
+      receipt("read", 3000);
+    }
+
+    return { providerMessageId };
+  },
+
+  async downloadMedia({ url }) {
+    if (!url) throw new Error("The mock provider can only download media with a url");
+    return fetchMedia(url);
+  },
+};
+
+const PROVIDERS = { aoc: aocProvider, mock: mockProvider };
+
+let provider = null;
+
+const getProvider = () => {
+  if (!provider) {
+    provider = PROVIDERS[providerName()];
+    if (!provider) throw new Error(`Unknown WhatsApp provider "${providerName()}"`);
+  }
+  return provider;
+};
+
+// Tests and tools may swap the provider
+const setProvider = (custom) => {
+  provider = custom;
+};
+
+/**
+ * Stores a message as "pending" and returns its id. `db` may be a
+ * transaction connection; call dispatchMessage after it commits.
+ * Messages are threaded into the number's conversation unless `internal`
+ * (staff notifications that do not belong in the inbox).
+ */
+const queueMessage = async (
+  {
+    phoneNumber,
+    message,
+    customerId = null,
+    leadId = null,
+    campaignId = null,
+    conversationId = null,
+    sentBy = null,
+    internal = false,
+  },
+  db = pool
+) => {
+  let conversation = null;
+  if (!internal && !conversationId) {
+    ({ conversation } = await findOrCreateConversation({ phoneNumber, customerId, leadId }, db));
+  }
+  const threadId = conversationId || conversation?.id || null;
+
+  const id = uuidv4();
+  const recipientCustomerId = customerId ?? conversation?.customer_id ?? null;
+  const recipientLeadId = leadId ?? conversation?.lead_id ?? null;
+  await db.execute(
+    `INSERT INTO whatsapp_messages (
+      id, conversation_id, campaign_id, customer_id, lead_id, phone_number, message,
+      direction, status, provider, sent_by
+    )
+    VALUES (?, ?, ?, ?, ?, ?, ?, 'outbound', 'pending', ?, ?)`,
+    [
+      id,
+      threadId,
+      campaignId,
+      recipientCustomerId,
+      recipientLeadId,
+      phoneNumber,
+      message,
+      providerName(),
+      sentBy,
+    ]
+  );
+
+  if (threadId) await touchOutbound(threadId, message, db);
+
+  if (!internal) {
+    await recordActivity(
+      {
+        ...activitySubject({ customerId: recipientCustomerId, leadId: recipientLeadId }),
+        type: "whatsapp_outbound",
+        title: `WhatsApp sent: ${message}`,
+        details: { messageId: id, conversationId: threadId, campaignId },
+        actorId: sentBy,
+      },
+      db
+    );
+  }
+
+  return id;
+};
+
+/**
+ * Hands a pending message to the provider. Resolves with the stored status;
+ * provider errors mark the message "failed" instead of throwing.
+ */
+const dispatchMessage = async (id) => {
+  const [rows] = await pool.execute(
+    "SELECT id, phone_number, message, status FROM whatsapp_messages WHERE id = ?",
+    [id]
+  );
+  const row = rows[0];
+  if (!row || row.status !== "pending") return { id, status: row?.status || null };
+
+  try {
+    const { providerMessageId } = await getProvider().sendText(row.phone_number, row.message);
+    await pool.execute(
+      `UPDATE whatsapp_messages
+       SET status = 'sent', sent_at = NOW(), provider = ?, provider_message_id = ?, error_message = NULL
+       WHERE id = ? AND status = 'pending'`,
+      [getProvider().name, providerMessageId, id]
+    );
+    return { id, status: "sent", providerMessageId };
+  } catch (error) {
+    console.error(`[WhatsApp] Failed to send ${id} to ${row.phone_number}:`, error.message);
+    await pool.execute(
+      "UPDATE whatsapp_messages SET status = 'failed', error_message = ? WHERE id = ? AND status = 'pending'",
+      [String(error.message).slice(0, 1000), id]
+    );
+    return { id, status: "failed", error: error.message };
+  }
+};
+
+const sendMessage = async (fields) => dispatchMessage(await queueMessage(fields));
+
+/**
+ * Downloads an incoming media file: { id, url } as received on the webhook.
+ * Resolves with { stream, mimeType }.
+ */
+const downloadMedia = async (media) => getProvider().downloadMedia(media);
+
+/**
+ * Applies a provider receipt. Returns the updated message id, or null when
+ * the provider id is unknown or the receipt would move the status back.
+ */
+const applyStatusReceipt = async ({ providerMessageId, status, timestamp, error }) => {
+  if (!providerMessageId || STATUS_RANK[status] === undefined || status === "pending") return null;
+
+  const [rows] = await pool.execute(
+    "SELECT id, campaign_id, direction, status FROM whatsapp_messages WHERE provider_message_id = ?",
+    [providerMessageId]
+  );
+  const row = rows[0];
+  if (!row || row.direction !== "outbound" || STATUS_RANK[status] <= STATUS_RANK[row.status]) return null;
+
+  const at = timestamp ? new Date(Number(timestamp) < 1e12 ? Number(timestamp) * 1000 : timestamp) : new Date();
+  const when = Number.isNaN(at.getTime()) ? new Date() : at;
+
+  if (status === "failed") {
+    await pool.execute(
+      "UPDATE whatsapp_messages SET status = 'failed', error_message = ? WHERE id = ?",
+      [error ? String(error).slice(0, 1000) : "Delivery failed", row.id]
+    );
+  } else {
+    // A "read" receipt implies delivery if that receipt never arrived
+    await pool.execute(
+      `UPDATE whatsapp_messages
+       SET status = ?,
+           sent_at = COALESCE(sent_at, ?),
+           delivered_at = COALESCE(delivered_at, ?),
+           read_at = CASE WHEN ? = 'read' THEN ? ELSE read_at END
+       WHERE id = ?`,
+      [status, when, when, status, when, row.id]
+    );
+  }
+
+  if (row.campaign_id) await refreshCampaignCounters(row.campaign_id);
+
+  return row.id;
+};
+
+/**
+ * Recomputes a campaign's counters from its messages. A message counts as
+ * sent once the provider accepted it, so sent >= delivered >= read.
+ */
+const refreshCampaignCounters = async (campaignId, db = pool) => {
+  const [rows] = await db.execute(
+    `SELECT
+       COALESCE(SUM(status IN ('sent', 'delivered', 'read')), 0) AS sent,
+       COALESCE(SUM(status IN ('delivered', 'read')), 0) AS delivered,
+       COALESCE(SUM(status = 'read'), 0) AS \`read\`,
+       COALESCE(SUM(status = 'failed'), 0) AS failed,
+       COALESCE(SUM(status = 'pending'), 0) AS pending
+     FROM whatsapp_messages
+     WHERE campaign_id = ?`,
+    [campaignId]
+  );
+  const counters = Object.fromEntries(Object.entries(rows[0]).map(([key, value]) => [key, Number(value)]));
+
+  await db.execute(
+    `UPDATE whatsapp_campaigns
+     SET sent_count = ?, delivered_count = ?, read_count = ?, failed_count = ?
+     WHERE id = ?`,
+    [counters.sent, counters.delivered, counters.read, counters.failed, campaignId]
+  );
+
+  return counters;
+};
+
+/**
+ * Receipts in a webhook payload: `statuses` (object or array) at the top
+ * level as aoc-portal sends them, or nested in Meta's entry[].changes[].value.
+ */
+const parseStatusReceipts = (body) => {
+  if (!body) return [];
+
+  const collected = [];
+  const add = (statuses) => {
+    if (!statuses) return;
+    (Array.isArray(statuses) ? statuses : [statuses]).forEach((s) => collected.push(s));
+  };
+
+  add(body.statuses);
+  (body.entry || []).forEach((entry) =>
+    (entry.changes || []).forEach((change) => add(change.value?.statuses))
+  );
+
+  return collected
+    .map((s) => ({
+      providerMessageId: s.id || s.message_id || s.messageId,
+      status: String(s.status || "").toLowerCase(),
+      timestamp: s.timestamp,
+      error: s.errors?.[0]?.title || s.errors?.[0]?.message || s.error || null,
+    }))
+    .filter((receipt) => receipt.providerMessageId && receipt.status);
+};
+
+module.exports = {
+  providerName,
+  getProvider,
+  setProvider,
+  queueMessage,
+  dispatchMessage,
+  sendMessage,
+  downloadMedia,
+  applyStatusReceipt,
+  parseStatusReceipts,
+  refreshCampaignCounters,
+};
@@ -0,0 +1,338 @@
+// services/whatsappCampaigns.js
+const { pool } = require("../config/database");
+const { queueMessage, dispatchMessage, refreshCampaignCounters } = require("./whatsapp");
+
+/**
+ * Runs WhatsApp campaigns.
+ *
+ * When an active campaign reaches its scheduled_at, its target_audience is
+ * resolved into recipients and one "pending" message is queued per recipient
+ * (in their conversation thread) with the rendered text. Every minute the runner then sends up
+ * to rate_per_minute of those messages per active campaign. Pausing simply
+ * stops the runner from picking the campaign up; resuming continues with the
+ * remaining pending messages. The campaign is completed once none are left.
+ *
+ * target_audience is a list of segments, combined and de-duplicated by
+ * phone number (the first segment wins):
+ *   "customers" | "leads"                     everyone with a WhatsApp number
+ *   { type: "customers", ids, status, service, assignedTo }
+ *   { type: "leads", ids, status, source, service, priority, assignedTo }
+ * Filter values may be a single value or a list.
+ */
+
+const DEFAULT_RATE_PER_MINUTE = Number(process.env.WHATSAPP_CAMPAIGN_RATE_PER_MINUTE || 30);
+const MAX_RATE_PER_MINUTE = 600;
+
+const STATUS_TRANSITIONS = {
+  draft: ["active", "completed"],
+  active: ["paused", "completed"],
+  paused: ["active", "completed"],
+  completed: [],
+};
+
+const SEGMENT_FILTERS = {
+  customers: {
+    table: "customers",
+    columns: { ids: "id", status: "status", service: "service", assignedTo: "assigned_to" },
+  },
+  leads: {
+    table: "leads",
+    columns: {
+      ids: "id",
+      status: "status",
+      source: "source",
+      service: "service",
+      priority: "priority",
+      assignedTo: "assigned_to",
+    },
+  },
+};
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+const parseJson = (value, fallback) => {
+  if (value === null || value === undefined) return fallback;
+  if (typeof value !== "string") return value;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return fallback;
+  }
+};
+
+const normalisePhone = (phone) => String(phone || "").replace(/\D/g, "");
+
+const normaliseSegment = (segment) => (typeof segment === "string" ? { type: segment } : segment || {});
+
+/**
+ * Throws a 400 error describing the first invalid segment, so campaigns
+ * are rejected on create instead of failing when they start.
+ */
+const validateAudience = (audience) => {
+  if (!Array.isArray(audience) || audience.length === 0) {
+    throw badRequest("Target audience must list at least one segment");
+  }
+
+  audience.forEach((raw, i) => {
+    const segment = normaliseSegment(raw);
+    const definition = SEGMENT_FILTERS[segment.type];
+    if (!definition) {
+      throw badRequest(`Audience segment ${i + 1}: type must be "customers" or "leads"`);
+    }
+    Object.keys(segment).forEach((key) => {
+      if (key !== "type" && !definition.columns[key]) {
+        throw badRequest(`Audience segment ${i + 1}: unknown filter "${key}" for ${segment.type}`);
+      }
+    });
+  });
+};
+
+const resolveSegment = async (segment, db) => {
+  const definition = SEGMENT_FILTERS[segment.type];
+  const isLead = segment.type === "leads";
+
+  let sql = `SELECT id, name, company, email, phone, whatsapp_number, service
+             FROM ${definition.table}
+             WHERE whatsapp_number IS NOT NULL AND whatsapp_number != '' AND deleted_at IS NULL`;
+  const params = [];
+
+  Object.entries(definition.columns).forEach(([key, column]) => {
+    if (segment[key] === undefined || segment[key] === null) return;
+    const values = Array.isArray(segment[key]) ? segment[key] : [segment[key]];
+    if (values.length === 0) return;
+    sql += ` AND ${column} IN (${values.map(() => "?").join(", ")})`;
+    params.push(...values.map(String));
+  });
+
+  const [rows] = await db.execute(sql, params);
+
+  return rows.map((row) => ({
+    customerId: isLead ? null : row.id,
+    leadId: isLead ? row.id : null,
+    name: row.name,
+    company: row.company,
+    email: row.email,
+    phone: row.whatsapp_number,
+    service: row.service,
+  }));
+};
+
+const resolveAudience = async (audience, db = pool) => {
+  const recipients = [];
+  const seen = new Set();
+
+  for (const raw of audience) {
+    const segment = normaliseSegment(raw);
+    if (!SEGMENT_FILTERS[segment.type]) continue;
+
+    for (const recipient of await resolveSegment(segment, db)) {
+      const key = normalisePhone(recipient.phone);
+      if (!key || seen.has(key)) continue;
+      seen.add(key);
+      recipients.push(recipient);
+    }
+  }
+
+  return recipients;
+};
+
+/**
+ * Fills {placeholders}: {name} (alias {customerName}), {firstName}, {company},
+ * {email}, {phone}, {service}, then the campaign's own `variables`.
+ * Unknown placeholders are left as they are.
+ */
+const renderCampaignMessage = (template, recipient, variables = {}) => {
+  const values = {
+    ...variables,
+    name: recipient.name || "",
+    customerName: recipient.name || "",
+    firstName: String(recipient.name || "").split(/\s+/)[0],
+    company: recipient.company || "",
+    email: recipient.email || "",
+    phone: recipient.phone || "",
+    service: recipient.service || "",
+  };
+
+  return template.replace(/\{(\w+)\}/g, (match, key) =>
+    values[key] === undefined || values[key] === null ? match : String(values[key])
+  );
+};
+
+// Creates the pending messages for a campaign that has not started yet
+const materialiseCampaign = async (campaignId) => {
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+
+    const [campaigns] = await connection.execute(
+      "SELECT * FROM whatsapp_campaigns WHERE id = ? FOR UPDATE",
+      [campaignId]
+    );
+    const campaign = campaigns[0];
+    if (!campaign || campaign.status !== "active" || campaign.started_at) {
+      await connection.rollback();
+      return 0;
+    }
+
+    const recipients = await resolveAudience(parseJson(campaign.target_audience, []), connection);
+    const variables = parseJson(campaign.variables, {});
+
+    for (const recipient of recipients) {
+      await queueMessage(
+        {
+          phoneNumber: recipient.phone,
+          message: renderCampaignMessage(campaign.template, recipient, variables),
+          customerId: recipient.customerId,
+          leadId: recipient.leadId,
+          campaignId: campaign.id,
+        },
+        connection
+      );
+    }
+
+    await connection.execute(
+      `UPDATE whatsapp_campaigns
+       SET started_at = NOW(), total_recipients = ?, updated_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [recipients.length, campaign.id]
+    );
+
+    await connection.commit();
+    return recipients.length;
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+};
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Sends the next batch, spread over (most of) the minute
+const sendBatch = async (campaign) => {
+  const rate = Math.min(MAX_RATE_PER_MINUTE, Math.max(1, Number(campaign.rate_per_minute) || DEFAULT_RATE_PER_MINUTE));
+  const [pending] = await pool.execute(
+    `SELECT id FROM whatsapp_messages
+     WHERE campaign_id = ? AND status = 'pending'
+     ORDER BY created_at, id
+     LIMIT ${rate}`,
+    [campaign.id]
+  );
+
+  const spacing = Math.floor(50000 / rate);
+  let sent = 0;
+
+  for (const [i, message] of pending.entries()) {
+    // Pausing takes effect between messages, not only between batches
+    const [current] = await pool.execute("SELECT status FROM whatsapp_campaigns WHERE id = ?", [campaign.id]);
+    if (current[0]?.status !== "active") break;
+
+    if (i > 0) await wait(spacing);
+    await dispatchMessage(message.id);
+    sent++;
+  }
+
+  return sent;
+};
+
+let running = false;
+
+/**
+ * One runner tick: starts due campaigns, sends a batch for each active one
+ * and completes campaigns with nothing left to send. Overlapping ticks are
+ * skipped.
+ */
+const runCampaigns = async () => {
+  if (running) return { skipped: true };
+  running = true;
+
+  try {
+    const [campaigns] = await pool.execute(
+      `SELECT * FROM whatsapp_campaigns
+       WHERE status = 'active' AND (scheduled_at IS NULL OR scheduled_at <= NOW())`
+    );
+
+    const summary = { started: 0, sent: 0, completed: 0 };
+
+    await Promise.all(
+      campaigns.map(async (campaign) => {
+        try {
+          if (!campaign.started_at) {
+            await materialiseCampaign(campaign.id);
+            summary.started++;
+          }
+
+          summary.sent += await sendBatch(campaign);
+
+          const counters = await refreshCampaignCounters(campaign.id);
+          if (counters.pending === 0) {
+            const [result] = await pool.execute(
+              `UPDATE whatsapp_campaigns
+               SET status = 'completed', completed_at = NOW(), updated_at = CURRENT_TIMESTAMP
+               WHERE id = ? AND status = 'active'`,
+              [campaign.id]
+            );
+            summary.completed += result.affectedRows;
+          }
+        } catch (error) {
+          console.error(`[Campaigns] Campaign ${campaign.id} failed:`, error);
+        }
+      })
+    );
+
+    return summary;
+  } finally {
+    running = false;
+  }
+};
+
+/**
+ * Moves a campaign along draft -> active <-> paused -> completed. Completing
+ * a campaign early drops its unsent messages. Returns null when the
+ * campaign does not exist.
+ */
+const changeCampaignStatus = async (campaignId, status) => {
+  const [campaigns] = await pool.execute("SELECT id, status FROM whatsapp_campaigns WHERE id = ?", [campaignId]);
+  if (campaigns.length === 0) return null;
+
+  const current = campaigns[0].status;
+  if (current === status) return { id: campaignId, status };
+  if (!STATUS_TRANSITIONS[current].includes(status)) {
+    throw badRequest(`Cannot change a ${current} campaign to ${status}`);
+  }
+
+  if (status === "completed") {
+    await pool.execute(
+      "DELETE FROM whatsapp_messages WHERE campaign_id = ? AND status = 'pending'",
+      [campaignId]
+    );
+  }
+
+  await pool.execute(
+    `UPDATE whatsapp_campaigns
+     SET status = ?,
+         completed_at = CASE WHEN ? = 'completed' THEN NOW() ELSE completed_at END,
+         updated_at = CURRENT_TIMESTAMP
+     WHERE id = ?`,
+    [status, status, campaignId]
+  );
+
+  if (status === "completed") await refreshCampaignCounters(campaignId);
+
+  return { id: campaignId, status };
+};
+
+module.exports = {
+  DEFAULT_RATE_PER_MINUTE,
+  MAX_RATE_PER_MINUTE,
+  validateAudience,
+  resolveAudience,
+  renderCampaignMessage,
+  runCampaigns,
+  changeCampaignStatus,
+};
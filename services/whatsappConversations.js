@@ -0,0 +1,389 @@
+// services/whatsappConversations.js
+const { v4: uuidv4 } = require("uuid");
+const { pool } = require("../config/database");
+const { recordActivity, activitySubject, deleteActivities } = require("./activities");
+
+/**
+ * WhatsApp conversations: one thread per phone number holding inbound and
+ * outbound whatsapp_messages, linked to the matching customer or lead.
+ *
+ * Numbers are compared on their last 10 digits (phone_key) so "+91 98765
+ * 43210", "919876543210" and "09876543210" land in the same thread and match
+ * the same customer/lead whatever format their whatsapp_number/phone uses.
+ */
+
+const PREVIEW_LENGTH = 255;
+
+const phoneDigits = (phone) => String(phone || "").replace(/\D/g, "");
+
+const phoneKey = (phone) => {
+  const digits = phoneDigits(phone);
+  return digits.length > 10 ? digits.slice(-10) : digits;
+};
+
+// SQL expression for the phone_key of a stored number (MySQL 8 REGEXP_REPLACE)
+const keyOf = (column) => `RIGHT(REGEXP_REPLACE(COALESCE(${column}, ''), '[^0-9]', ''), 10)`;
+
+const preview = (text) => String(text || "").slice(0, PREVIEW_LENGTH);
+
+/**
+ * Customer or lead whose whatsapp_number (preferred) or phone matches.
+ * Customers win over leads; a converted lead resolves to its customer.
+ */
+const matchContact = async (key, db = pool) => {
+  if (!key) return null;
+
+  const [customers] = await db.execute(
+    `SELECT id, name, assigned_to
+     FROM customers
+     WHERE (${keyOf("whatsapp_number")} = ? OR ${keyOf("phone")} = ?) AND deleted_at IS NULL
+     ORDER BY ${keyOf("whatsapp_number")} = ? DESC, updated_at DESC
+     LIMIT 1`,
+    [key, key, key]
+  );
+  if (customers.length > 0) {
+    const customer = customers[0];
+    return { customerId: customer.id, leadId: null, name: customer.name, assignedTo: customer.assigned_to };
+  }
+
+  const [leads] = await db.execute(
+    `SELECT id, name, assigned_to, converted_customer_id
+     FROM leads
+     WHERE (${keyOf("whatsapp_number")} = ? OR ${keyOf("phone")} = ?) AND deleted_at IS NULL
+     ORDER BY ${keyOf("whatsapp_number")} = ? DESC, updated_at DESC
+     LIMIT 1`,
+    [key, key, key]
+  );
+  if (leads.length > 0) {
+    const lead = leads[0];
+    return {
+      customerId: lead.converted_customer_id || null,
+      leadId: lead.id,
+      name: lead.name,
+      assignedTo: lead.assigned_to,
+    };
+  }
+
+  return null;
+};
+
+// First message from an unknown number: one lead per number, not per message
+const createLeadFromWhatsapp = async ({ phoneNumber, name, firstMessage }, db = pool) => {
+  const leadId = uuidv4();
+  await db.execute(
+    `INSERT INTO leads (
+      id, name, email, phone, source, status, priority, estimated_value, notes,
+      whatsapp_number, service, created_at, updated_at
+    ) VALUES (?, ?, ?, ?, 'whatsapp', 'new', 'medium', 0, ?, ?, 'whatsapp-business-api', CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)`,
+    [
+      leadId,
+      name || phoneNumber,
+      `${phoneDigits(phoneNumber)}@whatsapp.local`,
+      phoneNumber,
+      firstMessage || null,
+      phoneNumber,
+    ]
+  );
+
+  await recordActivity(
+    {
+      entityType: "lead",
+      entityId: leadId,
+      type: "created",
+      title: `Lead created from WhatsApp: ${name || phoneNumber}`,
+      details: { source: "whatsapp" },
+    },
+    db
+  );
+  return leadId;
+};
+
+const getConversationByKey = async (key, db = pool) => {
+  const [rows] = await db.execute("SELECT * FROM whatsapp_conversations WHERE phone_key = ?", [key]);
+  return rows[0] || null;
+};
+
+/**
+ * Thread for `phoneNumber`, created (and matched to a customer/lead) on
+ * first use. Known `customerId`/`leadId` fill links the thread is missing.
+ * With `createLead`, unknown numbers get a new lead.
+ */
+const findOrCreateConversation = async (
+  { phoneNumber, name = null, customerId = null, leadId = null, createLead = false, firstMessage = null },
+  db = pool
+) => {
+  const key = phoneKey(phoneNumber);
+  if (!key) throw new Error(`Invalid WhatsApp number "${phoneNumber}"`);
+
+  const existing = await getConversationByKey(key, db);
+  if (existing) {
+    if ((customerId && !existing.customer_id) || (leadId && !existing.lead_id)) {
+      await db.execute(
+        `UPDATE whatsapp_conversations
+         SET customer_id = COALESCE(customer_id, ?), lead_id = COALESCE(lead_id, ?)
+         WHERE id = ?`,
+        [customerId, leadId, existing.id]
+      );
+      return { conversation: await getConversationByKey(key, db), created: false, leadCreated: false };
+    }
+    return { conversation: existing, created: false, leadCreated: false };
+  }
+
+  let contact =
+    customerId || leadId ? { customerId, leadId, name: null, assignedTo: null } : await matchContact(key, db);
+
+  let leadCreated = false;
+  if (!contact && createLead) {
+    const newLeadId = await createLeadFromWhatsapp({ phoneNumber, name, firstMessage }, db);
+    contact = { customerId: null, leadId: newLeadId, name, assignedTo: null };
+    leadCreated = true;
+  }
+
+  // INSERT IGNORE: a concurrent webhook may have created the thread meanwhile
+  const [result] = await db.execute(
+    `INSERT IGNORE INTO whatsapp_conversations (
+      id, phone_key, phone_number, display_name, customer_id, lead_id, assigned_to
+    ) VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    [
+      uuidv4(),
+      key,
+      phoneDigits(phoneNumber),
+      name || contact?.name || null,
+      contact?.customerId || null,
+      contact?.leadId || null,
+      contact?.assignedTo || null,
+    ]
+  );
+
+  const created = result.affectedRows === 1;
+  if (!created && leadCreated) {
+    // The other request's thread (and lead) won; drop the duplicate lead
+    await db.execute("DELETE FROM leads WHERE id = ?", [contact.leadId]);
+    await deleteActivities("lead", contact.leadId, db);
+    leadCreated = false;
+  }
+
+  return { conversation: await getConversationByKey(key, db), created, leadCreated };
+};
+
+// Updates the thread summary after an outgoing message was queued
+const touchOutbound = async (conversationId, text, db = pool) => {
+  await db.execute(
+    `UPDATE whatsapp_conversations
+     SET last_message_at = NOW(), last_message_preview = ?, last_direction = 'outbound'
+     WHERE id = ?`,
+    [preview(text), conversationId]
+  );
+};
+
+/**
+ * Stores an incoming message in its thread and bumps the unread count.
+ * `text` is the readable text (caption or summary for non-text messages);
+ * `media` ({ id, mimeType, fileName }) marks the file as pending download.
+ * Returns null for a provider message id that was already stored.
+ */
+const recordInbound = async (
+  { phoneNumber, name, text, messageType = "text", content = null, media = null, providerMessageId = null },
+  db = pool
+) => {
+  if (providerMessageId) {
+    const [seen] = await db.execute(
+      "SELECT id FROM whatsapp_messages WHERE provider_message_id = ?",
+      [providerMessageId]
+    );
+    if (seen.length > 0) return null;
+  }
+
+  const { conversation, created, leadCreated } = await findOrCreateConversation(
+    { phoneNumber, name, createLead: true, firstMessage: text },
+    db
+  );
+
+  const messageId = uuidv4();
+  await db.execute(
+    `INSERT INTO whatsapp_messages (
+      id, conversation_id, customer_id, lead_id, phone_number, message, message_type, content,
+      media_provider_id, media_status, media_mime_type, media_file_name,
+      direction, status, provider_message_id, sent_at
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'inbound', 'received', ?, NOW())`,
+    [
+      messageId,
+      conversation.id,
+      conversation.customer_id,
+      conversation.lead_id,
+      phoneDigits(phoneNumber),
+      text,
+      messageType,
+      content ? JSON.stringify(content) : null,
+      media?.id || null,
+      media ? "pending" : null,
+      media?.mimeType || null,
+      media?.fileName || null,
+      providerMessageId,
+    ]
+  );
+
+  await db.execute(
+    `UPDATE whatsapp_conversations
+     SET unread_count = unread_count + 1,
+         last_message_at = NOW(),
+         last_inbound_at = NOW(),
+         last_message_preview = ?,
+         last_direction = 'inbound',
+         status = 'open',
+         display_name = COALESCE(display_name, ?)
+     WHERE id = ?`,
+    [preview(text), name || null, conversation.id]
+  );
+
+  await recordActivity(
+    {
+      ...activitySubject({ customerId: conversation.customer_id, leadId: conversation.lead_id }),
+      type: "whatsapp_inbound",
+      title: `WhatsApp received: ${text || `[${messageType}]`}`,
+      details: { messageId, conversationId: conversation.id, messageType },
+    },
+    db
+  );
+
+  return {
+    messageId,
+    conversationId: conversation.id,
+    customerId: conversation.customer_id,
+    leadId: conversation.lead_id,
+    isNewConversation: created,
+    leadCreated,
+  };
+};
+
+const CONVERSATION_SELECT = `
+  SELECT wc.*,
+         c.name  AS customer_name,
+         l.name  AS lead_name,
+         l.status AS lead_status,
+         u.name  AS assigned_to_name
+  FROM whatsapp_conversations wc
+  LEFT JOIN customers c ON wc.customer_id = c.id
+  LEFT JOIN leads l ON wc.lead_id = l.id
+  LEFT JOIN users u ON wc.assigned_to = u.id
+`;
+
+/**
+ * Inbox list, most recent activity first. `assignedTo` is a user id or
+ * "unassigned"; `unread` limits to threads with unread messages.
+ */
+const listConversations = async ({ status, assignedTo, unread, search, limit = 20, offset = 0 } = {}) => {
+  let where = "WHERE 1=1";
+  const params = [];
+
+  if (status) {
+    where += " AND wc.status = ?";
+    params.push(status);
+  }
+  if (assignedTo === "unassigned") {
+    where += " AND wc.assigned_to IS NULL";
+  } else if (assignedTo) {
+    where += " AND wc.assigned_to = ?";
+    params.push(assignedTo);
+  }
+  if (unread) {
+    where += " AND wc.unread_count > 0";
+  }
+  if (search) {
+    where += " AND (wc.phone_number LIKE ? OR wc.display_name LIKE ? OR c.name LIKE ? OR l.name LIKE ?)";
+    const term = `%${search}%`;
+    params.push(term, term, term, term);
+  }
+
+  const [conversations] = await pool.execute(
+    `${CONVERSATION_SELECT} ${where}
+     ORDER BY wc.last_message_at IS NULL, wc.last_message_at DESC
+     LIMIT ${Number(limit)} OFFSET ${Number(offset)}`,
+    params
+  );
+  const [countRows] = await pool.execute(
+    `SELECT COUNT(*) AS total
+     FROM whatsapp_conversations wc
+     LEFT JOIN customers c ON wc.customer_id = c.id
+     LEFT JOIN leads l ON wc.lead_id = l.id
+     ${where}`,
+    params
+  );
+
+  return { conversations, total: countRows[0].total };
+};
+
+const getConversation = async (conversationId, db = pool) => {
+  const [rows] = await db.execute(`${CONVERSATION_SELECT} WHERE wc.id = ?`, [conversationId]);
+  return rows[0] || null;
+};
+
+// Stored media is served by GET /api/whatsapp/messages/:id/media
+const withMediaUrl = (message) => ({
+  ...message,
+  media_url: message.media_status === "stored" ? `/api/whatsapp/messages/${message.id}/media` : null,
+});
+
+// Messages oldest first; `before` (a message timestamp) pages back in time
+const listConversationMessages = async (conversationId, { before, limit = 50 } = {}) => {
+  let where = "WHERE wm.conversation_id = ?";
+  const params = [conversationId];
+  if (before) {
+    where += " AND wm.created_at < ?";
+    params.push(new Date(before));
+  }
+
+  const [messages] = await pool.execute(
+    `SELECT wm.id, wm.direction, wm.message, wm.message_type, wm.content,
+            wm.media_status, wm.media_mime_type, wm.media_file_name, wm.media_size,
+            wm.status, wm.error_message,
+            wm.sent_at, wm.delivered_at, wm.read_at, wm.created_at,
+            wm.campaign_id, wm.sent_by, u.name AS sent_by_name
+     FROM whatsapp_messages wm
+     LEFT JOIN users u ON wm.sent_by = u.id
+     ${where}
+     ORDER BY wm.created_at DESC, wm.id DESC
+     LIMIT ${Number(limit)}`,
+    params
+  );
+
+  return messages.reverse().map(withMediaUrl);
+};
+
+const markConversationRead = async (conversationId) => {
+  await pool.execute(
+    `UPDATE whatsapp_messages SET read_at = COALESCE(read_at, NOW())
+     WHERE conversation_id = ? AND direction = 'inbound' AND read_at IS NULL`,
+    [conversationId]
+  );
+  await pool.execute("UPDATE whatsapp_conversations SET unread_count = 0 WHERE id = ?", [conversationId]);
+};
+
+const unreadSummary = async (userId) => {
+  const [rows] = await pool.execute(
+    `SELECT
+       COALESCE(SUM(unread_count), 0) AS total,
+       COUNT(CASE WHEN unread_count > 0 THEN 1 END) AS conversations,
+       COALESCE(SUM(CASE WHEN assigned_to = ? THEN unread_count END), 0) AS mine,
+       COALESCE(SUM(CASE WHEN assigned_to IS NULL THEN unread_count END), 0) AS unassigned
+     FROM whatsapp_conversations
+     WHERE status = 'open'`,
+    [userId]
+  );
+  return Object.fromEntries(Object.entries(rows[0]).map(([key, value]) => [key, Number(value)]));
+};
+
+module.exports = {
+  phoneKey,
+  phoneKeySql: keyOf,
+  matchContact,
+  findOrCreateConversation,
+  touchOutbound,
+  recordInbound,
+  listConversations,
+  getConversation,
+  listConversationMessages,
+  markConversationRead,
+  unreadSummary,
+  withMediaUrl,
+};
@@ -0,0 +1,203 @@
+// services/whatsappInbound.js
+const path = require("path");
+const { pool } = require("../config/database");
+const { getStorage } = require("./fileStorage");
+const { downloadMedia } = require("./whatsapp");
+
+/**
+ * Parses incoming WhatsApp messages of every type into what
+ * whatsapp_messages stores:
+ *   text      readable text for the inbox and previews (caption, summary)
+ *   type      message_type
+ *   content   parsed details (location, contact cards, reply id/title...)
+ *   media     { id, mimeType, fileName } for image/video/audio/voice/
+ *             document/sticker messages, downloaded by storeInboundMedia
+ *   reply     { id, title } for interactive button/list and template
+ *             quick-reply buttons (see whatsappReplyActions)
+ * Messages follow Meta's Cloud API shape, which aoc-portal forwards as is.
+ */
+
+const MEDIA_TYPES = ["image", "video", "audio", "document", "sticker"];
+
+const MEDIA_LABELS = {
+  image: "Image",
+  video: "Video",
+  audio: "Audio",
+  voice: "Voice note",
+  document: "Document",
+  sticker: "Sticker",
+};
+
+// Used when the provider sends no file name
+const MIME_EXTENSIONS = {
+  "image/jpeg": ".jpg",
+  "image/png": ".png",
+  "image/webp": ".webp",
+  "video/mp4": ".mp4",
+  "video/3gpp": ".3gp",
+  "audio/ogg": ".ogg",
+  "audio/mpeg": ".mp3",
+  "audio/mp4": ".m4a",
+  "audio/aac": ".aac",
+  "application/pdf": ".pdf",
+};
+
+const clean = (value) => (value === undefined || value === null ? "" : String(value).trim());
+
+const parseMedia = (type, message) => {
+  const media = message[type] || {};
+  const kind = type === "audio" && media.voice ? "voice" : type;
+  const caption = clean(media.caption);
+  const fileName = clean(media.filename) || null;
+
+  return {
+    type: kind,
+    text:
+      caption ||
+      (fileName ? `[${MEDIA_LABELS[kind]}] ${fileName}` : `[${MEDIA_LABELS[kind]}]`),
+    // The download link is kept for storeInboundMedia (and its retries)
+    content: { caption: caption || null, mediaUrl: media.url || media.link || null },
+    media: {
+      id: media.id || null,
+      mimeType: clean(media.mime_type).split(";")[0] || null,
+      fileName,
+    },
+  };
+};
+
+const parseLocation = (message) => {
+  const location = message.location || {};
+  const content = {
+    latitude: Number(location.latitude),
+    longitude: Number(location.longitude),
+    name: clean(location.name) || null,
+    address: clean(location.address) || null,
+  };
+  const place = [content.name, content.address].filter(Boolean).join(", ");
+
+  return {
+    type: "location",
+    text: `[Location] ${place || `${content.latitude}, ${content.longitude}`}`,
+    content,
+  };
+};
+
+const parseContacts = (message) => {
+  const contacts = (Array.isArray(message.contacts) ? message.contacts : [message.contacts]).filter(Boolean);
+  const cards = contacts.map((contact) => ({
+    name: clean(contact.name?.formatted_name) || clean(contact.name?.first_name) || null,
+    phones: (contact.phones || []).map((phone) => clean(phone.phone || phone.wa_id)).filter(Boolean),
+    emails: (contact.emails || []).map((email) => clean(email.email)).filter(Boolean),
+  }));
+
+  return {
+    type: "contacts",
+    text: `[Contact] ${cards.map((card) => card.name || card.phones[0] || "Unknown").join(", ")}`,
+    content: { contacts: cards },
+  };
+};
+
+const parseInteractive = (message) => {
+  const interactive = message.interactive || {};
+  const picked = interactive.button_reply || interactive.list_reply;
+  if (!picked) return null;
+
+  const reply = { id: clean(picked.id) || null, title: clean(picked.title) };
+  return {
+    type: "interactive",
+    text: reply.title || reply.id,
+    content: { kind: interactive.type, ...reply, description: clean(picked.description) || null },
+    reply,
+  };
+};
+
+// Quick-reply button on a template message
+const parseButton = (message) => {
+  const button = message.button || {};
+  const reply = { id: clean(button.payload) || null, title: clean(button.text) };
+  return {
+    type: "button",
+    text: reply.title || reply.id,
+    content: { kind: "template_button", ...reply },
+    reply,
+  };
+};
+
+const parseReaction = (message) => {
+  const reaction = message.reaction || {};
+  return {
+    type: "reaction",
+    text: `[Reaction] ${clean(reaction.emoji) || "removed"}`,
+    content: { emoji: clean(reaction.emoji) || null, messageId: reaction.message_id || null },
+  };
+};
+
+/**
+ * Returns the parsed message, or null for types that cannot be stored
+ * (unsupported, system notices, empty texts).
+ */
+const parseInboundMessage = (message) => {
+  if (!message) return null;
+  const type = message.type;
+
+  if (type === "text") {
+    const text = clean(message.text?.body);
+    return text ? { type: "text", text, content: null } : null;
+  }
+  if (MEDIA_TYPES.includes(type)) return parseMedia(type, message);
+  if (type === "location") return parseLocation(message);
+  if (type === "contacts") return parseContacts(message);
+  if (type === "interactive") return parseInteractive(message);
+  if (type === "button") return parseButton(message);
+  if (type === "reaction") return parseReaction(message);
+
+  return null;
+};
+
+/**
+ * Downloads the media of a stored inbound message into file storage.
+ * Failures are recorded on the message (media_status "failed") rather than
+ * thrown, so they can be retried later. Returns the updated media fields.
+ */
+const storeInboundMedia = async (messageId) => {
+  const [rows] = await pool.execute(
+    `SELECT id, content, media_provider_id, media_status, media_key, media_mime_type, media_file_name
+     FROM whatsapp_messages WHERE id = ?`,
+    [messageId]
+  );
+  const row = rows[0];
+  if (!row || !row.media_status) return null;
+  if (row.media_status === "stored") return { status: "stored", key: row.media_key };
+
+  const content = typeof row.content === "string" ? JSON.parse(row.content) : row.content || {};
+  const storage = getStorage();
+
+  try {
+    const { stream, mimeType } = await downloadMedia({ id: row.media_provider_id, url: content.mediaUrl });
+    const mime = row.media_mime_type || clean(mimeType).split(";")[0] || null;
+    const originalName =
+      row.media_file_name || `whatsapp-${row.id}${MIME_EXTENSIONS[mime] || ""}`;
+
+    const { key, size } = await storage.save(stream, {
+      prefix: "whatsapp-media",
+      originalName: path.basename(originalName),
+    });
+
+    await pool.execute(
+      `UPDATE whatsapp_messages
+       SET media_status = 'stored', media_key = ?, media_size = ?, media_mime_type = ?, media_error = NULL
+       WHERE id = ?`,
+      [key, size, mime, row.id]
+    );
+    return { status: "stored", key, size };
+  } catch (error) {
+    console.error(`[WhatsApp] Media download for message ${row.id} failed:`, error.message);
+    await pool.execute(
+      "UPDATE whatsapp_messages SET media_status = 'failed', media_error = ? WHERE id = ?",
+      [String(error.message).slice(0, 1000), row.id]
+    );
+    return { status: "failed", error: error.message };
+  }
+};
+
+module.exports = { parseInboundMessage, storeInboundMedia };
@@ -0,0 +1,192 @@
+// services/whatsappReplyActions.js
+const { v4: uuidv4 } = require("uuid");
+const { pool } = require("../config/database");
+const { getSetting, setSetting } = require("./settings");
+const { sendMessage } = require("./whatsapp");
+
+/**
+ * Simple workflows for interactive replies (button and list replies, and
+ * template quick-reply buttons). Stored in app_settings under
+ * "whatsapp_reply_actions" as { <replyId>: action }, edited through
+ * /api/whatsapp/settings/reply-actions. A reply matches on its id, or on its
+ * title written as a key ("Talk to sales" -> talk_to_sales).
+ *
+ * An action may
+ *   reply             send this text back ({name}, {firstName})
+ *   task              create a task on the lead/customer:
+ *                     { title, type, priority, dueInHours }
+ *   leadStatus        move the lead to this status
+ *   leadPriority      set the lead's priority
+ *   assignTo          assign the conversation (and an unassigned lead) to a user
+ *   closeConversation close the conversation
+ * Setting a default action to null disables it.
+ */
+
+const SETTING_KEY = "whatsapp_reply_actions";
+
+const DEFAULT_REPLY_ACTIONS = {
+  talk_to_sales: {
+    reply: "Thanks {firstName}! Someone from our sales team will get in touch with you shortly.",
+    task: { title: "Call {name} - asked to talk to sales on WhatsApp", type: "call", priority: "high", dueInHours: 4 },
+    leadPriority: "high",
+  },
+  not_interested: {
+    reply: "Thanks for letting us know, {firstName}. We won't bother you again.",
+    leadStatus: "closed-lost",
+    closeConversation: true,
+  },
+};
+
+const LEAD_STATUSES = ["new", "contacted", "qualified", "proposal", "negotiation", "closed-won", "closed-lost"];
+const PRIORITIES = ["low", "medium", "high"];
+const TASK_TYPES = ["call", "email", "meeting", "follow-up", "demo", "other"];
+
+const actionKey = (value) =>
+  String(value || "")
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "_")
+    .replace(/^_+|_+$/g, "");
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+const fill = (template, contact) =>
+  String(template).replace(/\{(name|firstName)\}/g, (match, key) =>
+    key === "name" ? contact.name : contact.name.split(/\s+/)[0]
+  );
+
+const getReplyActions = async (db = pool) => {
+  const actions = await getSetting(SETTING_KEY, DEFAULT_REPLY_ACTIONS, db);
+  return Object.fromEntries(Object.entries(actions).filter(([, action]) => action));
+};
+
+// Throws a 400 error for the first invalid action
+const validateReplyActions = (actions) => {
+  if (!actions || typeof actions !== "object" || Array.isArray(actions)) {
+    throw badRequest("Reply actions must be an object keyed by reply id");
+  }
+
+  Object.entries(actions).forEach(([key, action]) => {
+    if (action === null) return;
+    if (typeof action !== "object" || Array.isArray(action)) throw badRequest(`${key}: action must be an object`);
+    if (action.reply !== undefined && (typeof action.reply !== "string" || !action.reply.trim())) {
+      throw badRequest(`${key}: reply must be a non-empty string`);
+    }
+    if (action.task !== undefined) {
+      if (!action.task?.title) throw badRequest(`${key}: task.title is required`);
+      if (action.task.type && !TASK_TYPES.includes(action.task.type)) throw badRequest(`${key}: invalid task.type`);
+      if (action.task.priority && !PRIORITIES.includes(action.task.priority)) {
+        throw badRequest(`${key}: invalid task.priority`);
+      }
+    }
+    if (action.leadStatus && !LEAD_STATUSES.includes(action.leadStatus)) throw badRequest(`${key}: invalid leadStatus`);
+    if (action.leadPriority && !PRIORITIES.includes(action.leadPriority)) {
+      throw badRequest(`${key}: invalid leadPriority`);
+    }
+  });
+};
+
+const updateReplyActions = async (actions, updatedBy) => {
+  validateReplyActions(actions);
+  const normalised = Object.fromEntries(Object.entries(actions).map(([key, action]) => [actionKey(key), action]));
+  await setSetting(SETTING_KEY, normalised, updatedBy);
+  return getReplyActions();
+};
+
+/**
+ * Runs the action matching `reply` ({ id, title }) for a message stored by
+ * recordInbound. Returns { key, steps } or null when no action matches.
+ */
+const runReplyAction = async (reply, inbound, { name } = {}) => {
+  const actions = await getReplyActions();
+  const key = [reply.id, reply.title].map(actionKey).find((candidate) => candidate && actions[candidate]);
+  if (!key) return null;
+
+  const action = actions[key];
+  const steps = [];
+
+  const [conversations] = await pool.execute(
+    "SELECT id, phone_number, assigned_to, display_name FROM whatsapp_conversations WHERE id = ?",
+    [inbound.conversationId]
+  );
+  const conversation = conversations[0];
+  const contact = { name: name || conversation.display_name || conversation.phone_number };
+
+  let lead = null;
+  if (inbound.leadId) {
+    const [leads] = await pool.execute("SELECT id, name, assigned_to FROM leads WHERE id = ?", [inbound.leadId]);
+    lead = leads[0] || null;
+    if (lead?.name) contact.name = lead.name;
+  }
+
+  if (action.assignTo) {
+    await pool.execute("UPDATE whatsapp_conversations SET assigned_to = ? WHERE id = ?", [
+      action.assignTo,
+      conversation.id,
+    ]);
+    if (lead && !lead.assigned_to) {
+      await pool.execute("UPDATE leads SET assigned_to = ? WHERE id = ?", [action.assignTo, lead.id]);
+    }
+    steps.push("assigned");
+  }
+
+  if (lead && (action.leadStatus || action.leadPriority)) {
+    await pool.execute(
+      `UPDATE leads
+       SET status = COALESCE(?, status), priority = COALESCE(?, priority), updated_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [action.leadStatus || null, action.leadPriority || null, lead.id]
+    );
+    steps.push("lead_updated");
+  }
+
+  if (action.task) {
+    const relatedType = inbound.customerId ? "customer" : inbound.leadId ? "lead" : null;
+    const dueInHours = Number(action.task.dueInHours) || 24;
+    await pool.execute(
+      `INSERT INTO tasks (id, title, description, type, priority, status, assigned_to, related_type, related_id, due_date)
+       VALUES (?, ?, ?, ?, ?, 'pending', ?, ?, ?, DATE_ADD(NOW(), INTERVAL ? HOUR))`,
+      [
+        uuidv4(),
+        fill(action.task.title, contact).slice(0, 255),
+        `WhatsApp reply "${reply.title || reply.id}" from ${conversation.phone_number}`,
+        action.task.type || "follow-up",
+        action.task.priority || "medium",
+        action.assignTo || conversation.assigned_to || lead?.assigned_to || null,
+        relatedType,
+        inbound.customerId || inbound.leadId || null,
+        dueInHours,
+      ]
+    );
+    steps.push("task_created");
+  }
+
+  if (action.reply) {
+    await sendMessage({
+      phoneNumber: conversation.phone_number,
+      message: fill(action.reply, contact),
+      conversationId: conversation.id,
+      customerId: inbound.customerId,
+      leadId: inbound.leadId,
+    });
+    steps.push("replied");
+  }
+
+  if (action.closeConversation) {
+    await pool.execute("UPDATE whatsapp_conversations SET status = 'closed' WHERE id = ?", [conversation.id]);
+    steps.push("closed");
+  }
+
+  return { key, steps };
+};
+
+module.exports = {
+  DEFAULT_REPLY_ACTIONS,
+  getReplyActions,
+  updateReplyActions,
+  runReplyAction,
+};
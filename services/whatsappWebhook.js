@@ -0,0 +1,379 @@
+// services/whatsappWebhook.js
+const crypto = require("crypto");
+const { v4: uuidv4 } = require("uuid");
+const { pool } = require("../config/database");
+const { sendMessage, applyStatusReceipt, parseStatusReceipts } = require("./whatsapp");
+const { recordInbound } = require("./whatsappConversations");
+const { parseInboundMessage, storeInboundMedia } = require("./whatsappInbound");
+const { runReplyAction } = require("./whatsappReplyActions");
+const { handleInboundMessage } = require("./chatbot");
+const { assignLead } = require("./leadAssignment");
+const { refreshLeadScore } = require("./leadScoring");
+
+/**
+ * Authentication and idempotent processing for POST /api/whatsapp/webhook.
+ *
+ * Requests are authenticated by either
+ *   WHATSAPP_APP_SECRET      HMAC-SHA256 of the raw body in X-Hub-Signature-256
+ *                            ("sha256=<hex>", as Meta signs webhooks), or
+ *   WHATSAPP_WEBHOOK_SECRET  shared secret in the X-Webhook-Secret header or
+ *                            the ?secret= query parameter (for providers that
+ *                            cannot sign, e.g. aoc-portal)
+ * With neither configured, webhooks are rejected in production and accepted
+ * with a warning elsewhere.
+ *
+ * Every accepted delivery is stored in whatsapp_webhook_events under a key
+ * derived from the provider message id, so retried deliveries are processed
+ * once. Failed events keep their payload and can be replayed.
+ */
+
+const ADMIN_PHONE_NUMBER = process.env.ADMIN_PHONE_NUMBER || "";
+
+// Events stuck in "processing" this long (crash or restart mid-way) are
+// claimed again by replays and provider retries
+const STALE_PROCESSING_MINUTES = 15;
+const CLAIMABLE = `(status IN ('received', 'failed')
+        OR (status = 'processing'
+            AND (locked_at IS NULL OR locked_at < NOW() - INTERVAL ${STALE_PROCESSING_MINUTES} MINUTE)))`;
+
+// Sent to new contacts when no chatbot flow answers
+const CONFIRMATION_MESSAGE =
+  "Thank you for your message! We have received it and will get back to you shortly.";
+
+const safeEqual = (a, b) => {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+let warnedUnauthenticated = false;
+
+/**
+ * Returns { ok: true, method } or { ok: false, reason }. `req.rawBody` must
+ * hold the unparsed body for signature checks (see server.js).
+ */
+const verifyWebhookRequest = (req) => {
+  const appSecret = process.env.WHATSAPP_APP_SECRET;
+  const sharedSecret = process.env.WHATSAPP_WEBHOOK_SECRET;
+
+  if (appSecret) {
+    const header = req.get("x-hub-signature-256") || "";
+    if (header && req.rawBody) {
+      const expected = `sha256=${crypto.createHmac("sha256", appSecret).update(req.rawBody).digest("hex")}`;
+      if (safeEqual(header, expected)) return { ok: true, method: "signature" };
+      return { ok: false, reason: "Invalid signature" };
+    }
+    if (!sharedSecret) return { ok: false, reason: "Missing signature" };
+  }
+
+  if (sharedSecret) {
+    const provided = req.get("x-webhook-secret") || req.query.secret;
+    if (provided && safeEqual(provided, sharedSecret)) return { ok: true, method: "shared_secret" };
+    return { ok: false, reason: "Invalid webhook secret" };
+  }
+
+  if (process.env.NODE_ENV === "production") {
+    return { ok: false, reason: "Webhook authentication is not configured" };
+  }
+
+  if (!warnedUnauthenticated) {
+    console.warn("⚠️  WhatsApp webhook accepts unauthenticated requests; set WHATSAPP_WEBHOOK_SECRET or WHATSAPP_APP_SECRET");
+    warnedUnauthenticated = true;
+  }
+  return { ok: true, method: "none" };
+};
+
+/**
+ * Deduplication key: the provider message id for incoming messages,
+ * id + status for receipts, otherwise a hash of the payload.
+ */
+const eventKeyFor = (body, rawBody) => {
+  if (body?.messages?.id) return { key: `message:${body.messages.id}`, type: "message" };
+
+  const receipts = parseStatusReceipts(body);
+  if (receipts.length > 0) {
+    const key = receipts.map((r) => `${r.providerMessageId}:${r.status}`).sort().join(",");
+    return {
+      key: key.length <= 200 ? `status:${key}` : `status:${crypto.createHash("sha256").update(key).digest("hex")}`,
+      type: "status",
+    };
+  }
+
+  const payload = rawBody || Buffer.from(JSON.stringify(body || {}));
+  return { key: `body:${crypto.createHash("sha256").update(payload).digest("hex")}`, type: "other" };
+};
+
+// Admin notifications and auto-replies go through the shared client, so they
+// are logged in whatsapp_messages and tracked like any other message
+// (admin notifications are `internal` and stay out of the inbox)
+async function sendWhatsappMessage(to, text, options = {}) {
+  const result = await sendMessage({ phoneNumber: to, message: text, ...options });
+  if (result.status === "sent") {
+    console.log(`✅  Message sent successfully to ${to}.`);
+  }
+}
+
+/**
+ * Applies one webhook payload: receipts update message statuses, incoming
+ * messages are threaded into conversations (unknown numbers become a lead),
+ * media is downloaded, interactive replies run their reply action and the
+ * chatbot answers the rest.
+ * Returns { status: "processed" | "ignored", note }.
+ */
+const handleWebhookPayload = async (body) => {
+  const receipts = parseStatusReceipts(body);
+  for (const receipt of receipts) {
+    const messageId = await applyStatusReceipt(receipt);
+    if (messageId) {
+      console.log(`📬 WhatsApp message ${messageId} is now ${receipt.status}`);
+    }
+  }
+  if (receipts.length > 0 && !body.messages) {
+    return { status: "processed", note: `${receipts.length} receipt(s)` };
+  }
+
+  if (!body || body.channel !== "whatsapp" || !body.messages || !body.contacts) {
+    return { status: "ignored", note: "Not a WhatsApp message payload" };
+  }
+
+  const message = body.messages;
+  const from = body.contacts.recipient; // phone number
+  const profileName = body.contacts?.profileName || "Unknown Name";
+
+  const parsed = parseInboundMessage(message);
+  if (!parsed) {
+    return { status: "ignored", note: `Unsupported ${message.type || "unknown"} message from ${from}` };
+  }
+  const userMessage = parsed.text;
+
+  console.log(`--- New WhatsApp ${parsed.type} message from ${profileName} (${from}) ---`);
+
+  // Thread the message; unknown numbers become a lead on first contact
+  const inbound = await recordInbound({
+    phoneNumber: from,
+    name: profileName,
+    text: userMessage,
+    messageType: parsed.type,
+    content: parsed.content,
+    media: parsed.media || null,
+    providerMessageId: message.id || null,
+  });
+
+  if (!inbound) {
+    return { status: "ignored", note: `Duplicate message ${message.id}` };
+  }
+
+  const notes = [];
+
+  // A new lead gets an owner from the assignment rules, who also takes the thread
+  if (inbound.leadCreated) {
+    try {
+      const assignment = await assignLead(inbound.leadId);
+      if (assignment) {
+        await pool.execute(
+          "UPDATE whatsapp_conversations SET assigned_to = COALESCE(assigned_to, ?) WHERE id = ?",
+          [assignment.assignedTo, inbound.conversationId]
+        );
+        notes.push(`assigned by rule ${assignment.ruleName}`);
+      }
+    } catch (error) {
+      console.error(`❌ Lead assignment failed for lead ${inbound.leadId}:`, error);
+      notes.push("assignment failed");
+    }
+  }
+
+  // A failed download is kept on the message and can be retried from the API
+  if (parsed.media) {
+    const media = await storeInboundMedia(inbound.messageId);
+    notes.push(`media ${media.status}`);
+  }
+
+  const action = parsed.reply ? await runReplyAction(parsed.reply, inbound, { name: profileName }) : null;
+  if (action) notes.push(`reply action ${action.key}`);
+
+  // The message is already stored, so a chatbot error must not fail the event
+  let bot = null;
+  if (!action) {
+    try {
+      bot = await handleInboundMessage({ inbound, parsed, name: profileName });
+      if (bot) notes.push(`chatbot ${bot.step || "done"} (${bot.status})`);
+    } catch (error) {
+      console.error(`❌ Chatbot failed for conversation ${inbound.conversationId}:`, error);
+      notes.push("chatbot failed");
+    }
+  }
+
+  // Notifications and the acknowledgement only go out for new conversations
+  // (a reply action or the chatbot answers for itself)
+  if (inbound.isNewConversation) {
+    if (ADMIN_PHONE_NUMBER) {
+      const adminNotification =
+        `🔔 New WhatsApp ${inbound.leadCreated ? "Lead" : "Conversation"}!\n\n` +
+        `👤 *From:* ${profileName}\n` +
+        `📞 *Number:* ${from}\n` +
+        `💬 *Message:* ${userMessage}`;
+
+      for (const number of ADMIN_PHONE_NUMBER.split(",")) {
+        const trimmedNumber = number.trim();
+        if (trimmedNumber) {
+          await sendWhatsappMessage(trimmedNumber, adminNotification, { internal: true });
+        }
+      }
+    }
+
+    if (!action && !bot) {
+      await sendWhatsappMessage(from, CONFIRMATION_MESSAGE, {
+        conversationId: inbound.conversationId,
+        customerId: inbound.customerId,
+        leadId: inbound.leadId,
+      });
+    }
+  }
+
+  if (inbound.leadCreated) notes.unshift(`new lead ${inbound.leadId}`);
+
+  // Replies count towards the lead's engagement score; the chatbot may have
+  // merged the lead into another one meanwhile
+  const [threads] = await pool.execute("SELECT lead_id FROM whatsapp_conversations WHERE id = ?", [
+    inbound.conversationId,
+  ]);
+  await refreshLeadScore(threads[0]?.lead_id || null);
+
+  return {
+    status: "processed",
+    note: `Stored in conversation ${inbound.conversationId}` + (notes.length ? ` (${notes.join(", ")})` : ""),
+  };
+};
+
+/**
+ * Stores a delivery. Returns { eventId, duplicate }; a duplicate of an event
+ * that failed or stalled earlier is handed back for processing (the
+ * provider retried).
+ */
+const recordWebhookEvent = async ({ body, rawBody, authMethod }) => {
+  const { key, type } = eventKeyFor(body, rawBody);
+  const eventId = uuidv4();
+
+  const [result] = await pool.execute(
+    `INSERT IGNORE INTO whatsapp_webhook_events (id, event_key, event_type, payload, auth_method)
+     VALUES (?, ?, ?, ?, ?)`,
+    [eventId, key, type, JSON.stringify(body ?? null), authMethod]
+  );
+  if (result.affectedRows === 1) return { eventId, duplicate: false };
+
+  const [existing] = await pool.execute(
+    `SELECT id, ${CLAIMABLE} AS claimable FROM whatsapp_webhook_events WHERE event_key = ?`,
+    [key]
+  );
+  const event = existing[0];
+  await pool.execute(
+    "UPDATE whatsapp_webhook_events SET duplicate_count = duplicate_count + 1 WHERE id = ?",
+    [event.id]
+  );
+
+  return { eventId: event.id, duplicate: !Number(event.claimable) };
+};
+
+/**
+ * Runs a stored event through handleWebhookPayload and records the outcome.
+ * Claims the event first so concurrent deliveries/replays process it once;
+ * returns null when someone else has it (or it is already done).
+ */
+const processWebhookEvent = async (eventId) => {
+  const [claimed] = await pool.execute(
+    `UPDATE whatsapp_webhook_events
+     SET status = 'processing', attempts = attempts + 1, locked_at = NOW()
+     WHERE id = ? AND ${CLAIMABLE}`,
+    [eventId]
+  );
+  if (claimed.affectedRows === 0) return null;
+
+  try {
+    const [rows] = await pool.execute("SELECT payload FROM whatsapp_webhook_events WHERE id = ?", [eventId]);
+    const payload = typeof rows[0].payload === "string" ? JSON.parse(rows[0].payload) : rows[0].payload;
+
+    const outcome = await handleWebhookPayload(payload);
+    await pool.execute(
+      `UPDATE whatsapp_webhook_events
+       SET status = ?, note = ?, last_error = NULL, processed_at = NOW()
+       WHERE id = ?`,
+      [outcome.status, outcome.note ? String(outcome.note).slice(0, 255) : null, eventId]
+    );
+    return { id: eventId, ...outcome };
+  } catch (error) {
+    console.error(`❌ WhatsApp webhook event ${eventId} failed:`, error);
+    await pool.execute(
+      "UPDATE whatsapp_webhook_events SET status = 'failed', last_error = ? WHERE id = ?",
+      [String(error.message).slice(0, 1000), eventId]
+    );
+    return { id: eventId, status: "failed", error: error.message };
+  }
+};
+
+/**
+ * Re-processes failed events, and those stuck in "processing" for
+ * STALE_PROCESSING_MINUTES: the given ids, or the oldest `limit` of them.
+ * Other events are skipped.
+ */
+const replayFailedEvents = async ({ ids, limit = 50 } = {}) => {
+  let eventIds = ids;
+  if (!eventIds || eventIds.length === 0) {
+    const [rows] = await pool.execute(
+      `SELECT id FROM whatsapp_webhook_events
+       WHERE status IN ('failed', 'processing') AND ${CLAIMABLE}
+       ORDER BY received_at LIMIT ${Number(limit)}`
+    );
+    eventIds = rows.map((row) => row.id);
+  }
+
+  const results = [];
+  for (const id of eventIds) {
+    results.push((await processWebhookEvent(id)) || { id, status: "skipped" });
+  }
+  return results;
+};
+
+const listWebhookEvents = async ({ status, type, limit = 50, offset = 0 } = {}) => {
+  let where = "WHERE 1=1";
+  const params = [];
+  if (status) {
+    where += " AND status = ?";
+    params.push(status);
+  }
+  if (type) {
+    where += " AND event_type = ?";
+    params.push(type);
+  }
+
+  const [events] = await pool.execute(
+    `SELECT id, event_key, event_type, status, auth_method, attempts, duplicate_count,
+            note, last_error, received_at, processed_at
+     FROM whatsapp_webhook_events ${where}
+     ORDER BY received_at DESC
+     LIMIT ${Number(limit)} OFFSET ${Number(offset)}`,
+    params
+  );
+  const [countRows] = await pool.execute(
+    `SELECT COUNT(*) AS total FROM whatsapp_webhook_events ${where}`,
+    params
+  );
+
+  return { events, total: countRows[0].total };
+};
+
+const getWebhookEvent = async (eventId) => {
+  const [rows] = await pool.execute("SELECT * FROM whatsapp_webhook_events WHERE id = ?", [eventId]);
+  return rows[0] || null;
+};
+
+module.exports = {
+  STALE_PROCESSING_MINUTES,
+  verifyWebhookRequest,
+  eventKeyFor,
+  handleWebhookPayload,
+  recordWebhookEvent,
+  processWebhookEvent,
+  replayFailedEvents,
+  listWebhookEvents,
+  getWebhookEvent,
+};
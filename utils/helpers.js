@@ -1,12 +1,3 @@
-const generateInvoiceNumber = () => {
-  const year = new Date().getFullYear()
-  const month = String(new Date().getMonth() + 1).padStart(2, "0")
-  const random = Math.floor(Math.random() * 1000)
-    .toString()
-    .padStart(3, "0")
-  return `INV-${year}${month}-${random}`
-}
-
 const formatDate = (date) => {
   if (!date) return null
   return new Date(date).toISOString().split("T")[0]
@@ -34,7 +25,6 @@ const generateUUID = () => {
 }
 
 module.exports = {
-  generateInvoiceNumber,
   formatDate,
   formatDateTime,
   calculateDaysUntilExpiry,